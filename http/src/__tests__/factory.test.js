@@ -0,0 +1,252 @@
+const {
+    buildSchemas,
+    cursorList,
+    getCursorListSchema,
+    getCursorPaginatedSchema,
+    getItem,
+    pageLink,
+    patchItem,
+} = require('../factory');
+const { CursorEncoder } = require('../../../src/common/cursor');
+const { ForbiddenError } = require('../../../src/common/access-control');
+
+class IconEntity {
+    static getJsonSchema() {
+        return {
+            type: 'object',
+            properties: { id: { type: 'integer' }, name: { type: 'string' } },
+        };
+    }
+}
+
+const listSchema = { type: 'array', items: IconEntity.getJsonSchema() };
+
+/**
+ * Fastify stand-in: records routes registered with get() and patch() and provides
+ * the @fastify/sensible httpErrors the factories use.
+ */
+const makeFastify = () => {
+    const routes = [];
+    return {
+        routes,
+        get: (url, options, handler) => routes.push({ url, options, handler }),
+        patch: (url, options, handler) => routes.push({ url, options, handler }),
+        httpErrors: {
+            badRequest: (message) => Object.assign(new Error(message), { statusCode: 400 }),
+            notFound: (message) => Object.assign(new Error(message), { statusCode: 404 }),
+        },
+    };
+};
+
+const makeReply = () => ({
+    headers: {},
+    header(name, value) {
+        this.headers[name] = value;
+        return this;
+    },
+});
+
+const pageOf = (pageInfo = {}) => ({
+    results: [{ id: 1, name: 'home' }],
+    pageInfo: { hasNextPage: false, hasPreviousPage: false, startCursor: null, endCursor: null, ...pageInfo },
+});
+
+describe('http factory', () => {
+    describe('getCursorPaginatedSchema', () => {
+        it('should describe { results, pageInfo }', () => {
+            const schema = getCursorPaginatedSchema(listSchema);
+
+            expect(schema.properties.results).toBe(listSchema);
+            expect(schema.required).toEqual(['results', 'pageInfo']);
+            expect(schema.additionalProperties).toBe(false);
+            expect(schema.properties.pageInfo.required)
+                .toEqual(['hasNextPage', 'hasPreviousPage', 'startCursor', 'endCursor']);
+            expect(schema.properties.pageInfo.properties.endCursor).toEqual({ type: ['string', 'null'] });
+        });
+
+        it('should be part of buildSchemas()', () => {
+            expect(buildSchemas(IconEntity).cursorPaginatedSchema).toEqual(getCursorPaginatedSchema(listSchema));
+        });
+    });
+
+    describe('getCursorListSchema', () => {
+        const schema = getCursorListSchema({
+            listSchema,
+            filters     : { setId: { type: 'integer', minimum: 1 } },
+            sorts       : ['newest', 'oldest'],
+            defaultSort : 'newest',
+            limit       : 20,
+            maxLimit    : 50,
+        });
+
+        it('should only accept whitelisted query parameters', () => {
+            expect(schema.querystring.additionalProperties).toBe(false);
+            expect(Object.keys(schema.querystring.properties).sort()).toEqual(['cursor', 'limit', 'setId', 'sort']);
+        });
+
+        it('should bound limit and sort', () => {
+            expect(schema.querystring.properties.limit).toEqual({ type: 'integer', minimum: 1, maximum: 50, default: 20 });
+            expect(schema.querystring.properties.sort).toEqual({ type: 'string', enum: ['newest', 'oldest'], default: 'newest' });
+        });
+
+        it('should validate the response as a cursor page', () => {
+            expect(schema.response[200]).toEqual(getCursorPaginatedSchema(listSchema));
+        });
+    });
+
+    describe('pageLink', () => {
+        it('should link to the request path with the given parameters', () => {
+            const req = { url: '/icon/cursor?limit=5&debug=1' };
+            expect(pageLink(req, { limit: 5, sort: 'newest', cursor: 'abc=' }, 'next'))
+                .toBe('</icon/cursor?limit=5&sort=newest&cursor=abc%3D>; rel="next"');
+        });
+
+        it('should repeat array parameters', () => {
+            expect(pageLink({ url: '/icon' }, { tag: ['a', 'b'] }, 'prev')).toBe('</icon?tag=a&tag=b>; rel="prev"');
+        });
+    });
+
+    describe('acting user', () => {
+        let fastify;
+        let service;
+
+        beforeEach(() => {
+            fastify = makeFastify();
+            service = {
+                getById: jest.fn(async (id) => ({ id, name: 'home' })),
+                update: jest.fn(async () => 1),
+            };
+        });
+
+        it('should pass the authenticated user, or a guest, to the service', async () => {
+            await getItem({ path: '/:id', service, name: 'icon' })(fastify);
+            const user = { id: 7, roles: [{ value: 'ROLE_CUSTOMER' }] };
+
+            await fastify.routes[0].handler({ params: { id: '3' }, user }, makeReply());
+            await fastify.routes[0].handler({ params: { id: '3' } }, makeReply());
+
+            expect(service.getById.mock.calls[0]).toEqual([3, { actor: user }]);
+            expect(service.getById.mock.calls[1][1].actor).toMatchObject({ id: null, roles: [{ value: 'ROLE_GUEST' }] });
+        });
+
+        it('should answer access denials with a 403', async () => {
+            service.update.mockRejectedValue(new ForbiddenError('Actor 8 may not update icon 3', { action: 'update' }));
+            await patchItem({ path: '/:id', service, name: 'icon' })(fastify);
+
+            await expect(fastify.routes[0].handler({ params: { id: '3' }, body: {}, user: { id: 8 } }, makeReply()))
+                .rejects.toMatchObject({ statusCode: 403, action: 'update' });
+        });
+    });
+
+    describe('cursorList', () => {
+        let fastify;
+        let service;
+
+        const register = async (options = {}) => {
+            await cursorList({
+                route       : '/cursor',
+                service,
+                entityClass : IconEntity,
+                filters     : { setId: { type: 'integer', minimum: 1 } },
+                ...options,
+            })(fastify);
+            return fastify.routes[0];
+        };
+
+        beforeEach(() => {
+            fastify = makeFastify();
+            service = { cursorPaginate: jest.fn(async () => pageOf()) };
+        });
+
+        it('should register a GET route with the generated schema', async () => {
+            const route = await register();
+
+            expect(route.url).toBe('/cursor');
+            expect(route.options.schema.querystring.properties.sort.enum).toEqual(['newest', 'oldest']);
+            expect(route.options.schema.response[200]).toEqual(getCursorPaginatedSchema(listSchema));
+            expect(route.options.preHandler).toEqual([]);
+        });
+
+        it('should pass only whitelisted filters and the chosen sort to the service', async () => {
+            const route = await register({ getWhere: () => ({ userId: 7 }) });
+            const req = { url: '/cursor', query: { setId: 3, styleId: 9, limit: 10, sort: 'oldest' } };
+
+            await route.handler(req, makeReply());
+
+            expect(service.cursorPaginate).toHaveBeenCalledWith(
+                { setId: 3, userId: 7 },
+                null,
+                10,
+                'createdAt',
+                'asc',
+                { includeTotalCount: false }
+            );
+        });
+
+        it('should default the sort and cap the limit', async () => {
+            const route = await register({ maxLimit: 25 });
+
+            await route.handler({ url: '/cursor', query: { limit: 500 } }, makeReply());
+
+            expect(service.cursorPaginate).toHaveBeenCalledWith({}, null, 25, 'createdAt', 'desc', { includeTotalCount: false });
+        });
+
+        it('should answer malformed cursors with a 400', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const route = await register();
+
+            for (const cursor of ['not-a-cursor', CursorEncoder.encode({ createdAt: '2024-01-15' })]) {
+                await expect(route.handler({ url: '/cursor', query: { cursor } }, makeReply()))
+                    .rejects.toMatchObject({ statusCode: 400, message: 'Invalid cursor' });
+            }
+            expect(service.cursorPaginate).not.toHaveBeenCalled();
+            console.error.mockRestore();
+        });
+
+        it('should pass valid cursors through', async () => {
+            const route = await register();
+            const cursor = CursorEncoder.encode({ id: 12, createdAt: '2024-01-15' });
+
+            await route.handler({ url: '/cursor', query: { cursor } }, makeReply());
+
+            expect(service.cursorPaginate.mock.calls[0][1]).toBe(cursor);
+        });
+
+        it('should link to the next and previous pages', async () => {
+            const next = CursorEncoder.encode({ id: 20 });
+            const prev = CursorEncoder.encode({ id: 11 });
+            service.cursorPaginate.mockResolvedValue(pageOf({
+                hasNextPage     : true,
+                hasPreviousPage : true,
+                startCursor     : prev,
+                endCursor       : next,
+            }));
+            const route = await register();
+            const reply = makeReply();
+
+            const page = await route.handler({ url: '/cursor?setId=3&debug=1', query: { setId: 3, limit: 5 } }, reply);
+
+            expect(page.results).toHaveLength(1);
+            const base = '/cursor?setId=3&limit=5&sort=newest&cursor=';
+            expect(reply.headers.Link).toBe(
+                `<${base}${encodeURIComponent(next)}>; rel="next", <${base}${encodeURIComponent(prev)}>; rel="prev"`
+            );
+        });
+
+        it('should not set a Link header on a single page', async () => {
+            const route = await register();
+            const reply = makeReply();
+
+            await route.handler({ url: '/cursor', query: {} }, reply);
+
+            expect(reply.headers).not.toHaveProperty('Link');
+        });
+
+        it('should reject invalid configurations', async () => {
+            await expect(register({ sorts: {} })).rejects.toThrow('cursorList requires at least one sort');
+            await expect(register({ defaultSort: 'popular' })).rejects.toThrow('defaultSort "popular" is not one of its sorts');
+            await expect(register({ filters: { limit: { type: 'integer' } } })).rejects.toThrow('clashes with a pagination parameter');
+            await expect(register({ entityClass: undefined })).rejects.toThrow('requires a schema or an entityClass');
+        });
+    });
+});
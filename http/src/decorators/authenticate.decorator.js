@@ -3,6 +3,7 @@
 
 const { initUserService }   = require('../../../src/users');
 const { initUserToRolesService }   = require('../../../src/users/user-to-roles');
+const { updateContext }            = require('../../../src/common/context');
 
 // =============================================================
 // Authenticate decorator: verifies JWT, loads user, hydrates roles
@@ -51,6 +52,9 @@ const authenticate = async (request, reply) => {
             isAuthenticated : true,
             isGuest         : false
         };
+
+        // Events and logs from here on name the acting user
+        updateContext({ userId: user.id, actor: 'user' });
     }
     catch (err) {
         request.log.error({ err }, 'Authentication failed');
@@ -1,5 +1,9 @@
 'use strict';
 
+const { CursorEncoder } = require('../../src/common/cursor');
+const { ForbiddenError } = require('../../src/common/access-control');
+const { UserRoles } = require('../../src/utils/enums');
+
 /**
  * @fileoverview CRUD route factories for generating Fastify routes declaratively.
  *
@@ -11,6 +15,17 @@
  * All factories assume @fastify/sensible is registered on the Fastify instance
  * for httpErrors support.
  *
+ * `list` and `getItem` accept a `cache` option that caches the serialized response
+ * through CacheService.fastifyHooks(): the body is sent untouched, and clients get
+ * `ETag`, `Cache-Control` and `X-Cache: HIT|MISS` headers and 304s on `If-None-Match`.
+ *
+ * `cursorList` pages with opaque cursors instead of page numbers (keyset pagination,
+ * see withCursorPagination): `GET /icon/cursor?limit=20&sort=newest&cursor=...`.
+ *
+ * Service calls name the acting user (`{ actor }`, see withAccessControl): the
+ * authenticated `req.user`, or a guest when the route is public. Access denials
+ * answer 403.
+ *
  * @example
  * // Generate a paginated list route
  * await list({
@@ -36,6 +51,32 @@
  */
 const kDEFAULT_MAX_LIMIT = 200;
 
+/**
+ * Maximum page size for cursor pagination (withCursorPagination caps limits at 100).
+ * @constant {number}
+ */
+const kDEFAULT_CURSOR_MAX_LIMIT = 100;
+
+/**
+ * Sorts offered by cursor list routes that don't declare their own.
+ * @constant {Object<string, {sortBy: string, sortOrder: string}>}
+ */
+const kDEFAULT_CURSOR_SORTS = {
+    newest : { sortBy: 'createdAt', sortOrder: 'desc' },
+    oldest : { sortBy: 'createdAt', sortOrder: 'asc' },
+};
+
+/**
+ * Actor for requests that did not authenticate.
+ * @constant {Object}
+ */
+const kGUEST_ACTOR = Object.freeze({
+    id              : null,
+    roles           : [{ value: UserRoles.Guest }],
+    isAuthenticated : false,
+    isGuest         : true,
+});
+
 /**
  * Build JSON schemas for common response types from an entity class.
  *
@@ -47,6 +88,7 @@ const kDEFAULT_MAX_LIMIT = 200;
  *   - entitySchema: Schema for single entity
  *   - listSchema: Schema for array of entities
  *   - paginatedSchema: Schema for paginated response with metadata
+ *   - cursorPaginatedSchema: Schema for cursor-paginated response { results, pageInfo }
  *   - deletedSchema: Schema for delete confirmation { deleted: boolean }
  *
  * @example
@@ -70,6 +112,8 @@ const buildSchemas = (entityClass) => {
         additionalProperties: false
     };
 
+    const cursorPaginatedSchema = getCursorPaginatedSchema(listSchema);
+
     const deletedSchema = {
         type: 'object',
         properties: { deleted: { type: 'boolean' } },
@@ -77,7 +121,7 @@ const buildSchemas = (entityClass) => {
         additionalProperties: false
     };
 
-    return { entitySchema, listSchema, paginatedSchema, deletedSchema };
+    return { entitySchema, listSchema, paginatedSchema, cursorPaginatedSchema, deletedSchema };
 };
 
 /**
@@ -87,6 +131,41 @@ const buildSchemas = (entityClass) => {
  */
 const ensureTrailingSlash = (p) => (p.endsWith('/') ? p : `${p}/`);
 
+/**
+ * Service call options naming the acting user: `req.user`, or a guest.
+ * @param {Object} req - Fastify request
+ * @returns {{actor: Object}}
+ */
+const callerOf = (req) => ({ actor: req.user || kGUEST_ACTOR });
+
+/**
+ * Route options for response caching.
+ *
+ * The cache lookup is appended to the route's preHandlers so it runs after
+ * authentication and can key private responses by user.
+ *
+ * @param {Object|false} cache - `{ service: CacheService, baseKey?, ttl?, tags?, ... }`
+ *   (see CacheService.fastifyHooks for the remaining options), or false for no caching
+ * @param {string} baseKey - Default base key for the route
+ * @param {Array|Function} preHandler - The route's own preHandlers
+ * @returns {Object} `{ preHandler, onSend?, onResponse? }` to spread into the route options
+ */
+const cacheRouteOptions = (cache, baseKey, preHandler) => {
+    if (!cache) return { preHandler };
+    if (!cache.service || typeof cache.service.fastifyHooks !== 'function') {
+        throw new Error('cache.service must be a CacheService');
+    }
+
+    const { service, baseKey: key = baseKey, ...options } = cache;
+    const hooks = service.fastifyHooks(key, options);
+
+    return {
+        preHandler : [].concat(preHandler || [], hooks.preHandler),
+        onSend     : hooks.onSend,
+        onResponse : hooks.onResponse,
+    };
+};
+
 /**
  * Build schema for pagination.
  */
@@ -120,6 +199,77 @@ const getPaginatedSchema = (listSchema) => {
     };
 };
 
+/**
+ * Build the response schema for cursor pagination: `{ results, pageInfo }`, as
+ * returned by withCursorPagination's cursorPaginate().
+ * @param {Object} listSchema - Schema for the array of results
+ * @returns {Object}
+ */
+const getCursorPaginatedSchema = (listSchema) => ({
+    type: 'object',
+    properties: {
+        results  : listSchema,
+        pageInfo : {
+            type: 'object',
+            properties: {
+                hasNextPage     : { type: 'boolean' },
+                hasPreviousPage : { type: 'boolean' },
+                startCursor     : { type: ['string', 'null'] },
+                endCursor       : { type: ['string', 'null'] },
+                totalCount      : { type: 'integer' }
+            },
+            required: ['hasNextPage', 'hasPreviousPage', 'startCursor', 'endCursor'],
+            additionalProperties: false
+        }
+    },
+    required: ['results', 'pageInfo'],
+    additionalProperties: false
+});
+
+/**
+ * Build the route schema for a cursor list: querystring validation for
+ * `cursor`, `limit`, `sort` and the whitelisted filters, plus the response.
+ * @param {Object} options
+ * @param {Object} options.listSchema - Schema for the array of results
+ * @param {Object} options.filters - Filter name -> JSON schema
+ * @param {Array<string>} options.sorts - Sort names
+ * @param {string} options.defaultSort
+ * @param {number} options.limit - Default page size
+ * @param {number} options.maxLimit
+ * @returns {Object} `{ querystring, response }`
+ */
+const getCursorListSchema = ({ listSchema, filters, sorts, defaultSort, limit, maxLimit }) => ({
+    querystring: {
+        type: 'object',
+        properties: {
+            ...filters,
+            cursor : { type: 'string', minLength: 1, maxLength: 2048 },
+            limit  : { type: 'integer', minimum: 1, maximum: maxLimit, default: limit },
+            sort   : { type: 'string', enum: sorts, default: defaultSort }
+        },
+        additionalProperties: false
+    },
+    response: {
+        200: getCursorPaginatedSchema(listSchema)
+    }
+});
+
+/**
+ * RFC 8288 link to another page: the request's path with the given query
+ * parameters (arrays are repeated).
+ * @param {Object} req - Fastify request
+ * @param {Object} params - Query parameters for the page, including `cursor`
+ * @param {string} rel - Link relation, 'next' or 'prev'
+ * @returns {string}
+ */
+const pageLink = (req, params, rel) => {
+    const search = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+        for (const item of [].concat(value)) search.append(key, String(item));
+    }
+    return `<${req.url.split('?')[0]}?${search}>; rel="${rel}"`;
+};
+
 /**
  * Paginate items with offset/limit parameters.
  */
@@ -146,7 +296,7 @@ const paginate = ({
 
             const page = Math.floor(offset / Math.max(limit, 1)) + 1;
 
-            return await service.paginate(where, page, limit);
+            return await service.paginate(where, page, limit, callerOf(req));
         }
     );
 };
@@ -166,8 +316,11 @@ const paginate = ({
  *   Receives (req) and returns object of filter conditions
  * @param {number} [config.page=1] - Default page number
  * @param {number} [config.pageSize=100] - Default page size
+ * @param {string} [config.name='resource'] - Resource name, used in the default cache key
  * @param {Array|Function} [config.preHandler=[]] - Fastify preHandler hooks
  *   (e.g., authentication, authorization)
+ * @param {Object|false} [config.cache=false] - Response caching: `{ service, baseKey?, ttl?, tags?,
+ *   staleWhileRevalidate?, lock?, cacheControl? }`, see CacheService.fastifyHooks()
  *
  * @returns {Function} Async function that registers the route with Fastify
  *
@@ -193,6 +346,20 @@ const paginate = ({
  *   schema: schemas.IconPaginatedSchema,
  *   preHandler: [authenticate, authorize([UserRoles.Admin])]
  * })(fastify);
+ *
+ * @example
+ * // Cached for 5 minutes, dropped whenever one of the listed icons changes
+ * const cache = new CacheService(getSharedAdapter());
+ * await list({
+ *   route: '/:page/:pageSize',
+ *   service: iconService,
+ *   schema: schemas.IconPaginatedSchema,
+ *   cache: {
+ *     service: cache,
+ *     ttl: 300,
+ *     tags: (req, page) => page.results.map(icon => `icon:${icon.id}`),
+ *   }
+ * })(fastify);
  */
 const list = ({
     route,
@@ -201,16 +368,171 @@ const list = ({
     getWhere,
     page = 1,
     pageSize = 100,
-    preHandler = []
+    preHandler = [],
+    name = 'resource',
+    cache = false
 }) => async (fastify) => {
-    fastify.get(route, { schema, preHandler }, async (req, reply) => {
+    const routeOptions = cacheRouteOptions(cache, `http:${name}:${route}`, preHandler);
+
+    fastify.get(route, { schema, ...routeOptions }, async (req, reply) => {
         const pageNum = Number(req.params.page) || page;
         const sizeNum = Number(req.params.pageSize) || pageSize;
         const where   = getWhere ? getWhere(req) : {};
 
         reply.meta = { cacheHit: Boolean(!!service?.cacheHit) };
 
-        return await service.paginate(where, pageNum, sizeNum);
+        return await service.paginate(where, pageNum, sizeNum, callerOf(req));
+    });
+};
+
+/**
+ * Factory function to generate a cursor-paginated list route.
+ *
+ * Creates a GET route that reads `cursor`, `limit`, `sort` and the whitelisted
+ * filters from the querystring and delegates to
+ * `service.cursorPaginate(filters, cursor, limit, sortBy, sortOrder, options)`.
+ * Query parameters that aren't whitelisted never reach the service.
+ *
+ * Responds with `{ results, pageInfo }`. When there is a next or previous page, the
+ * response carries a `Link` header (RFC 8288) built from the validated parameters:
+ * `</path?...&cursor=<endCursor>>; rel="next"`, `</path?...&cursor=<startCursor>>; rel="prev"`.
+ * Clients can follow it or pass `pageInfo.endCursor`/`startCursor` as `cursor`
+ * themselves: a start cursor pages backwards. A cursor that can't be decoded is a 400.
+ *
+ * @param {Object} config - Route configuration
+ * @param {string} [config.route='/'] - Route path
+ * @param {Object} config.service - Service instance with cursorPaginate() method
+ * @param {Function} [config.entityClass] - Entity class, used to generate the response schema
+ * @param {Object} [config.schema] - Fastify route schema, replaces the generated one
+ * @param {Object<string, Object>} [config.filters={}] - Whitelisted filters: query parameter
+ *   name -> JSON schema (e.g., `{ setId: { type: 'integer', minimum: 1 } }`)
+ * @param {Object<string, Object>} [config.sorts] - Sort name -> `{ sortBy, sortOrder }`,
+ *   defaults to `newest` and `oldest` on createdAt
+ * @param {string} [config.defaultSort] - Sort used when `sort` is absent (default: first sort)
+ * @param {number} [config.limit=20] - Default page size
+ * @param {number} [config.maxLimit=100] - Largest page size accepted
+ * @param {Function} [config.getWhere] - Function to build fixed filters from the request
+ *   (e.g., path params); merged over the querystring filters
+ * @param {boolean} [config.includeTotalCount=false] - Add `pageInfo.totalCount` (expensive!)
+ * @param {string} [config.name='resource'] - Resource name, used in the default cache key
+ * @param {Array|Function} [config.preHandler=[]] - Fastify preHandler hooks
+ * @param {Object|false} [config.cache=false] - Response caching, as for `list`
+ *
+ * @returns {Function} Async function that registers the route with Fastify
+ *
+ * @example
+ * // GET /icon/cursor?limit=20&sort=bestseller&setId=12
+ * await cursorList({
+ *   route: '/cursor',
+ *   service: iconService,
+ *   entityClass: IconEntity,
+ *   filters: {
+ *     setId   : { type: 'integer', minimum: 1 },
+ *     styleId : { type: 'integer', minimum: 1 },
+ *     price   : { type: 'string', enum: ['free', 'premium'] }
+ *   },
+ *   sorts: {
+ *     newest     : { sortBy: 'createdAt', sortOrder: 'desc' },
+ *     bestseller : { sortBy: 'popularity', sortOrder: 'desc' }
+ *   }
+ * })(fastify);
+ *
+ * @example
+ * // Fixed filter from the path
+ * await cursorList({
+ *   route: '/user/:userId/cursor',
+ *   service: iconService,
+ *   entityClass: IconEntity,
+ *   getWhere: (req) => ({ userId: Number(req.params.userId) })
+ * })(fastify);
+ */
+const cursorList = ({
+    route = '/',
+    service,
+    entityClass,
+    schema,
+    filters = {},
+    sorts = kDEFAULT_CURSOR_SORTS,
+    defaultSort,
+    limit = 20,
+    maxLimit = kDEFAULT_CURSOR_MAX_LIMIT,
+    getWhere,
+    includeTotalCount = false,
+    preHandler = [],
+    name = 'resource',
+    cache = false
+}) => async (fastify) => {
+    const sortNames = Object.keys(sorts);
+    if (sortNames.length === 0) {
+        throw new Error('cursorList requires at least one sort');
+    }
+
+    const initialSort = defaultSort || sortNames[0];
+    if (!sorts[initialSort]) {
+        throw new Error(`cursorList defaultSort "${initialSort}" is not one of its sorts`);
+    }
+
+    for (const reserved of ['cursor', 'limit', 'sort']) {
+        if (filters[reserved]) {
+            throw new Error(`cursorList filter "${reserved}" clashes with a pagination parameter`);
+        }
+    }
+
+    if (!schema && !entityClass) {
+        throw new Error('cursorList requires a schema or an entityClass');
+    }
+
+    const routeSchema = schema || getCursorListSchema({
+        listSchema  : buildSchemas(entityClass).listSchema,
+        filters,
+        sorts       : sortNames,
+        defaultSort : initialSort,
+        limit,
+        maxLimit
+    });
+
+    const routeOptions = cacheRouteOptions(cache, `http:${name}:${route}`, preHandler);
+
+    fastify.get(route, { schema: routeSchema, ...routeOptions }, async (req, reply) => {
+        const query  = req.query || {};
+        const cursor = query.cursor || null;
+
+        if (cursor && !CursorEncoder.isValid(CursorEncoder.decode(cursor))) {
+            throw fastify.httpErrors.badRequest('Invalid cursor');
+        }
+
+        const { sortBy, sortOrder } = sorts[query.sort || initialSort];
+        const pageSize = Math.min(Number(query.limit) || limit, maxLimit);
+
+        const filterParams = {};
+        for (const key of Object.keys(filters)) {
+            if (query[key] !== undefined) filterParams[key] = query[key];
+        }
+        const where = { ...filterParams, ...(getWhere ? getWhere(req) : {}) };
+
+        const page = await service.cursorPaginate(
+            where,
+            cursor,
+            pageSize,
+            sortBy,
+            sortOrder,
+            { includeTotalCount }
+        );
+
+        const linkParams = { ...filterParams, limit: pageSize, sort: query.sort || initialSort };
+        const links = [];
+        if (page.pageInfo?.hasNextPage && page.pageInfo.endCursor) {
+            links.push(pageLink(req, { ...linkParams, cursor: page.pageInfo.endCursor }, 'next'));
+        }
+        if (page.pageInfo?.hasPreviousPage && page.pageInfo.startCursor) {
+            links.push(pageLink(req, { ...linkParams, cursor: page.pageInfo.startCursor }, 'prev'));
+        }
+        if (links.length) {
+            reply.header('Link', links.join(', '));
+        }
+
+        reply.meta = { cacheHit: Boolean(!!service?.cacheHit) };
+        return page;
     });
 };
 
@@ -229,6 +551,7 @@ const list = ({
  * @param {Function} [config.entityClass] - Entity class (not currently used)
  * @param {string} [config.name='resource'] - Resource name for error messages
  * @param {Array|Function} [config.preHandler=[]] - Fastify preHandler hooks
+ * @param {Object|false} [config.cache=false] - Response caching, as for `list`
  *
  * @returns {Function} Async function that registers the route with Fastify
  *
@@ -259,15 +582,18 @@ const getItem = ({
     schema,
     entityClass,
     name = 'resource',
-    preHandler = []
+    preHandler = [],
+    cache = false
 }) => async (fastify) => {
-    fastify.get(path, { schema, preHandler }, async (req, reply) => {
+    const routeOptions = cacheRouteOptions(cache, `http:${name}:${path}`, preHandler);
+
+    fastify.get(path, { schema, ...routeOptions }, async (req, reply) => {
         const id = parseId(req.params[idParam]);
         if (!Number.isFinite(id) || id < 1) {
             throw fastify.httpErrors.badRequest('Invalid id');
         }
 
-        const entity = await service.getById(id);
+        const entity = await service.getById(id, callerOf(req));
         if (!entity) {
             throw fastify.httpErrors.notFound(`${name} not found`);
         }
@@ -311,11 +637,12 @@ const createItem = ({
 }) => async (fastify) => {
     fastify.post(path, { schema, preHandler }, async (req, reply) => {
         try {
-            const created = await service.create(req.body);
+            const created = await service.create(req.body, callerOf(req));
             reply.meta = { cacheHit: Boolean(!!service?.cacheHit) };
             return created;
         } 
         catch (err) {
+            if (err instanceof ForbiddenError) throw err;
             throw fastify.httpErrors.badRequest(err?.message || `Failed to create ${name}`);
         }
     });
@@ -363,18 +690,19 @@ const patchItem = ({
             throw fastify.httpErrors.badRequest('Invalid id');
         }
 
-        const existing = await service.getById(id);
+        const existing = await service.getById(id, callerOf(req));
         if (!existing) {
             throw fastify.httpErrors.notFound(`${name} not found`);
         }
 
         try {
-            await service.update(id, req.body);
-            const fresh = await service.getById(id);
+            await service.update(id, req.body, callerOf(req));
+            const fresh = await service.getById(id, callerOf(req));
             reply.meta = { cacheHit: Boolean(!!service?.cacheHit) };
             return fresh;
         } 
         catch (err) {
+            if (err instanceof ForbiddenError) throw err;
             throw fastify.httpErrors.badRequest(err?.message || `Failed to update ${name}`);
         }
     });
@@ -422,16 +750,17 @@ const deleteItem = ({
             throw fastify.httpErrors.badRequest('Invalid id');
         }
 
-        const existing = await service.getById(id);
+        const existing = await service.getById(id, callerOf(req));
         if (!existing) {
             throw fastify.httpErrors.notFound(`${name} not found`);
         }
 
         try {
-            const deleted = await service.delete(id);
+            const deleted = await service.delete(id, callerOf(req));
             return { deleted: deleted >= 1 };
         } 
         catch (err) {
+            if (err instanceof ForbiddenError) throw err;
             throw fastify.httpErrors.badRequest(err?.message || `Failed to delete ${name}`);
         }
     });
@@ -440,7 +769,7 @@ const deleteItem = ({
 /**
  * Higher-level factory to create a complete CRUD plugin from route definitions.
  *
- * Generates multiple CRUD routes (list, getItem, createItem, patchItem, deleteItem)
+ * Generates multiple CRUD routes (list, cursorList, getItem, createItem, patchItem, deleteItem)
  * from an array of route configurations. Simplifies plugin creation by providing
  * common service and entity once and defining multiple routes declaratively.
  *
@@ -449,7 +778,8 @@ const deleteItem = ({
  * @param {Function} config.entityClass - Entity class shared across all routes
  * @param {string} config.name - Resource name for error messages (e.g., 'icon')
  * @param {Array<Object>} config.routes - Array of route configurations
- * @param {string} config.routes[].kind - Route type: 'list', 'getItem', 'createItem', 'patchItem', 'deleteItem'
+ * @param {string} config.routes[].kind - Route type: 'list', 'cursorList', 'getItem', 'createItem',
+ *   'patchItem', 'deleteItem'
  * @param {Object} config.routes[] - Additional route-specific config (merged with common config)
  *
  * @returns {Function} Async Fastify plugin function
@@ -514,6 +844,11 @@ const makeCrudPlugin = ({
                 continue;
             }
 
+            if (kind === 'cursorList') {
+                await cursorList({ ...common, ...rest })(fastify);
+                continue;
+            }
+
             if (kind === 'getItem') {
                 await getItem({ ...common, ...rest })(fastify);
                 continue;
@@ -541,8 +876,12 @@ const makeCrudPlugin = ({
 
 module.exports = {
     buildSchemas,
+    getCursorPaginatedSchema,
+    getCursorListSchema,
+    pageLink,
     paginate,
     list,
+    cursorList,
     getItem,
     createItem,
     patchItem,
@@ -0,0 +1,3 @@
+module.exports = [
+    require('./request-context.hook'),
+];
@@ -0,0 +1,34 @@
+'use strict';
+
+const { contextFromHeaders, runWithContext } = require('../../../src/common/context');
+
+// =============================================================
+// Request context hook: seeds the trace context for the request
+// =============================================================
+
+/**
+ * Runs the rest of the request inside a trace context built from its
+ * `traceparent` and `x-request-id` headers (new ids if absent). Services,
+ * repositories, emitted events and outbound SQS/SNS messages pick it up.
+ *
+ * Callback style on purpose: Fastify runs the remaining hooks and the handler
+ * from `done`, so they inherit the AsyncLocalStorage context.
+ *
+ * @param {Object} request - Fastify request object
+ * @param {Object} reply - Fastify reply object
+ * @param {Function} done
+ */
+const onRequest = (request, reply, done) => {
+    const context = contextFromHeaders(request.headers);
+
+    request.traceContext = context;
+    request.log = request.log.child({ trace_id: context.traceId, request_id: context.requestId });
+    reply.header('x-request-id', context.requestId);
+
+    runWithContext(context, done);
+};
+
+module.exports = {
+    name    : 'onRequest',
+    handler : onRequest
+};
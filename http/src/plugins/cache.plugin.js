@@ -0,0 +1,80 @@
+'use strict';
+
+const CacheService = require('../../../src/common/cache/CacheService');
+const { getSharedAdapter } = require('../../../src/common/cache');
+const { UserRoles } = require('../../../src/utils/enums');
+
+/**
+ * Cache Admin Plugin
+ * Read-only metrics and key inspection for the cache layer, plus single-key eviction.
+ * Every route requires an authenticated admin.
+ * Routes:
+ * - GET /admin/cache/stats
+ * - GET /admin/cache/keys
+ * - GET /admin/cache/keys/:key
+ * - DELETE /admin/cache/keys/:key
+ * Keys in the path are URL-encoded (`icons:list:5d41...` → `icons%3Alist%3A5d41...`).
+ * @name cachePlugin
+ * @param {FastifyInstance} fastify
+ * @param {Object} opts
+ * @param {CacheService} [opts.cacheService] - Cache to inspect; defaults to one over the adapter the services share
+ * @returns {Promise<void>}
+ */
+const schemas = require('../schemas/cache');
+
+const plugin = async (fastify, opts) => {
+    const cache = opts.cacheService || new CacheService(getSharedAdapter());
+
+    const preHandler = [
+        fastify.authenticate,
+        fastify.authorize([UserRoles.Admin]),
+    ];
+
+    /**
+     * GET /admin/cache/stats
+     * Supports query param for filtering: prefix
+     * Returns hit, miss, set, eviction and byte counters by base key
+     */
+    fastify.get('/stats', { schema: schemas.StatsSchema, preHandler }, async (req) => {
+        return cache.getStats(req.query.prefix || '');
+    });
+
+    /**
+     * GET /admin/cache/keys
+     * Supports query params: prefix, limit, cursor
+     * Returns a page of live keys with the seconds each has left
+     */
+    fastify.get('/keys', { schema: schemas.ListKeysSchema, preHandler }, async (req) => {
+        const { prefix, limit, cursor } = req.query;
+        return cache.listKeys({ prefix, limit, cursor });
+    });
+
+    /**
+     * GET /admin/cache/keys/:key
+     * Returns the stored value of a single key
+     */
+    fastify.get('/keys/:key', { schema: schemas.PeekSchema, preHandler }, async (req) => {
+        const entry = await cache.peek(req.params.key);
+        if (!entry) {
+            throw fastify.httpErrors.notFound('cache key not found');
+        }
+        return entry;
+    });
+
+    /**
+     * DELETE /admin/cache/keys/:key
+     * Evicts a single key
+     * Returns { evicted: true } if successful
+     */
+    fastify.delete('/keys/:key', { schema: schemas.EvictSchema, preHandler }, async (req) => {
+        if (!(await cache.evict(req.params.key))) {
+            throw fastify.httpErrors.notFound('cache key not found');
+        }
+        return { evicted: true };
+    });
+};
+
+module.exports = {
+    handler: plugin,
+    prefix : '/admin/cache',
+};
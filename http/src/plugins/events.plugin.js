@@ -0,0 +1,74 @@
+'use strict';
+
+const { getDeadLetterStore } = require('../../../src/common/event-bus/dead-letter');
+const { UserRoles } = require('../../../src/utils/enums');
+
+/**
+ * Event Admin Plugin
+ * Lists, replays and discards events whose handlers failed every retry.
+ * Every route requires an authenticated admin.
+ * Routes:
+ * - GET /admin/events/dead-letters
+ * - POST /admin/events/dead-letters/:id/replay
+ * - DELETE /admin/events/dead-letters/:id
+ * @name eventsPlugin
+ * @param {FastifyInstance} fastify
+ * @param {Object} opts
+ * @param {EventBus} [opts.eventBus] - Bus whose handlers replay events; defaults to the EventBus singleton
+ * @returns {Promise<void>}
+ */
+const schemas = require('../schemas/events');
+
+const plugin = async (fastify, opts) => {
+    const eventBus = opts.eventBus || require('../../../src/common/event-bus').EventBus;
+
+    const preHandler = [
+        fastify.authenticate,
+        fastify.authorize([UserRoles.Admin]),
+    ];
+
+    /**
+     * GET /admin/events/dead-letters
+     * Supports query params for filtering: eventName, handlerName, limit, offset
+     * Returns dead-lettered events, newest first
+     */
+    fastify.get('/dead-letters', { schema: schemas.ListDeadLettersSchema, preHandler }, async (req) => {
+        const { eventName, handlerName, limit, offset } = req.query;
+        return eventBus.listDeadLetters({ eventName, handlerName, limit, offset });
+    });
+
+    /**
+     * POST /admin/events/dead-letters/:id/replay
+     * Runs the event through its handler again
+     * Returns { replayed: true } and removes the entry if the handler succeeds
+     */
+    fastify.post('/dead-letters/:id/replay', { schema: schemas.ReplayDeadLetterSchema, preHandler }, async (req) => {
+        if (!(await getDeadLetterStore().get(req.params.id))) {
+            throw fastify.httpErrors.notFound('dead letter not found');
+        }
+
+        try {
+            return { replayed: await eventBus.replayDeadLetter(req.params.id) };
+        }
+        catch (error) {
+            throw fastify.httpErrors.conflict(error.message);
+        }
+    });
+
+    /**
+     * DELETE /admin/events/dead-letters/:id
+     * Discards the event without running it
+     * Returns { discarded: true } if successful
+     */
+    fastify.delete('/dead-letters/:id', { schema: schemas.DiscardDeadLetterSchema, preHandler }, async (req) => {
+        if (!(await eventBus.discardDeadLetter(req.params.id))) {
+            throw fastify.httpErrors.notFound('dead letter not found');
+        }
+        return { discarded: true };
+    });
+};
+
+module.exports = {
+    handler: plugin,
+    prefix : '/admin/events',
+};
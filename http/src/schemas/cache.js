@@ -0,0 +1,150 @@
+/**
+ * @typedef {Object} CacheCountersSchema
+ * @property {number} hits
+ * @property {number} misses
+ * @property {number} sets
+ * @property {number} evictions
+ * @property {number} bytes
+ * @property {number|null} hitRate
+ */
+const CacheCountersSchema = {
+    type: 'object',
+    properties: {
+        hits      : { type: 'integer' },
+        misses    : { type: 'integer' },
+        sets      : { type: 'integer' },
+        evictions : { type: 'integer' },
+        bytes     : { type: 'integer' },
+        hitRate   : { type: ['number', 'null'] }
+    },
+    required: ['hits', 'misses', 'sets', 'evictions', 'bytes', 'hitRate'],
+    additionalProperties: false
+};
+
+/**
+ * @typedef {Object} CacheKeySchema
+ * @property {string} key
+ * @property {number|null} ttl - Seconds left, null when the key never expires
+ */
+const CacheKeySchema = {
+    type: 'object',
+    properties: {
+        key : { type: 'string' },
+        ttl : { type: ['integer', 'null'] }
+    },
+    required: ['key', 'ttl'],
+    additionalProperties: false
+};
+
+const KeyParams = {
+    type: 'object',
+    properties: { key: { type: 'string', minLength: 1 } },
+    required: ['key'],
+    additionalProperties: false
+};
+
+const NotFound = {
+    type: 'object',
+    properties: { error: { type: 'string' } }
+};
+
+/**
+ * @typedef {Object} CacheStatsSchema
+ * @property {string} [prefix] - Only base keys starting with this prefix
+ * @property {Object<string, CacheCountersSchema>} 200 - Counters by base key
+ */
+const CacheStatsSchema = {
+    querystring: {
+        type: 'object',
+        properties: { prefix: { type: 'string' } },
+        additionalProperties: false
+    },
+    response: {
+        200: {
+            type: 'object',
+            additionalProperties: CacheCountersSchema
+        }
+    }
+};
+
+/**
+ * @typedef {Object} ListCacheKeysSchema
+ * @property {string} [prefix]
+ * @property {number} [limit]
+ * @property {string} [cursor]
+ * @property {{keys: CacheKeySchema[], cursor: string|null}} 200
+ */
+const ListCacheKeysSchema = {
+    querystring: {
+        type: 'object',
+        properties: {
+            prefix : { type: 'string', default: '' },
+            limit  : { type: 'integer', minimum: 1, maximum: 1000, default: 100 },
+            cursor : { type: 'string' }
+        },
+        additionalProperties: false
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                keys   : { type: 'array', items: CacheKeySchema },
+                cursor : { type: ['string', 'null'] }
+            },
+            required: ['keys', 'cursor'],
+            additionalProperties: false
+        }
+    }
+};
+
+/**
+ * The value is returned as stored, so its shape is open.
+ * @typedef {Object} PeekCacheKeySchema
+ * @property {string} key
+ * @property {{key: string, ttl: number|null, value: *}} 200
+ * @property {Object} 404
+ */
+const PeekCacheKeySchema = {
+    params: KeyParams,
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                key   : { type: 'string' },
+                ttl   : { type: ['integer', 'null'] },
+                value : {}
+            },
+            required: ['key', 'ttl'],
+            additionalProperties: false
+        },
+        404: NotFound
+    }
+};
+
+/**
+ * @typedef {Object} EvictCacheKeySchema
+ * @property {string} key
+ * @property {{evicted: boolean}} 200
+ * @property {Object} 404
+ */
+const EvictCacheKeySchema = {
+    params: KeyParams,
+    response: {
+        200: {
+            type: 'object',
+            properties: { evicted: { type: 'boolean' } },
+            required: ['evicted'],
+            additionalProperties: false
+        },
+        404: NotFound
+    }
+};
+
+module.exports = {
+    CacheCountersSchema,
+    CacheKeySchema,
+    StatsSchema    : CacheStatsSchema,
+    ListKeysSchema : ListCacheKeysSchema,
+    PeekSchema     : PeekCacheKeySchema,
+    EvictSchema    : EvictCacheKeySchema
+};
@@ -0,0 +1,114 @@
+/**
+ * @typedef {Object} DeadLetterSchema
+ * @property {string} id
+ * @property {string} eventName
+ * @property {string|null} [subscription] - Event name or pattern the handler subscribed to
+ * @property {string|null} handlerName
+ * @property {Object} payload - Event envelope as delivered to the handler
+ * @property {string} errorMessage
+ * @property {string|null} errorStack
+ * @property {number} attempts
+ * @property {string} failedAt
+ */
+const DeadLetterSchema = {
+    type: 'object',
+    properties: {
+        id           : { type: 'string' },
+        eventName    : { type: 'string' },
+        subscription : { type: ['string', 'null'] },
+        handlerName  : { type: ['string', 'null'] },
+        payload      : {},
+        errorMessage : { type: 'string' },
+        errorStack   : { type: ['string', 'null'] },
+        attempts     : { type: 'integer' },
+        failedAt     : { type: 'string', format: 'date-time' }
+    },
+    required: ['id', 'eventName', 'handlerName', 'errorMessage', 'attempts', 'failedAt'],
+    additionalProperties: false
+};
+
+const IdParams = {
+    type: 'object',
+    properties: { id: { type: 'string', minLength: 1 } },
+    required: ['id'],
+    additionalProperties: false
+};
+
+const ErrorResponse = {
+    type: 'object',
+    properties: { error: { type: 'string' } }
+};
+
+/**
+ * @typedef {Object} ListDeadLettersSchema
+ * @property {string} [eventName]
+ * @property {string} [handlerName]
+ * @property {number} [limit]
+ * @property {number} [offset]
+ * @property {DeadLetterSchema[]} 200 - Newest first
+ */
+const ListDeadLettersSchema = {
+    querystring: {
+        type: 'object',
+        properties: {
+            eventName   : { type: 'string' },
+            handlerName : { type: 'string' },
+            limit       : { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+            offset      : { type: 'integer', minimum: 0, default: 0 }
+        },
+        additionalProperties: false
+    },
+    response: {
+        200: {
+            type: 'array',
+            items: DeadLetterSchema
+        }
+    }
+};
+
+/**
+ * @typedef {Object} ReplayDeadLetterSchema
+ * @property {string} id
+ * @property {{replayed: boolean}} 200 - false when the handler failed again
+ * @property {Object} 404
+ * @property {Object} 409 - The handler is no longer registered
+ */
+const ReplayDeadLetterSchema = {
+    params: IdParams,
+    response: {
+        200: {
+            type: 'object',
+            properties: { replayed: { type: 'boolean' } },
+            required: ['replayed'],
+            additionalProperties: false
+        },
+        404: ErrorResponse,
+        409: ErrorResponse
+    }
+};
+
+/**
+ * @typedef {Object} DiscardDeadLetterSchema
+ * @property {string} id
+ * @property {{discarded: boolean}} 200
+ * @property {Object} 404
+ */
+const DiscardDeadLetterSchema = {
+    params: IdParams,
+    response: {
+        200: {
+            type: 'object',
+            properties: { discarded: { type: 'boolean' } },
+            required: ['discarded'],
+            additionalProperties: false
+        },
+        404: ErrorResponse
+    }
+};
+
+module.exports = {
+    DeadLetterSchema,
+    ListDeadLettersSchema,
+    ReplayDeadLetterSchema,
+    DiscardDeadLetterSchema
+};
@@ -172,6 +172,13 @@ convertMarkdownFile(
   'System Architecture'
 );
 
+// Convert EVENTS.md
+convertMarkdownFile(
+  path.join(docsDir, 'EVENTS.md'),
+  path.join(docsDir, 'EVENTS.html'),
+  'Event Catalog'
+);
+
 // Convert ADRs
 const decisionsDir = path.join(docsDir, 'decisions');
 const adrFiles = [
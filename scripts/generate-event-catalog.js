@@ -0,0 +1,21 @@
+/**
+ * Generate the event catalog from the EventBus schema registry:
+ * source-docs/EVENTS.md for the docs site and source-docs/events.json for tooling.
+ */
+const fs = require('fs');
+const path = require('path');
+const {
+  EventSchemaRegistry,
+  registerDefinitions,
+  buildCatalog,
+  renderCatalogMarkdown,
+} = require('../src/common/event-bus/schemas');
+
+const outDir = path.join(__dirname, '..', 'source-docs');
+
+const catalog = buildCatalog(registerDefinitions(new EventSchemaRegistry()));
+
+fs.writeFileSync(path.join(outDir, 'EVENTS.md'), renderCatalogMarkdown(catalog));
+fs.writeFileSync(path.join(outDir, 'events.json'), `${JSON.stringify(catalog, null, 2)}\n`);
+
+console.log(`✓ Wrote catalog of ${catalog.events.length} events to source-docs/EVENTS.md and source-docs/events.json`);
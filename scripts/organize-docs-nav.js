@@ -10,7 +10,8 @@ const modules = {
   'Core Infrastructure': ['BaseService', 'BaseRepository', 'BaseEntity', 'RawBaseService'],
   'Cursor Pagination': ['CursorEncoder', 'withCursorPagination', 'cursorPaginate', 'RawIconRepository'],
   'Caching Layer': ['CacheService', 'RedisCacheAdapter', 'NodeCacheAdapter', 'CacheAdapter'],
-  'Event System': ['EventBus', 'Event', 'BaseEventBusAdapter', 'MemoryEventBusAdapter', 'RedisEventBusAdapter'],
+  'Event System': ['EventBus', 'Event', 'BaseEventBusAdapter', 'MemoryEventBusAdapter', 'RedisEventBusAdapter', 'EventSchemaRegistry'],
+  'Plugin System': ['PluginManager'],
   'Access Control': ['AccessControlService'],
   'AWS Integration': ['S3Service', 'SNSService', 'SQSService'],
   'Products Domain': [
@@ -1,4 +1,5 @@
 const AWS = require('aws-sdk');
+const { getTraceHeaders } = require('../../common/context');
 AWS.config.update({ region: process.env.AWS_REGION || 'us-east-1' });
 
 /**
@@ -7,6 +8,9 @@ AWS.config.update({ region: process.env.AWS_REGION || 'us-east-1' });
  *
  * SNSService provides methods to interact with AWS SNS for publishing messages,
  * managing subscriptions, and topic operations.
+ *
+ * Messages published inside a request context carry its `traceparent` and
+ * `x-request-id` as message attributes, so subscribers can continue the trace.
  */
 class SNSService {
     #client;
@@ -31,13 +35,21 @@ class SNSService {
      * Publish a message to the specified SNS topic.
      * @param {string} topicArn - The ARN of the SNS topic.
      * @param {Object} messageBody - The message body to publish.
+     * @param {Object} [options]
+     * @param {Object<string, string>} [options.attributes] - String message attributes, for subscription filter policies.
+     *   Inside a request context, `traceparent` and `x-request-id` are added unless given.
      * @returns {Promise<Object>} - The result from SNS.
      */
-    async publishMessage(topicArn, messageBody) {
+    async publishMessage(topicArn, messageBody, { attributes = {} } = {}) {
         try {
+            const messageAttributes = Object.fromEntries(Object.entries({ ...getTraceHeaders(), ...attributes }).map(
+                ([name, value]) => [name, { DataType: 'String', StringValue: String(value) }]
+            ));
+
             const result = await this.client.publish({
                 TopicArn : topicArn,
                 Message  : JSON.stringify(messageBody),
+                ...(Object.keys(messageAttributes).length ? { MessageAttributes: messageAttributes } : {}),
             }).promise();
 
             console.log('Message published to SNS', result);
@@ -5,6 +5,7 @@ jest.setTimeout(10000);
 const AWS = require('aws-sdk');
 const AWSMock = require('aws-sdk-mock');
 const SNSService = require('../SNSService');
+const { runWithContext, createContext } = require('../../../common/context');
 
 // Mock AWS SDK before importing services
 AWSMock.setSDKInstance(AWS);
@@ -59,6 +60,43 @@ describe('SNSService Unit Tests (Mocked)', () => {
             await expect(service.publishMessage(topicArn, messageBody))
                 .rejects.toThrow('Failed to publish message to SNS');
         });
+
+        it('should send string message attributes', async () => {
+            let received;
+            AWSMock.mock('SNS', 'publish', (params, callback) => {
+                received = params;
+                callback(null, { MessageId: '12345' });
+            });
+
+            const service = new SNSService();
+            const topicArn = 'arn:aws:sns:us-east-1:123456789012:test-topic';
+
+            await service.publishMessage(topicArn, { event: 'test' }, { attributes: { event: 'icon.created' } });
+
+            expect(received.MessageAttributes).toEqual({
+                event: { DataType: 'String', StringValue: 'icon.created' },
+            });
+        });
+
+        it('should add the request trace to the attributes', async () => {
+            let received;
+            AWSMock.mock('SNS', 'publish', (params, callback) => {
+                received = params;
+                callback(null, { MessageId: '12345' });
+            });
+
+            const service = new SNSService();
+            const topicArn = 'arn:aws:sns:us-east-1:123456789012:test-topic';
+            const context = createContext({ traceId: '4bf92f3577b34da6a3ce929d0e0e4736', requestId: 'req-1' });
+
+            await runWithContext(context, () => service.publishMessage(topicArn, { event: 'test' }, { attributes: { event: 'icon.created' } }));
+
+            expect(received.MessageAttributes).toEqual({
+                event: { DataType: 'String', StringValue: 'icon.created' },
+                traceparent: { DataType: 'String', StringValue: `00-${context.traceId}-${context.spanId}-01` },
+                'x-request-id': { DataType: 'String', StringValue: 'req-1' },
+            });
+        });
     });
 
     describe('subscribe', () => {
@@ -1,4 +1,5 @@
 const AWS = require('aws-sdk');
+const { getTraceHeaders } = require('../../common/context');
 AWS.config.update({ region: process.env.AWS_REGION || 'us-east-1' });
 
 /**
@@ -7,11 +8,22 @@ AWS.config.update({ region: process.env.AWS_REGION || 'us-east-1' });
  *
  * SQSService provides methods to interact with AWS SQS for sending, receiving,
  * and managing messages in distributed queues.
+ *
+ * Messages sent inside a request context carry its `traceparent` and
+ * `x-request-id` as message attributes, so consumers can continue the trace.
  */
 
 // const s3 = new AWS.S3({ region: 'us-east-1' });
 // const sqs = new AWS.SQS({ apiVersion: '2012-11-05' });
 
+/**
+ * Convert `{ name: value }` to SQS string message attributes.
+ * @private
+ */
+const toMessageAttributes = (attributes) => Object.fromEntries(Object.entries(attributes).map(
+    ([name, value]) => [name, { DataType: 'String', StringValue: String(value) }]
+));
+
 class SQSService {
     #client;
 
@@ -39,9 +51,12 @@ class SQSService {
      */
     async sendMessage(queueUrl, messageBody) {
         try {
+            const messageAttributes = toMessageAttributes(getTraceHeaders());
+
             const result = await this.client.sendMessage({
                 QueueUrl    : queueUrl,
                 MessageBody : JSON.stringify(messageBody),
+                ...(Object.keys(messageAttributes).length ? { MessageAttributes: messageAttributes } : {}),
             }).promise();
 
             console.log('Message sent to SQS', result);
@@ -58,14 +73,18 @@ class SQSService {
      * Receive messages from the specified SQS queue.
      * @param {string} queueUrl - The URL of the SQS queue.
      * @param {number} [maxNumberOfMessages=1] - Max number of messages to retrieve.
+     * @param {Object} [options]
+     * @param {number} [options.waitTimeSeconds=10] - Long polling wait (0-20).
+     * @param {number} [options.visibilityTimeout] - Seconds the messages stay hidden; the queue default if omitted.
      * @returns {Promise<Array>} - Array of messages received.
      */
-    async receiveMessages(queueUrl, maxNumberOfMessages = 1) {
+    async receiveMessages(queueUrl, maxNumberOfMessages = 1, { waitTimeSeconds = 10, visibilityTimeout } = {}) {
         try {
             const result = await this.client.receiveMessage({
                 QueueUrl              : queueUrl,
                 MaxNumberOfMessages   : maxNumberOfMessages,
-                WaitTimeSeconds       : 10, // Long polling
+                WaitTimeSeconds       : waitTimeSeconds, // Long polling
+                ...(visibilityTimeout !== undefined ? { VisibilityTimeout: visibilityTimeout } : {}),
             }).promise();
 
             console.log('Messages received from SQS', result);
@@ -101,6 +120,27 @@ class SQSService {
         }
     }
 
+    /**
+     * Change how long a received message stays hidden from other consumers.
+     * @param {string} queueUrl - The URL of the SQS queue.
+     * @param {string} receiptHandle - The receipt handle of the message.
+     * @param {number} visibilityTimeout - Seconds from now (0 makes it visible again).
+     * @returns {Promise<Object>} - The result from SQS.
+     */
+    async changeMessageVisibility(queueUrl, receiptHandle, visibilityTimeout) {
+        try {
+            return await this.client.changeMessageVisibility({
+                QueueUrl          : queueUrl,
+                ReceiptHandle     : receiptHandle,
+                VisibilityTimeout : visibilityTimeout,
+            }).promise();
+        }
+        catch (error) {
+            console.error('Error changing SQS message visibility:', error);
+            throw new Error('Failed to change SQS message visibility');
+        }
+    }
+
     /**
      * Count the approximate number of messages in the specified SQS queue.
      * @param {string} queueUrl - The URL of the SQS queue.
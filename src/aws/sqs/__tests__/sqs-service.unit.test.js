@@ -5,6 +5,7 @@ jest.setTimeout(10000);
 const AWS = require('aws-sdk');
 const AWSMock = require('aws-sdk-mock');
 const SQSService = require('../SQSService');
+const { runWithContext, createContext } = require('../../../common/context');
 
 // Mock AWS SDK before importing services
 AWSMock.setSDKInstance(AWS);
@@ -60,6 +61,27 @@ describe('SQSService Unit Tests (Mocked)', () => {
             await expect(service.sendMessage(queueUrl, messageBody))
                 .rejects.toThrow('Failed to send message to SQS');
         });
+
+        it('should carry the request trace as message attributes', async () => {
+            const sent = [];
+            AWSMock.mock('SQS', 'sendMessage', (params, callback) => {
+                sent.push(params);
+                callback(null, { MessageId: '1' });
+            });
+
+            const service = new SQSService();
+            const queueUrl = 'https://sqs.us-east-1.amazonaws.com/123456789012/test-queue';
+            const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+
+            await service.sendMessage(queueUrl, { event: 'test' });
+            await runWithContext(createContext({ traceId, requestId: 'req-1' }), () => service.sendMessage(queueUrl, { event: 'test' }));
+
+            expect(sent[0].MessageAttributes).toBeUndefined();
+            expect(sent[1].MessageAttributes).toEqual({
+                traceparent: { DataType: 'String', StringValue: expect.stringMatching(new RegExp(`^00-${traceId}-[0-9a-f]{16}-01$`)) },
+                'x-request-id': { DataType: 'String', StringValue: 'req-1' },
+            });
+        });
     });
 
     describe('receiveMessages', () => {
@@ -116,6 +138,54 @@ describe('SQSService Unit Tests (Mocked)', () => {
             await expect(service.receiveMessages(queueUrl))
                 .rejects.toThrow('Failed to receive messages from SQS');
         });
+
+        it('should pass the wait time and visibility timeout', async () => {
+            let received;
+            AWSMock.mock('SQS', 'receiveMessage', (params, callback) => {
+                received = params;
+                callback(null, {});
+            });
+
+            const service = new SQSService();
+            const queueUrl = 'https://sqs.us-east-1.amazonaws.com/123456789012/test-queue';
+
+            await service.receiveMessages(queueUrl, 10, { waitTimeSeconds: 20, visibilityTimeout: 60 });
+
+            expect(received).toEqual({
+                QueueUrl: queueUrl,
+                MaxNumberOfMessages: 10,
+                WaitTimeSeconds: 20,
+                VisibilityTimeout: 60,
+            });
+        });
+    });
+
+    describe('changeMessageVisibility', () => {
+        it('should change the visibility timeout of a message', async () => {
+            let received;
+            AWSMock.mock('SQS', 'changeMessageVisibility', (params, callback) => {
+                received = params;
+                callback(null, {});
+            });
+
+            const service = new SQSService();
+            const queueUrl = 'https://sqs.us-east-1.amazonaws.com/123456789012/test-queue';
+
+            await service.changeMessageVisibility(queueUrl, 'handle-12345', 30);
+
+            expect(received).toEqual({ QueueUrl: queueUrl, ReceiptHandle: 'handle-12345', VisibilityTimeout: 30 });
+        });
+
+        it('should throw error when the change fails', async () => {
+            AWSMock.mock('SQS', 'changeMessageVisibility', (params, callback) => {
+                callback(new Error('MessageNotInflight'));
+            });
+
+            const service = new SQSService();
+
+            await expect(service.changeMessageVisibility('queue', 'handle', 30))
+                .rejects.toThrow('Failed to change SQS message visibility');
+        });
     });
 
     describe('deleteMessage', () => {
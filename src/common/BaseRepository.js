@@ -1,5 +1,6 @@
 "use strict";
 
+
 /**
  * @module Core Infrastructure
  * @fileoverview BaseRepository - Data Access Layer for SOA architecture.
@@ -55,6 +56,8 @@
  * @see {@link BaseService} For service layer documentation
  */
 
+const { kSCOPE_WHERE_KEY } = require('./access-control/AccessControlConstants');
+
 /**
  * Recursively freeze an object and all nested objects/arrays.
  *
@@ -289,6 +292,42 @@ class BaseRepository {
         return Array.isArray(result) ? result.map(wrapSingle) : wrapSingle(result);
     }
 
+    /**
+     * Apply a where clause to a query.
+     *
+     * Plain keys become `WHERE column = value` as usual. The access-control scope
+     * key (see withAccessControl) holds a list of conditions, any of which may match:
+     * ```
+     * { style_id: 3, $accessScope: [{ user_id: 7 }, { team_id: [4, 9] }] }
+     * → WHERE style_id = 3 AND ((user_id = 7) OR (team_id IN (4, 9)))
+     * ```
+     *
+     * @param {Object} query - Objection query builder
+     * @param {Object} [where={}]
+     * @returns {Object} The query
+     */
+    applyWhere(query, where = {}) {
+        const { [kSCOPE_WHERE_KEY]: anyOf, ...rest } = where || {};
+        if (Object.keys(rest).length > 0) {
+            query.where(rest);
+        }
+
+        if (Array.isArray(anyOf)) {
+            query.where((group) => {
+                for (const condition of anyOf) {
+                    group.orWhere((clause) => {
+                        for (const [column, value] of Object.entries(condition)) {
+                            if (Array.isArray(value)) clause.whereIn(column, value);
+                            else clause.where(column, value);
+                        }
+                    });
+                }
+            });
+        }
+
+        return query;
+    }
+
     /**
      * Finds a record by its ID
      */
@@ -311,10 +350,7 @@ class BaseRepository {
      * Finds all records that match the given criteria
      */
     async findAll(where = {}, { entityClass = this.entityClass, entityOptions = {}, trx } = {}) {
-        const query = this.model.query(trx);
-        if (Object.keys(where).length > 0) {
-            query.where(where);
-        }
+        const query = this.applyWhere(this.model.query(trx), where);
         const records = await query;
         const entities = this.wrapEntity(records, entityClass, entityOptions);
         return this.finalize(entities, 'afterList');
@@ -364,7 +400,7 @@ class BaseRepository {
      */
     async paginate(where = {}, page = 1, pageSize = 10, { entityClass = this.entityClass, entityOptions = {}, trx } = {}) {
         const offsetPage = Math.max(page - 1, 0);
-        const { results, total } = await this.model.query(trx).where(where).page(offsetPage, pageSize);
+        const { results, total } = await this.applyWhere(this.model.query(trx), where).page(offsetPage, pageSize);
         const entities = this.wrapEntity(results, entityClass, entityOptions);
         const frozenResults = await this.finalize(entities, 'afterList');
         const pageObj = { results: frozenResults, total, page, pageSize, totalPages: Math.ceil(total / pageSize) };
@@ -474,7 +510,7 @@ class BaseRepository {
      * Counts the number of records that match the given criteria
      */
     async count(where = {}, { trx } = {}) {
-        const result = await this.model.query(trx).where(where).count().first();
+        const result = await this.applyWhere(this.model.query(trx), where).count().first();
         return parseInt(result.count, 10);
     }
 
@@ -486,8 +522,7 @@ class BaseRepository {
         graph = '',
         { entityClass = this.entityClass, entityOptions = {}, trx, modifiers } = {}
     ) {
-        let queryBuilder = this.model.query(trx);
-        if (Object.keys(where).length) queryBuilder = queryBuilder.where(where);
+        let queryBuilder = this.applyWhere(this.model.query(trx), where);
         if (graph) queryBuilder = queryBuilder.withGraphFetched(graph);
         if (modifiers) queryBuilder = queryBuilder.modifiers(modifiers);
 
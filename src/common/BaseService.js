@@ -105,6 +105,7 @@ const { withObservable } = require('./mixins/service');
  * - Access control (use withAccessControl mixin)
  * - Event emission (use withPluggable mixin)
  * - Soft deletes (use withSoftDeletable mixin)
+ * - Activation state (use withActivatable mixin)
  *
  * @class RawBaseService
  * @private
@@ -223,6 +224,18 @@ class RawBaseService  {
         return this.isEntity(val) ? val.toJSON() : val;
     }
 
+    /**
+     * Check whether the repository's model declares a column in its jsonSchema.
+     * Used by mixins to apply column-specific behavior (is_active, is_deleted, deleted_at)
+     * only where the column exists.
+     * @param {string} column - Column name (snake_case)
+     * @returns {boolean}
+     */
+    modelHasColumn(column) {
+        const properties = this.repository.model?.jsonSchema?.properties;
+        return !!(properties && properties[column]);
+    }
+
     /**
      * Get a single record matching a where clause.
      * Returns an Entity instance or null.
@@ -339,8 +352,8 @@ class RawBaseService  {
     //     const { results } = await this.paginate(where, 1, 1000, { trx });
     //     return results;
     // }
-    async getWhere(where = {}, { trx, includeHiddenFields = false } = {}) {
-        const { results } = await this.paginate(where, 1, 1000, { trx, includeHiddenFields });
+    async getWhere(where = {}, opts = {}) {
+        const { results } = await this.paginate(where, 1, 1000, opts);
         return results;
     }
  
@@ -438,99 +451,14 @@ class RawBaseService  {
      * @param {Object} [opts]
      * @param {Object} [opts.trx]
      */
-    async assertExists(where = {}, { trx } = {}) {
-        const found = await this.getOne(where, { trx });
+    async assertExists(where = {}, opts = {}) {
+        const found = await this.getOne(where, opts);
         if (!found) {
             throw new Error(`${this.entityClass.name} not found`, JSON.stringify(where, null, 2));
         }
         return found;
     }
 
-    /**
-     * Get active records, optionally filtered by additional WHERE criteria.
-     * Returns an array of Entity instances.
-     * @param {Object} [where={}] - Additional WHERE clause to filter results
-     * @param {Object} [opts]
-     * @param {Object} [opts.trx]
-     */
-    async getActive(where = {}, { trx } = {}) {
-        const fullWhere = { ...where, is_active: true };
-
-        // Only add is_deleted filter if the model has that column
-        const modelSchema = this.repository.model.jsonSchema;
-        if (modelSchema && modelSchema.properties && modelSchema.properties.is_deleted) {
-            fullWhere.is_deleted = false;
-        }
-
-        return this.repository.findAll(
-            fullWhere,
-            { entityClass: this.entityClass, trx }
-        );
-    }
-
-    /**
-     * Activate a record by its ID.
-     * Throws if not found.
-     * @param {string|number} id
-     * @param {Object} [opts]
-     * @param {Object} [opts.trx]
-     */
-    async activate(id, { trx } = {}) {
-        const record = await this.getById(id, { trx });
-        if (!record) {
-            throw new Error(`${this.entityClass.name} with ID ${id} not found`);
-        }
-
-        const updateData = { is_active: true };
-
-        // Only set is_deleted if the model has that column
-        const modelSchema = this.repository.model.jsonSchema;
-        if (modelSchema && modelSchema.properties && modelSchema.properties.is_deleted) {
-            updateData.is_deleted = false;
-        }
-
-        return this.repository.update(id, updateData, { trx });
-    }
-
-    /**
-     * Deactivate a record by its ID.
-     * Throws if not found.
-     * @param {string|number} id
-     * @param {Object} [opts]
-     * @param {Object} [opts.trx]
-     */
-    async deactivate(id, { trx } = {}) {
-        const record = await this.getById(id, { trx });
-        if (!record) {
-            throw new Error(`${this.entityClass.name} with ID ${id} not found`);
-        }
-
-        const updateData = { is_active: false };
-
-        // Only set is_deleted if the model has that column
-        const modelSchema = this.repository.model.jsonSchema;
-        if (modelSchema && modelSchema.properties && modelSchema.properties.is_deleted) {
-            updateData.is_deleted = false;
-        }
-
-        return this.repository.update(id, updateData, { trx });
-    }
-
-    /**
-     * Toggle the active status of a record by its ID.
-     * Throws if not found.
-     * @param {string|number} id
-     * @param {Object} [opts]
-     * @param {Object} [opts.trx]
-     */
-    async toggleActive(id, { trx } = {}) {
-        const record = await this.repository.findById(id, { entityClass: this.entityClass, trx });
-        if (! record) {
-            throw new Error(`${this.entityClass.name} with id ${id} not found`);
-        }
-        return this.repository.update(id, { is_active: !record.isActive }, { trx });
-    }
-
     /**
      * Cursor-based pagination passthrough.
      * Defers to repository.cursorPage where the actual implementation will live.
@@ -553,32 +481,27 @@ class RawBaseService  {
  * This demonstrates the mixin composition pattern. RawBaseService provides
  * core CRUD operations, while withObservable wraps it to add automatic:
  * - Timing (operation duration tracking)
- * - Logging (structured logs for all operations)
- * - Metrics (success/failure counts, duration stats)
- * - Event emission (observability.service events)
+ * - Logging (structured logs for failed operations, all operations when VERBOSE_LOGGING=true)
+ * - Metrics (success/failure, duration and error class per call, sent to a metrics sink)
  *
  * **How Mixins Work:**
  * withObservable() is a higher-order function that:
  * 1. Takes a service class (RawBaseService)
  * 2. Returns a new class that extends it
- * 3. Wraps key methods (getById, create, update, etc.)
- * 4. Adds pre/post hooks for timing and logging
- * 5. Emits events for monitoring
+ * 3. Wraps every public async method on the constructed instance, including
+ *    methods added by subclasses (e.g. IconService.searchIcons)
+ * 4. Times each call and records the outcome
  *
  * **What This Means for Your Code:**
  * ```javascript
  * const iconService = new IconService();
  * const icon = await iconService.getById(123);
  *
- * // Automatically logged:
- * // "icon-service.getById success 45ms { id: 123 }"
- *
- * // Automatically emitted:
- * // Event: observability.service
- * //   { service: 'icon', operation: 'getById', phase: 'success', durationMs: 45 }
+ * // Automatically logged (VERBOSE_LOGGING=true):
+ * // "icon-service.getById success 45ms"
  *
- * // Automatically tracked:
- * // Metric: operation_duration_ms=45 operation=getById service=icon result=success
+ * // Automatically tracked (see common/metrics):
+ * // { service: 'icon', operation: 'getById', result: 'success', durationMs: 45, errorClass: null }
  * ```
  *
  * **In Production:**
@@ -0,0 +1,81 @@
+const BaseRepository = require('../BaseRepository');
+
+class IconEntity {
+    constructor(data = {}) {
+        Object.assign(this, data);
+    }
+}
+
+/**
+ * Query builder stand-in that records where / orWhere / whereIn calls,
+ * expanding callback groups into nested call lists.
+ */
+const makeQuery = (rows = []) => {
+    const calls = [];
+    const builder = (log) => {
+        const record = (method) => (...args) => {
+            if (typeof args[0] === 'function') {
+                const group = [];
+                args[0](builder(group));
+                log.push([method, group]);
+            } else {
+                log.push([method, ...args]);
+            }
+            return query;
+        };
+        const query = {
+            where: record('where'),
+            orWhere: record('orWhere'),
+            whereIn: record('whereIn'),
+            then: (resolve, reject) => Promise.resolve(rows).then(resolve, reject),
+        };
+        return query;
+    };
+    return { query: builder(calls), calls };
+};
+
+describe('BaseRepository', () => {
+    let repository;
+    let fake;
+
+    beforeEach(() => {
+        fake = makeQuery([{ id: 1 }]);
+        const DB = { icons: { query: jest.fn(() => fake.query) } };
+        repository = new BaseRepository({ DB, modelName: 'icons', entityClass: IconEntity, freezeEntities: false });
+    });
+
+    describe('applyWhere', () => {
+        it('should apply plain conditions as a single where', () => {
+            repository.applyWhere(fake.query, { style_id: 3 });
+            expect(fake.calls).toEqual([['where', { style_id: 3 }]]);
+        });
+
+        it('should skip empty where clauses', () => {
+            repository.applyWhere(fake.query, {});
+            repository.applyWhere(fake.query, null);
+            expect(fake.calls).toEqual([]);
+        });
+
+        it('should group access scope conditions with OR', () => {
+            repository.applyWhere(fake.query, {
+                style_id: 3,
+                $accessScope: [{ user_id: 7 }, { is_public: true }, { team_id: ['4', '9'] }],
+            });
+
+            expect(fake.calls).toEqual([
+                ['where', { style_id: 3 }],
+                ['where', [
+                    ['orWhere', [['where', 'user_id', 7]]],
+                    ['orWhere', [['where', 'is_public', true]]],
+                    ['orWhere', [['whereIn', 'team_id', ['4', '9']]]],
+                ]],
+            ]);
+        });
+
+        it('should be used by findAll', async () => {
+            const results = await repository.findAll({ $accessScope: [{ user_id: 7 }] });
+            expect(results).toEqual([new IconEntity({ id: 1 })]);
+            expect(fake.calls).toEqual([['where', [['orWhere', [['where', 'user_id', 7]]]]]]);
+        });
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * List-query scopes returned by AccessControlService.scopeFor().
+ * - ALL:      no restriction (admins, `any` grants)
+ * - OWN:      only records owned by the actor
+ * - FILTERED: records matching any of the listScope() conditions (owned, public, team)
+ * - NONE:     nothing may be listed
+ */
+const AccessScopes = {
+    ALL      : 'all',
+    OWN      : 'own',
+    FILTERED : 'filtered',
+    NONE     : 'none',
+};
+
+/**
+ * Where-clause key holding a list scope's "any of" conditions, for
+ * BaseRepository.applyWhere(): `{ style_id: 3, [kSCOPE_WHERE_KEY]: [{ user_id: 7 }, { is_public: true }] }`.
+ */
+const kSCOPE_WHERE_KEY = '$accessScope';
+
+/**
+ * Resource types policies may name: the singular, kebab-case service names that
+ * withAccessControl sends as `resource.type` (IconService → 'icon'). Policy keys
+ * and policy files are checked against these; AccessControlService's
+ * `resourceTypes` option adds others.
+ */
+const ResourceTypes = {
+    ICON                 : 'icon',
+    ILLUSTRATION         : 'illustration',
+    SET                  : 'set',
+    FAMILY               : 'family',
+    IMAGE                : 'image',
+    IMAGE_TYPE           : 'image-type',
+    STYLE                : 'style',
+    TAG                  : 'tag',
+    CATEGORY             : 'category',
+    PRODUCT_TYPE         : 'product-type',
+    PURCHASED_ITEM       : 'purchased-item',
+    SUBSCRIPTION_PLAN    : 'subscription-plan',
+    DOWNLOAD             : 'download',
+    FAVORITE             : 'favorite',
+    CART                 : 'cart',
+    CART_ITEM            : 'cart-item',
+    COUPON_CODE          : 'coupon-code',
+    ORDER                : 'order',
+    ORDER_ITEM           : 'order-item',
+    TRANSACTION          : 'transaction',
+    TRANSACTION_ITEM     : 'transaction-item',
+    TRANSACTION_TYPE     : 'transaction-type',
+    TRANSACTION_CATEGORY : 'transaction-category',
+    PAYMENT_TYPE         : 'payment-type',
+    USER                 : 'user',
+    TEAM                 : 'team',
+    PLUGIN               : 'plugin',
+};
+
+/**
+ * Policy rule effects. A rule that does not apply to a request abstains
+ * (evaluates to null) instead of returning one of these.
+ * - ALLOW: grant the action
+ * - DENY:  refuse the action; deny overrides allow
+ */
+const PolicyEffects = {
+    ALLOW : 'allow',
+    DENY  : 'deny',
+};
+
+/**
+ * Actions a policy file may grant without declaring them.
+ * Files list any extra actions (publish, download, ...) under `actions:`.
+ */
+const PolicyActions = {
+    READ   : 'read',
+    CREATE : 'create',
+    UPDATE : 'update',
+    DELETE : 'delete',
+    LIST   : 'list',
+    ANY    : '*',
+};
+
+/**
+ * Conditions a policy file may attach to a role × resource × action grant.
+ * - ANY:         always
+ * - OWNER:       the actor owns the resource (resource.ownerId)
+ * - TEAM_MEMBER: the actor belongs to the resource's team (resource.teamId)
+ * - PUBLIC:      the resource is public (resource.isPublic)
+ * - DENY:        never; an explicit deny that overrides other grants
+ */
+const PolicyConditions = {
+    ANY         : 'any',
+    OWNER       : 'owner',
+    TEAM_MEMBER : 'team-member',
+    PUBLIC      : 'public',
+    DENY        : 'deny',
+};
+
+module.exports = { AccessScopes, ResourceTypes, PolicyEffects, PolicyActions, PolicyConditions, kSCOPE_WHERE_KEY };
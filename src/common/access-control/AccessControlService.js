@@ -1,6 +1,11 @@
 'use strict';
 
 const { UserRoles } = require('../../utils/enums');
+const { AccessScopes, PolicyEffects } = require('./AccessControlConstants');
+const PolicyEngine = require('./PolicyEngine');
+const { compilePolicyDocument, loadPolicyFile } = require('./PolicyDocument');
+const TeamMembershipResolver = require('./TeamMembershipResolver');
+const { getAuditSink } = require('./audit');
 
 /**
  * @module Access Control
@@ -16,14 +21,21 @@ const { UserRoles } = require('../../utils/enums');
  * │ 1. DenyAll Role?        → DENY (highest priority)    │
  * │    └─> Banned users, overrides everything            │
  * ├──────────────────────────────────────────────────────┤
- * │ 2. Guest Role?          → Public resources only      │
- * │    └─> Read-only access to public data               │
+ * │ 2. Matching policy?     → ALLOW / DENY               │
+ * │    └─> Action-keyed rules ('icon:publish', 'icon:*') │
+ * │    └─> Any deny beats any allow                      │
  * ├──────────────────────────────────────────────────────┤
- * │ 3. Resource Owner?      → GRANT                      │
+ * │ 3. Admin / SuperAdmin?  → GRANT                      │
+ * ├──────────────────────────────────────────────────────┤
+ * │ 4. Resource Owner?      → GRANT                      │
  * │    └─> Users can manage their own content            │
  * │    └─> actor.id === resource.ownerId                 │
  * ├──────────────────────────────────────────────────────┤
- * │ 4. Default              → DENY (least privilege)     │
+ * │ 5. Team Member?         → GRANT per team role        │
+ * │    └─> TeamOwner: read, update, delete               │
+ * │    └─> TeamMember: read, update                      │
+ * ├──────────────────────────────────────────────────────┤
+ * │ 6. Default              → DENY (least privilege)     │
  * │    └─> Secure by default, explicit grants only       │
  * └──────────────────────────────────────────────────────┘
  * ```
@@ -69,23 +81,39 @@ const { UserRoles } = require('../../utils/enums');
  * 3. **User Banning**: DenyAll role prevents access immediately
  * 4. **API Endpoints**: Enforce permissions before database queries
  *
- * **Policy Extensibility:**
- * The `policies` parameter allows custom access rules for future expansion:
+ * **Policies:**
+ * The `policies` option holds rules keyed by action. Bare actions are qualified
+ * with the resource type, so `enforce({ action: 'update', resource: { type: 'icon' } })`
+ * is checked against `icon:update`, `icon:*` and `*`. Resource types are singular:
+ * services using withAccessControl send their `serviceName` ('icon', 'set'), the
+ * same names rbac.yml uses. See PolicyEngine for rule forms (booleans, functions,
+ * `{ effect, roles, when }`, `allOf` / `anyOf`).
  * ```javascript
  * const acl = new AccessControlService({
  *   policies: {
- *     'icons:publish': (actor, resource) => {
- *       // Custom logic: only verified users can publish
+ *     'icon:publish': (actor, resource) => {
+ *       // Only verified users can publish pending icons
  *       return actor.isVerified && resource.status === 'pending';
  *     },
- *     'icons:feature': (actor, resource) => {
- *       // Custom logic for featuring icons
- *       return actor.canFeature === true;
- *     }
+ *     'icon:*': { effect: 'deny', when: (actor) => actor.isSuspended, reason: 'account suspended' },
  *   }
  * });
  * ```
  *
+ * **Audit log:**
+ * Every decision is written to an audit sink (actor id, roles, action, resource,
+ * matched rule, result, timestamp). The default is the process-wide in-memory sink;
+ * `setAuditSink(new DatabaseAuditSink())` persists them to `access_decisions`.
+ * `recentDenials(actorId)` lists what an actor was refused, for security reviews.
+ *
+ * **Explaining decisions:**
+ * `explain()` returns the decision together with the rule that produced it, for
+ * "why was I denied" debugging:
+ * ```javascript
+ * await acl.explain({ actor, action: 'icon:publish', resource });
+ * // → { allowed: false, effect: 'deny', rule: 'policy:icon:*', reason: 'account suspended' }
+ * ```
+ *
  * @example
  * // Basic usage with service layer
  * const acl = new AccessControlService();
@@ -147,21 +175,48 @@ const { UserRoles } = require('../../utils/enums');
  * @see {@link UserRoles} For available role definitions
  */
 
+/**
+ * Actions granted to team members on resources their team owns.
+ * @private
+ */
+const kDEFAULT_TEAM_PERMISSIONS = {
+    [UserRoles.TeamOwner]  : ['read', 'update', 'delete'],
+    [UserRoles.TeamMember] : ['read', 'update'],
+};
+
+/**
+ * Combine policy maps; rules under the same key are kept side by side.
+ * @private
+ * @param {...Object} sources
+ * @returns {Object}
+ */
+const mergePolicies = (...sources) => {
+    const merged = {};
+    for (const source of sources) {
+        for (const [key, rule] of Object.entries(source)) {
+            merged[key] = key in merged ? [].concat(merged[key], rule) : rule;
+        }
+    }
+    return merged;
+};
+
 /**
  * Role-Based Access Control (RBAC) service with hierarchical priority enforcement.
  *
  * AccessControlService provides a simple yet powerful RBAC implementation that:
  * - Evaluates access based on roles (DenyAll, Customer, Guest)
  * - Supports resource ownership (users can access their own resources)
+ * - Evaluates action-keyed policies with explicit allow/deny results
  * - Integrates with service layer via withAccessControl mixin
- * - Uses priority-based evaluation (DenyAll > Ownership > Default Deny)
+ * - Uses priority-based evaluation (DenyAll > Policies > Admin > Ownership > Default Deny)
  * - Handles string/number ID comparison safely
  *
  * **How Priority Evaluation Works:**
  * 1. **DenyAll check first** - Banned users blocked immediately
- * 2. **Guest check** - Public resources only for guests
- * 3. **Ownership check** - Grant if actor owns resource
- * 4. **Default deny** - Secure by default (least privilege)
+ * 2. **Policy check** - Matching policies decide; deny overrides allow
+ * 3. **Admin check** - Admin and SuperAdmin roles are granted
+ * 4. **Ownership check** - Grant if actor owns resource
+ * 5. **Default deny** - Secure by default (least privilege)
  *
  * **Integration Patterns:**
  *
@@ -274,15 +329,16 @@ const { UserRoles } = require('../../utils/enums');
  * // Returns: false (DenyAll has highest priority)
  *
  * @example
- * // Custom policies for extensibility
+ * // Custom policies: wildcards and combinators
  * const acl = new AccessControlService({
  *   policies: {
- *     'icons:publish': (actor, resource) => {
- *       return actor.isVerified && resource.status === 'pending';
+ *     'icon:*': { id: 'suspended', effect: 'deny', when: (actor) => actor.isSuspended },
+ *     'icon:download': {
+ *       anyOf: [
+ *         (actor, resource) => resource.isPublic || null,
+ *         (actor, resource) => actor.hasPurchased(resource.id) || null,
+ *       ],
  *     },
- *     'icons:download': (actor, resource) => {
- *       return resource.isPublic || actor.hasPurchased(resource.id);
- *     }
  *   }
  * });
  */
@@ -290,34 +346,45 @@ class AccessControlService {
     /**
      * Construct AccessControlService with optional custom policies.
      *
-     * The policies parameter is reserved for future extensibility. Currently, the service
-     * uses a simple role-based + ownership model, but custom policies can be added for
-     * fine-grained control (e.g., "only verified users can publish", "only premium users
-     * can feature content").
+     * Policies add fine-grained rules on top of the role and ownership model
+     * (e.g., "only verified users can publish", "suspended contributors may not
+     * touch icons"). They are validated here, so a malformed rule fails at startup
+     * rather than on the first request.
      *
-     * **Current Evaluation Logic:**
+     * **Evaluation Logic:**
      * - DenyAll role → Deny
-     * - Guest role → Public resources only
+     * - Matching policies → Deny if any rule denies, Grant if any rule allows
+     * - Admin / SuperAdmin role → Grant
      * - Resource ownership (actor.id === resource.ownerId) → Grant
+     * - Team membership (actor's role in resource.teamId) → Grant listed actions
      * - Default → Deny
      *
      * @param {Object} [options={}] - Configuration options
-     * @param {Object} [options.policies=null] - Custom policy functions (future expansion)
-     * @param {Function} [options.policies[policyName]] - Policy function: `(actor, resource) => boolean`
+     * @param {Object} [options.policies=null] - Rules keyed by action pattern (see PolicyEngine)
+     * @param {*} [options.policies[pattern]] - Boolean, `(actor, resource, ctx) => boolean`, rule object or array
+     * @param {string} [options.policyFile] - YAML/JSON RBAC policy file (see PolicyDocument)
+     * @param {Object} [options.policyDocument] - Already-parsed RBAC policy document
+     * @param {Object|TeamMembershipResolver} [options.teams] - Resolver, or its options (`lookup`, `cache`, `ttl`)
+     * @param {Object<string, string[]>} [options.teamPermissions] - Actions granted per team role
+     * @param {BaseAuditSink|false} [options.audit] - Audit sink (default: the process-wide sink), or false to disable
+     * @param {string[]} [options.resourceTypes] - Resource types policies may name besides ResourceTypes
+     *
+     * @throws {TypeError} When a policy rule has an unknown shape or names an unknown resource type
+     * @throws {Error} When the policy file is missing or names unknown roles, resource types, actions or conditions
      *
      * @example
      * // Basic construction (default policies)
      * const service = new AccessControlService();
      *
      * @example
-     * // With custom policies for future extensibility
+     * // With custom policies
      * const service = new AccessControlService({
      *   policies: {
-     *     'icons:publish': (actor, resource) => {
+     *     'icon:publish': (actor, resource) => {
      *       // Only verified users can publish pending icons
      *       return actor.isVerified && resource.status === 'pending';
      *     },
-     *     'icons:feature': (actor, resource) => {
+     *     'icon:feature': (actor, resource) => {
      *       // Only premium users can feature icons
      *       return actor.isPremium === true;
      *     }
@@ -325,6 +392,16 @@ class AccessControlService {
      * });
      *
      * @example
+     * // Role matrix from a policy file, checked at startup
+     * const service = new AccessControlService({ policyFile: 'config/rbac.yml' });
+     *
+     * @example
+     * // Team-owned resources, membership looked up once per actor and cached
+     * const service = new AccessControlService({
+     *   teams: { lookup: async (actor) => teamRepository.membershipsFor(actor.id), ttl: 300 },
+     * });
+     *
+     * @example
      * // Singleton pattern (recommended for app-wide use)
      * // acl-singleton.js
      * const AccessControlService = require('./AccessControlService');
@@ -337,13 +414,57 @@ class AccessControlService {
      *   // ...
      * });
      */
-    constructor({ policies } = {}) {
+    constructor({ policies, policyFile, policyDocument, teams, teamPermissions, audit, resourceTypes } = {}) {
         /**
          * Custom access control policies.
          * @type {Object|null}
          * @private
          */
         this.policies = policies || null;
+
+        /**
+         * Compiled policies.
+         * @type {PolicyEngine}
+         * @private
+         */
+        this.engine = new PolicyEngine(mergePolicies(
+            policyFile ? loadPolicyFile(policyFile, { resourceTypes }) : {},
+            policyDocument ? compilePolicyDocument(policyDocument, { resourceTypes }) : {},
+            this.policies || {}
+        ), {
+            hasRole: (actor, role) => this.actorHasRole(actor, role),
+            resourceTypes,
+        });
+
+        /**
+         * Team membership lookup.
+         * @type {TeamMembershipResolver}
+         * @private
+         */
+        this.teams = teams instanceof TeamMembershipResolver ? teams : new TeamMembershipResolver(teams);
+
+        /**
+         * Actions granted per team role.
+         * @type {Object<string, string[]>}
+         * @private
+         */
+        this.teamPermissions = { ...kDEFAULT_TEAM_PERMISSIONS, ...teamPermissions };
+
+        /**
+         * Audit sink override. Undefined uses the process-wide sink at decision time.
+         * @type {BaseAuditSink|false|undefined}
+         * @private
+         */
+        this._auditSink = audit;
+    }
+
+    /**
+     * The audit sink decisions are written to, or null when auditing is disabled.
+     * @type {BaseAuditSink|null}
+     */
+    get auditSink() {
+        if (this._auditSink === false) return null;
+        return this._auditSink || getAuditSink();
     }
 
     /**
@@ -380,14 +501,151 @@ class AccessControlService {
         return roles.some(role => String(role?.value || '').toLowerCase() === needle);
     }
 
+    /**
+     * Decides a request and reports which rule decided it.
+     *
+     * Same priority order as `enforce()`:
+     * 1. DenyAll role → `role:deny-all`
+     * 2. Matching policies → `policy:<pattern>` or `policy:<rule id>`
+     * 3. Admin / SuperAdmin role → `role:admin`
+     * 4. Resource ownership → `ownership`
+     * 5. Team membership → `team:owner` / `team:member`
+     * 6. Default → `default-deny`
+     *
+     * The decision is also written to the audit sink.
+     *
+     * @async
+     * @param {Object} params - Same parameters as `enforce()`
+     * @param {Object} params.actor
+     * @param {string} [params.action]
+     * @param {Object} [params.resource]
+     *
+     * @returns {Promise<{allowed: boolean, effect: string, rule: string, reason: string}>}
+     *
+     * @example
+     * const decision = await acl.explain({
+     *   actor: { id: 7, roles: [{ value: UserRoles.Customer }] },
+     *   action: 'update',
+     *   resource: { type: 'icon', id: 12, ownerId: 8 }
+     * });
+     * // Returns: { allowed: false, effect: 'deny', rule: 'default-deny',
+     * //            reason: 'no policy, role, ownership or team grants icon:update' }
+     */
+    async explain({ actor, action, resource } = {}) {
+        const decision = await this._decide({ actor, action, resource });
+        this._audit({ actor, action, resource }, decision);
+        return decision;
+    }
+
+    /**
+     * List an actor's most recent denials, newest first.
+     *
+     * @async
+     * @param {number|string} actorId
+     * @param {Object} [options]
+     * @param {number} [options.limit=50]
+     * @param {Date|string} [options.since] - Only denials at or after this time
+     * @returns {Promise<Array<Object>>} Audit records
+     *
+     * @example
+     * const denials = await acl.recentDenials(7, { since: '2026-10-01' });
+     * // → [{ actorId: 7, action: 'delete', resourceType: 'icon', resourceId: 12,
+     * //      rule: 'default-deny', result: 'deny', timestamp: '...' }, ...]
+     */
+    async recentDenials(actorId, { limit = 50, since = null } = {}) {
+        const sink = this.auditSink;
+        if (!sink) return [];
+        return sink.recentDenials({ actorId, limit, since });
+    }
+
+    /**
+     * Write a decision to the audit sink. Sink failures are logged, never thrown:
+     * an unavailable audit store must not change access decisions.
+     * @private
+     */
+    _audit({ actor, action, resource }, decision) {
+        const sink = this.auditSink;
+        if (!sink) return;
+
+        const record = {
+            actorId      : actor?.id ?? null,
+            roles        : (Array.isArray(actor?.roles) ? actor.roles : []).map(role => role?.value).filter(Boolean),
+            action       : action ?? null,
+            resourceType : resource?.type ?? null,
+            resourceId   : resource?.id ?? null,
+            rule         : decision.rule,
+            result       : decision.effect,
+            reason       : decision.reason,
+            timestamp    : new Date().toISOString(),
+        };
+
+        const onError = (error) => console.error('[access-control] failed to write audit record:', error);
+        try {
+            const pending = sink.record(record);
+            if (pending && typeof pending.catch === 'function') pending.catch(onError);
+        }
+        catch (error) {
+            onError(error);
+        }
+    }
+
+    /**
+     * Decide a request without auditing it.
+     * @private
+     * @returns {Promise<{allowed: boolean, effect: string, rule: string, reason: string}>}
+     */
+    async _decide({ actor, action, resource }) {
+        const decide = (effect, rule, reason) => ({
+            allowed: effect === PolicyEffects.ALLOW,
+            effect,
+            rule,
+            reason,
+        });
+
+        if (this.actorHasRole(actor, UserRoles.DenyAll)) {
+            return decide(PolicyEffects.DENY, 'role:deny-all', 'actor has the DenyAll role');
+        }
+
+        const policyDecision = await this.engine.evaluate({ actor, action, resource, context: { teams: this.teams } });
+        if (policyDecision) {
+            return decide(policyDecision.effect, policyDecision.rule, policyDecision.reason);
+        }
+
+        if (this.actorHasRole(actor, UserRoles.Admin) || this.actorHasRole(actor, UserRoles.SuperAdmin)) {
+            return decide(PolicyEffects.ALLOW, 'role:admin', 'actor has an admin role');
+        }
+
+        if (resource && actor && resource.ownerId != null && actor.id != null) {
+            if (String(resource.ownerId) === String(actor.id)) {
+                return decide(PolicyEffects.ALLOW, 'ownership', 'actor owns the resource');
+            }
+        }
+
+        if (resource?.teamId != null && actor?.id != null) {
+            const teamRole = await this.teams.roleIn(actor, resource.teamId);
+            const verb = String(action || '').split(':').pop();
+            if (teamRole && (this.teamPermissions[teamRole] || []).includes(verb)) {
+                const kind = teamRole === UserRoles.TeamOwner ? 'owner' : 'member';
+                return decide(PolicyEffects.ALLOW, `team:${kind}`, `actor is a team ${kind} of team ${resource.teamId}`);
+            }
+        }
+
+        const [key = 'the action'] = PolicyEngine.actionKeys(action, resource);
+        return decide(PolicyEffects.DENY, 'default-deny', `no policy, role, ownership or team grants ${key}`);
+    }
+
     /**
      * Enforces access control for a given request.
      *
      * Evaluates access based on the following priority order:
      * 1. DenyAll role → Returns false (highest priority)
-     * 2. Guest role → Returns true only for public resources
-     * 3. Resource ownership → Returns true if actor.id matches resource.ownerId
-     * 4. Default → Returns false
+     * 2. Matching policies → Returns false if any rule denies, true if any allows
+     * 3. Admin / SuperAdmin role → Returns true
+     * 4. Resource ownership → Returns true if actor.id matches resource.ownerId
+     * 5. Team membership → Returns true if the actor's team role grants the action
+     * 6. Default → Returns false
+     *
+     * Use `explain()` to see which rule produced the result.
      *
      * Note: ID comparison uses string coercion to handle both string and numeric IDs.
      *
@@ -399,6 +657,7 @@ class AccessControlService {
      * @param {string} [params.action] - The action being attempted (e.g., 'read', 'write', 'delete')
      * @param {Object} [params.resource] - The resource being accessed
      * @param {number|string} [params.resource.ownerId] - Owner's ID if applicable
+     * @param {number|string} [params.resource.teamId] - Owning team's ID if applicable
      *
      * @returns {Promise<boolean>} True if access is granted, false otherwise
      *
@@ -454,21 +713,89 @@ class AccessControlService {
      * // Returns: true (string '123' equals number 123)
      */
     async enforce({ actor, action, resource }) {
-        // Priority 1: DenyAll role always denies
-        if (this.actorHasRole(actor, UserRoles.DenyAll)) return false;
+        const { allowed } = await this.explain({ actor, action, resource });
+        return allowed;
+    }
 
-        // Priority 2: Admin roles always grant access
-        if (this.actorHasRole(actor, UserRoles.Admin)) return true;
-        if (this.actorHasRole(actor, UserRoles.SuperAdmin)) return true;
+    /**
+     * Determines which records an actor may see in list queries.
+     *
+     * `enforce()` answers yes/no for a single loaded resource; list queries need the
+     * answer up front so it can become part of the WHERE clause. The list scope
+     * follows the same rules as single-record checks, so a row is listed exactly
+     * when the actor could read it: each kind of row is probed with the read action
+     * (policies, admin role, ownership and team grants all apply):
+     * 1. A policy denying the list action itself, or the DenyAll role → NONE
+     * 2. Any row of the type readable (admins, `any` grants) → ALL
+     * 3. Otherwise the rows the actor owns, public rows and rows of the actor's
+     *    teams, for each kind that is readable → OWN / FILTERED
+     * 4. None readable → NONE
+     *
+     * Conditions on other resource attributes can't be turned into SQL; probes
+     * only set `type`, `ownerId`, `isPublic` or `teamId`, and rules that need more
+     * abstain or deny.
+     *
+     * @async
+     * @param {Object} params
+     * @param {Object} params.actor - The user requesting the list
+     * @param {string} [params.action='list'] - The action being attempted
+     * @param {string} [params.type] - Resource type (e.g. 'icon'), for type-keyed policies
+     *
+     * @returns {Promise<{scope: string, ownerId?: (number|string), isPublic?: boolean, teamIds?: Array}>}
+     *   `scope` is one of AccessScopes; OWN and FILTERED carry the granted conditions
+     *
+     * @example
+     * // Customer, with the shipped rbac.yml (ROLE_CUSTOMER read: public), in teams 4 and 9
+     * await acl.listScope({ actor, type: 'icon' });
+     * // Returns: { scope: 'filtered', ownerId: 7, isPublic: true, teamIds: ['4', '9'] }
+     * // → WHERE user_id = 7 OR is_public = true OR team_id IN (4, 9)
+     */
+    async listScope({ actor, action = 'list', type = null } = {}) {
+        const none = { scope: AccessScopes.NONE };
+        if (this.actorHasRole(actor, UserRoles.DenyAll)) return none;
 
-        // Priority 3: Resource ownership grants access
-        if (resource && actor && resource.ownerId != null && actor.id != null) {
-            const sameOwner = String(resource.ownerId) === String(actor.id);
-            if (sameOwner) return true;
+        const base = type ? { type } : {};
+        const verb = action === 'list' ? 'read' : action;
+
+        if (verb !== action) {
+            const listDecision = await this.engine.evaluate({ actor, action, resource: base, context: { teams: this.teams } });
+            if (listDecision?.effect === PolicyEffects.DENY) return none;
         }
 
-        // Priority 4: Default deny
-        return false;
+        const can = async (resource) => (await this._decide({ actor, action: verb, resource: { ...base, ...resource } })).allowed;
+
+        if (await can({})) return { scope: AccessScopes.ALL };
+
+        const conditions = {};
+        if (actor?.id != null && await can({ ownerId: actor.id })) conditions.ownerId = actor.id;
+        if (await can({ isPublic: true })) conditions.isPublic = true;
+
+        const teamIds = [];
+        for (const teamId of (await this.teams.membershipsFor(actor)).keys()) {
+            if (await can({ teamId })) teamIds.push(teamId);
+        }
+        if (teamIds.length) conditions.teamIds = teamIds;
+
+        const granted = Object.keys(conditions);
+        if (granted.length === 0) return none;
+        if (granted.length === 1 && granted[0] === 'ownerId') return { scope: AccessScopes.OWN, ...conditions };
+        return { scope: AccessScopes.FILTERED, ...conditions };
+    }
+
+    /**
+     * The list scope's kind; see `listScope()` for the rules and conditions.
+     *
+     * @async
+     * @param {Object} params - Same parameters as `listScope()`
+     * @returns {Promise<string>} One of AccessScopes.ALL, OWN, FILTERED, NONE
+     *
+     * @example
+     * const scope = await acl.scopeFor({ actor: { id: 7, roles: [{ value: UserRoles.Customer }] } });
+     * // Returns: 'own' → add WHERE user_id = 7
+     */
+    async scopeFor(params = {}) {
+        const { scope } = await this.listScope(params);
+        return scope;
     }
 }
 
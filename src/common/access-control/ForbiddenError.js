@@ -0,0 +1,51 @@
+/**
+ * @module Access Control
+ * @fileoverview ForbiddenError - Thrown when an actor is denied an action on a resource.
+ *
+ * Carries `statusCode = 403` so Fastify's default error handler answers with
+ * 403 Forbidden when the error escapes a route handler.
+ *
+ * @example
+ * try {
+ *   await iconService.update(12, { name: 'x' }, { actor });
+ * }
+ * catch (err) {
+ *   if (err instanceof ForbiddenError) {
+ *     console.log(err.action, err.resourceType, err.resourceId, err.actorId); // 'update' 'icon' 12 7
+ *     console.log(err.rule, err.reason); // 'default-deny' 'no policy, role, ownership or team grants icon:update'
+ *   }
+ * }
+ */
+class ForbiddenError extends Error {
+    /**
+     * @param {string} [message='Forbidden'] - Human-readable reason
+     * @param {Object} [details={}]
+     * @param {string} [details.action] - Action that was denied
+     * @param {string} [details.resourceType] - Resource type (e.g. 'icon')
+     * @param {number|string} [details.resourceId] - Resource ID, if known
+     * @param {number|string} [details.actorId] - ID of the denied actor
+     * @param {string} [details.rule] - Access rule that denied the action (see AccessControlService.explain)
+     * @param {string} [details.reason] - Why that rule denied it
+     */
+    constructor(message = 'Forbidden', {
+        action = null,
+        resourceType = null,
+        resourceId = null,
+        actorId = null,
+        rule = null,
+        reason = null,
+    } = {}) {
+        super(message);
+        this.name = 'ForbiddenError';
+        this.code = 'FORBIDDEN';
+        this.statusCode = 403;
+        this.action = action;
+        this.resourceType = resourceType;
+        this.resourceId = resourceId;
+        this.actorId = actorId;
+        this.rule = rule;
+        this.reason = reason;
+    }
+}
+
+module.exports = ForbiddenError;
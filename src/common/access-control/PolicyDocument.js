@@ -0,0 +1,272 @@
+'use strict';
+
+const { UserRoles } = require('../../utils/enums');
+const { ResourceTypes, PolicyEffects, PolicyActions, PolicyConditions } = require('./AccessControlConstants');
+
+/**
+ * @module Access Control
+ * @fileoverview PolicyDocument - Declarative RBAC policy files for AccessControlService.
+ *
+ * The role matrix lives in one YAML (or JSON) document instead of being spread
+ * across route-level `authorize` calls. The document maps
+ * roles × resources × actions to a condition, and compiles into the action-keyed
+ * policies PolicyEngine evaluates.
+ *
+ * **Format:**
+ * ```yaml
+ * version: 1
+ * actions: [publish, download]     # extra actions, on top of read/create/update/delete/list
+ * roles:
+ *   ROLE_CONTRIBUTOR:
+ *     icon:                        # resource type, as services report it (icon, set, ...)
+ *       read: any
+ *       create: any
+ *       update: owner
+ *       delete: owner
+ *       publish: [owner, team-member]   # list → any of
+ *   ROLE_TEAM_MEMBER:
+ *     icon:
+ *       read: team-member
+ *       update: { allOf: [team-member, public] }
+ *   ROLE_CUSTOMER:
+ *     '*':                         # every resource type
+ *       read: public
+ *   ROLE_CONTRIBUTOR_DECLINED:
+ *     icon:
+ *       create: deny               # explicit deny, overrides other grants
+ * ```
+ *
+ * **Conditions:** `any`, `owner` (resource.ownerId = actor.id), `team-member`
+ * (the actor belongs to resource.teamId, via AccessControlService's
+ * TeamMembershipResolver), `public` (resource.isPublic), `deny`.
+ *
+ * **Validation:** roles must exist in `UserRoles`, resource types in `ResourceTypes`
+ * (or the `resourceTypes` option) in their singular form, actions must be built in or
+ * declared under `actions:`, conditions must be known. Every problem in the file
+ * is reported in a single error so a bad deploy fails at startup with the full list.
+ *
+ * **Compiled form:**
+ * ```
+ * ROLE_CONTRIBUTOR / icon / update: owner
+ *   → policies['icon:update'] = [{ id: 'ROLE_CONTRIBUTOR:icon:update', effect: 'allow',
+ *                                  roles: ['ROLE_CONTRIBUTOR'], when: owner }]
+ * ```
+ * Grants only apply to the listed roles; requests no grant covers fall through to
+ * AccessControlService's admin, ownership and team checks.
+ *
+ * @example
+ * const acl = new AccessControlService({ policyFile: 'config/rbac.yml' });
+ *
+ * @example
+ * const policies = compilePolicyDocument(yml('config/rbac.yml'), { source: 'config/rbac.yml' });
+ */
+
+const kDOCUMENT_KEYS = new Set(['version', 'actions', 'roles']);
+
+const kROLES = new Map(Object.values(UserRoles).map(role => [role.toLowerCase(), role]));
+
+/**
+ * Describe an unknown resource type, pointing plural spellings at the singular one.
+ * @private
+ * @param {string} resource
+ * @param {Set<string>} types - Known types
+ * @returns {string}
+ */
+const unknownResource = (resource, types) => {
+    const singular = [resource.replace(/ies$/, 'y'), resource.replace(/s$/, '')].find(type => types.has(type));
+    return `unknown resource type '${resource}'${singular && singular !== resource ? ` (did you mean '${singular}'?)` : ''}`;
+};
+
+/**
+ * Condition predicates: `async (actor, resource, ctx) => boolean`.
+ * `ctx.teams` is the TeamMembershipResolver AccessControlService passes in.
+ * @private
+ */
+const kCONDITIONS = {
+    [PolicyConditions.ANY]         : async () => true,
+    [PolicyConditions.OWNER]       : async (actor, resource) =>
+        resource?.ownerId != null && actor?.id != null && String(resource.ownerId) === String(actor.id),
+    [PolicyConditions.TEAM_MEMBER] : async (actor, resource, ctx = {}) => {
+        if (resource?.teamId == null) return false;
+        if (ctx.teams) return Boolean(await ctx.teams.roleIn(actor, resource.teamId));
+        return (actor?.teamIds || []).some(id => String(id) === String(resource.teamId));
+    },
+    [PolicyConditions.PUBLIC]      : async (actor, resource) => resource?.isPublic === true,
+};
+
+/**
+ * Compile a condition into a predicate, recording problems in `errors`.
+ * @private
+ * @param {*} condition - Name, list of conditions (any of) or `{ allOf }` / `{ anyOf }`
+ * @param {string} path - Location used in error messages
+ * @param {string[]} errors
+ * @returns {Function|null}
+ */
+const compileCondition = (condition, path, errors) => {
+    if (typeof condition === 'string') {
+        const predicate = kCONDITIONS[condition];
+        if (!predicate) {
+            errors.push(`${path}: unknown condition '${condition}' (expected one of ${Object.values(PolicyConditions).join(', ')})`);
+            return null;
+        }
+        return predicate;
+    }
+
+    const list = Array.isArray(condition) ? condition : (condition?.anyOf || condition?.allOf);
+    if (!Array.isArray(list) || list.length === 0) {
+        errors.push(`${path}: expected a condition name, a list of conditions, or { allOf } / { anyOf }`);
+        return null;
+    }
+
+    const every = !Array.isArray(condition) && Boolean(condition.allOf);
+    const predicates = list.map((child, i) => {
+        if (child === PolicyConditions.DENY) {
+            errors.push(`${path}[${i}]: 'deny' cannot be combined with other conditions`);
+            return null;
+        }
+        return compileCondition(child, `${path}[${i}]`, errors);
+    });
+    if (predicates.includes(null)) return null;
+
+    return async (actor, resource, ctx) => {
+        for (const predicate of predicates) {
+            const passed = await predicate(actor, resource, ctx);
+            if (every && !passed) return false;
+            if (!every && passed) return true;
+        }
+        return every;
+    };
+};
+
+/**
+ * Describe a condition for decision explanations.
+ * @private
+ * @param {*} condition
+ * @returns {string}
+ */
+const describeCondition = (condition) => {
+    if (typeof condition === 'string') return condition;
+    if (Array.isArray(condition)) return condition.map(describeCondition).join(' or ');
+    const every = Boolean(condition.allOf);
+    return (condition.allOf || condition.anyOf).map(describeCondition).join(every ? ' and ' : ' or ');
+};
+
+/**
+ * Validate a policy document and compile it into PolicyEngine policies.
+ *
+ * @param {Object} document - Parsed YAML/JSON document
+ * @param {Object} [options={}]
+ * @param {string} [options.source] - File name, used in the error message
+ * @param {string[]} [options.resourceTypes=[]] - Resource types besides ResourceTypes
+ * @returns {Object<string, Array<Object>>} Policies keyed by `<resource>:<action>`
+ * @throws {Error} Listing every problem found in the document
+ */
+const compilePolicyDocument = (document, { source, resourceTypes = [] } = {}) => {
+    const errors = [];
+    const policies = {};
+    const types = new Set(['*', ...Object.values(ResourceTypes), ...resourceTypes]);
+
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        errors.push('document: expected an object with a roles section');
+    }
+    else {
+        for (const key of Object.keys(document)) {
+            if (!kDOCUMENT_KEYS.has(key)) errors.push(`${key}: unknown section`);
+        }
+        if (document.version !== undefined && document.version !== 1) {
+            errors.push(`version: unsupported version ${document.version} (expected 1)`);
+        }
+        if (document.actions !== undefined && !Array.isArray(document.actions)) {
+            errors.push('actions: expected a list of action names');
+        }
+
+        const actions = new Set([
+            ...Object.values(PolicyActions),
+            ...(Array.isArray(document.actions) ? document.actions.map(String) : []),
+        ]);
+
+        const roles = document.roles;
+        if (!roles || typeof roles !== 'object' || Array.isArray(roles)) {
+            errors.push('roles: expected a map of role → resource → action');
+        }
+        else {
+            for (const [roleName, resources] of Object.entries(roles)) {
+                const role = kROLES.get(roleName.toLowerCase());
+                if (!role) {
+                    errors.push(`roles.${roleName}: unknown role`);
+                    continue;
+                }
+                if (!resources || typeof resources !== 'object' || Array.isArray(resources)) {
+                    errors.push(`roles.${roleName}: expected a map of resource → action`);
+                    continue;
+                }
+
+                for (const [resource, grants] of Object.entries(resources)) {
+                    if (!types.has(resource)) {
+                        errors.push(`roles.${roleName}.${resource}: ${unknownResource(resource, types)}`);
+                        continue;
+                    }
+                    if (!grants || typeof grants !== 'object' || Array.isArray(grants)) {
+                        errors.push(`roles.${roleName}.${resource}: expected a map of action → condition`);
+                        continue;
+                    }
+
+                    for (const [action, condition] of Object.entries(grants)) {
+                        const path = `roles.${roleName}.${resource}.${action}`;
+                        if (!actions.has(action)) {
+                            errors.push(`${path}: unknown action '${action}'`);
+                            continue;
+                        }
+
+                        const key = `${resource}:${action}`;
+                        const id = `${role}:${key}`;
+                        let rule;
+
+                        if (condition === PolicyConditions.DENY) {
+                            rule = { id, effect: PolicyEffects.DENY, roles: [role], reason: `${role} may not ${action} ${resource}` };
+                        }
+                        else {
+                            const when = compileCondition(condition, path, errors);
+                            if (!when) continue;
+                            rule = {
+                                id,
+                                effect : PolicyEffects.ALLOW,
+                                roles  : [role],
+                                when,
+                                reason : `${role} may ${action} ${resource} (${describeCondition(condition)})`,
+                            };
+                        }
+
+                        (policies[key] = policies[key] || []).push(rule);
+                    }
+                }
+            }
+        }
+    }
+
+    if (errors.length) {
+        throw new Error(
+            `Invalid RBAC policy${source ? ` ${source}` : ''}:\n${errors.map(e => `  - ${e}`).join('\n')}`
+        );
+    }
+
+    return policies;
+};
+
+/**
+ * Load a YAML or JSON policy file through `utils.yml` and compile it.
+ * JSON is valid YAML, so both formats go through the same parser.
+ *
+ * @param {string} filePath
+ * @param {Object} [options={}]
+ * @param {string[]} [options.resourceTypes] - Resource types besides ResourceTypes
+ * @returns {Object<string, Array<Object>>} Compiled policies
+ * @throws {Error} If the file is missing, unparsable or invalid
+ */
+const loadPolicyFile = (filePath, { resourceTypes } = {}) => {
+    // utils pulls in the DB package; load it only when a file is actually requested.
+    const { yml } = require('../../utils');
+    return compilePolicyDocument(yml(filePath), { source: filePath, resourceTypes });
+};
+
+module.exports = { compilePolicyDocument, loadPolicyFile };
@@ -0,0 +1,303 @@
+'use strict';
+
+const { PolicyEffects, ResourceTypes } = require('./AccessControlConstants');
+
+/**
+ * @module Access Control
+ * @fileoverview PolicyEngine - Evaluates action-keyed policies for AccessControlService.
+ *
+ * Policies are keyed by action (`'<resource type>:<action>'`) and may use `*` as a
+ * wildcard for one segment, or on their own to match every action:
+ * ```
+ * 'icon:publish'  → only icon:publish
+ * 'icon:*'        → icon:publish, icon:update, icon:delete, ...
+ * '*:read'        → icon:read, set:read, ...
+ * '*'             → everything
+ * ```
+ * The resource type is the singular service name (see ResourceTypes). Plural
+ * types are accepted and mean the same ('icons:*' is 'icon:*'); a key naming an
+ * unknown type throws, since it could never match.
+ *
+ * **Rule forms** (the value stored under a key):
+ * ```
+ * true / false                          → allow / deny
+ * (actor, resource, ctx) => ...         → true allow, false deny, null abstain,
+ *                                         or { effect, reason }
+ * { effect, roles?, when?, reason?, id? }
+ *                                       → applies when the actor has one of `roles`
+ *                                         and `when()` returns true, otherwise abstains
+ * { allOf: [rules], reason?, id? }      → allow if every rule allows, deny if any denies
+ * { anyOf: [rules], reason?, id? }      → allow if any rule allows, deny if none allow
+ *                                         and one denies
+ * [rules]                               → each rule on its own; deny overrides allow
+ * ```
+ *
+ * **Combining:** every key that matches the action is evaluated. Any deny wins;
+ * otherwise any allow wins; if every rule abstains the engine returns null and
+ * AccessControlService falls back to its role and ownership checks.
+ *
+ * **Explanations:** every decision names the rule that produced it, e.g.
+ * `policy:icon:*[1]` (second rule under `icon:*`) or the rule's own `id`, plus a
+ * human-readable reason.
+ *
+ * @example
+ * const engine = new PolicyEngine({
+ *   'icon:*': [
+ *     { id: 'suspended-contributors', effect: 'deny', when: (actor) => actor.isSuspended, reason: 'account suspended' },
+ *   ],
+ *   'icon:publish': {
+ *     allOf: [
+ *       { effect: 'allow', roles: [UserRoles.Contributor] },
+ *       (actor, resource) => resource.status === 'pending',
+ *     ],
+ *     reason: 'contributors may publish pending icons',
+ *   },
+ * }, { hasRole: (actor, role) => acl.actorHasRole(actor, role) });
+ *
+ * await engine.evaluate({ actor, action: 'icon:publish', resource });
+ * // → { effect: 'allow', rule: 'policy:icon:publish', reason: 'contributors may publish pending icons' }
+ */
+
+const kEFFECTS = new Set(Object.values(PolicyEffects));
+
+/**
+ * Resource types known without the `resourceTypes` option.
+ * @private
+ */
+const kRESOURCE_TYPES = Object.values(ResourceTypes);
+
+/**
+ * Plural form of a resource type ('icon' → 'icons', 'family' → 'families').
+ * @private
+ * @param {string} type
+ * @returns {string}
+ */
+const pluralOf = (type) => (/[^aeiou]y$/.test(type) ? `${type.slice(0, -1)}ies` : `${type}s`);
+
+/**
+ * Map of accepted type names (singular and plural, lower case) to the singular type.
+ * @private
+ * @param {string[]} types
+ * @returns {Map<string, string>}
+ */
+const typeAliases = (types) => new Map(types.flatMap(type => [[type, type], [pluralOf(type), type]]));
+
+/**
+ * Default aliases, used by actionKeys().
+ * @private
+ */
+const kTYPE_ALIASES = typeAliases(kRESOURCE_TYPES);
+
+/**
+ * Replace a plural resource type in a '<type>:<action>' key with the singular one.
+ * Keys without a known type are returned unchanged.
+ * @private
+ * @param {string} key
+ * @param {Map<string, string>} [aliases]
+ * @returns {string}
+ */
+const singularKey = (key, aliases = kTYPE_ALIASES) => {
+    const [type, ...rest] = key.split(':');
+    if (rest.length === 0) return key;
+    const singular = aliases.get(type.toLowerCase());
+    return singular ? [singular, ...rest].join(':') : key;
+};
+
+/**
+ * Compile an action pattern into a RegExp.
+ * @private
+ * @param {string} pattern - e.g. 'icon:*'
+ * @returns {RegExp}
+ */
+const toMatcher = (pattern) => {
+    if (pattern === '*') return /^.*$/;
+    const source = pattern
+        .split(':')
+        .map(segment => (segment === '*' ? '[^:]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+        .join(':');
+    return new RegExp(`^${source}$`, 'i');
+};
+
+/**
+ * Check a rule's shape, throwing a TypeError that names where it sits.
+ * @private
+ * @param {*} rule
+ * @param {string} path - Location used in the error message
+ */
+const validateRule = (rule, path) => {
+    if (typeof rule === 'boolean' || typeof rule === 'function') return;
+
+    if (Array.isArray(rule)) {
+        rule.forEach((child, i) => validateRule(child, `${path}[${i}]`));
+        return;
+    }
+
+    if (rule && typeof rule === 'object') {
+        const combinator = rule.allOf || rule.anyOf;
+        if (combinator) {
+            if (!Array.isArray(combinator) || combinator.length === 0) {
+                throw new TypeError(`Policy ${path}: allOf/anyOf must be a non-empty array`);
+            }
+            const key = rule.allOf ? 'allOf' : 'anyOf';
+            combinator.forEach((child, i) => validateRule(child, `${path}.${key}[${i}]`));
+            return;
+        }
+        if (!kEFFECTS.has(rule.effect)) {
+            throw new TypeError(`Policy ${path}: effect must be one of ${[...kEFFECTS].join(', ')}`);
+        }
+        if (rule.roles !== undefined && !Array.isArray(rule.roles)) {
+            throw new TypeError(`Policy ${path}: roles must be an array`);
+        }
+        if (rule.when !== undefined && typeof rule.when !== 'function') {
+            throw new TypeError(`Policy ${path}: when must be a function`);
+        }
+        return;
+    }
+
+    throw new TypeError(`Policy ${path}: expected a boolean, function, rule object or array`);
+};
+
+class PolicyEngine {
+    /**
+     * @param {Object<string, *>} [policies={}] - Rules keyed by action pattern
+     * @param {Object} [options={}]
+     * @param {Function} [options.hasRole] - `(actor, role) => boolean`, used by `roles` rules
+     * @param {string[]} [options.resourceTypes=[]] - Resource types besides ResourceTypes
+     * @throws {TypeError} When a rule has an unknown shape or a key names an unknown resource type
+     */
+    constructor(policies = {}, { hasRole = () => false, resourceTypes = [] } = {}) {
+        this.hasRole = hasRole;
+        const aliases = typeAliases([...kRESOURCE_TYPES, ...resourceTypes]);
+
+        this.entries = Object.entries(policies || {}).map(([key, rule]) => {
+            const [type, action] = key.split(':');
+            if (action !== undefined && type !== '*' && !aliases.has(type.toLowerCase())) {
+                throw new TypeError(`Policy ${key}: unknown resource type "${type}"`);
+            }
+
+            validateRule(rule, key);
+            const pattern = singularKey(key, aliases);
+            return { pattern, matcher: toMatcher(pattern), rule };
+        });
+    }
+
+    /**
+     * Policy keys tried for a request. Bare actions ('update') are qualified with
+     * the resource type ('icon:update'); actions that already carry a type are used
+     * as is, with a plural type made singular ('icons:publish' → 'icon:publish').
+     * @param {string} action
+     * @param {Object} [resource]
+     * @returns {string[]}
+     */
+    static actionKeys(action, resource) {
+        if (!action) return [];
+        if (String(action).includes(':')) return [singularKey(String(action))];
+        if (!resource?.type) return [String(action)];
+        return [`${resource.type}:${action}`, String(action)];
+    }
+
+    /**
+     * Evaluate every policy matching the action.
+     * @param {Object} params
+     * @param {Object} params.actor
+     * @param {string} params.action
+     * @param {Object} [params.resource]
+     * @param {Object} [params.context] - Extra values passed to rules in `ctx` (e.g. `teams`)
+     * @returns {Promise<{effect: string, rule: string, reason: string}|null>} Null when no rule applies
+     */
+    async evaluate({ actor, action, resource, context = {} }) {
+        const keys = PolicyEngine.actionKeys(action, resource);
+        if (keys.length === 0) return null;
+
+        const ctx = { ...context, action: keys[0] };
+        const decisions = [];
+
+        for (const { pattern, matcher, rule } of this.entries) {
+            if (!keys.some(key => matcher.test(key))) continue;
+
+            const decision = await this._evaluateRule(rule, `policy:${pattern}`, actor, resource, ctx);
+            if (decision) decisions.push(decision);
+        }
+
+        return decisions.find(d => d.effect === PolicyEffects.DENY)
+            || decisions.find(d => d.effect === PolicyEffects.ALLOW)
+            || null;
+    }
+
+    /**
+     * Evaluate a single rule.
+     * @private
+     * @returns {Promise<{effect: string, rule: string, reason: string}|null>}
+     */
+    async _evaluateRule(rule, path, actor, resource, ctx) {
+        if (typeof rule === 'boolean') {
+            return this._decision(rule ? PolicyEffects.ALLOW : PolicyEffects.DENY, path);
+        }
+
+        if (typeof rule === 'function') {
+            const result = await rule(actor, resource, ctx);
+            if (result === true) return this._decision(PolicyEffects.ALLOW, path);
+            if (result === false) return this._decision(PolicyEffects.DENY, path);
+            if (result && kEFFECTS.has(result.effect)) return this._decision(result.effect, path, result.reason);
+            return null;
+        }
+
+        if (Array.isArray(rule)) {
+            const decisions = [];
+            for (let i = 0; i < rule.length; i++) {
+                const decision = await this._evaluateRule(rule[i], `${path}[${i}]`, actor, resource, ctx);
+                if (decision) decisions.push(decision);
+            }
+            return decisions.find(d => d.effect === PolicyEffects.DENY)
+                || decisions.find(d => d.effect === PolicyEffects.ALLOW)
+                || null;
+        }
+
+        const name = rule.id ? `policy:${rule.id}` : path;
+
+        if (rule.allOf) {
+            const decisions = [];
+            for (let i = 0; i < rule.allOf.length; i++) {
+                decisions.push(await this._evaluateRule(rule.allOf[i], `${path}.allOf[${i}]`, actor, resource, ctx));
+            }
+            const denied = decisions.find(d => d?.effect === PolicyEffects.DENY);
+            if (denied) return rule.reason ? { ...denied, reason: `${rule.reason}: ${denied.reason}` } : denied;
+            if (decisions.every(d => d?.effect === PolicyEffects.ALLOW)) {
+                return this._decision(PolicyEffects.ALLOW, name, rule.reason);
+            }
+            return null;
+        }
+
+        if (rule.anyOf) {
+            const decisions = [];
+            for (let i = 0; i < rule.anyOf.length; i++) {
+                const decision = await this._evaluateRule(rule.anyOf[i], `${path}.anyOf[${i}]`, actor, resource, ctx);
+                if (decision?.effect === PolicyEffects.ALLOW) {
+                    return rule.reason ? this._decision(PolicyEffects.ALLOW, name, rule.reason) : decision;
+                }
+                decisions.push(decision);
+            }
+            const denied = decisions.find(d => d?.effect === PolicyEffects.DENY);
+            if (denied) return rule.reason ? this._decision(PolicyEffects.DENY, name, rule.reason) : denied;
+            return null;
+        }
+
+        if (rule.roles && !rule.roles.some(role => this.hasRole(actor, role))) return null;
+        if (rule.when && (await rule.when(actor, resource, ctx)) !== true) return null;
+
+        return this._decision(rule.effect, name, rule.reason);
+    }
+
+    /**
+     * @private
+     */
+    _decision(effect, rule, reason) {
+        return {
+            effect,
+            rule,
+            reason: reason || `${rule} ${effect === PolicyEffects.ALLOW ? 'allows' : 'denies'} the action`,
+        };
+    }
+}
+
+module.exports = PolicyEngine;
@@ -0,0 +1,142 @@
+'use strict';
+
+const { UserRoles } = require('../../utils/enums');
+
+/**
+ * @module Access Control
+ * @fileoverview TeamMembershipResolver - Resolves which teams an actor belongs to, with caching.
+ *
+ * Sets, icons and illustrations carry a `teamId`. AccessControlService asks this
+ * resolver for the actor's role in that team (TeamOwner or TeamMember) and grants
+ * access accordingly.
+ *
+ * **Lookup:**
+ * Membership comes from a pluggable `lookup(actor)` that returns the actor's teams:
+ * ```javascript
+ * lookup: async (actor) => [
+ *   { teamId: 3, role: UserRoles.TeamOwner },
+ *   { teamId: 8, role: UserRoles.TeamMember },
+ * ]
+ * ```
+ * Any role other than TeamOwner counts as TeamMember. Without a lookup, the
+ * resolver reads memberships from the actor itself: `actor.teams`
+ * (`[{ teamId | id, role }]`) or `actor.teamIds` (member of each).
+ *
+ * **Caching:**
+ * Lookup results are cached per actor id (default: in-memory, 60s TTL), so a page
+ * of 50 team icons costs one membership query rather than 50. Any cache adapter
+ * with `get` / `set` / `del` works, including RedisCacheAdapter. Call
+ * `invalidate(actorId)` when a membership changes.
+ *
+ * @example
+ * const teams = new TeamMembershipResolver({
+ *   lookup: async (actor) => teamRepository.membershipsFor(actor.id),
+ *   ttl: 300,
+ * });
+ *
+ * await teams.roleIn(actor, 3); // → 'ROLE_TEAM_OWNER' | 'ROLE_TEAM_MEMBER' | null
+ */
+
+const kCACHE_PREFIX = 'acl:teams:';
+
+/**
+ * Normalize a membership role to TeamOwner or TeamMember.
+ * @private
+ * @param {*} role
+ * @returns {string}
+ */
+const toTeamRole = (role) => (
+    String(role || '').toLowerCase() === UserRoles.TeamOwner.toLowerCase()
+        ? UserRoles.TeamOwner
+        : UserRoles.TeamMember
+);
+
+/**
+ * Memberships carried on the actor object, used when no lookup is configured.
+ * @private
+ * @param {Object} actor
+ * @returns {Array<{teamId: *, role: string}>}
+ */
+const membershipsFromActor = (actor) => {
+    if (Array.isArray(actor?.teams)) {
+        return actor.teams.map(team => ({ teamId: team.teamId ?? team.id, role: team.role }));
+    }
+    if (Array.isArray(actor?.teamIds)) {
+        return actor.teamIds.map(teamId => ({ teamId, role: UserRoles.TeamMember }));
+    }
+    return [];
+};
+
+class TeamMembershipResolver {
+    /**
+     * @param {Object} [options={}]
+     * @param {Function} [options.lookup] - `async (actor) => [{ teamId, role }]`
+     * @param {Object} [options.cache] - Cache adapter (default: NodeCacheAdapter, only when a lookup is set)
+     * @param {number} [options.ttl=60] - Cache TTL in seconds
+     */
+    constructor({ lookup = null, cache = null, ttl = 60 } = {}) {
+        this.lookup = lookup;
+        this.ttl = ttl;
+
+        if (lookup && !cache) {
+            const NodeCacheAdapter = require('../cache/adapters/NodeCacheAdapter');
+            cache = new NodeCacheAdapter({ stdTTL: ttl });
+        }
+        this.cache = cache;
+    }
+
+    /**
+     * The actor's teams, keyed by team id.
+     * @param {Object} actor
+     * @returns {Promise<Map<string, string>>} teamId (as string) → TeamOwner | TeamMember
+     */
+    async membershipsFor(actor) {
+        if (actor?.id == null) return new Map();
+        if (!this.lookup) return this._toMap(membershipsFromActor(actor));
+
+        const key = `${kCACHE_PREFIX}${actor.id}`;
+        const cached = await this.cache.get(key);
+        if (Array.isArray(cached)) return new Map(cached);
+
+        const map = this._toMap(await this.lookup(actor) || []);
+        await this.cache.set(key, [...map.entries()], this.ttl);
+        return map;
+    }
+
+    /**
+     * The actor's role in a team.
+     * @param {Object} actor
+     * @param {number|string} teamId
+     * @returns {Promise<string|null>} UserRoles.TeamOwner, UserRoles.TeamMember or null
+     */
+    async roleIn(actor, teamId) {
+        if (teamId == null) return null;
+        const memberships = await this.membershipsFor(actor);
+        return memberships.get(String(teamId)) || null;
+    }
+
+    /**
+     * Drop cached memberships for an actor.
+     * @param {number|string} actorId
+     * @returns {Promise<void>}
+     */
+    async invalidate(actorId) {
+        if (this.cache) await this.cache.del(`${kCACHE_PREFIX}${actorId}`);
+    }
+
+    /**
+     * @private
+     */
+    _toMap(memberships) {
+        const map = new Map();
+        for (const { teamId, role } of memberships) {
+            if (teamId == null) continue;
+            const key = String(teamId);
+            // An actor listed twice keeps the stronger role.
+            if (map.get(key) !== UserRoles.TeamOwner) map.set(key, toTeamRole(role));
+        }
+        return map;
+    }
+}
+
+module.exports = TeamMembershipResolver;
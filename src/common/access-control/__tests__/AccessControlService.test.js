@@ -1,4 +1,5 @@
 const AccessControlService = require('../AccessControlService');
+const { AccessScopes } = require('../AccessControlConstants');
 const { UserRoles } = require('../../../utils/enums');
 
 describe('AccessControlService', () => {
@@ -333,4 +334,198 @@ describe('AccessControlService', () => {
             })).toBe(false);
         });
     });
+
+    describe('policies', () => {
+        const contributor = { id: 7, roles: [{ value: UserRoles.Contributor }] };
+
+        it('should grant actions allowed by a policy', async () => {
+            const acl = new AccessControlService({
+                policies: { 'icon:publish': { effect: 'allow', roles: [UserRoles.Contributor] } },
+            });
+
+            expect(await acl.enforce({ actor: contributor, action: 'icon:publish', resource: { ownerId: 99 } })).toBe(true);
+        });
+
+        it('should let policy denies override admins and owners, but not DenyAll', async () => {
+            const acl = new AccessControlService({
+                policies: { 'icon:*': { effect: 'deny', when: (actor) => actor.isSuspended === true } },
+            });
+            const suspendedAdmin = { id: 1, isSuspended: true, roles: [{ value: UserRoles.Admin }] };
+
+            expect(await acl.enforce({ actor: suspendedAdmin, action: 'update', resource: { type: 'icon', ownerId: 1 } })).toBe(false);
+            expect(await acl.enforce({ actor: { id: 1, roles: [{ value: UserRoles.Admin }] }, action: 'update', resource: { type: 'icon' } })).toBe(true);
+        });
+
+        it('should fall back to roles and ownership when no policy applies', async () => {
+            const acl = new AccessControlService({ policies: { 'set:*': false } });
+
+            expect(await acl.enforce({ actor: contributor, action: 'update', resource: { type: 'icon', ownerId: 7 } })).toBe(true);
+        });
+
+        it('should reject malformed policies at construction', () => {
+            expect(() => new AccessControlService({ policies: { 'icon:*': { effect: 'sometimes' } } })).toThrow(TypeError);
+        });
+    });
+
+    describe('explain', () => {
+        it('should name the rule behind each decision', async () => {
+            const acl = new AccessControlService({
+                policies: { 'icon:*': { id: 'suspended', effect: 'deny', when: (actor) => actor.isSuspended === true, reason: 'account suspended' } },
+            });
+            const customer = { id: 7, roles: [{ value: UserRoles.Customer }] };
+
+            expect(await acl.explain({ actor: { ...customer, isSuspended: true }, action: 'icon:update' })).toEqual({
+                allowed: false,
+                effect: 'deny',
+                rule: 'policy:suspended',
+                reason: 'account suspended',
+            });
+            expect(await acl.explain({ actor: { id: 7, roles: [{ value: UserRoles.DenyAll }] }, action: 'read' }))
+                .toMatchObject({ allowed: false, rule: 'role:deny-all' });
+            expect(await acl.explain({ actor: { id: 1, roles: [{ value: UserRoles.Admin }] }, action: 'read' }))
+                .toMatchObject({ allowed: true, rule: 'role:admin' });
+            expect(await acl.explain({ actor: customer, action: 'read', resource: { ownerId: 7 } }))
+                .toMatchObject({ allowed: true, rule: 'ownership' });
+            expect(await acl.explain({ actor: customer, action: 'update', resource: { type: 'icon', ownerId: 8 } })).toEqual({
+                allowed: false,
+                effect: 'deny',
+                rule: 'default-deny',
+                reason: 'no policy, role, ownership or team grants icon:update',
+            });
+        });
+    });
+
+    describe('teams', () => {
+        const customer = (extra = {}) => ({ id: 7, roles: [{ value: UserRoles.Customer }], ...extra });
+        const teamIcon = { type: 'icon', id: 12, ownerId: 99, teamId: 3 };
+
+        it('should let team owners read, update and delete team resources', async () => {
+            const owner = customer({ teams: [{ teamId: 3, role: UserRoles.TeamOwner }] });
+
+            for (const action of ['read', 'update', 'delete']) {
+                expect(await service.enforce({ actor: owner, action, resource: teamIcon })).toBe(true);
+            }
+            expect(await service.explain({ actor: owner, action: 'delete', resource: teamIcon })).toMatchObject({
+                rule: 'team:owner',
+                reason: 'actor is a team owner of team 3',
+            });
+        });
+
+        it('should let team members read and update, but not delete', async () => {
+            const member = customer({ teams: [{ teamId: 3, role: UserRoles.TeamMember }] });
+
+            expect(await service.enforce({ actor: member, action: 'read', resource: teamIcon })).toBe(true);
+            expect(await service.enforce({ actor: member, action: 'update', resource: teamIcon })).toBe(true);
+            expect(await service.enforce({ actor: member, action: 'delete', resource: teamIcon })).toBe(false);
+        });
+
+        it('should not grant other teams, or DenyAll members', async () => {
+            const member = customer({ teams: [{ teamId: 4, role: UserRoles.TeamOwner }] });
+            expect(await service.enforce({ actor: member, action: 'read', resource: teamIcon })).toBe(false);
+
+            const banned = { id: 7, roles: [{ value: UserRoles.DenyAll }], teams: [{ teamId: 3, role: UserRoles.TeamOwner }] };
+            expect(await service.enforce({ actor: banned, action: 'read', resource: teamIcon })).toBe(false);
+        });
+
+        it('should resolve membership through a pluggable lookup', async () => {
+            const lookup = jest.fn(async () => [{ teamId: 3, role: UserRoles.TeamMember }]);
+            const acl = new AccessControlService({ teams: { lookup } });
+
+            expect(await acl.enforce({ actor: customer(), action: 'update', resource: teamIcon })).toBe(true);
+            expect(await acl.enforce({ actor: customer(), action: 'read', resource: teamIcon })).toBe(true);
+            expect(lookup).toHaveBeenCalledTimes(1);
+        });
+
+        it('should honor custom team permissions', async () => {
+            const acl = new AccessControlService({ teamPermissions: { [UserRoles.TeamMember]: ['read'] } });
+            const member = customer({ teamIds: [3] });
+
+            expect(await acl.enforce({ actor: member, action: 'read', resource: teamIcon })).toBe(true);
+            expect(await acl.enforce({ actor: member, action: 'update', resource: teamIcon })).toBe(false);
+        });
+
+        it('should resolve team-member policy conditions through the same lookup', async () => {
+            const lookup = jest.fn(async () => [{ teamId: 3, role: UserRoles.TeamMember }]);
+            const acl = new AccessControlService({
+                teams: { lookup },
+                policyDocument: { actions: ['publish'], roles: { ROLE_CUSTOMER: { icon: { publish: 'team-member' } } } },
+            });
+
+            expect(await acl.explain({ actor: customer(), action: 'publish', resource: teamIcon })).toMatchObject({
+                allowed: true,
+                rule: 'policy:ROLE_CUSTOMER:icon:publish',
+            });
+        });
+    });
+
+    describe('scopeFor', () => {
+        it('should return NONE for DenyAll actors, even admins', async () => {
+            const actor = { id: 1, roles: [{ value: UserRoles.DenyAll }, { value: UserRoles.Admin }] };
+            expect(await service.scopeFor({ actor })).toBe(AccessScopes.NONE);
+        });
+
+        it('should return ALL for Admin and SuperAdmin', async () => {
+            expect(await service.scopeFor({ actor: { id: 1, roles: [{ value: UserRoles.Admin }] } })).toBe(AccessScopes.ALL);
+            expect(await service.scopeFor({ actor: { id: 1, roles: [{ value: UserRoles.SuperAdmin }] } })).toBe(AccessScopes.ALL);
+        });
+
+        it('should return OWN for other actors with an id', async () => {
+            expect(await service.scopeFor({ actor: { id: 0, roles: [{ value: UserRoles.Customer }] } })).toBe(AccessScopes.OWN);
+        });
+
+        it('should return NONE for anonymous actors', async () => {
+            expect(await service.scopeFor({ actor: null })).toBe(AccessScopes.NONE);
+            expect(await service.scopeFor()).toBe(AccessScopes.NONE);
+        });
+    });
+
+    describe('listScope', () => {
+        const customer = { id: 7, roles: [{ value: UserRoles.Customer }] };
+
+        it('should carry the owner id for OWN scopes', async () => {
+            expect(await service.listScope({ actor: customer, type: 'icon' }))
+                .toEqual({ scope: AccessScopes.OWN, ownerId: 7 });
+        });
+
+        it('should add public rows when a policy grants read: public', async () => {
+            const acl = new AccessControlService({
+                policyDocument: { roles: { ROLE_CUSTOMER: { icon: { read: 'public' } } } },
+                audit: false,
+            });
+            expect(await acl.listScope({ actor: customer, type: 'icon' }))
+                .toEqual({ scope: AccessScopes.FILTERED, ownerId: 7, isPublic: true });
+            expect(await acl.listScope({ actor: customer, type: 'set' }))
+                .toEqual({ scope: AccessScopes.OWN, ownerId: 7 });
+        });
+
+        it('should add the teams the actor may read', async () => {
+            const actor = { ...customer, teams: [{ teamId: 4, role: 'member' }, { teamId: 9, role: 'owner' }] };
+            expect(await service.listScope({ actor, type: 'icon' }))
+                .toEqual({ scope: AccessScopes.FILTERED, ownerId: 7, teamIds: ['4', '9'] });
+        });
+
+        it('should return ALL when a policy grants read on any row', async () => {
+            const acl = new AccessControlService({
+                policyDocument: { roles: { ROLE_CUSTOMER: { icon: { read: 'any' } } } },
+                audit: false,
+            });
+            expect(await acl.listScope({ actor: customer, type: 'icon' })).toEqual({ scope: AccessScopes.ALL });
+        });
+
+        it('should return NONE when a policy denies the list action', async () => {
+            const acl = new AccessControlService({
+                policies: { 'icon:list': { effect: 'deny', when: (actor) => actor.isSuspended } },
+            });
+            expect(await acl.listScope({ actor: { ...customer, isSuspended: true }, type: 'icon' }))
+                .toEqual({ scope: AccessScopes.NONE });
+            expect(await acl.scopeFor({ actor: customer, type: 'icon' })).toBe(AccessScopes.OWN);
+        });
+
+        it('should return NONE when reading owned rows is denied', async () => {
+            const acl = new AccessControlService({
+                policies: { 'icon:read': { effect: 'deny', when: () => true } },
+            });
+            expect(await acl.scopeFor({ actor: customer, type: 'icon' })).toBe(AccessScopes.NONE);
+        });
+    });
 });
@@ -0,0 +1,176 @@
+jest.mock('@vectoricons.net/db', () => ({}), { virtual: true });
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { compilePolicyDocument, loadPolicyFile } = require('../PolicyDocument');
+const AccessControlService = require('../AccessControlService');
+const { UserRoles } = require('../../../utils/enums');
+
+const kPOLICY_FILE = path.join(__dirname, '..', 'policies', 'rbac.yml');
+
+const actor = (id, role, extra = {}) => ({ id, roles: [{ value: role }], ...extra });
+
+describe('PolicyDocument', () => {
+    describe('compilePolicyDocument', () => {
+        it('should compile role × resource × action grants into policies', () => {
+            const policies = compilePolicyDocument({
+                roles: {
+                    ROLE_CONTRIBUTOR: { icon: { update: 'owner', read: 'any' } },
+                    ROLE_TEAM_MEMBER: { icon: { update: 'team-member' } },
+                },
+            });
+
+            expect(Object.keys(policies).sort()).toEqual(['icon:read', 'icon:update']);
+            expect(policies['icon:update']).toEqual([
+                expect.objectContaining({ id: 'ROLE_CONTRIBUTOR:icon:update', effect: 'allow', roles: ['ROLE_CONTRIBUTOR'] }),
+                expect.objectContaining({ id: 'ROLE_TEAM_MEMBER:icon:update', effect: 'allow', roles: ['ROLE_TEAM_MEMBER'] }),
+            ]);
+        });
+
+        it('should accept role names in any case', () => {
+            const policies = compilePolicyDocument({ roles: { role_subscriber: { '*': { read: 'public' } } } });
+            expect(policies['*:read'][0].roles).toEqual([UserRoles.Subscriber]);
+        });
+
+        it('should accept declared custom actions', () => {
+            const policies = compilePolicyDocument({
+                actions: ['publish'],
+                roles: { ROLE_CONTRIBUTOR: { icon: { publish: 'owner' } } },
+            });
+            expect(policies).toHaveProperty(['icon:publish']);
+        });
+
+        it('should reject unknown roles, actions and conditions, listing every problem', () => {
+            let error;
+            try {
+                compilePolicyDocument({
+                    roles: {
+                        ROLE_WIZARD: { icon: { read: 'any' } },
+                        ROLE_CONTRIBUTOR: { icon: { publish: 'owner', update: 'friend' } },
+                    },
+                }, { source: 'rbac.yml' });
+            }
+            catch (e) {
+                error = e;
+            }
+
+            expect(error.message).toBe([
+                'Invalid RBAC policy rbac.yml:',
+                '  - roles.ROLE_WIZARD: unknown role',
+                "  - roles.ROLE_CONTRIBUTOR.icon.publish: unknown action 'publish'",
+                "  - roles.ROLE_CONTRIBUTOR.icon.update: unknown condition 'friend' (expected one of any, owner, team-member, public, deny)",
+            ].join('\n'));
+        });
+
+        it('should reject unknown resource types', () => {
+            expect(() => compilePolicyDocument({
+                roles: { ROLE_CONTRIBUTOR: { iocn: { read: 'any' }, icons: { update: 'owner' }, families: { read: 'any' } } },
+            })).toThrow([
+                'Invalid RBAC policy:',
+                "  - roles.ROLE_CONTRIBUTOR.iocn: unknown resource type 'iocn'",
+                "  - roles.ROLE_CONTRIBUTOR.icons: unknown resource type 'icons' (did you mean 'icon'?)",
+                "  - roles.ROLE_CONTRIBUTOR.families: unknown resource type 'families' (did you mean 'family'?)",
+            ].join('\n'));
+        });
+
+        it('should accept extra resource types', () => {
+            const document = { roles: { ROLE_CUSTOMER: { widget: { read: 'public' } } } };
+
+            expect(() => compilePolicyDocument(document)).toThrow("unknown resource type 'widget'");
+            expect(compilePolicyDocument(document, { resourceTypes: ['widget'] })).toHaveProperty(['widget:read']);
+            expect(() => new AccessControlService({ policyDocument: document, resourceTypes: ['widget'], audit: false }))
+                .not.toThrow();
+        });
+
+        it('should reject malformed documents', () => {
+            expect(() => compilePolicyDocument(null)).toThrow('document: expected an object');
+            expect(() => compilePolicyDocument({ version: 2, roles: {} })).toThrow('unsupported version 2');
+            expect(() => compilePolicyDocument({ rules: {} })).toThrow('rules: unknown section');
+            expect(() => compilePolicyDocument({ roles: { ROLE_CUSTOMER: { icon: { read: [] } } } }))
+                .toThrow('roles.ROLE_CUSTOMER.icon.read: expected a condition name');
+            expect(() => compilePolicyDocument({ roles: { ROLE_CUSTOMER: { icon: { read: ['public', 'deny'] } } } }))
+                .toThrow("'deny' cannot be combined");
+        });
+    });
+
+    describe('conditions', () => {
+        const build = (condition) => new AccessControlService({
+            policyDocument: { roles: { ROLE_CONTRIBUTOR: { icon: { update: condition } } } },
+        });
+        const contributor = actor(7, UserRoles.Contributor, { teamIds: [3] });
+        const explain = (acl, resource) => acl.explain({ actor: contributor, action: 'update', resource: { type: 'icon', ...resource } });
+
+        it('should grant owner, team-member and public conditions', async () => {
+            expect(await explain(build('owner'), { ownerId: 7 })).toMatchObject({
+                allowed: true,
+                reason: 'ROLE_CONTRIBUTOR may update icon (owner)',
+            });
+            expect(await explain(build('team-member'), { ownerId: 1, teamId: 3 })).toMatchObject({
+                allowed: true,
+                rule: 'policy:ROLE_CONTRIBUTOR:icon:update',
+                reason: 'ROLE_CONTRIBUTOR may update icon (team-member)',
+            });
+            expect((await explain(build('team-member'), { ownerId: 1, teamId: 4 })).allowed).toBe(false);
+            expect((await explain(build('public'), { ownerId: 1, isPublic: true })).allowed).toBe(true);
+        });
+
+        it('should combine conditions', async () => {
+            const allOf = build({ allOf: ['team-member', 'public'] });
+            expect((await explain(allOf, { teamId: 3, isPublic: true })).allowed).toBe(true);
+            // The policy abstains; the built-in team check still lets members update.
+            expect((await explain(allOf, { teamId: 3 })).rule).toBe('team:member');
+
+            const anyOf = build(['team-member', 'public']);
+            expect((await explain(anyOf, { isPublic: true })).allowed).toBe(true);
+        });
+
+        it('should deny explicitly, even owners', async () => {
+            const acl = build('deny');
+            expect(await explain(acl, { ownerId: 7 })).toMatchObject({
+                allowed: false,
+                rule: 'policy:ROLE_CONTRIBUTOR:icon:update',
+                reason: 'ROLE_CONTRIBUTOR may not update icon',
+            });
+        });
+    });
+
+    describe('policy files', () => {
+        it('should load and validate the bundled role matrix', async () => {
+            const acl = new AccessControlService({ policyFile: kPOLICY_FILE });
+
+            expect(await acl.enforce({
+                actor: actor(5, UserRoles.TeamMember, { teamIds: [2] }),
+                action: 'update',
+                resource: { type: 'icon', ownerId: 9, teamId: 2 },
+            })).toBe(true);
+            expect(await acl.enforce({
+                actor: actor(5, UserRoles.Subscriber),
+                action: 'download',
+                resource: { type: 'icon', isPublic: true },
+            })).toBe(true);
+            expect(await acl.enforce({
+                actor: actor(5, UserRoles.ContributorDeclined),
+                action: 'create',
+                resource: { type: 'icon', ownerId: 5 },
+            })).toBe(false);
+        });
+
+        it('should load JSON files through the same loader', () => {
+            const file = path.join(os.tmpdir(), `rbac-${process.pid}.json`);
+            fs.writeFileSync(file, JSON.stringify({ roles: { ROLE_CUSTOMER: { icon: { lend: 'any' } } } }));
+
+            try {
+                expect(() => loadPolicyFile(file)).toThrow(`Invalid RBAC policy ${file}:\n  - roles.ROLE_CUSTOMER.icon.lend: unknown action 'lend'`);
+            }
+            finally {
+                fs.unlinkSync(file);
+            }
+        });
+
+        it('should fail at construction when the file is missing', () => {
+            expect(() => new AccessControlService({ policyFile: '/nope/rbac.yml' })).toThrow('File not found: /nope/rbac.yml');
+        });
+    });
+});
@@ -0,0 +1,212 @@
+const PolicyEngine = require('../PolicyEngine');
+
+const hasRole = (actor, role) => (actor?.roles || []).includes(role);
+const build = (policies) => new PolicyEngine(policies, { hasRole });
+
+const contributor = { id: 7, roles: ['ROLE_CONTRIBUTOR'] };
+const customer = { id: 8, roles: ['ROLE_CUSTOMER'] };
+
+describe('PolicyEngine', () => {
+    describe('actionKeys', () => {
+        it('should qualify bare actions with the resource type', () => {
+            expect(PolicyEngine.actionKeys('update', { type: 'icon' })).toEqual(['icon:update', 'update']);
+        });
+
+        it('should keep qualified actions as they are', () => {
+            expect(PolicyEngine.actionKeys('icon:publish', { type: 'icon' })).toEqual(['icon:publish']);
+        });
+
+        it('should make plural resource types singular', () => {
+            expect(PolicyEngine.actionKeys('icons:publish', { type: 'icon' })).toEqual(['icon:publish']);
+            expect(PolicyEngine.actionKeys('families:read')).toEqual(['family:read']);
+        });
+
+        it('should return nothing without an action', () => {
+            expect(PolicyEngine.actionKeys(undefined, { type: 'icon' })).toEqual([]);
+        });
+    });
+
+    describe('matching', () => {
+        it('should match exact keys', async () => {
+            const engine = build({ 'icon:publish': true });
+
+            await expect(engine.evaluate({ action: 'icon:publish' })).resolves.toMatchObject({
+                effect: 'allow',
+                rule: 'policy:icon:publish',
+            });
+            await expect(engine.evaluate({ action: 'icon:delete' })).resolves.toBeNull();
+        });
+
+        it('should match wildcard segments', async () => {
+            const engine = build({ 'icon:*': true, '*:read': false });
+
+            await expect(engine.evaluate({ action: 'icon:delete' })).resolves.toMatchObject({ effect: 'allow' });
+            await expect(engine.evaluate({ action: 'set:read' })).resolves.toMatchObject({ effect: 'deny' });
+            await expect(engine.evaluate({ action: 'set:delete' })).resolves.toBeNull();
+        });
+
+        it('should treat plural resource types as singular', async () => {
+            const engine = build({ 'icons:*': false, 'categories:read': true });
+
+            await expect(engine.evaluate({ action: 'update', resource: { type: 'icon' } })).resolves.toMatchObject({
+                effect: 'deny',
+                rule: 'policy:icon:*',
+            });
+            await expect(engine.evaluate({ action: 'category:read' })).resolves.toMatchObject({ effect: 'allow' });
+        });
+
+        it('should match a lone * against everything', async () => {
+            const engine = build({ '*': false });
+            await expect(engine.evaluate({ action: 'update', resource: { type: 'icon' } })).resolves.toMatchObject({
+                effect: 'deny',
+                rule: 'policy:*',
+            });
+        });
+
+        it('should let deny override allow across keys', async () => {
+            const engine = build({ 'icon:*': true, 'icon:delete': false });
+
+            await expect(engine.evaluate({ action: 'icon:delete' })).resolves.toMatchObject({
+                effect: 'deny',
+                rule: 'policy:icon:delete',
+            });
+        });
+    });
+
+    describe('rules', () => {
+        it('should read allow, deny and abstain from functions', async () => {
+            const engine = build({
+                'icon:publish': (actor, resource) => (resource.status === 'pending' ? true : resource.status === 'rejected' ? false : null),
+            });
+
+            await expect(engine.evaluate({ action: 'icon:publish', resource: { status: 'pending' } }))
+                .resolves.toMatchObject({ effect: 'allow' });
+            await expect(engine.evaluate({ action: 'icon:publish', resource: { status: 'rejected' } }))
+                .resolves.toMatchObject({ effect: 'deny' });
+            await expect(engine.evaluate({ action: 'icon:publish', resource: { status: 'draft' } }))
+                .resolves.toBeNull();
+        });
+
+        it('should pass the qualified action to functions', async () => {
+            const rule = jest.fn(() => true);
+            await build({ 'icon:*': rule }).evaluate({ actor: customer, action: 'update', resource: { type: 'icon' } });
+
+            expect(rule).toHaveBeenCalledWith(customer, { type: 'icon' }, { action: 'icon:update' });
+        });
+
+        it('should apply effect rules only when roles and when() match', async () => {
+            const engine = build({
+                'icon:publish': {
+                    id: 'contributors-publish',
+                    effect: 'allow',
+                    roles: ['ROLE_CONTRIBUTOR'],
+                    when: (actor) => actor.id === 7,
+                    reason: 'contributors may publish',
+                },
+            });
+
+            await expect(engine.evaluate({ actor: contributor, action: 'icon:publish' })).resolves.toEqual({
+                effect: 'allow',
+                rule: 'policy:contributors-publish',
+                reason: 'contributors may publish',
+            });
+            await expect(engine.evaluate({ actor: customer, action: 'icon:publish' })).resolves.toBeNull();
+        });
+
+        it('should name the array index of the deciding rule', async () => {
+            const engine = build({
+                'icon:*': [
+                    { effect: 'allow', roles: ['ROLE_CONTRIBUTOR'] },
+                    { effect: 'deny', when: (actor) => actor.isSuspended === true, reason: 'account suspended' },
+                ],
+            });
+
+            await expect(engine.evaluate({ actor: { ...contributor, isSuspended: true }, action: 'icon:update' }))
+                .resolves.toEqual({ effect: 'deny', rule: 'policy:icon:*[1]', reason: 'account suspended' });
+            await expect(engine.evaluate({ actor: contributor, action: 'icon:update' }))
+                .resolves.toMatchObject({ effect: 'allow', rule: 'policy:icon:*[0]' });
+        });
+    });
+
+    describe('combinators', () => {
+        const pending = { status: 'pending' };
+
+        it('should allow allOf only when every rule allows', async () => {
+            const engine = build({
+                'icon:publish': {
+                    allOf: [
+                        { effect: 'allow', roles: ['ROLE_CONTRIBUTOR'] },
+                        (actor, resource) => resource.status === 'pending',
+                    ],
+                    reason: 'contributors may publish pending icons',
+                },
+            });
+
+            await expect(engine.evaluate({ actor: contributor, action: 'icon:publish', resource: pending }))
+                .resolves.toEqual({ effect: 'allow', rule: 'policy:icon:publish', reason: 'contributors may publish pending icons' });
+            await expect(engine.evaluate({ actor: customer, action: 'icon:publish', resource: pending }))
+                .resolves.toBeNull();
+            await expect(engine.evaluate({ actor: contributor, action: 'icon:publish', resource: { status: 'live' } }))
+                .resolves.toMatchObject({ effect: 'deny', rule: 'policy:icon:publish.allOf[1]' });
+        });
+
+        it('should allow anyOf when one rule allows', async () => {
+            const engine = build({
+                'icon:download': {
+                    anyOf: [
+                        (actor, resource) => resource.isPublic || null,
+                        { effect: 'allow', roles: ['ROLE_CONTRIBUTOR'] },
+                    ],
+                },
+            });
+
+            await expect(engine.evaluate({ actor: customer, action: 'icon:download', resource: { isPublic: true } }))
+                .resolves.toMatchObject({ effect: 'allow', rule: 'policy:icon:download.anyOf[0]' });
+            await expect(engine.evaluate({ actor: contributor, action: 'icon:download', resource: {} }))
+                .resolves.toMatchObject({ effect: 'allow', rule: 'policy:icon:download.anyOf[1]' });
+            await expect(engine.evaluate({ actor: customer, action: 'icon:download', resource: {} }))
+                .resolves.toBeNull();
+        });
+
+        it('should nest combinators', async () => {
+            const engine = build({
+                'icon:feature': {
+                    anyOf: [
+                        { effect: 'allow', roles: ['ROLE_EDITOR'] },
+                        { allOf: [{ effect: 'allow', roles: ['ROLE_CONTRIBUTOR'] }, (actor) => actor.isVerified === true] },
+                    ],
+                },
+            });
+
+            await expect(engine.evaluate({ actor: { ...contributor, isVerified: true }, action: 'icon:feature' }))
+                .resolves.toMatchObject({ effect: 'allow' });
+            await expect(engine.evaluate({ actor: contributor, action: 'icon:feature' }))
+                .resolves.toMatchObject({ effect: 'deny' });
+        });
+    });
+
+    describe('validation', () => {
+        it('should reject unknown effects', () => {
+            expect(() => build({ 'icon:*': { effect: 'maybe' } })).toThrow('Policy icon:*: effect must be one of allow, deny');
+        });
+
+        it('should reject empty combinators', () => {
+            expect(() => build({ 'icon:*': { allOf: [] } })).toThrow('allOf/anyOf must be a non-empty array');
+        });
+
+        it('should reject unknown resource types', () => {
+            expect(() => build({ 'iocn:*': false })).toThrow('Policy iocn:*: unknown resource type "iocn"');
+            expect(() => build({ '*:read': true, '*': false })).not.toThrow();
+        });
+
+        it('should accept extra resource types', () => {
+            const engine = new PolicyEngine({ 'widgets:read': true }, { resourceTypes: ['widget'] });
+            expect(engine.entries[0].pattern).toBe('widget:read');
+        });
+
+        it('should point at nested rules', () => {
+            expect(() => build({ 'icon:*': [true, { anyOf: ['yes'] }] }))
+                .toThrow('Policy icon:*[1].anyOf[0]: expected a boolean, function, rule object or array');
+        });
+    });
+});
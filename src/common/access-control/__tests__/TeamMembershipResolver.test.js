@@ -0,0 +1,78 @@
+const TeamMembershipResolver = require('../TeamMembershipResolver');
+const NodeCacheAdapter = require('../../cache/adapters/NodeCacheAdapter');
+const { UserRoles } = require('../../../utils/enums');
+
+describe('TeamMembershipResolver', () => {
+    const actor = { id: 7 };
+
+    describe('without a lookup', () => {
+        const resolver = new TeamMembershipResolver();
+
+        it('should read teams from the actor', async () => {
+            const withTeams = { id: 7, teams: [{ teamId: 3, role: 'role_team_owner' }, { id: 4, role: 'anything' }] };
+
+            expect(await resolver.roleIn(withTeams, 3)).toBe(UserRoles.TeamOwner);
+            expect(await resolver.roleIn(withTeams, '4')).toBe(UserRoles.TeamMember);
+            expect(await resolver.roleIn(withTeams, 5)).toBeNull();
+        });
+
+        it('should treat teamIds as plain memberships', async () => {
+            expect(await resolver.roleIn({ id: 7, teamIds: [3] }, 3)).toBe(UserRoles.TeamMember);
+        });
+
+        it('should resolve nothing for anonymous actors or missing teams', async () => {
+            expect(await resolver.roleIn(null, 3)).toBeNull();
+            expect(await resolver.roleIn(actor, null)).toBeNull();
+            expect(resolver.cache).toBeNull();
+        });
+    });
+
+    describe('with a lookup', () => {
+        let lookup;
+        let resolver;
+
+        beforeEach(() => {
+            lookup = jest.fn(async () => [
+                { teamId: 3, role: UserRoles.TeamMember },
+                { teamId: 3, role: UserRoles.TeamOwner },
+                { teamId: 8, role: UserRoles.TeamMember },
+            ]);
+            resolver = new TeamMembershipResolver({ lookup, cache: new NodeCacheAdapter({ checkperiod: 0 }) });
+        });
+
+        it('should keep the strongest role per team', async () => {
+            expect(await resolver.roleIn(actor, 3)).toBe(UserRoles.TeamOwner);
+            expect(await resolver.roleIn(actor, 8)).toBe(UserRoles.TeamMember);
+        });
+
+        it('should call the lookup once per actor until invalidated', async () => {
+            await resolver.roleIn(actor, 3);
+            await resolver.roleIn(actor, 8);
+            await resolver.membershipsFor(actor);
+            expect(lookup).toHaveBeenCalledTimes(1);
+            expect(lookup).toHaveBeenCalledWith(actor);
+
+            await resolver.invalidate(7);
+            await resolver.roleIn(actor, 3);
+            expect(lookup).toHaveBeenCalledTimes(2);
+        });
+
+        it('should cache per actor', async () => {
+            await resolver.roleIn(actor, 3);
+            await resolver.roleIn({ id: 9 }, 3);
+            expect(lookup).toHaveBeenCalledTimes(2);
+        });
+
+        it('should store plain entries so any cache adapter can hold them', async () => {
+            const cache = { get: jest.fn(async () => null), set: jest.fn(async () => true), del: jest.fn() };
+            const custom = new TeamMembershipResolver({ lookup, cache, ttl: 300 });
+
+            await custom.roleIn(actor, 3);
+            expect(cache.set).toHaveBeenCalledWith(
+                'acl:teams:7',
+                [['3', UserRoles.TeamOwner], ['8', UserRoles.TeamMember]],
+                300
+            );
+        });
+    });
+});
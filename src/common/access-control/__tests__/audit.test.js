@@ -0,0 +1,191 @@
+jest.mock('@vectoricons.net/db', () => ({
+    accessDecisions: {
+        jsonSchema: {
+            properties: {
+                id: { type: 'integer' },
+                actor_id: { type: 'integer' },
+                result: { type: 'string' },
+            },
+        },
+        query: jest.fn(),
+    },
+}), { virtual: true });
+
+const AccessControlService = require('../AccessControlService');
+const AccessDecisionRepository = require('../audit/AccessDecisionRepository');
+const AccessDecisionEntity = require('../audit/AccessDecisionEntity');
+const {
+    BaseAuditSink,
+    MemoryAuditSink,
+    DatabaseAuditSink,
+    getAuditSink,
+    setAuditSink,
+} = require('../audit');
+const { UserRoles } = require('../../../utils/enums');
+
+const customer = { id: 7, roles: [{ value: UserRoles.Customer }] };
+
+describe('access-decision audit', () => {
+    describe('AccessControlService', () => {
+        let sink;
+        let acl;
+
+        beforeEach(() => {
+            sink = new MemoryAuditSink();
+            acl = new AccessControlService({ audit: sink });
+        });
+
+        it('should record every decision as a structured record', async () => {
+            await acl.enforce({ actor: customer, action: 'update', resource: { type: 'icon', id: 12, ownerId: 7 } });
+            await acl.enforce({ actor: customer, action: 'delete', resource: { type: 'icon', id: 13, ownerId: 8 } });
+
+            expect(sink.records).toEqual([
+                {
+                    actorId: 7,
+                    roles: [UserRoles.Customer],
+                    action: 'update',
+                    resourceType: 'icon',
+                    resourceId: 12,
+                    rule: 'ownership',
+                    result: 'allow',
+                    reason: 'actor owns the resource',
+                    timestamp: expect.any(String),
+                },
+                expect.objectContaining({ action: 'delete', resourceId: 13, rule: 'default-deny', result: 'deny' }),
+            ]);
+        });
+
+        it('should record anonymous requests', async () => {
+            await acl.enforce({ actor: null, action: 'read' });
+            expect(sink.records[0]).toMatchObject({ actorId: null, roles: [], resourceType: null, result: 'deny' });
+        });
+
+        it('should list recent denials per actor, newest first', async () => {
+            await acl.enforce({ actor: customer, action: 'delete', resource: { type: 'icon', id: 1 } });
+            await acl.enforce({ actor: customer, action: 'read', resource: { type: 'icon', id: 2, ownerId: 7 } });
+            await acl.enforce({ actor: { ...customer, id: 8 }, action: 'delete', resource: { type: 'icon', id: 3 } });
+            await acl.enforce({ actor: customer, action: 'delete', resource: { type: 'set', id: 4 } });
+
+            const denials = await acl.recentDenials(7);
+            expect(denials.map(d => `${d.resourceType}:${d.resourceId}`)).toEqual(['set:4', 'icon:1']);
+            expect(await acl.recentDenials('7', { limit: 1 })).toHaveLength(1);
+            expect(await acl.recentDenials(7, { since: new Date(Date.now() + 60000) })).toEqual([]);
+        });
+
+        it('should not let a failing sink change the decision', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const throwing = new AccessControlService({ audit: { record: () => { throw new Error('down'); } } });
+            const rejecting = new AccessControlService({ audit: { record: async () => { throw new Error('down'); } } });
+
+            await expect(throwing.enforce({ actor: customer, resource: { ownerId: 7 } })).resolves.toBe(true);
+            await expect(rejecting.enforce({ actor: customer, resource: { ownerId: 7 } })).resolves.toBe(true);
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(console.error).toHaveBeenCalledTimes(2);
+            console.error.mockRestore();
+        });
+
+        it('should skip auditing when disabled', async () => {
+            const quiet = new AccessControlService({ audit: false });
+            await quiet.enforce({ actor: customer, action: 'read' });
+
+            expect(quiet.auditSink).toBeNull();
+            expect(await quiet.recentDenials(7)).toEqual([]);
+        });
+
+        it('should use the process-wide sink by default', async () => {
+            const previous = getAuditSink();
+            const shared = new MemoryAuditSink();
+            setAuditSink(shared);
+
+            try {
+                await new AccessControlService().enforce({ actor: customer, action: 'read' });
+                expect(shared.getRecords({ actorId: 7 })).toHaveLength(1);
+            }
+            finally {
+                setAuditSink(previous);
+            }
+        });
+
+        it('should only accept BaseAuditSink instances as the default', () => {
+            expect(() => setAuditSink({ record() {} })).toThrow('setAuditSink requires a BaseAuditSink instance');
+        });
+    });
+
+    describe('MemoryAuditSink', () => {
+        it('should drop the oldest records past maxRecords', () => {
+            const sink = new MemoryAuditSink({ maxRecords: 2 });
+            [1, 2, 3].forEach(actorId => sink.record({ actorId, result: 'deny' }));
+
+            expect(sink.records.map(r => r.actorId)).toEqual([2, 3]);
+            expect(Object.isFrozen(sink.records[0])).toBe(true);
+
+            sink.clear();
+            expect(sink.records).toEqual([]);
+        });
+
+        it('should require subclasses to implement the interface', () => {
+            const sink = new BaseAuditSink();
+            expect(() => sink.record({})).toThrow('record() not implemented');
+            expect(() => sink.recentDenials({})).toThrow('recentDenials() not implemented');
+        });
+    });
+
+    describe('DatabaseAuditSink', () => {
+        it('should insert snake_case rows through the repository', async () => {
+            const repository = { create: jest.fn(async () => ({})), findRecentDenials: jest.fn(async () => []) };
+            const sink = new DatabaseAuditSink({ repository });
+
+            await sink.record({
+                actorId: 7,
+                roles: [UserRoles.Customer],
+                action: 'delete',
+                resourceType: 'icon',
+                resourceId: 12,
+                rule: 'default-deny',
+                result: 'deny',
+                reason: 'no grant',
+                timestamp: '2026-10-19T10:00:00.000Z',
+            });
+
+            expect(repository.create).toHaveBeenCalledWith({
+                actor_id: 7,
+                roles: '["ROLE_CUSTOMER"]',
+                action: 'delete',
+                resource_type: 'icon',
+                resource_id: '12',
+                rule: 'default-deny',
+                result: 'deny',
+                reason: 'no grant',
+                created_at: '2026-10-19T10:00:00.000Z',
+            });
+
+            await sink.recentDenials({ actorId: 7, limit: 10 });
+            expect(repository.findRecentDenials).toHaveBeenCalledWith(7, { limit: 10, since: null });
+        });
+    });
+
+    describe('AccessDecisionRepository', () => {
+        it('should query recent denials for an actor', async () => {
+            const DB = require('@vectoricons.net/db');
+            const rows = [{ id: 1, actor_id: 7, result: 'deny' }];
+            const query = {
+                where: jest.fn(() => query),
+                orderBy: jest.fn(() => query),
+                limit: jest.fn(() => query),
+                then: (resolve, reject) => Promise.resolve(rows).then(resolve, reject),
+            };
+            DB.accessDecisions.query.mockReturnValue(query);
+            const repository = new AccessDecisionRepository({ DB });
+
+            const denials = await repository.findRecentDenials(7, { limit: 5, since: '2026-10-01' });
+
+            expect(query.where).toHaveBeenCalledWith({ actor_id: 7, result: 'deny' });
+            expect(query.where).toHaveBeenCalledWith('created_at', '>=', '2026-10-01');
+            expect(query.orderBy).toHaveBeenCalledWith('created_at', 'desc');
+            expect(query.limit).toHaveBeenCalledWith(5);
+            expect(denials[0]).toBeInstanceOf(AccessDecisionEntity);
+            expect(denials[0]).toMatchObject({ id: 1, actorId: 7 });
+        });
+    });
+});
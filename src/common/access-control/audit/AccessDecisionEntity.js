@@ -0,0 +1,26 @@
+'use strict';
+
+const { createEntityFromModel } = require('../../BaseEntity');
+const DB = require('@vectoricons.net/db');
+
+/**
+ * @module Access Control
+ * @fileoverview AccessDecisionEntity - Immutable access-decision audit record.
+ */
+class AccessDecisionEntity extends createEntityFromModel(DB.accessDecisions, {}, {
+    allowedColumns: [
+        'id',
+        'actor_id',
+        'roles',
+        'action',
+        'resource_type',
+        'resource_id',
+        'rule',
+        'result',
+        'reason',
+        'created_at',
+    ],
+    relatedEntities: {},
+}) {}
+
+module.exports = AccessDecisionEntity;
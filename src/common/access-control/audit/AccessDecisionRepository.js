@@ -0,0 +1,61 @@
+'use strict';
+
+const BaseRepository = require('../../BaseRepository');
+const AccessDecisionEntity = require('./AccessDecisionEntity');
+
+/**
+ * @module Access Control
+ * @fileoverview AccessDecisionRepository - Stores access decisions in the `access_decisions` table.
+ *
+ * **Table:**
+ * ```
+ * access_decisions
+ *   id             serial primary key
+ *   actor_id       integer null
+ *   roles          jsonb          -- role values, e.g. ["ROLE_CUSTOMER"]
+ *   action         text null
+ *   resource_type  text null
+ *   resource_id    text null
+ *   rule           text           -- e.g. 'ownership', 'policy:icon:*'
+ *   result         text           -- 'allow' | 'deny'
+ *   reason         text
+ *   created_at     timestamptz
+ *
+ *   index (actor_id, result, created_at desc)
+ * ```
+ */
+class AccessDecisionRepository extends BaseRepository {
+    constructor({ DB } = {}) {
+        super({
+            DB : DB || require('@vectoricons.net/db'),
+            modelName: 'accessDecisions',
+            entityClass: AccessDecisionEntity,
+        });
+    }
+
+    /**
+     * Most recent denials for an actor, newest first.
+     *
+     * @param {number|string} actorId
+     * @param {Object} [options]
+     * @param {number} [options.limit=50]
+     * @param {Date|string} [options.since] - Only denials at or after this time
+     * @param {Object} [options.trx]
+     * @returns {Promise<AccessDecisionEntity[]>}
+     */
+    async findRecentDenials(actorId, { limit = 50, since = null, trx } = {}) {
+        const query = this.model.query(trx)
+            .where({ actor_id: actorId, result: 'deny' })
+            .orderBy('created_at', 'desc')
+            .limit(limit);
+
+        if (since) {
+            query.where('created_at', '>=', since);
+        }
+
+        const rows = await query;
+        return this.finalize(this.wrapEntity(rows, this.entityClass), 'afterList');
+    }
+}
+
+module.exports = AccessDecisionRepository;
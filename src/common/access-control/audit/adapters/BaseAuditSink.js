@@ -0,0 +1,15 @@
+/**
+ * @module Access Control
+ * @fileoverview BaseAuditSink - Abstract base class for access-decision audit sinks.
+ *
+ * Defines the interface that all audit sinks must follow (in-memory, database,
+ * log shipping, etc.). Sinks receive one record per access decision.
+ */
+
+// Minimal sink interface. Implementations must provide these methods.
+class BaseAuditSink {
+    record(decision)     { throw new Error('record() not implemented'); }
+    recentDenials(query) { throw new Error('recentDenials() not implemented'); }
+}
+
+module.exports = BaseAuditSink;
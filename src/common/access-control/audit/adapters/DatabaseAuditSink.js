@@ -0,0 +1,69 @@
+const BaseAuditSink = require('./BaseAuditSink.js');
+
+/**
+ * @module Access Control
+ * @fileoverview DatabaseAuditSink - Writes access decisions to the `access_decisions` table.
+ *
+ * Persists each decision through AccessDecisionRepository so security reviews can
+ * query denials long after the process that made them has gone.
+ *
+ * @example
+ * const { setAuditSink, DatabaseAuditSink } = require('./audit');
+ * setAuditSink(new DatabaseAuditSink());
+ */
+class DatabaseAuditSink extends BaseAuditSink {
+    /**
+     * @param {Object} [options]
+     * @param {AccessDecisionRepository} [options.repository] Defaults to a repository on the shared DB
+     */
+    constructor({ repository = null } = {}) {
+        super();
+        this._repository = repository;
+    }
+
+    /**
+     * The repository in use. Created on first use so the sink can be configured
+     * before the DB connection is.
+     * @type {AccessDecisionRepository}
+     */
+    get repository() {
+        if (!this._repository) {
+            const AccessDecisionRepository = require('../AccessDecisionRepository');
+            this._repository = new AccessDecisionRepository();
+        }
+        return this._repository;
+    }
+
+    /**
+     * Insert an access decision row.
+     * @param {Object} decision - See MemoryAuditSink.record()
+     * @returns {Promise<*>}
+     */
+    record(decision) {
+        return this.repository.create({
+            actor_id      : decision.actorId ?? null,
+            roles         : JSON.stringify(decision.roles || []),
+            action        : decision.action ?? null,
+            resource_type : decision.resourceType ?? null,
+            resource_id   : decision.resourceId != null ? String(decision.resourceId) : null,
+            rule          : decision.rule,
+            result        : decision.result,
+            reason        : decision.reason,
+            created_at    : decision.timestamp,
+        });
+    }
+
+    /**
+     * Most recent denials for an actor, newest first.
+     * @param {Object} query
+     * @param {number|string} query.actorId
+     * @param {number} [query.limit=50]
+     * @param {Date|string} [query.since]
+     * @returns {Promise<Array<AccessDecisionEntity>>}
+     */
+    recentDenials({ actorId, limit = 50, since = null } = {}) {
+        return this.repository.findRecentDenials(actorId, { limit, since });
+    }
+}
+
+module.exports = DatabaseAuditSink;
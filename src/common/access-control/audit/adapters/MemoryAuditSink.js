@@ -0,0 +1,74 @@
+const BaseAuditSink = require('./BaseAuditSink.js');
+
+/**
+ * @module Access Control
+ * @fileoverview MemoryAuditSink - In-memory audit sink for development and testing.
+ *
+ * Keeps the most recent access decisions in a bounded buffer so tests can assert
+ * against them and long-running processes don't grow without limit.
+ */
+class MemoryAuditSink extends BaseAuditSink {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxRecords=1000] Oldest records are dropped past this size
+     */
+    constructor({ maxRecords = 1000 } = {}) {
+        super();
+        this.maxRecords = maxRecords;
+        this.records = [];
+    }
+
+    /**
+     * Store an access decision.
+     * @param {Object} decision
+     * @param {number|string|null} decision.actorId    Acting user id
+     * @param {string[]} decision.roles                Actor role values
+     * @param {string|null} decision.action            Action requested (e.g. 'update')
+     * @param {string|null} decision.resourceType      Resource type (e.g. 'icon')
+     * @param {number|string|null} decision.resourceId Resource id
+     * @param {string} decision.rule                   Rule that decided (e.g. 'ownership')
+     * @param {string} decision.result                 'allow' or 'deny'
+     * @param {string} decision.reason                 Human-readable reason
+     * @param {string} decision.timestamp              ISO timestamp
+     */
+    record(decision) {
+        this.records.push(Object.freeze({ ...decision }));
+        if (this.records.length > this.maxRecords) {
+            this.records.splice(0, this.records.length - this.maxRecords);
+        }
+    }
+
+    /**
+     * List recorded decisions, optionally filtered by exact field values.
+     * @param {Object} [where={}] e.g. { actorId: 7, result: 'deny' }
+     * @returns {Array<Object>}
+     */
+    getRecords(where = {}) {
+        const entries = Object.entries(where);
+        return this.records.filter(record => entries.every(([key, value]) => record[key] === value));
+    }
+
+    /**
+     * Most recent denials for an actor, newest first.
+     * @param {Object} query
+     * @param {number|string} query.actorId
+     * @param {number} [query.limit=50]
+     * @param {Date|string} [query.since] Only denials at or after this time
+     * @returns {Promise<Array<Object>>}
+     */
+    async recentDenials({ actorId, limit = 50, since = null } = {}) {
+        const from = since ? new Date(since).toISOString() : null;
+        return this.records
+            .filter(record => record.result === 'deny'
+                && String(record.actorId) === String(actorId)
+                && (!from || record.timestamp >= from))
+            .reverse()
+            .slice(0, limit);
+    }
+
+    clear() {
+        this.records = [];
+    }
+}
+
+module.exports = MemoryAuditSink;
@@ -0,0 +1,31 @@
+const BaseAuditSink = require('./adapters/BaseAuditSink.js');
+const MemoryAuditSink = require('./adapters/MemoryAuditSink.js');
+const DatabaseAuditSink = require('./adapters/DatabaseAuditSink.js');
+
+// Process-wide default sink used by AccessControlService instances that don't inject their own.
+let sink = new MemoryAuditSink();
+
+/**
+ * Get the default audit sink.
+ * @returns {BaseAuditSink}
+ */
+const getAuditSink = () => sink;
+
+/**
+ * Replace the default audit sink (e.g., with a DatabaseAuditSink at boot).
+ * @param {BaseAuditSink} nextSink
+ */
+const setAuditSink = (nextSink) => {
+    if (!(nextSink instanceof BaseAuditSink)) {
+        throw new Error('setAuditSink requires a BaseAuditSink instance');
+    }
+    sink = nextSink;
+};
+
+module.exports = {
+    BaseAuditSink,
+    MemoryAuditSink,
+    DatabaseAuditSink,
+    getAuditSink,
+    setAuditSink,
+};
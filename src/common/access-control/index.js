@@ -1,7 +1,46 @@
 const AccessControlService = require('./AccessControlService');
+const ForbiddenError = require('./ForbiddenError');
+const PolicyEngine = require('./PolicyEngine');
+const TeamMembershipResolver = require('./TeamMembershipResolver');
+const {
+    BaseAuditSink,
+    MemoryAuditSink,
+    DatabaseAuditSink,
+    getAuditSink,
+    setAuditSink,
+} = require('./audit');
+const { compilePolicyDocument, loadPolicyFile } = require('./PolicyDocument');
+const { AccessScopes, ResourceTypes, PolicyEffects, PolicyActions, PolicyConditions } = require('./AccessControlConstants');
 
-const initAccessControlService = (opts) => {
-    return new AccessControlService(opts);
+/**
+ * initAccessControlService(options?)
+ * - policies: action-keyed rules (see PolicyEngine)
+ * - policyFile: YAML/JSON RBAC policy file (env: RBAC_POLICY_FILE)
+ * - teams: TeamMembershipResolver or its options ({ lookup, cache, ttl })
+ * - resourceTypes: resource types besides ResourceTypes that policies may name
+ * - audit: audit sink, or false (default: getAuditSink())
+ */
+const initAccessControlService = (opts = {}) => {
+    const { policyFile = process.env.RBAC_POLICY_FILE || undefined, ...rest } = opts;
+    return new AccessControlService({ ...rest, policyFile });
 }
 
-module.exports = { AccessControlService, initAccessControlService };
\ No newline at end of file
+module.exports = {
+    AccessControlService,
+    ForbiddenError,
+    PolicyEngine,
+    TeamMembershipResolver,
+    BaseAuditSink,
+    MemoryAuditSink,
+    DatabaseAuditSink,
+    getAuditSink,
+    setAuditSink,
+    AccessScopes,
+    ResourceTypes,
+    PolicyEffects,
+    PolicyActions,
+    PolicyConditions,
+    compilePolicyDocument,
+    loadPolicyFile,
+    initAccessControlService,
+};
@@ -7,4 +7,33 @@ const CacheModes = {
 
 const kCACHE_DEFAULT_TTL = parseInt(process.env.CACHE_DEFAULT_TTL, 10) || 3600;
 
-module.exports = { CacheModes, kCACHE_DEFAULT_TTL };
\ No newline at end of file
+// Redis key prefix for tag index sets: cache:tag:<tag> → { cache keys }
+const kCACHE_TAG_PREFIX = 'cache:tag:';
+
+// Redis key prefix for cacheHandler refresh locks: cache:lock:<key>
+const kCACHE_LOCK_PREFIX = 'cache:lock:';
+
+// Refresh lock defaults (milliseconds): how long a lock lives, how long other
+// workers wait for its holder, and how often they check the cache meanwhile.
+const kCACHE_LOCK_DEFAULTS = Object.freeze({ ttl: 10000, wait: 3000, retry: 50 });
+
+// Stored value format (RedisCacheAdapter): a 4-byte header, then the body.
+//   [magic 0xCA][format version][serializer id][compression id]
+// Bump the version when the layout changes; entries written under another
+// version read as misses and are rewritten instead of being misread.
+const kCACHE_FORMAT_MAGIC = 0xCA;
+const kCACHE_FORMAT_VERSION = 1;
+
+// Serialized values at least this large (bytes) are compressed.
+const kCACHE_COMPRESS_THRESHOLD = parseInt(process.env.CACHE_COMPRESS_THRESHOLD, 10) || 1024;
+
+module.exports = {
+    CacheModes,
+    kCACHE_DEFAULT_TTL,
+    kCACHE_TAG_PREFIX,
+    kCACHE_LOCK_PREFIX,
+    kCACHE_LOCK_DEFAULTS,
+    kCACHE_FORMAT_MAGIC,
+    kCACHE_FORMAT_VERSION,
+    kCACHE_COMPRESS_THRESHOLD,
+};
\ No newline at end of file
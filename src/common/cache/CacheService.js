@@ -1,5 +1,6 @@
 const crypto = require('crypto');
-const { CacheModes, kCACHE_DEFAULT_TTL } = require('./CacheConstants');
+const { CacheModes, kCACHE_DEFAULT_TTL, kCACHE_LOCK_DEFAULTS } = require('./CacheConstants');
+const { getCacheStats } = require('./CacheStats');
 const utils = require('../../utils');
 
 /**
@@ -63,8 +64,12 @@ const utils = require('../../utils');
  * - User-Specific Caching: Automatic user ID inclusion for authenticated requests
  * - TTL Support: Time-to-live for automatic cache expiration
  * - Prefix-Based Invalidation: Clear all cache entries with specific prefix
+ * - Tag-Based Invalidation: Store entries under tags (`icon:42`, `user:13:favorites`)
+ *   and drop everything that mentions them with `invalidateTags()`
  * - Entity Rehydration: Automatic conversion from plain objects to Entity instances
  * - Cache Mode Control: Client can control caching behavior via query params
+ * - Metrics & Inspection: Hit/miss counters per base key (`getStats()`), and
+ *   listing, peeking at and evicting live keys (`listKeys()`, `peek()`, `evict()`)
  *
  * @example
  * // Basic setup with InMemory adapter (development/testing)
@@ -99,6 +104,92 @@ const utils = require('../../utils');
  * @see {@link CacheModes} For available cache modes
  */
 
+/**
+ * Marks values stored by stale-while-revalidate handlers, which are wrapped as
+ * `{ [kSTALE_ENVELOPE]: true, value, staleAt }` so readers know when they went stale.
+ * @private
+ */
+const kSTALE_ENVELOPE = '__swr';
+
+/**
+ * Request property holding the per-request state of fastifyHooks().
+ * @private
+ */
+const kROUTE_CACHE = Symbol('routeCache');
+
+/**
+ * @private
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * JSON-serialize a value with object keys sorted at every depth, so key order
+ * never changes a cache key and nested objects are kept whole.
+ * @private
+ * @param {*} value
+ * @returns {string}
+ */
+const stableStringify = (value) => {
+    if (value === null || typeof value !== 'object') return JSON.stringify(value) ?? String(value);
+    if (typeof value.toJSON === 'function') return stableStringify(value.toJSON());
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    const entries = Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+};
+
+/**
+ * Unwrap a cached value.
+ * @private
+ * @param {*} cached - Value from the adapter
+ * @returns {{value: *, stale: boolean}|null} Null on a miss
+ */
+const readEntry = (cached) => {
+    if (!cached) return null;
+    if (typeof cached === 'object' && cached[kSTALE_ENVELOPE]) {
+        return { value: cached.value, stale: Date.now() >= cached.staleAt };
+    }
+    return { value: cached, stale: false };
+};
+
+/**
+ * @private
+ * @param {string} [value] - `cacheMode` query parameter
+ * @returns {string} One of CacheModes, DEFAULT when unknown
+ */
+const toCacheMode = (value) => {
+    const mode = String(value || CacheModes.DEFAULT).toLowerCase();
+    return Object.values(CacheModes).includes(mode) ? mode : CacheModes.DEFAULT;
+};
+
+/**
+ * Does an `If-None-Match` header match the ETag? Weak validators compare equal,
+ * as RFC 9110 requires for GET.
+ * @private
+ * @param {string} [header]
+ * @param {string} etag
+ * @returns {boolean}
+ */
+const matchesETag = (header, etag) => {
+    if (!header) return false;
+    const strip = (tag) => tag.trim().replace(/^W\//, '');
+    return header.split(',').some(tag => tag.trim() === '*' || strip(tag) === strip(etag));
+};
+
+/**
+ * Normalise the `lock` option of cacheHandler().
+ * @private
+ * @param {boolean|Object} lock
+ * @returns {Object|null} `{ ttl, wait, retry }` in milliseconds, or null when disabled
+ */
+const normalizeLock = (lock) => {
+    if (!lock) return null;
+    return { ...kCACHE_LOCK_DEFAULTS, ...(typeof lock === 'object' ? lock : {}) };
+};
+
 /**
  * Cache service with adapter pattern for flexible backend support.
  *
@@ -113,12 +204,48 @@ const utils = require('../../utils');
  * ```typescript
  * interface CacheAdapter {
  *   get(key: string): Promise<any>;
- *   set(key: string, value: any, ttl?: number): Promise<void>;
+ *   set(key: string, value: any, ttl?: number, ctx?: { tags?: string[] }): Promise<void>;
  *   del(keys: string | string[]): Promise<void>;
- *   keys(): Promise<string[]>;
+ *   invalidatePrefix(prefix: string): Promise<string[]>;  // deleted keys
+ *   invalidateTags(tags: string[]): Promise<number>;  // for tag-based invalidation
+ *   inspect(options): Promise<{ keys, cursor }>;       // for listKeys() and clearCache({ matcher })
  * }
  * ```
  *
+ * **Tags:**
+ * Entries can be stored under tags naming what they contain. Invalidating a tag
+ * removes every entry stored under it, whatever its key, without scanning the
+ * keyspace:
+ * ```javascript
+ * // GET /api/sets/7 caches the set under ['set:7', 'icon:42', 'icon:43', ...]
+ * await cache.invalidateTags(['icon:42']);  // after icon 42 changes
+ * ```
+ *
+ * **Stampede Protection:**
+ * When a popular key expires, cacheHandler() keeps concurrent requests from all
+ * running the handler:
+ * - Single-flight (on by default): concurrent misses for a key in one process
+ *   share one handler call
+ * - Distributed lock (`lock` option): across processes, one worker takes a
+ *   Redis `SET NX PX` lock and refreshes; the others wait for its result
+ * - Stale-while-revalidate (`staleWhileRevalidate` option): expired values are
+ *   served for a grace period while one worker refreshes them in the background
+ * ```
+ * time ─────────────────────────────────────────────────────────▶
+ *      │◀──── ttl: fresh ────▶│◀── swr: stale, served ──▶│ miss
+ *                              └ first reader triggers one refresh
+ * ```
+ *
+ * **Metrics:**
+ * Lookups, writes and invalidations are counted per base key in a CacheStats
+ * instance (the process-wide one unless `options.stats` is given):
+ * ```javascript
+ * cache.getStats('icons:');
+ * // { 'icons:list': { hits: 90, misses: 10, sets: 10, evictions: 2, bytes: 81920, hitRate: 0.9 } }
+ * ```
+ * Evictions count entries removed by `invalidateTags()`, `clearCache()` and
+ * `evict()`; expiry is not counted.
+ *
  * **Cache Key Generation:**
  * Keys are deterministic - same parameters always generate same key regardless of order:
  * ```javascript
@@ -173,13 +300,15 @@ class CacheService {
      * - **DatadogAdapter**: Metrics collection and observability
      *
      * **Adapter Interface:**
-     * All adapters must implement: get(), set(), del(), keys()
+     * All adapters must implement: get(), set(), del(), invalidatePrefix()
      *
      * @param {Object} adapter - Cache adapter implementing required interface
      * @param {Function} adapter.get - Retrieve value by key: `async get(key: string) => any`
      * @param {Function} adapter.set - Store value with optional TTL: `async set(key: string, value: any, ttl?: number) => void`
      * @param {Function} adapter.del - Delete one or more keys: `async del(keys: string | string[]) => void`
-     * @param {Function} adapter.keys - List all keys: `async keys() => string[]`
+     * @param {Function} adapter.invalidatePrefix - Delete keys under a prefix: `async invalidatePrefix(prefix: string) => string[]`
+     * @param {Object} [options={}]
+     * @param {CacheStats} [options.stats=getCacheStats()] - Where hits, misses, sets and evictions are counted
      *
      * @throws {Error} If adapter is invalid or missing required methods
      *
@@ -199,11 +328,11 @@ class CacheService {
      *   async get(key) { return null; }
      *   async set(key, value, ttl) { return; }
      *   async del(keys) { return; }
-     *   async keys() { return []; }
+     *   async invalidatePrefix(prefix) { return []; }
      * }
      * const cache = new CacheService(new CustomAdapter());
      */
-    constructor(adapter) {
+    constructor(adapter, { stats = getCacheStats() } = {}) {
         if (!adapter || typeof adapter.get !== 'function') {
             throw new Error('A valid cache adapter is required');
         }
@@ -214,6 +343,19 @@ class CacheService {
          * @private
          */
         this.adapter = adapter;
+
+        /**
+         * Handler calls in progress, by cache key, for single-flight coalescing.
+         * @type {Map<string, Promise<*>>}
+         * @private
+         */
+        this.inflight = new Map();
+
+        /**
+         * Counters for this service's lookups and writes.
+         * @type {CacheStats}
+         */
+        this.stats = stats;
     }
 
     /**
@@ -255,8 +397,8 @@ class CacheService {
         const sortedKeys = Object.keys(params).sort();
         const keyParts = sortedKeys.map(key => {
             const val = params[key];
-            const serialized = typeof val === 'object'
-                ? JSON.stringify(val, Object.keys(val).sort())
+            const serialized = typeof val === 'object' && val !== null
+                ? stableStringify(val)
                 : String(val);
             return `${key}:${serialized}`;
         });
@@ -271,7 +413,10 @@ class CacheService {
     }
 
     /**
-     * Express/Fastify middleware for automatic request caching.
+     * Express-style middleware for automatic request caching.
+     *
+     * Fastify routes should use fastifyHooks() instead, which leaves the response
+     * body untouched and speaks HTTP caching headers.
      *
      * Supports cache modes via query parameter `?cacheMode=skip|bust|refresh`:
      * - DEFAULT: Return cached data if available, otherwise fetch and cache
@@ -283,11 +428,20 @@ class CacheService {
      * - Generates cache keys from request parameters
      * - Includes user ID in cache key if authenticated
      * - Adds `fromCache: true/false` to response
+     * - Stores the entry under `options.tags`, when given
      * - Handles errors with next()
      *
      * @param {string} baseKey - Base cache key for this route
      * @param {Function} handler - Async function that returns data: `async (req) => data`
      * @param {number} [ttl=kCACHE_DEFAULT_TTL] - Time-to-live in seconds
+     * @param {Object} [options={}]
+     * @param {string[]|Function} [options.tags] - Tags for the entry, or `(req, data) => string[]`
+     * @param {boolean} [options.singleFlight=true] - Share one handler call between concurrent misses in this process
+     * @param {boolean|Object} [options.lock=false] - Take a distributed refresh lock (adapters with `acquireLock()`)
+     * @param {number} [options.lock.ttl=10000] - Lock lifetime (ms); bounds how long a crashed holder blocks others
+     * @param {number} [options.lock.wait=3000] - How long others wait for the holder before running the handler themselves (ms)
+     * @param {number} [options.lock.retry=50] - How often waiting requests check the cache (ms)
+     * @param {number} [options.staleWhileRevalidate=0] - Seconds an expired entry is still served while it refreshes
      *
      * @returns {Function} Express/Fastify middleware function
      *
@@ -314,14 +468,33 @@ class CacheService {
      *   })
      * );
      * // Cache key includes user.id automatically
+     *
+     * @example
+     * // Tag the entry with everything it mentions
+     * app.get('/api/sets/:id',
+     *   cache.cacheHandler('sets:detail', async (req) => {
+     *     return setService.getWithIcons(req.params.id);
+     *   }, 3600, {
+     *     tags: (req, set) => [`set:${set.id}`, ...set.icons.map(icon => `icon:${icon.id}`)],
+     *   })
+     * );
+     *
+     * @example
+     * // Home page: one refresh at a time across the cluster, never block on a refresh
+     * app.get('/api/icons/popular',
+     *   cache.cacheHandler('icons:popular', async (req) => {
+     *     return iconService.getPopular();
+     *   }, 300, { lock: true, staleWhileRevalidate: 60 })
+     * );
      */
-    cacheHandler(baseKey, handler, ttl = kCACHE_DEFAULT_TTL) {
+    cacheHandler(baseKey, handler, ttl = kCACHE_DEFAULT_TTL, options = {}) {
         return async (req, res, next) => {
             try {
                 const params = utils.getRequestVars(req);
                 const userId = req?.user?.id;
                 const fullKey = this.getCacheKey(baseKey, params, userId);
-                const mode = (req.query.cacheMode || CacheModes.DEFAULT).toLowerCase();
+                const { singleFlight = true, staleWhileRevalidate: swr = 0 } = options;
+                const lock = normalizeLock(options.lock);
 
                 const formatResult = (data, fromCache) => {
                     if (typeof data === 'object' && data !== null) {
@@ -330,13 +503,20 @@ class CacheService {
                     return { data, fromCache };
                 };
 
-                const getMode = (value) => {
-                    return Object.values(CacheModes).includes(value)
-                        ? value
-                        : CacheModes.DEFAULT;
+                const store = async (data) => {
+                    const tags = typeof options.tags === 'function'
+                        ? await options.tags(req, data)
+                        : options.tags;
+                    return this._store(fullKey, data, ttl, { tags, swr });
+                };
+
+                const load = async () => {
+                    const data = await handler(req);
+                    await store(data);
+                    return data;
                 };
 
-                switch (getMode(mode)) {
+                switch (toCacheMode(req.query.cacheMode)) {
                     case CacheModes.SKIP:
                         return res.status(200).json(formatResult(await handler(req), false));
 
@@ -346,17 +526,22 @@ class CacheService {
 
                     case CacheModes.REFRESH:
                         await this.adapter.del(fullKey);
-                        const refreshed = await handler(req);
-                        await this.adapter.set(fullKey, refreshed, ttl);
-                        return res.status(200).json(formatResult(refreshed, false));
+                        return res.status(200).json(formatResult(await load(), false));
 
                     default:
-                        const cached = await this.adapter.get(fullKey);
+                        const cached = readEntry(await this.adapter.get(fullKey));
                         if (cached) {
-                            return res.status(200).json(formatResult(cached, true));
+                            this.stats.hit(fullKey);
+                            if (cached.stale) {
+                                this._revalidate(fullKey, load, lock);
+                            }
+                            return res.status(200).json(formatResult(cached.value, true));
                         }
-                        const result = await handler(req);
-                        await this.adapter.set(fullKey, result, ttl);
+                        this.stats.miss(fullKey);
+                        const loadLocked = () => this._loadWithLock(fullKey, load, lock);
+                        const result = singleFlight
+                            ? await this._singleFlight(fullKey, loadLocked)
+                            : await loadLocked();
                         return res.status(200).json(formatResult(result, false));
                 }
             }
@@ -367,20 +552,382 @@ class CacheService {
     }
 
     /**
-     * Clears cache entries by base key prefix or custom matcher function.
+     * Fastify route hooks for response caching with HTTP caching headers.
+     *
+     * Caches the serialized response body, so the body is sent exactly as the route
+     * produced it (no `fromCache` field) and strict response schemas keep passing.
+     * Cache state travels in headers instead:
+     * - `X-Cache: HIT | MISS`
+     * - `ETag` - hash of the body; requests whose `If-None-Match` matches get a 304
+     * - `Cache-Control` - `public` for anonymous requests, `private` for authenticated
+     *   ones, `max-age` from the TTL
+     *
+     * The lookup runs as a `preHandler`, after the route's own preHandlers, so that
+     * `req.user` from authentication is part of the key; `onSend` stores the body.
+     * Only 200 responses are cached. `?cacheMode=skip|bust|refresh` and the
+     * stampede options behave as in cacheHandler(); with stale-while-revalidate one
+     * request runs the route to refresh a stale entry while the rest get the stale body.
+     *
+     * @param {string} baseKey - Base cache key for the route
+     * @param {Object} [options={}]
+     * @param {number} [options.ttl=kCACHE_DEFAULT_TTL] - Time-to-live in seconds
+     * @param {string[]|Function} [options.tags] - Tags for the entry, or `(req, body) => string[]`
+     * @param {boolean} [options.singleFlight=true] - Concurrent misses wait for the first request's body
+     * @param {boolean|Object} [options.lock=false] - Distributed refresh lock, see cacheHandler()
+     * @param {number} [options.staleWhileRevalidate=0] - Seconds an expired entry is still served
+     * @param {string|Function} [options.cacheControl] - Cache-Control value, or `(req) => string`
+     *
+     * @returns {{preHandler: Function, onSend: Function, onResponse: Function}} Route-level hooks
+     *
+     * @example
+     * const hooks = cache.fastifyHooks('icons:detail', { ttl: 300, tags: (req, icon) => [`icon:${icon.id}`] });
+     * fastify.get('/icons/:id', {
+     *   schema,
+     *   preHandler: [authenticate, hooks.preHandler],
+     *   onSend: hooks.onSend,
+     *   onResponse: hooks.onResponse,
+     * }, async (req) => iconService.getById(req.params.id));
+     */
+    fastifyHooks(baseKey, options = {}) {
+        const {
+            ttl = kCACHE_DEFAULT_TTL,
+            tags,
+            singleFlight = true,
+            staleWhileRevalidate: swr = 0,
+            cacheControl,
+        } = options;
+        const lock = normalizeLock(options.lock);
+        const canLock = () => Boolean(lock) && typeof this.adapter.acquireLock === 'function';
+
+        const cacheControlFor = (req) => {
+            if (typeof cacheControl === 'function') return cacheControl(req);
+            if (typeof cacheControl === 'string') return cacheControl;
+            const scope = req.user?.id ? 'private' : 'public';
+            return `${scope}, max-age=${ttl}${swr > 0 ? `, stale-while-revalidate=${swr}` : ''}`;
+        };
+
+        const sendHit = (req, reply, state, stored) => {
+            state.hit = true;
+            this.stats.hit(state.key);
+            reply.header('ETag', stored.etag);
+            reply.header('Cache-Control', cacheControlFor(req));
+            reply.header('X-Cache', 'HIT');
+            if (matchesETag(req.headers?.['if-none-match'], stored.etag)) {
+                return reply.code(304).send();
+            }
+            if (stored.contentType) {
+                reply.header('Content-Type', stored.contentType);
+            }
+            return reply.code(200).send(stored.payload);
+        };
+
+        const preHandler = async (req, reply) => {
+            const { cacheMode, ...query } = req.query || {};
+            const key = this.getCacheKey(baseKey, { params: req.params || {}, query }, req.user?.id);
+            const state = { key, store: true, lookup: false, hit: false, flight: null, token: null };
+            req[kROUTE_CACHE] = state;
+
+            const mode = toCacheMode(cacheMode);
+            if (mode === CacheModes.SKIP) {
+                state.store = false;
+                return;
+            }
+            if (mode === CacheModes.BUST || mode === CacheModes.REFRESH) {
+                await this.adapter.del(key);
+                state.store = mode === CacheModes.REFRESH;
+                return;
+            }
+
+            state.lookup = true;
+            const entry = readEntry(await this.adapter.get(key));
+            if (entry) {
+                // One request refreshes a stale entry; everyone else is served the stale body.
+                if (entry.stale && this._claimFlight(state, `revalidate:${key}`)) {
+                    if (!canLock() || (state.token = await this.adapter.acquireLock(key, lock.ttl))) {
+                        return;
+                    }
+                    await this._settleRoute(state, null);
+                }
+                return sendHit(req, reply, state, entry.value);
+            }
+
+            if (singleFlight && !this._claimFlight(state, key)) {
+                const shared = await this.inflight.get(key);
+                if (shared) return sendHit(req, reply, state, shared);
+            }
+
+            if (canLock()) {
+                state.token = await this.adapter.acquireLock(key, lock.ttl);
+                if (!state.token) {
+                    const deadline = Date.now() + lock.wait;
+                    while (Date.now() < deadline) {
+                        await delay(lock.retry);
+                        const stored = readEntry(await this.adapter.get(key));
+                        if (stored) {
+                            await this._settleRoute(state, stored.value);
+                            return sendHit(req, reply, state, stored.value);
+                        }
+                    }
+                }
+            }
+        };
+
+        const onSend = async (req, reply, payload) => {
+            const state = req[kROUTE_CACHE];
+            if (!state || state.hit) return payload;
+
+            reply.header('X-Cache', 'MISS');
+            if (state.lookup) this.stats.miss(state.key);
+            if (reply.statusCode !== 200 || typeof payload !== 'string') {
+                await this._settleRoute(state, null);
+                return payload;
+            }
+
+            const etag = `"${crypto.createHash('md5').update(payload).digest('hex')}"`;
+            reply.header('ETag', etag);
+            reply.header('Cache-Control', cacheControlFor(req));
+
+            let stored = null;
+            if (state.store) {
+                stored = { payload, etag, contentType: reply.getHeader('content-type') };
+                try {
+                    let entryTags = tags;
+                    if (typeof tags === 'function') {
+                        let body;
+                        try { body = JSON.parse(payload); } catch { body = payload; }
+                        entryTags = await tags(req, body);
+                    }
+                    await this._store(state.key, stored, ttl, { tags: entryTags, swr });
+                }
+                catch (err) {
+                    stored = null;
+                    console.error(`[CacheService] Failed to cache ${state.key}`, err);
+                }
+            }
+            await this._settleRoute(state, stored);
+
+            if (matchesETag(req.headers?.['if-none-match'], etag)) {
+                reply.code(304);
+                return '';
+            }
+            return payload;
+        };
+
+        // Requests that end without reaching onSend must not leave waiters or locks behind.
+        const onResponse = async (req) => {
+            const state = req[kROUTE_CACHE];
+            if (state) await this._settleRoute(state, null);
+        };
+
+        return { preHandler, onSend, onResponse };
+    }
+
+    /**
+     * Store a value, wrapped for stale-while-revalidate when a grace period is set.
+     * @private
+     * @param {string} key
+     * @param {*} data
+     * @param {number} ttl - Seconds the value is fresh
+     * @param {Object} [options]
+     * @param {string[]} [options.tags]
+     * @param {number} [options.swr=0] - Grace period in seconds
+     * @returns {Promise<*>}
+     */
+    _store(key, data, ttl, { tags, swr = 0 } = {}) {
+        // Stale-while-revalidate entries outlive their TTL by the grace period.
+        const value = swr > 0
+            ? { [kSTALE_ENVELOPE]: true, value: data, staleAt: Date.now() + ttl * 1000 }
+            : data;
+        const storedTtl = swr > 0 ? ttl + swr : ttl;
+        this.stats.set(key, data);
+        return tags && tags.length
+            ? this.adapter.set(key, value, storedTtl, { tags })
+            : this.adapter.set(key, value, storedTtl);
+    }
+
+    /**
+     * Register a request as the one loading `flightKey`. Others wait on
+     * `this.inflight` until it settles.
+     * @private
+     * @param {Object} state - Per-request route cache state
+     * @param {string} flightKey
+     * @returns {boolean} False if another request already holds it
+     */
+    _claimFlight(state, flightKey) {
+        if (this.inflight.has(flightKey)) return false;
+
+        let resolve;
+        this.inflight.set(flightKey, new Promise(r => { resolve = r; }));
+        state.flight = { key: flightKey, resolve };
+        return true;
+    }
+
+    /**
+     * Hand a request's stored entry (or null) to its waiters and release its lock.
+     * Safe to call more than once.
+     * @private
+     * @param {Object} state
+     * @param {Object|null} stored
+     * @returns {Promise<void>}
+     */
+    async _settleRoute(state, stored) {
+        if (state.flight) {
+            this.inflight.delete(state.flight.key);
+            state.flight.resolve(stored);
+            state.flight = null;
+        }
+        if (state.token) {
+            const token = state.token;
+            state.token = null;
+            await this.adapter.releaseLock(state.key, token);
+        }
+    }
+
+    /**
+     * Run `fn` once per key at a time; concurrent callers share its promise.
+     * @private
+     * @param {string} key
+     * @param {Function} fn
+     * @returns {Promise<*>}
+     */
+    _singleFlight(key, fn) {
+        const pending = this.inflight.get(key);
+        if (pending) return pending;
+
+        const promise = Promise.resolve()
+            .then(fn)
+            .finally(() => this.inflight.delete(key));
+        this.inflight.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Load a value under the distributed refresh lock, when one is requested and
+     * the adapter supports it. Requests that lose the race poll the cache until the
+     * holder has stored the value, and load it themselves once `lock.wait` runs out.
+     * @private
+     * @param {string} key
+     * @param {Function} load - Runs the handler and stores its result
+     * @param {Object|null} lock - Normalised lock options
+     * @returns {Promise<*>}
+     */
+    async _loadWithLock(key, load, lock) {
+        if (!lock || typeof this.adapter.acquireLock !== 'function') {
+            return load();
+        }
+
+        const token = await this.adapter.acquireLock(key, lock.ttl);
+        if (token) {
+            try {
+                return await load();
+            }
+            finally {
+                await this.adapter.releaseLock(key, token);
+            }
+        }
+
+        const deadline = Date.now() + lock.wait;
+        while (Date.now() < deadline) {
+            await delay(lock.retry);
+            const entry = readEntry(await this.adapter.get(key));
+            if (entry) return entry.value;
+        }
+        return load();
+    }
+
+    /**
+     * Refresh a stale entry in the background. At most one refresh runs per key
+     * in this process, and with a lock, across processes; callers never wait on it.
+     * @private
+     * @param {string} key
+     * @param {Function} load - Runs the handler and stores its result
+     * @param {Object|null} lock - Normalised lock options
+     */
+    _revalidate(key, load, lock) {
+        // Kept apart from misses on the same key, which must not share a skipped refresh.
+        const flightKey = `revalidate:${key}`;
+        if (this.inflight.has(flightKey)) return;
+
+        this._singleFlight(flightKey, async () => {
+            if (!lock || typeof this.adapter.acquireLock !== 'function') {
+                return load();
+            }
+            const token = await this.adapter.acquireLock(key, lock.ttl);
+            if (!token) return null; // another worker is already refreshing
+            try {
+                return await load();
+            }
+            finally {
+                await this.adapter.releaseLock(key, token);
+            }
+        }).catch(err => console.error(`[CacheService] Failed to revalidate ${key}`, err));
+    }
+
+    /**
+     * Removes every entry stored under any of the given tags.
+     *
+     * Works from the adapter's tag index, so its cost depends on the number of
+     * tagged entries rather than the size of the keyspace, and each adapter
+     * performs it atomically.
+     *
+     * @async
+     * @param {string|string[]} tags - Tag or tags to invalidate, e.g. `['icon:42', 'set:7']`
+     *
+     * @returns {Promise<number>} Number of entries removed
+     *
+     * @throws {Error} If the adapter does not support tags
+     *
+     * @example
+     * // After icon 42 changes, drop every response that included it
+     * await cache.invalidateTags('icon:42');
+     *
+     * @example
+     * await cache.invalidateTags([`user:${userId}:favorites`, `icon:${iconId}`]);
+     */
+    async invalidateTags(tags) {
+        if (typeof this.adapter.invalidateTags !== 'function') {
+            throw new Error('Cache adapter does not support tags');
+        }
+        const list = (Array.isArray(tags) ? tags : [tags]).filter(Boolean).map(String);
+        if (list.length === 0) return 0;
+
+        // Adapters that report the deleted keys let evictions be counted per base key.
+        if (typeof this.adapter.deleteTagged === 'function') {
+            const deleted = await this.adapter.deleteTagged(list);
+            this.stats.evict(deleted);
+            return deleted.length;
+        }
+        return this.adapter.invalidateTags(list);
+    }
+
+    /**
+     * Clears cache entries by tags, base key prefix or custom matcher function.
      *
      * Useful for cache invalidation when data changes:
+     * - Clear all entries stored under some tags (preferred; see `invalidateTags()`)
      * - Clear all keys with a specific prefix
      * - Clear keys matching custom criteria
      * - Clear all keys (no parameters)
      *
+     * `tags` and `baseKey` are deleted by the adapter (`invalidateTags()`,
+     * `invalidatePrefix()`). A `matcher`, and clearing everything, page through the
+     * keyspace with `adapter.inspect()` (SCAN on Redis) and filter it in process, so
+     * prefer the first two on large instances.
+     *
      * @async
      * @param {Object} [options={}] - Clearing options
+     * @param {string|string[]} [options.tags] - Clear all entries stored under these tags
      * @param {string} [options.baseKey] - Clear all keys starting with this prefix
      * @param {Function} [options.matcher] - Custom function to filter keys: `(key) => boolean`
      *
      * @returns {Promise<number>} Number of keys cleared
      *
+     * @throws {Error} If a matcher or full clear is requested and the adapter does not support inspection
+     *
+     * @example
+     * // Clear everything that mentions icon 42
+     * await cache.clearCache({ tags: ['icon:42'] });
+     *
      * @example
      * // Clear all icon-related cache entries
      * await cache.clearCache({ baseKey: 'icons' });
@@ -401,21 +948,120 @@ class CacheService {
      * await iconService.updateIcon(id, data);
      * await cache.clearCache({ baseKey: 'icons' });
      */
-    async clearCache({ baseKey, matcher } = {}) {
-        const keys = await this.adapter.keys();
-        let matched = keys;
+    async clearCache({ tags, baseKey, matcher } = {}) {
+        if (tags) {
+            return this.invalidateTags(tags);
+        }
+
+        let matched;
 
-        if (typeof matcher === 'function') {
-            matched = keys.filter(matcher);
+        if (baseKey && typeof matcher !== 'function') {
+            const deleted = await this.adapter.invalidatePrefix(`${baseKey}:`);
+            matched = Array.isArray(deleted) ? deleted : [];
         }
-        else if (baseKey) {
-            matched = keys.filter(k => k.startsWith(`${baseKey}:`));
+        else {
+            this._requireInspection();
+            matched = [];
+            let cursor = null;
+            do {
+                const page = await this.adapter.inspect({ limit: 1000, cursor });
+                const keys = page.keys.map(({ key }) => key);
+                matched.push(...(typeof matcher === 'function' ? keys.filter(matcher) : keys));
+                cursor = page.cursor;
+            } while (cursor);
+
+            if (matched.length) await this.adapter.del(matched);
         }
 
-        await this.adapter.del(matched);
+        this.stats.evict(matched);
         console.log(`[CacheService] Cleared ${matched.length} key(s)`, matched);
         return matched.length;
     }
+
+    /**
+     * Hit, miss, write and eviction counters per base key.
+     *
+     * @param {string} [prefix=''] - Only base keys starting with this prefix
+     * @returns {Object<string, {hits: number, misses: number, sets: number, evictions: number, bytes: number, hitRate: number|null}>}
+     *
+     * @example
+     * cache.getStats('icons:');
+     * // { 'icons:list': { hits: 90, misses: 10, sets: 10, evictions: 2, bytes: 81920, hitRate: 0.9 } }
+     */
+    getStats(prefix = '') {
+        return this.stats.snapshot(prefix);
+    }
+
+    /**
+     * Lists live keys under a prefix with the seconds each has left, a page at a time.
+     *
+     * Pages come from the adapter's own iteration (SCAN on Redis), so a page can
+     * hold slightly more or fewer than `limit` keys, and keys written while paging
+     * may or may not show up.
+     *
+     * @async
+     * @param {Object} [options={}]
+     * @param {string} [options.prefix=''] - Key prefix, e.g. `icons:list:`
+     * @param {number} [options.limit=100] - Page size, at most 1000
+     * @param {string} [options.cursor] - Cursor from the previous page
+     *
+     * @returns {Promise<{keys: Array<{key: string, ttl: number|null}>, cursor: string|null}>}
+     *   `ttl` is null for keys without expiry; `cursor` is null on the last page
+     *
+     * @throws {Error} If the adapter does not support inspection
+     *
+     * @example
+     * let page = await cache.listKeys({ prefix: 'icons:' });
+     * while (page.cursor) {
+     *   page = await cache.listKeys({ prefix: 'icons:', cursor: page.cursor });
+     * }
+     */
+    async listKeys({ prefix = '', limit = 100, cursor = null } = {}) {
+        this._requireInspection();
+        const size = Math.min(Math.max(Number(limit) || 100, 1), 1000);
+        return this.adapter.inspect({ prefix: String(prefix), limit: size, cursor: cursor || null });
+    }
+
+    /**
+     * Reads a key as stored, without rehydration and without counting a hit.
+     *
+     * @async
+     * @param {string} key - Full cache key
+     * @returns {Promise<{key: string, ttl: number|null, value: *}|null>} Null if the key is missing
+     *
+     * @throws {Error} If the adapter does not support inspection
+     */
+    async peek(key) {
+        this._requireInspection();
+        return this.adapter.peek(key);
+    }
+
+    /**
+     * Removes one key and counts the eviction.
+     *
+     * @async
+     * @param {string} key - Full cache key
+     * @returns {Promise<boolean>} False if the key was not cached
+     *
+     * @throws {Error} If the adapter does not support inspection
+     */
+    async evict(key) {
+        if (!(await this.peek(key))) return false;
+
+        await this.adapter.del(key);
+        this.stats.evict(key);
+        return true;
+    }
+
+    /**
+     * @private
+     * @throws {Error} If the adapter cannot list or peek at keys
+     */
+    _requireInspection() {
+        if (typeof this.adapter.inspect !== 'function' || typeof this.adapter.peek !== 'function') {
+            throw new Error('Cache adapter does not support inspection');
+        }
+    }
 }
 
 module.exports = CacheService;
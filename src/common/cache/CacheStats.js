@@ -0,0 +1,130 @@
+/**
+ * @module Caching Layer
+ * @fileoverview CacheStats - Per-base-key cache effectiveness counters.
+ *
+ * Counts hits, misses, sets, evictions and bytes written for each base key.
+ * The base key is the cache key without its trailing hash segment:
+ * ```
+ * icons:list:5d41402abc4b2a76b9719d911017c592   → icons:list
+ * icon:getById:7d793037a0760186574b0282f2f435e1 → icon:getById
+ * ```
+ * CacheService and the withCacheable mixin share a process-wide instance
+ * (`getCacheStats()`), so route-level and service-level caching show up in one
+ * report.
+ *
+ * @example
+ * getCacheStats().snapshot();
+ * // { 'icons:list': { hits: 90, misses: 10, sets: 10, evictions: 2, bytes: 81920, hitRate: 0.9 } }
+ */
+class CacheStats {
+    constructor() {
+        /**
+         * Counters by base key.
+         * @type {Map<string, {hits: number, misses: number, sets: number, evictions: number, bytes: number}>}
+         * @private
+         */
+        this.counters = new Map();
+    }
+
+    /**
+     * Base key a cache key is reported under.
+     * @param {string} key
+     * @returns {string}
+     */
+    static baseKeyOf(key) {
+        const str = String(key);
+        const index = str.lastIndexOf(':');
+        return index > 0 ? str.slice(0, index) : str;
+    }
+
+    /**
+     * @param {string} key - Cache key
+     */
+    hit(key) {
+        this._counter(key).hits += 1;
+    }
+
+    /**
+     * @param {string} key - Cache key
+     */
+    miss(key) {
+        this._counter(key).misses += 1;
+    }
+
+    /**
+     * @param {string} key - Cache key
+     * @param {*} value - Stored value; strings count their UTF-8 length, anything else its JSON length
+     */
+    set(key, value) {
+        const counter = this._counter(key);
+        counter.sets += 1;
+        counter.bytes += CacheStats.sizeOf(value);
+    }
+
+    /**
+     * @param {string|string[]} keys - Cache keys removed by invalidation
+     */
+    evict(keys) {
+        for (const key of [].concat(keys)) {
+            this._counter(key).evictions += 1;
+        }
+    }
+
+    /**
+     * Counters by base key, with the hit rate over lookups.
+     * @param {string} [prefix] - Only base keys starting with this prefix
+     * @returns {Object<string, {hits: number, misses: number, sets: number, evictions: number, bytes: number, hitRate: number|null}>}
+     */
+    snapshot(prefix = '') {
+        const out = {};
+        for (const [baseKey, counter] of this.counters) {
+            if (!baseKey.startsWith(prefix)) continue;
+            const lookups = counter.hits + counter.misses;
+            out[baseKey] = { ...counter, hitRate: lookups ? counter.hits / lookups : null };
+        }
+        return out;
+    }
+
+    reset() {
+        this.counters.clear();
+    }
+
+    /**
+     * Approximate size of a value in bytes.
+     * @param {*} value
+     * @returns {number}
+     */
+    static sizeOf(value) {
+        if (value == null) return 0;
+        if (typeof value === 'string') return Buffer.byteLength(value);
+        try {
+            return Buffer.byteLength(JSON.stringify(value) || '');
+        } catch {
+            return 0;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _counter(key) {
+        const baseKey = CacheStats.baseKeyOf(key);
+        let counter = this.counters.get(baseKey);
+        if (!counter) {
+            counter = { hits: 0, misses: 0, sets: 0, evictions: 0, bytes: 0 };
+            this.counters.set(baseKey, counter);
+        }
+        return counter;
+    }
+}
+
+// Process-wide instance shared by CacheService and withCacheable.
+const stats = new CacheStats();
+
+/**
+ * Get the process-wide cache stats.
+ * @returns {CacheStats}
+ */
+const getCacheStats = () => stats;
+
+module.exports = { CacheStats, getCacheStats };
@@ -23,6 +23,19 @@ describe('CacheAdapter', () => {
         await expect(adapter.keys()).rejects.toThrow('Not implemented');
     });
 
+    it('should throw "Not implemented" for invalidatePrefix()', async () => {
+        await expect(adapter.invalidatePrefix('icons:')).rejects.toThrow('Not implemented');
+    });
+
+    it('should throw "Not implemented" for invalidateTags()', async () => {
+        await expect(adapter.invalidateTags(['tag'])).rejects.toThrow('Not implemented');
+    });
+
+    it('should throw "Not implemented" for inspect() and peek()', async () => {
+        await expect(adapter.inspect({ prefix: 'icons:' })).rejects.toThrow('Not implemented');
+        await expect(adapter.peek('testKey')).rejects.toThrow('Not implemented');
+    });
+
     it('should be instantiable as a base class', () => {
         expect(adapter).toBeInstanceOf(CacheAdapter);
     });
@@ -0,0 +1,172 @@
+const zlib = require('zlib');
+const {
+    CacheCodec,
+    JsonSerializer,
+    TypedJsonSerializer,
+    V8Serializer,
+} = require('../serializers');
+const { createEntityFromModel } = require('../../BaseEntity');
+
+const IconEntity = createEntityFromModel({
+    jsonSchema: {
+        properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            created_at: { type: 'string' },
+            secret: { type: 'string' },
+        },
+    },
+}, {}, { hiddenFields: ['secret'] });
+
+const graph = () => ({
+    id: 7,
+    createdAt: new Date('2026-10-19T10:00:00.000Z'),
+    downloads: 9007199254740993n,
+    tags: new Set(['arrow', 'ui']),
+    sizes: new Map([[16, 'sm'], [32, 'lg']]),
+    thumbnail: Buffer.from('png'),
+    nested: [{ at: new Date(0) }],
+});
+
+describe('CacheCodec', () => {
+    describe('serializers', () => {
+        it('should keep JSON as plain JSON', () => {
+            const json = new JsonSerializer();
+            const buffer = json.serialize({ id: 1, at: new Date(0) });
+
+            expect(buffer.toString()).toBe('{"id":1,"at":"1970-01-01T00:00:00.000Z"}');
+            expect(json.deserialize(buffer)).toEqual({ id: 1, at: '1970-01-01T00:00:00.000Z' });
+            expect(json.serialize(undefined).toString()).toBe('null');
+        });
+
+        it.each([
+            ['typed-json', new TypedJsonSerializer()],
+            ['v8', new V8Serializer()],
+        ])('should round-trip Date, BigInt, Map, Set and Buffer with %s', (name, serializer) => {
+            const read = serializer.deserialize(serializer.serialize(graph()));
+            // v8.deserialize() builds objects outside Jest's realm, so compare by type tag
+            const typeOf = (value) => Object.prototype.toString.call(value);
+
+            expect(typeOf(read.createdAt)).toBe('[object Date]');
+            expect(read.createdAt.toISOString()).toBe('2026-10-19T10:00:00.000Z');
+            expect(typeOf(read.nested[0].at)).toBe('[object Date]');
+            expect(read.downloads).toBe(9007199254740993n);
+            expect([...read.tags]).toEqual(['arrow', 'ui']);
+            expect([...read.sizes]).toEqual([[16, 'sm'], [32, 'lg']]);
+            expect(Buffer.from(read.thumbnail).toString()).toBe('png');
+        });
+
+        it.each([
+            ['typed-json', new TypedJsonSerializer()],
+            ['v8', new V8Serializer()],
+        ])('should store entities as their fields with %s', (name, serializer) => {
+            const icon = new IconEntity({ id: 1, name: 'home', createdAt: new Date(0), secret: 's3cret' });
+            const read = serializer.deserialize(serializer.serialize({ icon, list: [icon] }));
+
+            expect(read.icon).toEqual({ id: 1, name: 'home', createdAt: new Date(0) });
+            expect(read.list[0]).not.toHaveProperty('hiddenFields');
+        });
+
+        it('should not confuse objects with a $t key for tagged values', () => {
+            const typed = new TypedJsonSerializer();
+            const value = { $t: 'Date', v: 'not a date', nested: { $t: 'x' } };
+
+            expect(typed.deserialize(typed.serialize(value))).toEqual(value);
+        });
+
+        it('should use toJSON() for other objects', () => {
+            const typed = new TypedJsonSerializer();
+            const price = { amount: 1.5, toJSON: () => '1.50' };
+
+            expect(typed.deserialize(typed.serialize({ price }))).toEqual({ price: '1.50' });
+        });
+    });
+
+    describe('encode and decode', () => {
+        const big = { names: Array.from({ length: 200 }, (_, i) => `icon-${i % 5}`) };
+
+        it('should write the format header', async () => {
+            const encoded = await new CacheCodec({ serializer: 'v8' }).encode({ id: 1 });
+
+            expect([...encoded.subarray(0, 4)]).toEqual([0xCA, 1, 3, 0]);
+        });
+
+        it.each([
+            ['gzip', 1, zlib.gunzipSync],
+            ['brotli', 2, zlib.brotliDecompressSync],
+        ])('should compress with %s from the threshold', async (compression, id, decompress) => {
+            const codec = new CacheCodec({ compression, compressThreshold: 100 });
+            const encoded = await codec.encode(big);
+
+            expect(encoded[3]).toBe(id);
+            expect(JSON.parse(decompress(encoded.subarray(4)))).toEqual(big);
+            expect(await codec.decode(encoded)).toEqual({ value: big });
+
+            const small = await codec.encode({ id: 1 });
+            expect(small[3]).toBe(0);
+        });
+
+        it('should keep the body uncompressed when compression does not help', async () => {
+            const codec = new CacheCodec({ compressThreshold: 1 });
+            expect((await codec.encode('x'))[3]).toBe(0);
+        });
+
+        it('should read entries written with other settings', async () => {
+            const written = await new CacheCodec({ serializer: 'typed-json', compression: 'brotli', compressThreshold: 1 })
+                .encode(graph());
+
+            expect(await new CacheCodec({ serializer: 'json', compression: 'none' }).decode(written))
+                .toEqual({ value: graph() });
+        });
+
+        it('should read unreadable entries as misses', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const codec = new CacheCodec();
+            const encoded = await codec.encode({ id: 1 });
+
+            const otherVersion = Buffer.from(encoded);
+            otherVersion[1] = 2;
+            const unknownSerializer = Buffer.from(encoded);
+            unknownSerializer[2] = 200;
+            const corrupt = Buffer.from([0xCA, 1, 1, 1, 0, 1, 2]);
+
+            expect(await codec.decode(otherVersion)).toBeNull();
+            expect(await codec.decode(unknownSerializer)).toBeNull();
+            expect(await codec.decode(corrupt)).toBeNull();
+            expect(await codec.decode(Buffer.from([0xCA]))).toBeNull();
+            expect(console.error).toHaveBeenCalledTimes(1);
+            console.error.mockRestore();
+        });
+
+        it('should read values written before the header as JSON or raw strings', async () => {
+            const codec = new CacheCodec();
+
+            expect(await codec.decode(Buffer.from('[1,2]'))).toEqual({ value: [1, 2] });
+            expect(await codec.decode(Buffer.from('plain'))).toEqual({ value: 'plain' });
+        });
+    });
+
+    describe('custom serializers', () => {
+        const upper = {
+            id: 16,
+            name: 'upper',
+            serialize: (value) => Buffer.from(String(value).toUpperCase()),
+            deserialize: (buffer) => buffer.toString(),
+        };
+
+        it('should write with a custom serializer and read with registered ones', async () => {
+            const encoded = await new CacheCodec({ serializer: upper }).encode('home');
+
+            expect(encoded[2]).toBe(16);
+            expect(await new CacheCodec({ serializers: [upper] }).decode(encoded)).toEqual({ value: 'HOME' });
+            expect(await new CacheCodec().decode(encoded)).toBeNull();
+        });
+
+        it('should reject reserved ids and unknown settings', () => {
+            expect(() => new CacheCodec({ serializer: { ...upper, id: 3 } }))
+                .toThrow('Custom cache serializer ids must be 16-255 (got 3 for upper)');
+            expect(() => new CacheCodec({ serializer: 'msgpack' })).toThrow('Unknown cache serializer: msgpack');
+            expect(() => new CacheCodec({ compression: 'zstd' })).toThrow('Unknown cache compression: zstd');
+        });
+    });
+});
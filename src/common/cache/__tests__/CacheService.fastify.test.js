@@ -0,0 +1,250 @@
+jest.mock('../../../utils', () => ({
+    getRequestVars: jest.fn(() => ({})),
+}));
+
+const CacheService = require('../CacheService');
+const NodeCacheAdapter = require('../adapters/NodeCacheAdapter');
+
+const kJSON = 'application/json; charset=utf-8';
+
+const makeReq = ({ query = {}, params = { id: '42' }, headers = {}, user } = {}) => ({ query, params, headers, user });
+
+const makeReply = () => {
+    const headers = {};
+    const reply = {
+        statusCode: 200,
+        sent: false,
+        headers,
+        header(name, value) {
+            headers[name.toLowerCase()] = value;
+            return reply;
+        },
+        getHeader: (name) => headers[name.toLowerCase()],
+        code(status) {
+            reply.statusCode = status;
+            return reply;
+        },
+        send(payload) {
+            reply.sent = true;
+            reply.payload = payload;
+            return reply;
+        },
+    };
+    return reply;
+};
+
+/**
+ * Run a request through the hooks the way Fastify would: preHandler, then the
+ * route handler unless a hook replied, then serialization, onSend and onResponse.
+ */
+const run = async (hooks, req, handler) => {
+    const reply = makeReply();
+    await hooks.preHandler(req, reply);
+
+    let payload;
+    if (reply.sent) {
+        payload = reply.payload;
+    }
+    else {
+        const result = await handler(req, reply);
+        if (!reply.getHeader('content-type')) reply.header('Content-Type', kJSON);
+        payload = JSON.stringify(result);
+    }
+    payload = await hooks.onSend(req, reply, payload);
+    await hooks.onResponse(req, reply);
+    return { reply, payload };
+};
+
+describe('CacheService.fastifyHooks', () => {
+    let adapter;
+    let cache;
+    let handler;
+
+    beforeEach(() => {
+        adapter = new NodeCacheAdapter();
+        cache = new CacheService(adapter);
+        handler = jest.fn(async (req) => ({ id: Number(req.params.id), name: 'rocket' }));
+    });
+
+    afterEach(async () => {
+        await adapter.close();
+    });
+
+    it('should miss, then hit with the untouched body', async () => {
+        const hooks = cache.fastifyHooks('icons:detail', { ttl: 300 });
+
+        const first = await run(hooks, makeReq(), handler);
+        const second = await run(hooks, makeReq(), handler);
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(first.reply.headers['x-cache']).toBe('MISS');
+        expect(second.reply.headers['x-cache']).toBe('HIT');
+        expect(second.payload).toBe('{"id":42,"name":"rocket"}');
+        expect(JSON.parse(second.payload)).not.toHaveProperty('fromCache');
+        expect(second.reply.headers['content-type']).toBe(kJSON);
+        expect(second.reply.headers.etag).toBe(first.reply.headers.etag);
+        expect(first.reply.headers.etag).toMatch(/^"[a-f0-9]{32}"$/);
+    });
+
+    it('should set Cache-Control by audience and TTL', async () => {
+        const hooks = cache.fastifyHooks('icons:detail', { ttl: 300, staleWhileRevalidate: 60 });
+
+        const anonymous = await run(hooks, makeReq(), handler);
+        const signedIn = await run(hooks, makeReq({ user: { id: 7 } }), handler);
+
+        expect(anonymous.reply.headers['cache-control']).toBe('public, max-age=300, stale-while-revalidate=60');
+        expect(signedIn.reply.headers['cache-control']).toBe('private, max-age=300, stale-while-revalidate=60');
+    });
+
+    it('should accept a custom Cache-Control', async () => {
+        const hooks = cache.fastifyHooks('icons:detail', { cacheControl: 'no-cache' });
+        const { reply } = await run(hooks, makeReq(), handler);
+
+        expect(reply.headers['cache-control']).toBe('no-cache');
+    });
+
+    it('should key entries by user', async () => {
+        const hooks = cache.fastifyHooks('favorites', { ttl: 300 });
+
+        await run(hooks, makeReq({ user: { id: 1 } }), handler);
+        const other = await run(hooks, makeReq({ user: { id: 2 } }), handler);
+
+        expect(other.reply.headers['x-cache']).toBe('MISS');
+        expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    describe('conditional requests', () => {
+        it('should answer a matching If-None-Match with 304 on a hit', async () => {
+            const hooks = cache.fastifyHooks('icons:detail');
+            const { reply: first } = await run(hooks, makeReq(), handler);
+
+            const { reply } = await run(hooks, makeReq({ headers: { 'if-none-match': `W/${first.headers.etag}` } }), handler);
+
+            expect(reply.statusCode).toBe(304);
+            expect(reply.payload).toBeUndefined();
+            expect(reply.headers.etag).toBe(first.headers.etag);
+        });
+
+        it('should answer a matching If-None-Match with 304 on a miss', async () => {
+            const hooks = cache.fastifyHooks('icons:detail');
+            const { reply: first } = await run(hooks, makeReq({ query: { cacheMode: 'skip' } }), handler);
+
+            const { reply, payload } = await run(hooks, makeReq({ headers: { 'if-none-match': first.headers.etag } }), handler);
+
+            expect(reply.headers['x-cache']).toBe('MISS');
+            expect(reply.statusCode).toBe(304);
+            expect(payload).toBe('');
+        });
+
+        it('should send the body when the ETag does not match', async () => {
+            const hooks = cache.fastifyHooks('icons:detail');
+            await run(hooks, makeReq(), handler);
+
+            const { reply } = await run(hooks, makeReq({ headers: { 'if-none-match': '"stale", "older"' } }), handler);
+
+            expect(reply.statusCode).toBe(200);
+            expect(reply.payload).toBe('{"id":42,"name":"rocket"}');
+        });
+    });
+
+    it('should not cache error responses', async () => {
+        const hooks = cache.fastifyHooks('icons:detail');
+        const failing = async (req, reply) => {
+            reply.code(404);
+            return { message: 'icon not found' };
+        };
+
+        await run(hooks, makeReq(), failing);
+        const { reply } = await run(hooks, makeReq(), handler);
+
+        expect(reply.headers['x-cache']).toBe('MISS');
+        expect(reply.statusCode).toBe(200);
+    });
+
+    describe('cache modes', () => {
+        let hooks;
+
+        beforeEach(async () => {
+            hooks = cache.fastifyHooks('icons:detail');
+            await run(hooks, makeReq(), handler);
+            handler.mockResolvedValue({ id: 42, name: 'renamed' });
+        });
+
+        it('should bypass the cache with skip', async () => {
+            const { payload } = await run(hooks, makeReq({ query: { cacheMode: 'skip' } }), handler);
+            const { reply } = await run(hooks, makeReq(), handler);
+
+            expect(payload).toContain('renamed');
+            expect(reply.payload).toContain('rocket');
+        });
+
+        it('should drop the entry with bust', async () => {
+            await run(hooks, makeReq({ query: { cacheMode: 'bust' } }), handler);
+            const { reply } = await run(hooks, makeReq(), handler);
+
+            expect(reply.headers['x-cache']).toBe('MISS');
+        });
+
+        it('should replace the entry with refresh', async () => {
+            await run(hooks, makeReq({ query: { cacheMode: 'refresh' } }), handler);
+            const { reply } = await run(hooks, makeReq(), handler);
+
+            expect(reply.headers['x-cache']).toBe('HIT');
+            expect(reply.payload).toContain('renamed');
+        });
+    });
+
+    it('should tag entries from the parsed body', async () => {
+        const hooks = cache.fastifyHooks('icons:detail', { tags: (req, icon) => [`icon:${icon.id}`] });
+
+        await run(hooks, makeReq(), handler);
+        expect(await cache.invalidateTags('icon:42')).toBe(1);
+    });
+
+    it('should let concurrent misses share the first response', async () => {
+        let release;
+        handler.mockImplementation(() => new Promise(resolve => { release = resolve; }));
+        const hooks = cache.fastifyHooks('icons:detail');
+
+        const pending = [run(hooks, makeReq(), handler), run(hooks, makeReq(), handler)];
+        await new Promise(resolve => setImmediate(resolve));
+        release({ id: 42 });
+        const [first, second] = await Promise.all(pending);
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(first.reply.headers['x-cache']).toBe('MISS');
+        expect(second.reply.headers['x-cache']).toBe('HIT');
+        expect(second.payload).toBe('{"id":42}');
+        expect(cache.inflight.size).toBe(0);
+    });
+
+    it('should let one request refresh a stale entry while others get the stale body', async () => {
+        const hooks = cache.fastifyHooks('icons:detail', { ttl: 0, staleWhileRevalidate: 60 });
+        await run(hooks, makeReq(), handler);
+
+        let release;
+        handler.mockImplementation(() => new Promise(resolve => { release = resolve; }));
+        const refreshing = run(hooks, makeReq(), handler);
+        await new Promise(resolve => setImmediate(resolve));
+        const stale = await run(hooks, makeReq(), handler);
+        release({ id: 42, name: 'renamed' });
+        const refreshed = await refreshing;
+
+        expect(handler).toHaveBeenCalledTimes(2);
+        expect(stale.reply.headers['x-cache']).toBe('HIT');
+        expect(stale.payload).toContain('rocket');
+        expect(refreshed.reply.headers['x-cache']).toBe('MISS');
+        expect(refreshed.payload).toContain('renamed');
+    });
+
+    it('should release the refresh lock after storing', async () => {
+        adapter.acquireLock = jest.fn().mockResolvedValue('token');
+        adapter.releaseLock = jest.fn().mockResolvedValue(true);
+        const hooks = cache.fastifyHooks('icons:detail', { lock: true });
+
+        await run(hooks, makeReq(), handler);
+
+        expect(adapter.acquireLock).toHaveBeenCalledTimes(1);
+        expect(adapter.releaseLock).toHaveBeenCalledWith(expect.stringMatching(/^icons:detail:/), 'token');
+    });
+});
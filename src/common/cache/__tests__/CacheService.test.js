@@ -4,6 +4,8 @@ jest.mock('../../../utils', () => ({
 
 const CacheService = require('../CacheService');
 const { CacheModes } = require('../CacheConstants');
+const { CacheStats, getCacheStats } = require('../CacheStats');
+const NodeCacheAdapter = require('../adapters/NodeCacheAdapter');
 
 describe('CacheService', () => {
     let mockAdapter;
@@ -14,7 +16,8 @@ describe('CacheService', () => {
             get: jest.fn(),
             set: jest.fn(),
             del: jest.fn(),
-            keys: jest.fn(),
+            invalidatePrefix: jest.fn().mockResolvedValue([]),
+            invalidateTags: jest.fn().mockResolvedValue(3),
         };
         cacheService = new CacheService(mockAdapter);
     });
@@ -77,23 +80,36 @@ describe('CacheService', () => {
             const key2 = cacheService.getCacheKey('users', { filter: { b: 1 } });
             expect(key1).not.toBe(key2);
         });
+
+        it('should keep nested values in the key', () => {
+            const key1 = cacheService.getCacheKey('icons', { where: { $accessScope: [{ user_id: 7 }, { is_public: true }] } });
+            const key2 = cacheService.getCacheKey('icons', { where: { $accessScope: [{ user_id: 8 }, { is_public: true }] } });
+            expect(key1).not.toBe(key2);
+        });
+
+        it('should sort nested keys for consistent keys', () => {
+            const key1 = cacheService.getCacheKey('icons', { where: { style_id: 3, set_id: 1 } });
+            const key2 = cacheService.getCacheKey('icons', { where: { set_id: 1, style_id: 3 } });
+            expect(key1).toBe(key2);
+        });
     });
 
     describe('clearCache', () => {
         beforeEach(() => {
-            mockAdapter.keys.mockResolvedValue([
-                'users:hash1',
-                'users:hash2',
-                'posts:hash3',
-                'comments:hash4',
-            ]);
+            mockAdapter.peek = jest.fn();
+            mockAdapter.inspect = jest.fn()
+                .mockResolvedValueOnce({ keys: [{ key: 'users:hash1' }, { key: 'users:hash2' }], cursor: '2' })
+                .mockResolvedValueOnce({ keys: [{ key: 'posts:hash3' }, { key: 'comments:hash4' }], cursor: null });
         });
 
-        it('should clear all keys by baseKey', async () => {
+        it('should clear all keys by baseKey through the adapter', async () => {
+            mockAdapter.invalidatePrefix.mockResolvedValue(['users:hash1', 'users:hash2']);
+
             const count = await cacheService.clearCache({ baseKey: 'users' });
 
-            expect(mockAdapter.keys).toHaveBeenCalled();
-            expect(mockAdapter.del).toHaveBeenCalledWith(['users:hash1', 'users:hash2']);
+            expect(mockAdapter.invalidatePrefix).toHaveBeenCalledWith('users:');
+            expect(mockAdapter.inspect).not.toHaveBeenCalled();
+            expect(mockAdapter.del).not.toHaveBeenCalled();
             expect(count).toBe(2);
         });
 
@@ -101,10 +117,17 @@ describe('CacheService', () => {
             const matcher = (key) => key.includes('hash3') || key.includes('hash4');
             const count = await cacheService.clearCache({ matcher });
 
+            expect(mockAdapter.inspect).toHaveBeenNthCalledWith(1, { limit: 1000, cursor: null });
+            expect(mockAdapter.inspect).toHaveBeenNthCalledWith(2, { limit: 1000, cursor: '2' });
             expect(mockAdapter.del).toHaveBeenCalledWith(['posts:hash3', 'comments:hash4']);
             expect(count).toBe(2);
         });
 
+        it('should require inspection for matchers', async () => {
+            delete mockAdapter.inspect;
+            await expect(cacheService.clearCache({ matcher: () => true })).rejects.toThrow('does not support inspection');
+        });
+
         it('should clear all keys when no options provided', async () => {
             const count = await cacheService.clearCache();
 
@@ -123,6 +146,37 @@ describe('CacheService', () => {
         });
     });
 
+    describe('invalidateTags', () => {
+        it('should delegate to the adapter', async () => {
+            const count = await cacheService.invalidateTags(['icon:42', 'set:7']);
+
+            expect(mockAdapter.invalidateTags).toHaveBeenCalledWith(['icon:42', 'set:7']);
+            expect(count).toBe(3);
+        });
+
+        it('should accept a single tag', async () => {
+            await cacheService.invalidateTags('icon:42');
+            expect(mockAdapter.invalidateTags).toHaveBeenCalledWith(['icon:42']);
+        });
+
+        it('should skip the adapter when there are no tags', async () => {
+            expect(await cacheService.invalidateTags([])).toBe(0);
+            expect(mockAdapter.invalidateTags).not.toHaveBeenCalled();
+        });
+
+        it('should be reachable through clearCache without scanning keys', async () => {
+            const count = await cacheService.clearCache({ tags: ['icon:42'] });
+
+            expect(count).toBe(3);
+            expect(mockAdapter.invalidatePrefix).not.toHaveBeenCalled();
+        });
+
+        it('should throw when the adapter does not support tags', async () => {
+            delete mockAdapter.invalidateTags;
+            await expect(cacheService.invalidateTags('icon:42')).rejects.toThrow('Cache adapter does not support tags');
+        });
+    });
+
     describe('cacheHandler', () => {
         let mockReq;
         let mockRes;
@@ -299,5 +353,328 @@ describe('CacheService', () => {
                 3600 // default from CacheConstants
             );
         });
+
+        it('should store the entry under static tags', async () => {
+            mockAdapter.get.mockResolvedValue(null);
+
+            const middleware = cacheService.cacheHandler('test', mockHandler, 60, { tags: ['icon:42'] });
+            await middleware(mockReq, mockRes, mockNext);
+
+            expect(mockAdapter.set).toHaveBeenCalledWith(expect.any(String), { data: 'test' }, 60, { tags: ['icon:42'] });
+        });
+
+        it('should derive tags from the request and result', async () => {
+            mockAdapter.get.mockResolvedValue(null);
+            mockHandler.mockResolvedValue({ id: 7, icons: [{ id: 1 }, { id: 2 }] });
+            mockReq.query.cacheMode = 'refresh';
+
+            const tags = jest.fn((req, set) => [`set:${set.id}`, ...set.icons.map(icon => `icon:${icon.id}`)]);
+            const middleware = cacheService.cacheHandler('sets', mockHandler, 60, { tags });
+            await middleware(mockReq, mockRes, mockNext);
+
+            expect(tags).toHaveBeenCalledWith(mockReq, expect.objectContaining({ id: 7 }));
+            expect(mockAdapter.set).toHaveBeenCalledWith(
+                expect.any(String),
+                expect.any(Object),
+                60,
+                { tags: ['set:7', 'icon:1', 'icon:2'] }
+            );
+        });
+    });
+
+    describe('stampede protection', () => {
+        const makeReq = () => ({ query: {}, params: {}, body: {}, user: null });
+        const makeRes = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn() });
+        const flush = () => new Promise(resolve => setImmediate(resolve));
+
+        let release;
+        let handler;
+
+        beforeEach(() => {
+            mockAdapter.get.mockResolvedValue(null);
+            handler = jest.fn(() => new Promise(resolve => { release = resolve; }));
+        });
+
+        it('should share one handler call between concurrent misses', async () => {
+            const middleware = cacheService.cacheHandler('popular', handler, 60);
+            const responses = [makeRes(), makeRes(), makeRes()];
+
+            const pending = responses.map(res => middleware(makeReq(), res, jest.fn()));
+            await flush();
+            release({ icons: [1, 2] });
+            await Promise.all(pending);
+
+            expect(handler).toHaveBeenCalledTimes(1);
+            expect(mockAdapter.set).toHaveBeenCalledTimes(1);
+            responses.forEach(res => expect(res.json).toHaveBeenCalledWith({ icons: [1, 2], fromCache: false }));
+            expect(cacheService.inflight.size).toBe(0);
+        });
+
+        it('should run the handler per request when single-flight is off', async () => {
+            handler.mockResolvedValue({ ok: true });
+            const middleware = cacheService.cacheHandler('popular', handler, 60, { singleFlight: false });
+
+            await Promise.all([1, 2].map(() => middleware(makeReq(), makeRes(), jest.fn())));
+
+            expect(handler).toHaveBeenCalledTimes(2);
+        });
+
+        it('should not coalesce after a failed call', async () => {
+            handler.mockRejectedValueOnce(new Error('boom')).mockResolvedValueOnce({ ok: true });
+            const middleware = cacheService.cacheHandler('popular', handler, 60);
+            const next = jest.fn();
+
+            await middleware(makeReq(), makeRes(), next);
+            const res = makeRes();
+            await middleware(makeReq(), res, jest.fn());
+
+            expect(next).toHaveBeenCalledWith(expect.any(Error));
+            expect(res.json).toHaveBeenCalledWith({ ok: true, fromCache: false });
+        });
+
+        describe('distributed lock', () => {
+            beforeEach(() => {
+                mockAdapter.acquireLock = jest.fn().mockResolvedValue('token-1');
+                mockAdapter.releaseLock = jest.fn().mockResolvedValue(true);
+                handler.mockResolvedValue({ fresh: true });
+            });
+
+            it('should load under the lock and release it', async () => {
+                const middleware = cacheService.cacheHandler('popular', handler, 60, { lock: { ttl: 5000 } });
+                await middleware(makeReq(), makeRes(), jest.fn());
+
+                const [key] = mockAdapter.set.mock.calls[0];
+                expect(mockAdapter.acquireLock).toHaveBeenCalledWith(key, 5000);
+                expect(mockAdapter.releaseLock).toHaveBeenCalledWith(key, 'token-1');
+                expect(handler).toHaveBeenCalledTimes(1);
+            });
+
+            it('should release the lock when the handler fails', async () => {
+                handler.mockRejectedValue(new Error('boom'));
+                const middleware = cacheService.cacheHandler('popular', handler, 60, { lock: true });
+                await middleware(makeReq(), makeRes(), jest.fn());
+
+                expect(mockAdapter.releaseLock).toHaveBeenCalled();
+            });
+
+            it('should wait for the lock holder to store the value', async () => {
+                mockAdapter.acquireLock.mockResolvedValue(null);
+                mockAdapter.get
+                    .mockResolvedValueOnce(null)
+                    .mockResolvedValueOnce(null)
+                    .mockResolvedValueOnce({ fromHolder: true });
+
+                const res = makeRes();
+                const middleware = cacheService.cacheHandler('popular', handler, 60, { lock: { retry: 1, wait: 1000 } });
+                await middleware(makeReq(), res, jest.fn());
+
+                expect(handler).not.toHaveBeenCalled();
+                expect(res.json).toHaveBeenCalledWith({ fromHolder: true, fromCache: false });
+            });
+
+            it('should load itself once the wait runs out', async () => {
+                mockAdapter.acquireLock.mockResolvedValue(null);
+
+                const middleware = cacheService.cacheHandler('popular', handler, 60, { lock: { retry: 1, wait: 5 } });
+                await middleware(makeReq(), makeRes(), jest.fn());
+
+                expect(handler).toHaveBeenCalledTimes(1);
+                expect(mockAdapter.releaseLock).not.toHaveBeenCalled();
+            });
+
+            it('should ignore the lock when the adapter cannot lock', async () => {
+                delete mockAdapter.acquireLock;
+                const middleware = cacheService.cacheHandler('popular', handler, 60, { lock: true });
+                await middleware(makeReq(), makeRes(), jest.fn());
+
+                expect(handler).toHaveBeenCalledTimes(1);
+            });
+        });
+
+        describe('stale-while-revalidate', () => {
+            const envelope = (value, staleAt) => ({ __swr: true, value, staleAt });
+
+            beforeEach(() => {
+                handler.mockResolvedValue({ fresh: true });
+            });
+
+            it('should keep entries for the TTL plus the grace period', async () => {
+                const middleware = cacheService.cacheHandler('popular', handler, 60, { staleWhileRevalidate: 30 });
+                await middleware(makeReq(), makeRes(), jest.fn());
+
+                expect(mockAdapter.set).toHaveBeenCalledWith(
+                    expect.any(String),
+                    { __swr: true, value: { fresh: true }, staleAt: expect.any(Number) },
+                    90
+                );
+            });
+
+            it('should serve fresh entries without refreshing', async () => {
+                mockAdapter.get.mockResolvedValue(envelope({ cached: true }, Date.now() + 60000));
+                const res = makeRes();
+
+                const middleware = cacheService.cacheHandler('popular', handler, 60, { staleWhileRevalidate: 30 });
+                await middleware(makeReq(), res, jest.fn());
+
+                expect(res.json).toHaveBeenCalledWith({ cached: true, fromCache: true });
+                expect(handler).not.toHaveBeenCalled();
+            });
+
+            it('should serve stale entries and refresh them once in the background', async () => {
+                mockAdapter.get.mockResolvedValue(envelope({ cached: true }, Date.now() - 1));
+                const responses = [makeRes(), makeRes()];
+
+                const middleware = cacheService.cacheHandler('popular', handler, 60, { staleWhileRevalidate: 30 });
+                await Promise.all(responses.map(res => middleware(makeReq(), res, jest.fn())));
+                await flush();
+
+                responses.forEach(res => expect(res.json).toHaveBeenCalledWith({ cached: true, fromCache: true }));
+                expect(handler).toHaveBeenCalledTimes(1);
+                expect(mockAdapter.set).toHaveBeenCalledWith(
+                    expect.any(String),
+                    expect.objectContaining({ value: { fresh: true } }),
+                    90
+                );
+            });
+
+            it('should leave the refresh to the worker holding the lock', async () => {
+                mockAdapter.get.mockResolvedValue(envelope({ cached: true }, Date.now() - 1));
+                mockAdapter.acquireLock = jest.fn().mockResolvedValue(null);
+                mockAdapter.releaseLock = jest.fn();
+
+                const middleware = cacheService.cacheHandler('popular', handler, 60, { staleWhileRevalidate: 30, lock: true });
+                await middleware(makeReq(), makeRes(), jest.fn());
+                await flush();
+
+                expect(handler).not.toHaveBeenCalled();
+            });
+
+            it('should log failed background refreshes', async () => {
+                jest.spyOn(console, 'error').mockImplementation(() => {});
+                mockAdapter.get.mockResolvedValue(envelope({ cached: true }, Date.now() - 1));
+                handler.mockRejectedValue(new Error('boom'));
+
+                const res = makeRes();
+                const middleware = cacheService.cacheHandler('popular', handler, 60, { staleWhileRevalidate: 30 });
+                await middleware(makeReq(), res, jest.fn());
+                await flush();
+
+                expect(res.json).toHaveBeenCalledWith({ cached: true, fromCache: true });
+                expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Failed to revalidate'), expect.any(Error));
+                console.error.mockRestore();
+            });
+        });
+    });
+
+    describe('metrics', () => {
+        let adapter;
+        let stats;
+        let cache;
+
+        const makeRes = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn() });
+
+        beforeEach(() => {
+            adapter = new NodeCacheAdapter();
+            stats = new CacheStats();
+            cache = new CacheService(adapter, { stats });
+        });
+
+        afterEach(async () => {
+            await adapter.close();
+        });
+
+        it('should count into the process-wide stats by default', () => {
+            expect(cacheService.stats).toBe(getCacheStats());
+        });
+
+        it('should count hits, misses and writes per base key', async () => {
+            const middleware = cache.cacheHandler('icons:list', async () => ({ results: [1, 2] }), 60);
+            const req = { query: {}, params: {}, body: {}, user: null };
+
+            await middleware(req, makeRes(), jest.fn());
+            await middleware(req, makeRes(), jest.fn());
+            await middleware(req, makeRes(), jest.fn());
+
+            expect(cache.getStats()).toEqual({
+                'icons:list': { hits: 2, misses: 1, sets: 1, evictions: 0, bytes: 17, hitRate: 2 / 3 },
+            });
+        });
+
+        it('should count the entries each tag invalidation removed', async () => {
+            await adapter.set('icons:detail:a', 1, 60, { tags: ['icon:1'] });
+            await adapter.set('sets:detail:b', 2, 60, { tags: ['icon:1'] });
+
+            expect(await cache.invalidateTags('icon:1')).toBe(2);
+            expect(cache.getStats('icons:')).toEqual({
+                'icons:detail': expect.objectContaining({ evictions: 1 }),
+            });
+            expect(stats.snapshot()['sets:detail'].evictions).toBe(1);
+        });
+
+        it('should count keys removed by clearCache', async () => {
+            mockAdapter.invalidatePrefix.mockResolvedValue(['users:hash1', 'users:hash2']);
+            await new CacheService(mockAdapter, { stats }).clearCache({ baseKey: 'users' });
+
+            expect(stats.snapshot()).toEqual({
+                users: expect.objectContaining({ evictions: 2 }),
+            });
+        });
+    });
+
+    describe('inspection', () => {
+        let adapter;
+        let cache;
+
+        beforeEach(async () => {
+            adapter = new NodeCacheAdapter();
+            cache = new CacheService(adapter, { stats: new CacheStats() });
+            await adapter.set('icons:list:a', { id: 1 }, 60);
+            await adapter.set('icons:list:b', { id: 2 }, 60);
+        });
+
+        afterEach(async () => {
+            await adapter.close();
+        });
+
+        it('should list keys a page at a time', async () => {
+            const page = await cache.listKeys({ prefix: 'icons:', limit: 1 });
+
+            expect(page).toEqual({ keys: [{ key: 'icons:list:a', ttl: 60 }], cursor: '1' });
+            expect((await cache.listKeys({ prefix: 'icons:', cursor: page.cursor })).keys).toHaveLength(1);
+        });
+
+        it('should clamp the page size', async () => {
+            jest.spyOn(adapter, 'inspect');
+            await cache.listKeys({ limit: 5000 });
+
+            expect(adapter.inspect).toHaveBeenCalledWith({ prefix: '', limit: 1000, cursor: null });
+        });
+
+        it('should peek without counting a hit', async () => {
+            expect(await cache.peek('icons:list:a')).toEqual({ key: 'icons:list:a', ttl: 60, value: { id: 1 } });
+            expect(cache.getStats()).toEqual({});
+        });
+
+        it('should evict a key and count it', async () => {
+            expect(await cache.evict('icons:list:a')).toBe(true);
+            expect(await adapter.get('icons:list:a')).toBeNull();
+            expect(await cache.evict('icons:list:a')).toBe(false);
+            expect(cache.getStats()['icons:list'].evictions).toBe(1);
+        });
+
+        it('should clear by base key and by matcher with the built-in adapter', async () => {
+            await adapter.set('sets:list:c', { id: 3 }, 60);
+
+            expect(await cache.clearCache({ matcher: (key) => key.endsWith(':b') })).toBe(1);
+            expect(await cache.clearCache({ baseKey: 'icons:list' })).toBe(1);
+            expect(await adapter.get('icons:list:a')).toBeNull();
+            expect(await adapter.get('sets:list:c')).toEqual({ id: 3 });
+            expect(cache.getStats()['icons:list'].evictions).toBe(2);
+        });
+
+        it('should throw when the adapter does not support inspection', async () => {
+            await expect(cacheService.listKeys()).rejects.toThrow('Cache adapter does not support inspection');
+            await expect(cacheService.peek('icons:list:a')).rejects.toThrow('Cache adapter does not support inspection');
+        });
     });
 });
@@ -0,0 +1,64 @@
+const { CacheStats, getCacheStats } = require('../CacheStats');
+
+describe('CacheStats', () => {
+    let stats;
+
+    beforeEach(() => {
+        stats = new CacheStats();
+    });
+
+    it('should report keys under their base key', () => {
+        expect(CacheStats.baseKeyOf('icons:list:5d41402abc4b2a76b9719d911017c592')).toBe('icons:list');
+        expect(CacheStats.baseKeyOf('icon:getById:7d79')).toBe('icon:getById');
+        expect(CacheStats.baseKeyOf('plain')).toBe('plain');
+    });
+
+    it('should count lookups, writes and evictions per base key', () => {
+        stats.hit('icons:list:a');
+        stats.hit('icons:list:b');
+        stats.hit('icons:list:a');
+        stats.miss('icons:list:c');
+        stats.set('icons:list:c', { id: 1 });
+        stats.set('icons:list:d', 'héllo');
+        stats.evict(['icons:list:c', 'sets:detail:7']);
+
+        expect(stats.snapshot()).toEqual({
+            'icons:list': { hits: 3, misses: 1, sets: 2, evictions: 1, bytes: 14, hitRate: 0.75 },
+            'sets:detail': { hits: 0, misses: 0, sets: 0, evictions: 1, bytes: 0, hitRate: null },
+        });
+    });
+
+    it('should filter the snapshot by prefix', () => {
+        stats.hit('icons:list:a');
+        stats.hit('sets:list:a');
+
+        expect(Object.keys(stats.snapshot('sets:'))).toEqual(['sets:list']);
+    });
+
+    it('should not share counters between snapshots', () => {
+        stats.hit('icons:list:a');
+        stats.snapshot()['icons:list'].hits = 99;
+
+        expect(stats.snapshot()['icons:list'].hits).toBe(1);
+    });
+
+    it('should reset', () => {
+        stats.miss('icons:list:a');
+        stats.reset();
+
+        expect(stats.snapshot()).toEqual({});
+    });
+
+    it('should size values that cannot be serialized as zero', () => {
+        const circular = {};
+        circular.self = circular;
+
+        expect(CacheStats.sizeOf(circular)).toBe(0);
+        expect(CacheStats.sizeOf(undefined)).toBe(0);
+    });
+
+    it('should expose a process-wide instance', () => {
+        expect(getCacheStats()).toBeInstanceOf(CacheStats);
+        expect(getCacheStats()).toBe(getCacheStats());
+    });
+});
@@ -89,7 +89,7 @@ describe('NodeCacheAdapter', () => {
             await adapter.set('user:2', 'data2');
             await adapter.set('post:1', 'post1');
 
-            await adapter.invalidatePrefix('user:');
+            expect((await adapter.invalidatePrefix('user:')).sort()).toEqual(['user:1', 'user:2']);
 
             expect(await adapter.get('user:1')).toBeNull();
             expect(await adapter.get('user:2')).toBeNull();
@@ -187,6 +187,70 @@ describe('NodeCacheAdapter', () => {
         });
     });
 
+    describe('tags', () => {
+        it('should delete every key stored under a tag', async () => {
+            await adapter.set('icons:detail:42', { id: 42 }, undefined, { tags: ['icon:42'] });
+            await adapter.set('sets:detail:7', { id: 7 }, undefined, { tags: ['set:7', 'icon:42'] });
+            await adapter.set('sets:detail:8', { id: 8 }, undefined, { tags: ['set:8'] });
+
+            const deleted = await adapter.invalidateTags(['icon:42']);
+
+            expect(deleted).toBe(2);
+            expect(await adapter.get('icons:detail:42')).toBeNull();
+            expect(await adapter.get('sets:detail:7')).toBeNull();
+            expect(await adapter.get('sets:detail:8')).toEqual({ id: 8 });
+        });
+
+        it('should count keys shared by several tags once', async () => {
+            await adapter.set('a', 1, undefined, { tags: ['x', 'y'] });
+            expect(await adapter.invalidateTags(['x', 'y', 'unknown'])).toBe(1);
+        });
+
+        it('should replace tags when a key is rewritten', async () => {
+            await adapter.set('a', 1, undefined, { tags: ['old'] });
+            await adapter.set('a', 2, undefined, { tags: ['new'] });
+
+            expect(await adapter.invalidateTags(['old'])).toBe(0);
+            expect(await adapter.get('a')).toBe(2);
+            expect(await adapter.invalidateTags(['new'])).toBe(1);
+        });
+
+        it('should drop deleted and expired keys from the index', async () => {
+            await adapter.set('a', 1, undefined, { tags: ['x'] });
+            await adapter.set('b', 2, undefined, { tags: ['x'] });
+            await adapter.del('a');
+            adapter.cache.emit('del', 'b'); // as node-cache does on expiry
+
+            expect(adapter.tagIndex.size).toBe(0);
+            expect(adapter.keyTags.size).toBe(0);
+        });
+    });
+
+    describe('inspection', () => {
+        beforeEach(async () => {
+            await adapter.set('icons:list:b', [2], 120);
+            await adapter.set('icons:list:a', [1], 30);
+            await adapter.set('icons:list:c', [3], 0);
+            await adapter.set('sets:list:a', [4]);
+        });
+
+        it('should page through keys under a prefix with their TTL', async () => {
+            const first = await adapter.inspect({ prefix: 'icons:list:', limit: 2 });
+            expect(first.keys).toEqual([
+                { key: 'icons:list:a', ttl: 30 },
+                { key: 'icons:list:b', ttl: 120 },
+            ]);
+
+            const second = await adapter.inspect({ prefix: 'icons:list:', limit: 2, cursor: first.cursor });
+            expect(second).toEqual({ keys: [{ key: 'icons:list:c', ttl: null }], cursor: null });
+        });
+
+        it('should peek at a value without rehydrating it', async () => {
+            expect(await adapter.peek('icons:list:a')).toEqual({ key: 'icons:list:a', ttl: 30, value: [1] });
+            expect(await adapter.peek('missing')).toBeNull();
+        });
+    });
+
     describe('close', () => {
         it('should close the cache successfully', async () => {
             const result = await adapter.close();
@@ -0,0 +1,191 @@
+jest.mock('ioredis', () => jest.fn().mockImplementation(() => ({
+    defineCommand: jest.fn(),
+    getBuffer: jest.fn(),
+    set: jest.fn().mockResolvedValue('OK'),
+    del: jest.fn().mockResolvedValue(1),
+    quit: jest.fn().mockResolvedValue('OK'),
+    cacheSetTagged: jest.fn().mockResolvedValue(1),
+    cacheInvalidateTags: jest.fn().mockResolvedValue(['icons:detail:42', 'favorites:13']),
+    cacheReleaseLock: jest.fn().mockResolvedValue(1),
+    scan: jest.fn(),
+    pipeline: jest.fn(),
+})));
+
+const pipelineReturning = (...results) => jest.fn(() => ({
+    exec: jest.fn().mockResolvedValue(results.map(result => [null, result])),
+}));
+
+const RedisCacheAdapter = require('../adapters/RedisCacheAdapter');
+const CacheCodec = require('../serializers/CacheCodec');
+
+describe('RedisCacheAdapter', () => {
+    let adapter;
+    let redis;
+
+    beforeEach(() => {
+        adapter = new RedisCacheAdapter({ ttl: 60 });
+        redis = adapter.redis;
+    });
+
+    it('should register the tag scripts on the connection', () => {
+        expect(redis.defineCommand).toHaveBeenCalledWith('cacheSetTagged', { lua: expect.stringContaining('SADD') });
+        expect(redis.defineCommand).toHaveBeenCalledWith('cacheInvalidateTags', { lua: expect.stringContaining('SMEMBERS') });
+    });
+
+    describe('set', () => {
+        it('should use a plain SET for untagged values', async () => {
+            await adapter.set('icons:1', { id: 1 }, 30);
+
+            expect(redis.set).toHaveBeenCalledWith('icons:1', await adapter.codec.encode({ id: 1 }), 'EX', 30);
+            expect(redis.cacheSetTagged).not.toHaveBeenCalled();
+        });
+
+        it('should write tagged values and their tag sets in one script', async () => {
+            await adapter.set('sets:7', { id: 7 }, undefined, { tags: ['set:7', 'icon:42', 'set:7'] });
+
+            expect(redis.cacheSetTagged).toHaveBeenCalledWith(
+                3,
+                'sets:7',
+                'cache:tag:set:7',
+                'cache:tag:icon:42',
+                await adapter.codec.encode({ id: 7 }),
+                60
+            );
+            expect(redis.set).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('serialization', () => {
+        it('should read back what it wrote, with the configured serializer', async () => {
+            const typed = new RedisCacheAdapter({ serializer: 'typed-json' });
+            const value = { id: 7, createdAt: new Date('2026-10-19T10:00:00Z') };
+            await typed.set('sets:7', value, 30);
+
+            typed.redis.getBuffer.mockResolvedValue(typed.redis.set.mock.calls[0][1]);
+            const read = await typed.get('sets:7');
+            expect(read).toEqual(value);
+            expect(read.createdAt).toBeInstanceOf(Date);
+        });
+
+        it('should compress large values', async () => {
+            const big = { names: Array.from({ length: 500 }, (_, i) => `icon-${i % 10}`) };
+            const small = new RedisCacheAdapter({ compressThreshold: 64 });
+            await small.set('icons:list:a', big, 30);
+
+            const stored = small.redis.set.mock.calls[0][1];
+            expect(stored[3]).toBe(1); // gzip
+            expect(stored.length).toBeLessThan(JSON.stringify(big).length);
+        });
+
+        it('should read plain JSON written before the format header', async () => {
+            redis.getBuffer.mockResolvedValue(Buffer.from('{"id":1}'));
+            expect(await adapter.get('icons:1')).toEqual({ id: 1 });
+        });
+
+        it('should read entries from another format version as misses', async () => {
+            const stored = await new CacheCodec().encode({ id: 1 });
+            stored[1] = 99;
+            redis.getBuffer.mockResolvedValue(stored);
+
+            expect(await adapter.get('icons:1')).toBeNull();
+        });
+
+        it('should rehydrate decoded values', async () => {
+            redis.getBuffer.mockResolvedValue(await adapter.codec.encode([{ id: 1 }]));
+            const repository = { wrapEntity: jest.fn(v => ({ wrapped: v })) };
+
+            expect(await adapter.get('icons:1', { repository, entityClass: class {} })).toEqual([{ wrapped: { id: 1 } }]);
+        });
+    });
+
+    describe('invalidateTags', () => {
+        it('should invalidate the tag sets in one script', async () => {
+            const deleted = await adapter.invalidateTags(['icon:42', 'user:13:favorites']);
+
+            expect(redis.cacheInvalidateTags).toHaveBeenCalledWith(2, 'cache:tag:icon:42', 'cache:tag:user:13:favorites');
+            expect(deleted).toBe(2);
+        });
+
+        it('should report the deleted keys', async () => {
+            expect(await adapter.deleteTagged(['icon:42'])).toEqual(['icons:detail:42', 'favorites:13']);
+        });
+
+        it('should not call Redis without tags', async () => {
+            expect(await adapter.invalidateTags([])).toBe(0);
+            expect(redis.cacheInvalidateTags).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('inspection', () => {
+        it('should scan the prefix until a page is full, hiding tag sets and locks', async () => {
+            redis.scan
+                .mockResolvedValueOnce(['17', ['icons:list:a', 'cache:tag:icon:1']])
+                .mockResolvedValueOnce(['42', ['icons:list:b', 'icons:list:c']]);
+            redis.pipeline = pipelineReturning(30, -1, -2);
+
+            const page = await adapter.inspect({ prefix: 'icons:list:', limit: 2 });
+
+            expect(redis.scan).toHaveBeenNthCalledWith(1, '0', 'MATCH', 'icons:list:*', 'COUNT', 2);
+            expect(redis.scan).toHaveBeenNthCalledWith(2, '17', 'MATCH', 'icons:list:*', 'COUNT', 2);
+            expect(redis.pipeline).toHaveBeenCalledWith([
+                ['ttl', 'icons:list:a'],
+                ['ttl', 'icons:list:b'],
+                ['ttl', 'icons:list:c'],
+            ]);
+            // icons:list:c expired between SCAN and TTL
+            expect(page).toEqual({
+                keys: [{ key: 'icons:list:a', ttl: 30 }, { key: 'icons:list:b', ttl: null }],
+                cursor: '42',
+            });
+        });
+
+        it('should match the prefix literally', async () => {
+            redis.scan.mockResolvedValueOnce(['0', []]);
+
+            expect(await adapter.inspect({ prefix: 'search:*[a]?' })).toEqual({ keys: [], cursor: null });
+            expect(redis.scan).toHaveBeenCalledWith('0', 'MATCH', 'search:\\*\\[a\\]\\?*', 'COUNT', 100);
+            expect(redis.pipeline).not.toHaveBeenCalled();
+        });
+
+        it('should list tag sets when the prefix asks for them', async () => {
+            redis.scan.mockResolvedValueOnce(['0', ['cache:tag:icon:1']]);
+            redis.pipeline = pipelineReturning(600);
+
+            const page = await adapter.inspect({ prefix: 'cache:tag:', cursor: '17' });
+
+            expect(redis.scan).toHaveBeenCalledWith('17', 'MATCH', 'cache:tag:*', 'COUNT', 100);
+            expect(page).toEqual({ keys: [{ key: 'cache:tag:icon:1', ttl: 600 }], cursor: null });
+        });
+
+        it('should peek at the parsed value and its TTL', async () => {
+            redis.pipeline = pipelineReturning(await adapter.codec.encode({ id: 1 }), 45);
+            expect(await adapter.peek('icons:1')).toEqual({ key: 'icons:1', ttl: 45, value: { id: 1 } });
+            expect(redis.pipeline).toHaveBeenCalledWith([['getBuffer', 'icons:1'], ['ttl', 'icons:1']]);
+
+            redis.pipeline = pipelineReturning(null, -2);
+            expect(await adapter.peek('icons:2')).toBeNull();
+        });
+    });
+
+    describe('locks', () => {
+        it('should take the lock with SET NX PX and return its token', async () => {
+            const token = await adapter.acquireLock('icons:popular', 5000);
+
+            expect(token).toMatch(/^[a-f0-9]{32}$/);
+            expect(redis.set).toHaveBeenCalledWith('cache:lock:icons:popular', token, 'PX', 5000, 'NX');
+        });
+
+        it('should return null when another worker holds the lock', async () => {
+            redis.set.mockResolvedValueOnce(null);
+            expect(await adapter.acquireLock('icons:popular', 5000)).toBeNull();
+        });
+
+        it('should release the lock only with its token', async () => {
+            expect(await adapter.releaseLock('icons:popular', 'abc')).toBe(true);
+            expect(redis.cacheReleaseLock).toHaveBeenCalledWith('cache:lock:icons:popular', 'abc');
+
+            redis.cacheReleaseLock.mockResolvedValueOnce(0);
+            expect(await adapter.releaseLock('icons:popular', 'stale')).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,181 @@
+jest.mock('ioredis', () => jest.fn().mockImplementation(() => ({
+    defineCommand: jest.fn(),
+    duplicate: jest.fn(() => ({ on: jest.fn(), subscribe: jest.fn(), unsubscribe: jest.fn(), quit: jest.fn() })),
+    publish: jest.fn(),
+})));
+
+const NodeCacheAdapter = require('../adapters/NodeCacheAdapter');
+const TieredCacheAdapter = require('../adapters/TieredCacheAdapter');
+const MemoryEventBusAdapter = require('../../event-bus/adapters/MemoryAdapter');
+const initCacheService = require('..');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('TieredCacheAdapter', () => {
+    let l2;
+    let bus;
+    let nodeA;
+    let nodeB;
+
+    const makeNode = (nodeId) => new TieredCacheAdapter({
+        l1: new NodeCacheAdapter({ stdTTL: 5 }),
+        l2,
+        l1TTL: 5,
+        bus,
+        nodeId,
+    });
+
+    beforeEach(() => {
+        l2 = new NodeCacheAdapter({ stdTTL: 60 });
+        bus = new MemoryEventBusAdapter();
+        nodeA = makeNode('a');
+        nodeB = makeNode('b');
+    });
+
+    afterEach(async () => {
+        await nodeA.close();
+        await nodeB.close();
+    });
+
+    it('should require both tiers', () => {
+        expect(() => new TieredCacheAdapter({ l1: l2 })).toThrow('TieredCacheAdapter requires l1 and l2 adapters');
+    });
+
+    describe('get', () => {
+        it('should read through to L2 and keep a copy in L1', async () => {
+            await l2.set('icon:1', { id: 1 });
+
+            expect(await nodeA.get('icon:1')).toEqual({ id: 1 });
+            expect(await nodeA.l1.get('icon:1')).toEqual({ id: 1 });
+        });
+
+        it('should serve L1 without touching L2', async () => {
+            await nodeA.l1.set('icon:1', { id: 1 });
+            jest.spyOn(l2, 'get');
+
+            expect(await nodeA.get('icon:1')).toEqual({ id: 1 });
+            expect(l2.get).not.toHaveBeenCalled();
+        });
+
+        it('should return null when neither tier has the key', async () => {
+            expect(await nodeA.get('missing')).toBeNull();
+        });
+    });
+
+    describe('cross-node invalidation', () => {
+        beforeEach(async () => {
+            await nodeA.set('icon:1', { id: 1, name: 'old' }, 60);
+            await nodeB.get('icon:1'); // warm node B's L1
+        });
+
+        it('should evict a deleted key from every L1', async () => {
+            await nodeA.del('icon:1');
+            await flush();
+
+            expect(await nodeB.l1.get('icon:1')).toBeNull();
+            expect(await nodeB.get('icon:1')).toBeNull();
+        });
+
+        it('should evict overwritten keys from other nodes', async () => {
+            await nodeA.set('icon:1', { id: 1, name: 'new' }, 60);
+            await flush();
+
+            expect(await nodeB.get('icon:1')).toEqual({ id: 1, name: 'new' });
+        });
+
+        it('should evict prefixes from every L1', async () => {
+            await nodeA.invalidatePrefix('icon:');
+            await flush();
+
+            expect(await nodeB.get('icon:1')).toBeNull();
+        });
+
+        it('should evict tagged keys from every L1', async () => {
+            await nodeA.set('sets:7', { id: 7 }, 60, { tags: ['icon:1'] });
+            await nodeB.get('sets:7');
+
+            expect(await nodeA.invalidateTags(['icon:1'])).toBe(1);
+            await flush();
+
+            expect(await nodeA.get('sets:7')).toBeNull();
+            expect(await nodeB.get('sets:7')).toBeNull();
+        });
+
+        it('should ignore its own broadcasts', async () => {
+            const spy = jest.spyOn(nodeA.l1, 'del');
+            await nodeA.del('icon:1');
+            await flush();
+
+            expect(spy).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    it('should cap the L1 TTL at the entry TTL', async () => {
+        const spy = jest.spyOn(nodeA.l1, 'set');
+        await nodeA.set('short', 1, 2);
+        await nodeA.set('long', 1, 600);
+
+        expect(spy).toHaveBeenNthCalledWith(1, 'short', 1, 2);
+        expect(spy).toHaveBeenNthCalledWith(2, 'long', 1, 5);
+    });
+
+    it('should publish on the event bus channel convention by default', async () => {
+        const publisher = { publish: jest.fn() };
+        const subscriber = { on: jest.fn(), subscribe: jest.fn(), unsubscribe: jest.fn(), quit: jest.fn() };
+        const redisL2 = { redis: { ...publisher, duplicate: () => subscriber }, del: jest.fn(), close: jest.fn() };
+
+        const node = new TieredCacheAdapter({ l1: new NodeCacheAdapter(), l2: redisL2, nodeId: 'a' });
+        await node.del('icon:1');
+
+        expect(subscriber.subscribe).toHaveBeenCalledWith('eventbus:cache.invalidate');
+        expect(redisL2.redis.publish).toHaveBeenCalledWith(
+            'eventbus:cache.invalidate',
+            JSON.stringify({ origin: 'a', keys: ['icon:1'] })
+        );
+
+        // A message from another node evicts the local copy.
+        await node.l1.set('icon:2', 2);
+        const [, onMessage] = subscriber.on.mock.calls.find(([name]) => name === 'message');
+        onMessage('eventbus:cache.invalidate', JSON.stringify({ origin: 'b', keys: ['icon:2'] }));
+        await flush();
+        expect(await node.l1.get('icon:2')).toBeNull();
+
+        await node.close();
+        expect(subscriber.quit).toHaveBeenCalled();
+    });
+
+    it('should log failed broadcasts instead of leaving them unhandled', async () => {
+        const error = new Error('PUBLISH failed');
+        const publisher = { publish: jest.fn().mockRejectedValue(error) };
+        const subscriber = { on: jest.fn(), subscribe: jest.fn(), unsubscribe: jest.fn(), quit: jest.fn() };
+        const redisL2 = {
+            redis: { ...publisher, duplicate: () => subscriber },
+            set: jest.fn(async () => true),
+            del: jest.fn(),
+            close: jest.fn(),
+        };
+        const unhandled = jest.fn();
+        process.on('unhandledRejection', unhandled);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const node = new TieredCacheAdapter({ l1: new NodeCacheAdapter(), l2: redisL2, nodeId: 'a' });
+        await expect(node.set('icon:1', 1)).resolves.toBe(true);
+        await flush();
+        await flush();
+
+        expect(unhandled).not.toHaveBeenCalled();
+        expect(console.error).toHaveBeenCalledWith('[TieredCacheAdapter] Failed to broadcast invalidation', error);
+
+        process.off('unhandledRejection', unhandled);
+        console.error.mockRestore();
+        await node.close();
+    });
+
+    it('should be built by initCacheService for the tiered driver', async () => {
+        const adapter = initCacheService({ driver: 'tiered', l1TTL: 3 });
+
+        expect(adapter).toBeInstanceOf(TieredCacheAdapter);
+        expect(adapter.l1TTL).toBe(3);
+        await adapter.l1.close();
+    });
+});
@@ -11,6 +11,10 @@ class CacheAdapter {
     async set(key, val, ttl) { throw new Error('Not implemented'); }
     async del(key)       { throw new Error('Not implemented'); }
     async keys(pattern)  { throw new Error('Not implemented'); }
+    async invalidatePrefix(prefix) { throw new Error('Not implemented'); }
+    async invalidateTags(tags) { throw new Error('Not implemented'); }
+    async inspect(options) { throw new Error('Not implemented'); }
+    async peek(key)      { throw new Error('Not implemented'); }
 }
 
 module.exports = CacheAdapter;
\ No newline at end of file
@@ -8,6 +8,13 @@ const NodeCache = require('node-cache');
  * In-memory cache that stores values as-is (no serialization).
  * Returns hydrated Entity instances by using the provided repository + entityClass
  * in the `get()` call context.
+ *
+ * Tags passed to `set()` are indexed in memory (tag → keys). Entries leave the
+ * index when they are deleted or expire, and `invalidateTags()` runs without
+ * yielding, so it is atomic within the process.
+ *
+ * `inspect()` and `peek()` back the cache admin API; pages are offsets into the
+ * sorted key list.
  */
 class NodeCacheAdapter {
     /**
@@ -21,6 +28,27 @@ class NodeCacheAdapter {
             checkperiod,
             useClones: false, // store references, avoid deep cloning
         });
+
+        /**
+         * Tag index: tag → keys stored under it.
+         * @type {Map<string, Set<string>>}
+         * @private
+         */
+        this.tagIndex = new Map();
+
+        /**
+         * Reverse index: key → its tags, so deletes can clean up the tag index.
+         * @type {Map<string, Set<string>>}
+         * @private
+         */
+        this.keyTags = new Map();
+
+        // 'del' also fires when an entry expires.
+        this.cache.on('del', key => this._untag(key));
+        this.cache.on('flush', () => {
+            this.tagIndex.clear();
+            this.keyTags.clear();
+        });
     }
 
     /**
@@ -58,12 +86,24 @@ class NodeCacheAdapter {
      * @param {string} key
      * @param {*} value
      * @param {number} [ttlSeconds]            Optional TTL override (seconds)
-     * @param {Object} [ctx]                    Unused for Node adapter
+     * @param {Object} [ctx]
+     * @param {string[]} [ctx.tags]            Tags to index the key under, e.g. ['icon:42', 'set:7']
      * @returns {Promise<boolean>}
      */
-    async set(key, value, ttlSeconds, _ctx = {}) {
+    async set(key, value, ttlSeconds, ctx = {}) {
         // ttlSeconds optional; falls back to stdTTL if undefined
         this.cache.set(key, value, ttlSeconds);
+
+        // A rewrite replaces the key's tags rather than adding to them.
+        this._untag(key);
+        const tags = [...new Set(ctx.tags || [])];
+        if (tags.length) {
+            this.keyTags.set(key, new Set(tags));
+            for (const tag of tags) {
+                if (!this.tagIndex.has(tag)) this.tagIndex.set(tag, new Set());
+                this.tagIndex.get(tag).add(key);
+            }
+        }
         return true;
     }
 
@@ -80,13 +120,93 @@ class NodeCacheAdapter {
     /**
      * Invalidate all keys that start with the given prefix.
      * @param {string} prefix
-     * @returns {Promise<boolean>}
+     * @returns {Promise<string[]>} Deleted keys
      */
     async invalidatePrefix(prefix) {
         const keys = this.cache.keys();
         const toDelete = keys.filter(k => k.startsWith(prefix));
         if (toDelete.length) this.cache.del(toDelete);
-        return true;
+        return toDelete;
+    }
+
+    /**
+     * Delete every key stored under any of the tags.
+     * @param {string[]} tags
+     * @returns {Promise<number>} Number of keys deleted
+     */
+    async invalidateTags(tags) {
+        return (await this.deleteTagged(tags)).length;
+    }
+
+    /**
+     * Delete every key stored under any of the tags and report which ones went.
+     * @param {string[]} tags
+     * @returns {Promise<string[]>} Deleted keys
+     */
+    async deleteTagged(tags) {
+        const keys = new Set();
+        for (const tag of tags) {
+            for (const key of this.tagIndex.get(tag) || []) keys.add(key);
+        }
+        if (keys.size) this.cache.del([...keys]);
+        return [...keys];
+    }
+
+    /**
+     * List keys under a prefix with their remaining TTL.
+     * @param {Object} [options]
+     * @param {string} [options.prefix='']
+     * @param {number} [options.limit=100]
+     * @param {string} [options.cursor]         Cursor from the previous page
+     * @returns {Promise<{keys: Array<{key: string, ttl: number|null}>, cursor: string|null}>}
+     */
+    async inspect({ prefix = '', limit = 100, cursor = null } = {}) {
+        const offset = Number(cursor) || 0;
+        const matched = this.cache.keys().filter(k => k.startsWith(prefix)).sort();
+        const page = matched.slice(offset, offset + limit);
+        const next = offset + page.length;
+        return {
+            keys: page.map(key => ({ key, ttl: this._ttlOf(key) })),
+            cursor: next < matched.length ? String(next) : null,
+        };
+    }
+
+    /**
+     * Read a key as stored, with its remaining TTL.
+     * @param {string} key
+     * @returns {Promise<{key: string, ttl: number|null, value: *}|null>}
+     */
+    async peek(key) {
+        if (!this.cache.has(key)) return null;
+        return { key, ttl: this._ttlOf(key), value: this.cache.get(key) };
+    }
+
+    /**
+     * Seconds a key has left, or null if it never expires.
+     * @private
+     * @param {string} key
+     * @returns {number|null}
+     */
+    _ttlOf(key) {
+        // node-cache reports the expiry as a timestamp in ms, 0 for none.
+        const expiresAt = this.cache.getTtl(key);
+        return expiresAt ? Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000)) : null;
+    }
+
+    /**
+     * Remove a key from the tag index.
+     * @private
+     * @param {string} key
+     */
+    _untag(key) {
+        const tags = this.keyTags.get(key);
+        if (!tags) return;
+        for (const tag of tags) {
+            const keys = this.tagIndex.get(tag);
+            keys.delete(key);
+            if (keys.size === 0) this.tagIndex.delete(tag);
+        }
+        this.keyTags.delete(key);
     }
 
     /**
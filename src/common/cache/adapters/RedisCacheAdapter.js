@@ -1,27 +1,148 @@
+const crypto = require('crypto');
 const IORedis = require('ioredis');
+const { kCACHE_TAG_PREFIX, kCACHE_LOCK_PREFIX } = require('../CacheConstants');
+const CacheCodec = require('../serializers/CacheCodec');
 
 /**
  * @module Caching Layer
  * @fileoverview RedisCacheAdapter - Redis-based cache adapter for production.
  *
  * RedisCacheAdapter
- * Stores values as JSON strings in Redis and rehydrates them into Entity instances
+ * Stores values as binary blobs in Redis and rehydrates them into Entity instances
  * when reading via `get()` using the provided repository + entityClass context.
+ *
+ * **Serialization:**
+ * Values are encoded by CacheCodec: a pluggable serializer (`json`,
+ * `typed-json`, `v8` or a custom one such as MessagePack), gzip or brotli
+ * compression above a size threshold, and a header recording the format
+ * version, serializer and compression of each value. Switching serializer or
+ * compression is safe with entries already in Redis, and values written as
+ * plain JSON before the header existed still read.
+ *
+ * **Tags:**
+ * Tagged keys are indexed in Redis sets, one per tag:
+ * ```
+ * cache:tag:icon:42  → { icon:getById:5d41..., icons:list:7d79... }
+ * ```
+ * Writing a tagged value and invalidating tags each run as a single Lua script,
+ * so a concurrent writer can never leave a key behind that escaped its tag's
+ * invalidation. A tag set lives as long as its longest-lived key; members whose
+ * keys already expired are simply skipped. All keys a script touches must live
+ * on one node, so under Redis Cluster put keys and tags in one hash slot
+ * (e.g. `{cache}` in the key prefix).
+ *
+ * **Locks:**
+ * `acquireLock()` / `releaseLock()` implement the refresh lock CacheService uses
+ * for stampede protection: `SET cache:lock:<key> <token> NX PX <ttl>`, released
+ * only by the holder of the token so an expired lock taken over by another
+ * worker is never deleted by the first.
+ *
+ * **Inspection:**
+ * `inspect()` pages through keys with SCAN, so listing a prefix never blocks
+ * Redis; tag sets and locks are left out unless the prefix asks for them.
+ */
+
+/**
+ * SET a value and add its key to each tag set, extending the tag's TTL to cover it.
+ * KEYS[1] = cache key, KEYS[2..n] = tag sets; ARGV[1] = value, ARGV[2] = ttl (0 = none)
+ * @private
+ */
+const kSET_TAGGED_LUA = `
+local ttl = tonumber(ARGV[2])
+if ttl > 0 then
+    redis.call('SET', KEYS[1], ARGV[1], 'EX', ttl)
+else
+    redis.call('SET', KEYS[1], ARGV[1])
+end
+for i = 2, #KEYS do
+    local current = redis.call('TTL', KEYS[i])
+    redis.call('SADD', KEYS[i], KEYS[1])
+    if ttl <= 0 then
+        redis.call('PERSIST', KEYS[i])
+    elseif current == -2 or (current >= 0 and current < ttl) then
+        redis.call('EXPIRE', KEYS[i], ttl)
+    end
+end
+return 1
+`;
+
+/**
+ * Delete every key in the given tag sets, then the sets themselves.
+ * KEYS = tag sets. Returns the cache keys that were deleted.
+ * @private
+ */
+const kINVALIDATE_TAGS_LUA = `
+local deleted = {}
+for i = 1, #KEYS do
+    local members = redis.call('SMEMBERS', KEYS[i])
+    for _, member in ipairs(members) do
+        if redis.call('DEL', member) == 1 then
+            table.insert(deleted, member)
+        end
+    end
+    redis.call('DEL', KEYS[i])
+end
+return deleted
+`;
+
+/**
+ * Delete a lock only if it still holds the caller's token.
+ * KEYS[1] = lock key; ARGV[1] = token
+ * @private
+ */
+const kRELEASE_LOCK_LUA = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * @private
+ * @param {string} tag
+ * @returns {string} Redis key of the tag set
  */
+const toTagKey = (tag) => `${kCACHE_TAG_PREFIX}${tag}`;
+
+/**
+ * Escape glob characters so a prefix matches literally in SCAN MATCH.
+ * @private
+ * @param {string} prefix
+ * @returns {string}
+ */
+const escapeGlob = (prefix) => prefix.replace(/[*?[\]\\]/g, '\\$&');
+
+/**
+ * @private
+ * @param {number} ttl - Redis TTL reply
+ * @returns {number|null} Seconds left, null for no expiry
+ */
+const toTtl = (ttl) => (ttl >= 0 ? ttl : null);
+
 class RedisCacheAdapter {
     /**
      * @param {Object} [options]
      * @param {string} [options.url]           Redis connection URL (e.g., redis://localhost:6379)
      * @param {number} [options.ttl=60]        Default TTL for keys (seconds)
      * @param {Object} [options.redisOptions]  Additional ioredis options
+     * @param {string|Object} [options.serializer='json'] 'json' | 'typed-json' | 'v8' | custom serializer
+     * @param {Object[]} [options.serializers]  Custom serializers that older entries may have been written with
+     * @param {string} [options.compression='gzip'] 'none' | 'gzip' | 'brotli'
+     * @param {number} [options.compressThreshold] Compress serialized values from this size (bytes, default 1024)
      */
-    constructor({ url, ttl = 60, redisOptions = {} } = {}) {
+    constructor({ url, ttl = 60, redisOptions = {}, serializer, serializers, compression, compressThreshold } = {}) {
         this.ttl = ttl;
         this.redis = url ? new IORedis(url, redisOptions) : new IORedis(redisOptions);
+        this.codec = new CacheCodec({ serializer, serializers, compression, compressThreshold });
+
+        this.redis.defineCommand('cacheSetTagged', { lua: kSET_TAGGED_LUA });
+        this.redis.defineCommand('cacheInvalidateTags', { lua: kINVALIDATE_TAGS_LUA });
+        this.redis.defineCommand('cacheReleaseLock', { lua: kRELEASE_LOCK_LUA, numberOfKeys: 1 });
     }
 
     /**
-     * Get a value by key, JSON-parse it, and rehydrate into Entity instances (if context provided).
+     * Get a value by key, decode it, and rehydrate into Entity instances (if context provided).
+     * Entries that cannot be decoded read as misses.
      * @param {string} key
      * @param {Object} [ctx]
      * @param {Object} [ctx.repository]        Repository with wrapEntity()
@@ -29,16 +150,12 @@ class RedisCacheAdapter {
      * @returns {Promise<*>}
      */
     async get(key, ctx = {}) {
-        const str = await this.redis.get(key);
-        if (str == null) return null;
-
-        let parsed;
-        try {
-            parsed = JSON.parse(str);
-        } catch {
-            // If somehow non-JSON snuck in, just return raw string (unlikely in our usage)
-            return str;
-        }
+        const stored = await this.redis.getBuffer(key);
+        if (stored == null) return null;
+
+        const entry = await this.codec.decode(stored);
+        if (!entry || entry.value == null) return null;
+        const parsed = entry.value;
 
         const { repository, entityClass } = ctx;
         if (!repository || !entityClass) return parsed;
@@ -51,21 +168,25 @@ class RedisCacheAdapter {
     }
 
     /**
-     * Set a value by key, storing JSON. Accepts entities or plain objects/arrays.
+     * Set a value by key, encoded by the codec. Accepts entities or plain objects/arrays.
      * @param {string} key
      * @param {*} value
      * @param {number} [ttlSeconds]            Optional TTL override (seconds)
-     * @param {Object} [ctx]                    Unused for Redis adapter
+     * @param {Object} [ctx]
+     * @param {string[]} [ctx.tags]            Tags to index the key under, e.g. ['icon:42', 'set:7']
      * @returns {Promise<boolean>}
      */
-    async set(key, value, ttlSeconds, _ctx = {}) {
-        // Convert to JSON-safe form (strip methods)
-        const json = JSON.stringify(value);
+    async set(key, value, ttlSeconds, ctx = {}) {
+        const payload = await this.codec.encode(value);
         const ttl = typeof ttlSeconds === 'number' ? ttlSeconds : this.ttl;
-        if (ttl > 0) {
-            await this.redis.set(key, json, 'EX', ttl);
+        const tags = [...new Set(ctx.tags || [])];
+        if (tags.length) {
+            const keys = [key, ...tags.map(toTagKey)];
+            await this.redis.cacheSetTagged(keys.length, ...keys, payload, ttl > 0 ? ttl : 0);
+        } else if (ttl > 0) {
+            await this.redis.set(key, payload, 'EX', ttl);
         } else {
-            await this.redis.set(key, json);
+            await this.redis.set(key, payload);
         }
         return true;
     }
@@ -84,19 +205,110 @@ class RedisCacheAdapter {
      * Invalidate all keys beginning with the prefix.
      * Uses SCAN to avoid blocking Redis on large keyspaces.
      * @param {string} prefix
-     * @returns {Promise<boolean>}
+     * @returns {Promise<string[]>} Deleted keys
      */
     async invalidatePrefix(prefix) {
         const pattern = `${prefix}*`;
+        const deleted = [];
         let cursor = '0';
         do {
             const [next, keys] = await this.redis.scan(cursor, 'MATCH', pattern, 'COUNT', 1000);
             cursor = next;
             if (keys.length) {
                 await this.redis.del(...keys);
+                deleted.push(...keys);
             }
         } while (cursor !== '0');
-        return true;
+        return deleted;
+    }
+
+    /**
+     * Delete every key stored under any of the tags, atomically.
+     * @param {string[]} tags
+     * @returns {Promise<number>} Number of keys deleted
+     */
+    async invalidateTags(tags) {
+        return (await this.deleteTagged(tags)).length;
+    }
+
+    /**
+     * Delete every key stored under any of the tags, atomically, and report which ones went.
+     * @param {string[]} tags
+     * @returns {Promise<string[]>} Deleted keys
+     */
+    async deleteTagged(tags) {
+        const tagKeys = [...new Set(tags)].map(toTagKey);
+        if (!tagKeys.length) return [];
+        return this.redis.cacheInvalidateTags(tagKeys.length, ...tagKeys);
+    }
+
+    /**
+     * List keys under a prefix with their remaining TTL, one SCAN batch at a time.
+     * SCAN may return a few more keys than `limit`, and keys that expire while
+     * paging are dropped.
+     * @param {Object} [options]
+     * @param {string} [options.prefix='']
+     * @param {number} [options.limit=100]
+     * @param {string} [options.cursor]         SCAN cursor from the previous page
+     * @returns {Promise<{keys: Array<{key: string, ttl: number|null}>, cursor: string|null}>}
+     */
+    async inspect({ prefix = '', limit = 100, cursor = null } = {}) {
+        const pattern = `${escapeGlob(prefix)}*`;
+        const internal = [kCACHE_TAG_PREFIX, kCACHE_LOCK_PREFIX].filter(p => !prefix.startsWith(p));
+
+        let next = cursor || '0';
+        const found = [];
+        do {
+            const [after, keys] = await this.redis.scan(next, 'MATCH', pattern, 'COUNT', limit);
+            next = after;
+            found.push(...keys.filter(k => !internal.some(p => k.startsWith(p))));
+        } while (next !== '0' && found.length < limit);
+
+        const ttls = found.length
+            ? await this.redis.pipeline(found.map(key => ['ttl', key])).exec()
+            : [];
+        const keys = found
+            .map((key, i) => ({ key, ttl: ttls[i][1] }))
+            .filter(({ ttl }) => ttl !== -2)
+            .map(({ key, ttl }) => ({ key, ttl: toTtl(ttl) }));
+
+        return { keys, cursor: next === '0' ? null : next };
+    }
+
+    /**
+     * Read a key as stored (decoded, not rehydrated), with its remaining TTL.
+     * @param {string} key
+     * @returns {Promise<{key: string, ttl: number|null, value: *}|null>}
+     */
+    async peek(key) {
+        const [[, stored], [, ttl]] = await this.redis.pipeline([['getBuffer', key], ['ttl', key]]).exec();
+        if (stored == null) return null;
+
+        const entry = await this.codec.decode(stored);
+        return entry && { key, ttl: toTtl(ttl), value: entry.value };
+    }
+
+    /**
+     * Try to take the refresh lock for a key.
+     * @param {string} key - Cache key the lock protects
+     * @param {number} ttlMs - Lock lifetime in milliseconds
+     * @returns {Promise<string|null>} Token to release the lock with, or null if another worker holds it
+     */
+    async acquireLock(key, ttlMs) {
+        const token = crypto.randomBytes(16).toString('hex');
+        const ok = await this.redis.set(`${kCACHE_LOCK_PREFIX}${key}`, token, 'PX', ttlMs, 'NX');
+        return ok === 'OK' ? token : null;
+    }
+
+    /**
+     * Release a lock taken with acquireLock(). No-op if it expired and someone else holds it now.
+     * @param {string} key
+     * @param {string} token
+     * @returns {Promise<boolean>} True if the lock was released
+     */
+    async releaseLock(key, token) {
+        const released = await this.redis.cacheReleaseLock(`${kCACHE_LOCK_PREFIX}${key}`, token);
+        return released === 1;
     }
 
     /**
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const RedisEventBusAdapter = require('../../event-bus/adapters/RedisAdapter.js');
+const EventTypes = require('../../event-bus/EventTypes.js');
+
+/**
+ * @module Caching Layer
+ * @fileoverview TieredCacheAdapter - In-memory L1 in front of a shared Redis L2.
+ *
+ * TieredCacheAdapter
+ * Reads hit the node-local L1 (NodeCacheAdapter) first, then the shared L2
+ * (RedisCacheAdapter), copying L2 hits into L1 for a few seconds. Writes go to
+ * L2 and the local L1.
+ *
+ * **Cross-node invalidation:**
+ * Every write and delete is broadcast to the other nodes, which evict the keys
+ * from their L1, so a `del` on one node is not served from another node's L1.
+ * Messages go through RedisEventBusAdapter, on its usual `eventbus:` channel
+ * prefix:
+ * ```
+ * PUBLISH eventbus:cache.invalidate {"origin":"<node id>","keys":["icon:getById:5d41..."]}
+ * PUBLISH eventbus:cache.invalidate {"origin":"<node id>","prefix":"icon:"}
+ * ```
+ * Pub/sub is fire-and-forget: a node that misses a message serves its L1 copy
+ * until the L1 TTL runs out, which is why that TTL should stay short.
+ *
+ * @example
+ * const cache = new TieredCacheAdapter({
+ *   l1: new NodeCacheAdapter({ stdTTL: 5 }),
+ *   l2: new RedisCacheAdapter({ url: process.env.REDIS_URL, ttl: 3600 }),
+ *   l1TTL: 5,
+ * });
+ */
+class TieredCacheAdapter {
+    /**
+     * @param {Object} options
+     * @param {NodeCacheAdapter} options.l1    Node-local cache
+     * @param {RedisCacheAdapter} options.l2   Shared cache
+     * @param {number} [options.l1TTL=5]       L1 TTL (seconds); caps how long a missed invalidation lasts
+     * @param {Object} [options.bus]           Event bus adapter for invalidations (default: RedisEventBusAdapter
+     *                                         publishing on L2's connection, subscribed on a duplicate)
+     * @param {string} [options.nodeId]        Identifies this node's own broadcasts (default: random)
+     */
+    constructor({ l1, l2, l1TTL = 5, bus = null, nodeId = crypto.randomBytes(8).toString('hex') } = {}) {
+        if (!l1 || !l2) {
+            throw new Error('TieredCacheAdapter requires l1 and l2 adapters');
+        }
+
+        this.l1 = l1;
+        this.l2 = l2;
+        this.l1TTL = l1TTL;
+        this.nodeId = nodeId;
+
+        // A subscribed ioredis connection can't run commands, so listen on a duplicate.
+        this.ownsSubscriber = !bus;
+        this.bus = bus || new RedisEventBusAdapter({
+            publisher  : l2.redis,
+            subscriber : l2.redis.duplicate(),
+        });
+
+        this._onInvalidate = (message) => this._applyInvalidation(message);
+        this.bus.on(EventTypes.CACHE_INVALIDATE, this._onInvalidate);
+    }
+
+    /**
+     * Get a value from L1, falling back to L2 and copying hits into L1.
+     * @param {string} key
+     * @param {Object} [ctx]                    Rehydration context, see NodeCacheAdapter.get()
+     * @returns {Promise<*>}
+     */
+    async get(key, ctx = {}) {
+        const local = await this.l1.get(key, ctx);
+        if (local != null) return local;
+
+        const shared = await this.l2.get(key, ctx);
+        if (shared != null) {
+            await this.l1.set(key, shared, this.l1TTL);
+        }
+        return shared;
+    }
+
+    /**
+     * Set a value in L2 and L1, and evict the key from the other nodes' L1.
+     * @param {string} key
+     * @param {*} value
+     * @param {number} [ttlSeconds]            Optional TTL override (seconds)
+     * @param {Object} [ctx]                    Passed to L2 (e.g. `tags`)
+     * @returns {Promise<boolean>}
+     */
+    async set(key, value, ttlSeconds, ctx = {}) {
+        await this.l2.set(key, value, ttlSeconds, ctx);
+        const l1TTL = ttlSeconds > 0 ? Math.min(ttlSeconds, this.l1TTL) : this.l1TTL;
+        await this.l1.set(key, value, l1TTL);
+        this._broadcast({ keys: [key] });
+        return true;
+    }
+
+    /**
+     * Delete a key on every tier and every node.
+     * @param {string|string[]} key
+     * @returns {Promise<boolean>}
+     */
+    async del(key) {
+        const keys = Array.isArray(key) ? key : [key];
+        if (!keys.length) return true;
+
+        await this.l2.del(keys);
+        await this.l1.del(keys);
+        this._broadcast({ keys });
+        return true;
+    }
+
+    /**
+     * Invalidate all keys beginning with the prefix, on every tier and every node.
+     * @param {string} prefix
+     * @returns {Promise<string[]>} Keys deleted from L2, which holds every entry
+     */
+    async invalidatePrefix(prefix) {
+        const deleted = await this.l2.invalidatePrefix(prefix);
+        await this.l1.invalidatePrefix(prefix);
+        this._broadcast({ prefix });
+        return deleted;
+    }
+
+    /**
+     * Delete every key stored under any of the tags, on every tier and every node.
+     * L2 owns the tag index; the keys it deleted are evicted from each L1.
+     * @param {string[]} tags
+     * @returns {Promise<number>} Number of keys deleted
+     */
+    async invalidateTags(tags) {
+        return (await this.deleteTagged(tags)).length;
+    }
+
+    /**
+     * Delete every key stored under any of the tags, on every tier and every node,
+     * and report which ones went.
+     * @param {string[]} tags
+     * @returns {Promise<string[]>} Deleted keys
+     */
+    async deleteTagged(tags) {
+        const keys = await this.l2.deleteTagged(tags);
+        if (keys.length) {
+            await this.l1.del(keys);
+            this._broadcast({ keys });
+        }
+        return keys;
+    }
+
+    /**
+     * List keys from L2, which holds every entry; L1 only has short-lived copies.
+     * @param {Object} [options]                See RedisCacheAdapter.inspect()
+     * @returns {Promise<{keys: Array<{key: string, ttl: number|null}>, cursor: string|null}>}
+     */
+    async inspect(options) {
+        return this.l2.inspect(options);
+    }
+
+    /**
+     * Read a key from L2 without copying it into L1.
+     * @param {string} key
+     * @returns {Promise<{key: string, ttl: number|null, value: *}|null>}
+     */
+    async peek(key) {
+        return this.l2.peek(key);
+    }
+
+    /**
+     * Refresh locks live in L2, so they hold across nodes.
+     * @param {string} key
+     * @param {number} ttlMs
+     * @returns {Promise<string|null>}
+     */
+    async acquireLock(key, ttlMs) {
+        return this.l2.acquireLock(key, ttlMs);
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} token
+     * @returns {Promise<boolean>}
+     */
+    async releaseLock(key, token) {
+        return this.l2.releaseLock(key, token);
+    }
+
+    /**
+     * Stop listening for invalidations and close both tiers.
+     * @returns {Promise<boolean>}
+     */
+    async close() {
+        this.bus.off(EventTypes.CACHE_INVALIDATE, this._onInvalidate);
+        if (this.ownsSubscriber) {
+            await this.bus.subscriber.quit();
+        }
+        await this.l1.close();
+        await this.l2.close();
+        return true;
+    }
+
+    /**
+     * Tell the other nodes to evict keys from their L1.
+     * @private
+     * @param {Object} message - `{ keys }` or `{ prefix }`
+     */
+    _broadcast(message) {
+        // L2 is already correct; other nodes catch up when their L1 expires.
+        const report = (err) => console.error('[TieredCacheAdapter] Failed to broadcast invalidation', err);
+
+        try {
+            // The Redis bus returns the PUBLISH promise: a failure must not go unhandled.
+            const published = this.bus.emit(EventTypes.CACHE_INVALIDATE, { origin: this.nodeId, ...message });
+            if (typeof published?.catch === 'function') published.catch(report);
+        } catch (err) {
+            report(err);
+        }
+    }
+
+    /**
+     * Evict another node's invalidation from the local L1.
+     * @private
+     * @param {Object} message
+     */
+    async _applyInvalidation(message) {
+        if (!message || message.origin === this.nodeId) return;
+
+        try {
+            if (Array.isArray(message.keys) && message.keys.length) {
+                await this.l1.del(message.keys);
+            }
+            if (typeof message.prefix === 'string') {
+                await this.l1.invalidatePrefix(message.prefix);
+            }
+        } catch (err) {
+            console.error('[TieredCacheAdapter] Failed to apply invalidation', err);
+        }
+    }
+}
+
+module.exports = TieredCacheAdapter;
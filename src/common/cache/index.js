@@ -1,14 +1,20 @@
 /* eslint-env node */
 const NodeCacheAdapter = require('./adapters/NodeCacheAdapter');
 const RedisCacheAdapter = require('./adapters/RedisCacheAdapter');
+const TieredCacheAdapter = require('./adapters/TieredCacheAdapter');
 
 /**
  * initCacheService(options?)
- * - driver: 'memory' | 'redis' (env: CACHE_DRIVER)
+ * - driver: 'memory' | 'redis' | 'tiered' (env: CACHE_DRIVER)
  * - ttl: default TTL in seconds (env: CACHE_TTL)
- * - For redis:
+ * - For redis and tiered:
  *   - url: redis connection url (env: REDIS_URL)
  *   - redisOptions: ioredis options
+ *   - serializer: 'json' | 'typed-json' | 'v8' | custom serializer (env: CACHE_SERIALIZER)
+ *   - compression: 'none' | 'gzip' | 'brotli' (env: CACHE_COMPRESSION)
+ *   - compressThreshold: compress values from this size in bytes (env: CACHE_COMPRESS_THRESHOLD)
+ * - For tiered (in-memory L1 in front of redis, invalidated across nodes over pub/sub):
+ *   - l1TTL: L1 TTL in seconds (env: CACHE_L1_TTL, default 5)
  */
 const initCacheService = (options = {}) => {
     const {
@@ -16,12 +22,28 @@ const initCacheService = (options = {}) => {
         ttl = Number(process.env.CACHE_TTL || 60),
         url = process.env.REDIS_URL,
         redisOptions = {},
+        serializer = process.env.CACHE_SERIALIZER || 'json',
+        compression = process.env.CACHE_COMPRESSION || 'gzip',
+        compressThreshold,
         stdTTL,          // for node-cache
         checkperiod,     // for node-cache
+        l1TTL = Number(process.env.CACHE_L1_TTL || 5),
     } = options;
+    const redisConfig = { url, ttl, redisOptions, serializer, compression, compressThreshold };
 
     if (driver === 'redis') {
-        return new RedisCacheAdapter({ url, ttl, redisOptions });
+        return new RedisCacheAdapter(redisConfig);
+    }
+
+    if (driver === 'tiered') {
+        return new TieredCacheAdapter({
+            l1: new NodeCacheAdapter({
+                stdTTL: l1TTL,
+                checkperiod: typeof checkperiod === 'number' ? checkperiod : 120,
+            }),
+            l2: new RedisCacheAdapter(redisConfig),
+            l1TTL,
+        });
     }
 
     // default: in-memory
@@ -31,4 +53,25 @@ const initCacheService = (options = {}) => {
     });
 };
 
-module.exports = initCacheService;
\ No newline at end of file
+/**
+ * Process-wide adapter, created on first use so merely requiring a service
+ * opens no connections.
+ * @private
+ * @type {Object|null}
+ */
+let sharedAdapter = null;
+
+/**
+ * getSharedAdapter()
+ * - the adapter shared by withCacheable services and the cache admin routes,
+ *   built by initCacheService() on the first call
+ */
+const getSharedAdapter = () => {
+    if (!sharedAdapter) {
+        sharedAdapter = initCacheService();
+    }
+    return sharedAdapter;
+};
+
+module.exports = initCacheService;
+module.exports.getSharedAdapter = getSharedAdapter;
\ No newline at end of file
@@ -0,0 +1,173 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const {
+    kCACHE_FORMAT_MAGIC,
+    kCACHE_FORMAT_VERSION,
+    kCACHE_COMPRESS_THRESHOLD,
+} = require('../CacheConstants');
+const JsonSerializer = require('./JsonSerializer');
+const TypedJsonSerializer = require('./TypedJsonSerializer');
+const V8Serializer = require('./V8Serializer');
+
+/**
+ * @module Caching Layer
+ * @fileoverview CacheCodec - Turns cache values into versioned, optionally compressed buffers.
+ *
+ * Every value is written with a 4-byte header naming how to read it back:
+ * ```
+ * ┌──────┬─────────┬────────────┬─────────────┬──────────────────────┐
+ * │ 0xCA │ version │ serializer │ compression │ body                 │
+ * └──────┴─────────┴────────────┴─────────────┴──────────────────────┘
+ * ```
+ * Reading uses the serializer and compression in the header, not the current
+ * settings, so changing either never breaks entries already in Redis. Entries
+ * with another format version, an unknown serializer or a body that does not
+ * decode read as misses, and the next write replaces them. Values without a
+ * header are JSON from before the header existed.
+ *
+ * Compression applies once the serialized body reaches `compressThreshold`
+ * bytes, and only when it actually makes the value smaller.
+ *
+ * **Serializers:**
+ * - `json` (1) - Plain JSON
+ * - `typed-json` (2) - JSON that keeps Date, BigInt, Map, Set and Buffer
+ * - `v8` (3) - Binary, via `v8.serialize()`
+ *
+ * Custom serializers are objects with a numeric `id` from 16 to 255, a `name`,
+ * and `serialize(value) => Buffer` / `deserialize(buffer) => value`.
+ *
+ * @example
+ * // MessagePack via msgpackr
+ * const { pack, unpack } = require('msgpackr');
+ * const codec = new CacheCodec({
+ *   serializer: { id: 16, name: 'msgpack', serialize: pack, deserialize: unpack },
+ *   compression: 'brotli',
+ * });
+ */
+
+/**
+ * Compression ids written into the header, with their zlib functions.
+ * @private
+ */
+const kCOMPRESSION = {
+    none   : { id: 0 },
+    gzip   : { id: 1, compress: promisify(zlib.gzip), decompress: promisify(zlib.gunzip) },
+    brotli : { id: 2, compress: promisify(zlib.brotliCompress), decompress: promisify(zlib.brotliDecompress) },
+};
+
+const kHEADER_SIZE = 4;
+
+/**
+ * @private
+ * @returns {Map<number, Object>} Built-in serializers by id
+ */
+const builtInSerializers = () => new Map(
+    [new JsonSerializer(), new TypedJsonSerializer(), new V8Serializer()].map(s => [s.id, s])
+);
+
+class CacheCodec {
+    /**
+     * @param {Object} [options]
+     * @param {string|Object} [options.serializer='json']  Built-in name or custom serializer used for writes
+     * @param {Object[]} [options.serializers=[]]          Extra custom serializers to read with
+     * @param {string} [options.compression='gzip']        'none' | 'gzip' | 'brotli'
+     * @param {number} [options.compressThreshold=kCACHE_COMPRESS_THRESHOLD] Minimum body size to compress (bytes)
+     */
+    constructor({
+        serializer = 'json',
+        serializers = [],
+        compression = 'gzip',
+        compressThreshold = kCACHE_COMPRESS_THRESHOLD,
+    } = {}) {
+        /**
+         * Serializers that can read entries, by id.
+         * @type {Map<number, Object>}
+         * @private
+         */
+        this.serializers = builtInSerializers();
+        const custom = typeof serializer === 'object' ? [serializer, ...serializers] : serializers;
+        for (const s of custom) {
+            if (!Number.isInteger(s.id) || s.id < 16 || s.id > 255) {
+                throw new Error(`Custom cache serializer ids must be 16-255 (got ${s.id} for ${s.name})`);
+            }
+            this.serializers.set(s.id, s);
+        }
+
+        this.serializer = typeof serializer === 'object'
+            ? serializer
+            : [...this.serializers.values()].find(s => s.name === serializer);
+        if (!this.serializer) {
+            throw new Error(`Unknown cache serializer: ${serializer}`);
+        }
+
+        if (!kCOMPRESSION[compression]) {
+            throw new Error(`Unknown cache compression: ${compression}`);
+        }
+        this.compression = compression;
+        this.compressThreshold = compressThreshold;
+    }
+
+    /**
+     * @param {*} value
+     * @returns {Promise<Buffer>} Header and body
+     */
+    async encode(value) {
+        let body = this.serializer.serialize(value);
+        let compression = kCOMPRESSION.none;
+
+        if (this.compression !== 'none' && body.length >= this.compressThreshold) {
+            const compressed = await kCOMPRESSION[this.compression].compress(body);
+            if (compressed.length < body.length) {
+                body = compressed;
+                compression = kCOMPRESSION[this.compression];
+            }
+        }
+
+        const header = Buffer.from([kCACHE_FORMAT_MAGIC, kCACHE_FORMAT_VERSION, this.serializer.id, compression.id]);
+        return Buffer.concat([header, body]);
+    }
+
+    /**
+     * @param {Buffer} buffer - Stored value
+     * @returns {Promise<{value: *}|null>} Null when the entry cannot be read and should count as a miss
+     */
+    async decode(buffer) {
+        if (buffer[0] !== kCACHE_FORMAT_MAGIC) {
+            return { value: CacheCodec.decodeLegacy(buffer) };
+        }
+
+        const [, version, serializerId, compressionId] = buffer;
+        const serializer = this.serializers.get(serializerId);
+        const compression = Object.values(kCOMPRESSION).find(c => c.id === compressionId);
+        if (buffer.length < kHEADER_SIZE || version !== kCACHE_FORMAT_VERSION || !serializer || !compression) {
+            return null;
+        }
+
+        try {
+            let body = buffer.subarray(kHEADER_SIZE);
+            if (compression.decompress) {
+                body = await compression.decompress(body);
+            }
+            return { value: serializer.deserialize(body) };
+        } catch (err) {
+            console.error('[CacheCodec] Failed to decode cache entry', err);
+            return null;
+        }
+    }
+
+    /**
+     * Read a value written before stored values had a header: JSON, or a raw string.
+     * @param {Buffer} buffer
+     * @returns {*}
+     */
+    static decodeLegacy(buffer) {
+        const str = buffer.toString();
+        try {
+            return JSON.parse(str);
+        } catch {
+            return str;
+        }
+    }
+}
+
+module.exports = CacheCodec;
@@ -0,0 +1,32 @@
+/**
+ * @module Caching Layer
+ * @fileoverview JsonSerializer - Plain JSON, the format RedisCacheAdapter always used.
+ *
+ * Readable with `redis-cli` once decompressed, but `Date`s come back as ISO
+ * strings, and `BigInt`, `Map` and `Set` values are not supported.
+ */
+class JsonSerializer {
+    constructor() {
+        /** Serializer id written into each stored value. */
+        this.id = 1;
+        this.name = 'json';
+    }
+
+    /**
+     * @param {*} value
+     * @returns {Buffer}
+     */
+    serialize(value) {
+        return Buffer.from(JSON.stringify(value) ?? 'null');
+    }
+
+    /**
+     * @param {Buffer} buffer
+     * @returns {*}
+     */
+    deserialize(buffer) {
+        return JSON.parse(buffer.toString());
+    }
+}
+
+module.exports = JsonSerializer;
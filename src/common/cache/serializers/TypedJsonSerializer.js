@@ -0,0 +1,80 @@
+const toPlain = require('./toPlain');
+
+/**
+ * @module Caching Layer
+ * @fileoverview TypedJsonSerializer - JSON that round-trips Date, BigInt, Map, Set and Buffer.
+ *
+ * Typed values are written as tagged objects:
+ * ```
+ * { "$t": "Date",   "v": "2026-10-19T10:00:00.000Z" }
+ * { "$t": "BigInt", "v": "9007199254740993" }
+ * { "$t": "Map",    "v": [[key, value], ...] }
+ * { "$t": "Set",    "v": [value, ...] }
+ * { "$t": "Buffer", "v": "<base64>" }
+ * ```
+ * Objects that have a `$t` key of their own are written as
+ * `{ "$t": "Object", "v": [[key, value], ...] }`, so they are never mistaken for a tag.
+ */
+
+/**
+ * Tag typed values. Called with the holder as `this`, so it sees values before
+ * `Date#toJSON()` and `Buffer#toJSON()` run.
+ * @private
+ */
+function replacer(key, value) {
+    const raw = this[key];
+    if (typeof raw === 'bigint') return { $t: 'BigInt', v: raw.toString() };
+    if (raw instanceof Date) return { $t: 'Date', v: Number.isNaN(raw.getTime()) ? null : raw.toISOString() };
+    if (ArrayBuffer.isView(raw)) return { $t: 'Buffer', v: Buffer.from(raw.buffer, raw.byteOffset, raw.byteLength).toString('base64') };
+    if (raw instanceof Map) return { $t: 'Map', v: [...raw] };
+    if (raw instanceof Set) return { $t: 'Set', v: [...raw] };
+    if (value && typeof value === 'object' && !Array.isArray(value) && Object.prototype.hasOwnProperty.call(value, '$t')) {
+        return { $t: 'Object', v: Object.entries(value) };
+    }
+    return value;
+}
+
+/**
+ * Restore tagged values; runs bottom-up, so `v` is already revived.
+ * @private
+ */
+const reviver = (key, value) => {
+    if (!value || typeof value !== 'object' || typeof value.$t !== 'string' || !('v' in value)) {
+        return value;
+    }
+    switch (value.$t) {
+        case 'BigInt': return BigInt(value.v);
+        case 'Date':   return new Date(value.v === null ? NaN : value.v);
+        case 'Buffer': return Buffer.from(value.v, 'base64');
+        case 'Map':    return new Map(value.v);
+        case 'Set':    return new Set(value.v);
+        case 'Object': return Object.fromEntries(value.v);
+        default:       return value;
+    }
+};
+
+class TypedJsonSerializer {
+    constructor() {
+        /** Serializer id written into each stored value. */
+        this.id = 2;
+        this.name = 'typed-json';
+    }
+
+    /**
+     * @param {*} value
+     * @returns {Buffer}
+     */
+    serialize(value) {
+        return Buffer.from(JSON.stringify(toPlain(value), replacer) ?? 'null');
+    }
+
+    /**
+     * @param {Buffer} buffer
+     * @returns {*}
+     */
+    deserialize(buffer) {
+        return JSON.parse(buffer.toString(), reviver);
+    }
+}
+
+module.exports = TypedJsonSerializer;
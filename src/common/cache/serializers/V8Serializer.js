@@ -0,0 +1,37 @@
+const v8 = require('v8');
+const toPlain = require('./toPlain');
+
+/**
+ * @module Caching Layer
+ * @fileoverview V8Serializer - Binary serialization with Node's built-in `v8.serialize()`.
+ *
+ * The MessagePack-style option that needs no dependency: a compact binary format
+ * that keeps `Date`, `BigInt`, `Map`, `Set` and `Buffer` values. Entries are only
+ * readable from Node, and `v8.deserialize()` accepts data written by older Node
+ * versions but not newer ones, so upgrade readers before writers.
+ */
+class V8Serializer {
+    constructor() {
+        /** Serializer id written into each stored value. */
+        this.id = 3;
+        this.name = 'v8';
+    }
+
+    /**
+     * @param {*} value
+     * @returns {Buffer}
+     */
+    serialize(value) {
+        return v8.serialize(toPlain(value));
+    }
+
+    /**
+     * @param {Buffer} buffer
+     * @returns {*}
+     */
+    deserialize(buffer) {
+        return v8.deserialize(buffer);
+    }
+}
+
+module.exports = V8Serializer;
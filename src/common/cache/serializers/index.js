@@ -0,0 +1,11 @@
+const CacheCodec = require('./CacheCodec');
+const JsonSerializer = require('./JsonSerializer');
+const TypedJsonSerializer = require('./TypedJsonSerializer');
+const V8Serializer = require('./V8Serializer');
+
+module.exports = {
+    CacheCodec,
+    JsonSerializer,
+    TypedJsonSerializer,
+    V8Serializer,
+};
@@ -0,0 +1,48 @@
+const { BaseEntity } = require('../../BaseEntity');
+
+/**
+ * @module Caching Layer
+ * @fileoverview toPlain - Reduce a value to data before a type-preserving serializer sees it.
+ *
+ * `JSON.stringify()` goes through `toJSON()`, which turns an entity's nested
+ * `Date`s into strings. The typed serializers walk the value themselves instead:
+ * - Entities keep their own fields (never `hiddenFields`); leaves keep their types
+ * - Other objects with `toJSON()` (e.g. decimals) are replaced by its result
+ * - `Date`, `BigInt`, `Map`, `Set` and `Buffer` values are kept as is
+ * - Functions and `undefined` properties are dropped
+ */
+
+/**
+ * @param {*} value
+ * @returns {*} A tree of plain objects, arrays and typed leaves
+ */
+const toPlain = (value) => {
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (value instanceof Date || ArrayBuffer.isView(value)) {
+        return value;
+    }
+    if (value instanceof Map) {
+        return new Map([...value].map(([k, v]) => [toPlain(k), toPlain(v)]));
+    }
+    if (value instanceof Set) {
+        return new Set([...value].map(toPlain));
+    }
+    if (Array.isArray(value)) {
+        return value.map(toPlain);
+    }
+    if (!(value instanceof BaseEntity) && typeof value.toJSON === 'function') {
+        return toPlain(value.toJSON());
+    }
+
+    const plain = {};
+    for (const key of Object.keys(value)) {
+        const val = value[key];
+        if (key === 'hiddenFields' || val === undefined || typeof val === 'function') continue;
+        plain[key] = toPlain(val);
+    }
+    return plain;
+};
+
+module.exports = toPlain;
@@ -0,0 +1,139 @@
+const {
+    createContext,
+    contextFromHeaders,
+    contextFromEvent,
+    runWithContext,
+    getContext,
+    updateContext,
+    getLogFields,
+    getTraceHeaders,
+    parseTraceparent,
+    formatTraceparent,
+} = require('..');
+const { Logger } = require('../../../utils/Logger');
+
+const kTRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const kTRACEPARENT = `00-${kTRACE_ID}-00f067aa0ba902b7-01`;
+
+describe('request context', () => {
+    describe('traceparent', () => {
+        it('should parse valid headers', () => {
+            expect(parseTraceparent(kTRACEPARENT)).toEqual({
+                traceId: kTRACE_ID,
+                parentSpanId: '00f067aa0ba902b7',
+                traceFlags: '01',
+            });
+        });
+
+        it.each([
+            [undefined],
+            ['garbage'],
+            [`ff-${kTRACE_ID}-00f067aa0ba902b7-01`],
+            [`00-${'0'.repeat(32)}-00f067aa0ba902b7-01`],
+            [`00-${kTRACE_ID}-${'0'.repeat(16)}-01`],
+        ])('should reject %s', (header) => {
+            expect(parseTraceparent(header)).toBeNull();
+        });
+
+        it('should format only W3C trace ids', () => {
+            expect(formatTraceparent({ traceId: kTRACE_ID, spanId: 'b7ad6b7169203331' }))
+                .toBe(`00-${kTRACE_ID}-b7ad6b7169203331-01`);
+            expect(formatTraceparent({ traceId: 'req-9f2c', spanId: 'b7ad6b7169203331' })).toBeNull();
+        });
+    });
+
+    describe('contexts', () => {
+        it('should continue the caller trace from request headers', () => {
+            const context = contextFromHeaders({ traceparent: kTRACEPARENT, 'x-request-id': 'req-1' });
+
+            expect(context).toMatchObject({
+                traceId: kTRACE_ID,
+                parentSpanId: '00f067aa0ba902b7',
+                requestId: 'req-1',
+                userId: null,
+                actor: 'guest',
+            });
+            expect(context.spanId).toMatch(/^[0-9a-f]{16}$/);
+        });
+
+        it('should start a new trace without headers', () => {
+            const context = contextFromHeaders({});
+
+            expect(context.traceId).toMatch(/^[0-9a-f]{32}$/);
+            expect(context.requestId).toEqual(expect.any(String));
+            expect(context.parentSpanId).toBeNull();
+        });
+
+        it('should be visible across awaits and isolated between runs', async () => {
+            expect(getContext()).toBeNull();
+
+            const seen = await Promise.all(['a', 'b'].map(requestId => runWithContext(createContext({ requestId }), async () => {
+                await new Promise(resolve => setImmediate(resolve));
+                updateContext({ userId: requestId.toUpperCase() });
+                await Promise.resolve();
+                return [getContext().requestId, getContext().userId];
+            })));
+
+            expect(seen).toEqual([['a', 'A'], ['b', 'B']]);
+            expect(getContext()).toBeNull();
+            expect(updateContext({ userId: 1 })).toBeNull();
+        });
+
+        it('should rebuild the emitter context from an event', () => {
+            const event = { id: 'evt-1', trace_id: kTRACE_ID, user_id: 7, actor: 'user' };
+
+            expect(contextFromEvent(event)).toMatchObject({
+                traceId: kTRACE_ID, userId: 7, actor: 'user', eventId: 'evt-1', requestId: null,
+            });
+
+            runWithContext(createContext({ traceId: kTRACE_ID, requestId: 'req-1' }), () => {
+                expect(contextFromEvent(event).requestId).toBe('req-1');
+            });
+        });
+
+        it('should expose log fields and trace headers', () => {
+            expect(getLogFields()).toEqual({});
+            expect(getTraceHeaders()).toEqual({});
+
+            runWithContext(createContext({ traceId: kTRACE_ID, requestId: 'req-1', userId: 7 }), () => {
+                expect(getLogFields()).toEqual({ trace_id: kTRACE_ID, request_id: 'req-1', user_id: 7 });
+                expect(getTraceHeaders()).toEqual({
+                    traceparent: expect.stringMatching(new RegExp(`^00-${kTRACE_ID}-[0-9a-f]{16}-01$`)),
+                    'x-request-id': 'req-1',
+                });
+            });
+        });
+    });
+
+    describe('Logger', () => {
+        let base;
+
+        beforeEach(() => {
+            base = { debug: jest.fn(), info: jest.fn(), log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+        });
+
+        it('should pass arguments through outside a context', () => {
+            new Logger({ base }).warn('slow', 12);
+            expect(base.warn).toHaveBeenCalledWith('slow', 12);
+        });
+
+        it('should stamp the context on each line', () => {
+            const logger = new Logger({ base });
+
+            runWithContext(createContext({ traceId: kTRACE_ID, requestId: 'req-1' }), () => {
+                logger.error('failed:', 'boom');
+                logger.info('icon-service.getById success', { durationMs: 4 });
+            });
+
+            expect(base.error).toHaveBeenCalledWith('failed:', 'boom', { trace_id: kTRACE_ID, request_id: 'req-1' });
+            expect(base.info).toHaveBeenCalledWith('icon-service.getById success', {
+                durationMs: 4, trace_id: kTRACE_ID, request_id: 'req-1',
+            });
+        });
+
+        it('should add child fields', () => {
+            new Logger({ base }).child({ component: 'relay' }).log('started');
+            expect(base.log).toHaveBeenCalledWith('started', { component: 'relay' });
+        });
+    });
+});
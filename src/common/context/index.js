@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const {
+    newTraceId,
+    newSpanId,
+    isTraceId,
+    parseTraceparent,
+    formatTraceparent,
+} = require('./traceparent.js');
+
+/**
+ * @module Request Context
+ * @fileoverview Per-request trace context carried through async calls.
+ *
+ * An AsyncLocalStorage store holds the trace id, request id and acting user of
+ * the work in progress. It follows every `await`, so services and repositories
+ * called while handling a request see it without passing it along:
+ * ```
+ * HTTP request ──> onRequest hook ──> runWithContext({ traceId, requestId })
+ *                                        ├─> authenticate     updateContext({ userId, actor })
+ *                                        ├─> service/repository calls   (logs stamped)
+ *                                        ├─> EventBus.emit    Event { trace_id, user_id, actor }
+ *                                        └─> SQS/SNS send     traceparent, x-request-id attributes
+ * Event handler ──> runWithContext(contextFromEvent(event))   (same trace id, any adapter)
+ * ```
+ *
+ * Outside any context (boot, cron jobs) the getters return null and nothing is stamped.
+ *
+ * @example
+ * // A worker starting its own trace
+ * await runWithContext(createContext({ actor: 'system' }), () => reindexIcons());
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Build a context. Missing ids are generated.
+ *
+ * @param {Object} [fields]
+ * @param {string} [fields.traceId] - Trace id shared by every hop (default: new W3C trace id)
+ * @param {string} [fields.parentSpanId] - Caller's span, from an inbound traceparent
+ * @param {string} [fields.traceFlags='01']
+ * @param {string} [fields.requestId] - Default: new UUID
+ * @param {number|string} [fields.userId=null]
+ * @param {string} [fields.actor='guest'] - Kind of actor: 'guest', 'user', 'system'...
+ * @returns {Object} Context
+ */
+const createContext = ({
+    traceId = newTraceId(),
+    parentSpanId = null,
+    traceFlags = '01',
+    requestId = crypto.randomUUID(),
+    userId = null,
+    actor = 'guest',
+    ...rest
+} = {}) => ({
+    traceId,
+    spanId: newSpanId(),
+    parentSpanId,
+    traceFlags,
+    requestId,
+    userId,
+    actor,
+    ...rest,
+});
+
+/**
+ * Context for an inbound HTTP request: continues the caller's trace when it sent
+ * a valid `traceparent`, and keeps its `x-request-id`.
+ *
+ * @param {Object} [headers={}] - Lower-cased request headers
+ * @returns {Object} Context
+ */
+const contextFromHeaders = (headers = {}) => {
+    const parent = parseTraceparent(headers.traceparent);
+    const requestId = [].concat(headers['x-request-id'] || [])[0];
+
+    return createContext({
+        ...(parent || {}),
+        ...(requestId ? { requestId: String(requestId).slice(0, 128) } : {}),
+    });
+};
+
+/**
+ * Context for running an event's handlers: the trace, user and actor that
+ * emitted it. Delivered in the emitting request (Memory adapter), it also keeps
+ * that request's id.
+ *
+ * @param {Object} event - Event or its payload
+ * @returns {Object} Context
+ */
+const contextFromEvent = (event) => {
+    const current = getContext();
+    const traceId = event?.trace_id || current?.traceId || undefined;
+    const sameTrace = current && current.traceId === traceId;
+
+    return createContext({
+        traceId,
+        requestId : sameTrace ? current.requestId : null,
+        userId    : event?.user_id ?? null,
+        actor     : event?.actor || 'system',
+        eventId   : event?.id || null,
+    });
+};
+
+/**
+ * Run a function inside a context.
+ * @param {Object} context - From createContext()
+ * @param {Function} fn
+ * @returns {*} fn's return value
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * @returns {Object|null} Current context
+ */
+const getContext = () => storage.getStore() || null;
+
+/**
+ * Add fields to the current context, e.g. the user once authenticated.
+ * Code already running in the context sees the change.
+ *
+ * @param {Object} fields
+ * @returns {Object|null} Current context, or null outside one
+ */
+const updateContext = (fields) => {
+    const context = getContext();
+    if (context) Object.assign(context, fields);
+    return context;
+};
+
+/**
+ * Fields to stamp on log lines.
+ * @returns {Object} `{ trace_id, request_id, user_id, event_id }` (unset ones omitted), or {} outside a context
+ */
+const getLogFields = () => {
+    const context = getContext();
+    if (!context) return {};
+
+    const fields = {
+        trace_id   : context.traceId,
+        request_id : context.requestId,
+        user_id    : context.userId,
+        event_id   : context.eventId,
+    };
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value != null));
+};
+
+/**
+ * Headers (or message attributes) that carry the context to another service.
+ * @returns {Object} `{ traceparent, 'x-request-id' }` (unset ones omitted), or {} outside a context
+ */
+const getTraceHeaders = () => {
+    const context = getContext();
+    if (!context) return {};
+
+    const headers = {};
+    const traceparent = formatTraceparent(context);
+    if (traceparent) headers.traceparent = traceparent;
+    if (context.requestId) headers['x-request-id'] = context.requestId;
+    return headers;
+};
+
+module.exports = {
+    createContext,
+    contextFromHeaders,
+    contextFromEvent,
+    runWithContext,
+    getContext,
+    updateContext,
+    getLogFields,
+    getTraceHeaders,
+    newTraceId,
+    newSpanId,
+    isTraceId,
+    parseTraceparent,
+    formatTraceparent,
+};
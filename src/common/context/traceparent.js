@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+/**
+ * @module Request Context
+ * @fileoverview W3C Trace Context `traceparent` header helpers.
+ *
+ * ```
+ * traceparent: 00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01
+ *              │  │                                │                └ flags (01 = sampled)
+ *              │  │                                └ parent span id (16 hex)
+ *              │  └ trace id (32 hex)
+ *              └ version
+ * ```
+ *
+ * @see https://www.w3.org/TR/trace-context/#traceparent-header
+ */
+
+const kTRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const kINVALID_TRACE_ID = '0'.repeat(32);
+const kINVALID_SPAN_ID = '0'.repeat(16);
+
+/**
+ * @returns {string} Random 32-hex trace id
+ */
+const newTraceId = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * @returns {string} Random 16-hex span id
+ */
+const newSpanId = () => crypto.randomBytes(8).toString('hex');
+
+/**
+ * Whether a value can be sent as a traceparent trace id.
+ * @param {*} traceId
+ * @returns {boolean}
+ */
+const isTraceId = (traceId) => typeof traceId === 'string'
+    && /^[0-9a-f]{32}$/.test(traceId)
+    && traceId !== kINVALID_TRACE_ID;
+
+/**
+ * Parse a traceparent header.
+ * @param {string} header
+ * @returns {{traceId: string, parentSpanId: string, traceFlags: string}|null} Null if missing or malformed
+ */
+const parseTraceparent = (header) => {
+    const match = kTRACEPARENT.exec(String(header || '').trim().toLowerCase());
+    if (!match) return null;
+
+    const [, version, traceId, parentSpanId, traceFlags] = match;
+    if (version === 'ff' || traceId === kINVALID_TRACE_ID || parentSpanId === kINVALID_SPAN_ID) {
+        return null;
+    }
+    return { traceId, parentSpanId, traceFlags };
+};
+
+/**
+ * Format a traceparent header for outbound calls.
+ * @param {Object} context
+ * @param {string} context.traceId
+ * @param {string} context.spanId
+ * @param {string} [context.traceFlags='01']
+ * @returns {string|null} Null if the trace id is not a W3C trace id
+ */
+const formatTraceparent = ({ traceId, spanId, traceFlags = '01' }) => {
+    if (!isTraceId(traceId)) return null;
+    return `00-${traceId}-${spanId || newSpanId()}-${traceFlags}`;
+};
+
+module.exports = {
+    newTraceId,
+    newSpanId,
+    isTraceId,
+    parseTraceparent,
+    formatTraceparent,
+};
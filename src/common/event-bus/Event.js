@@ -1,4 +1,6 @@
+const crypto = require('crypto');
 const { deepFreeze } = require('../../utils/index.js');
+const { getContext } = require('../context');
 
 /**
  * @module Event System
@@ -6,24 +8,62 @@ const { deepFreeze } = require('../../utils/index.js');
  *
  * Event class provides a standardized envelope for event data with timestamp,
  * actor information, and trace IDs for distributed tracing.
+ *
+ * Every event has a unique `id` that survives serialization, so consumers can
+ * recognise an event delivered more than once (see `dedupe/idempotent`).
+ *
+ * `Event.create()` fills the actor, user id and trace id the caller leaves unset
+ * from the current request context (see `common/context`), so events emitted
+ * while handling a request carry its trace.
+ *
+ * `version` is the payload schema version the data was validated against
+ * (see `schemas/`), or null for events without a registered schema.
  */
 
 class Event {
-    constructor(name, data) {
+    /**
+     * @param {string} name - Event name (e.g. 'icon.created')
+     * @param {*} data - Event payload, deep-frozen
+     * @param {Object} [meta={}] - Envelope metadata
+     * @param {string} [meta.actor='user'] - Kind of actor that caused the event
+     * @param {number|string} [meta.user_id=null] - ID of the acting user
+     * @param {string} [meta.trace_id=null] - Trace ID for distributed tracing
+     * @param {string} [meta.id] - Event id; a new UUID by default
+     * @param {number} [meta.version=null] - Payload schema version
+     */
+    constructor(name, data, { actor = 'user', user_id = null, trace_id = null, id = crypto.randomUUID(), version = null } = {}) {
+        this.id           = id;
         this.name         = name;
+        this.version      = version;
         this.timestamp    = new Date().toISOString(); 
-        this.actor        = 'user'; 
-        this.user_id      = null;
-        this.trace_id     = null;
+        this.actor        = actor; 
+        this.user_id      = user_id;
+        this.trace_id     = trace_id;
         this.data         = deepFreeze(data || {});
     }
 
-    static create(name, data) {
-        return new Event(name, data);
+    /**
+     * @param {string} name
+     * @param {*} data
+     * @param {Object} [meta={}] - See the constructor. Null or missing actor, user_id
+     *   and trace_id come from the current request context.
+     * @returns {Event}
+     */
+    static create(name, data, meta = {}) {
+        const context = getContext();
+        return new Event(name, data, {
+            ...meta,
+            actor    : meta.actor ?? context?.actor,
+            user_id  : meta.user_id ?? context?.userId,
+            trace_id : meta.trace_id ?? context?.traceId,
+        });
     }
 
     static fromPayload(payload) {
-        const event = new Event(payload.name, payload.data);
+        const event = new Event(payload.name, payload.data, {
+            id      : payload.id || undefined,
+            version : payload.version ?? null,
+        });
         event.timestamp = payload.timestamp;
         event.actor     = payload.actor;
         event.user_id   = payload.user_id;
@@ -33,7 +73,9 @@ class Event {
 
     toPayload() {
         return deepFreeze({
+            id          : this.id,
             name        : this.name,
+            version     : this.version,
             timestamp   : this.timestamp,
             actor       : this.actor,
             user_id     : this.user_id,
@@ -42,10 +84,18 @@ class Event {
         });
     }
 
+    getId() {
+        return this.id;
+    }
+
     getName() {
         return this.name;
     }
 
+    getVersion() {
+        return this.version;
+    }
+
     getTimestamp() {
         return this.timestamp;
     }
@@ -5,10 +5,58 @@ const AdminEmailNotifier = require('../notifiers/admin-email-notifier');
 
 const BaseEventBusAdapter = require('./adapters/BaseEventBusAdapter.js');
 const MemoryEventBusAdapter = require('./adapters/MemoryAdapter.js');
+const { getDeadLetterStore } = require('./dead-letter');
+const { getEventRegistry, EventValidationError } = require('./schemas');
+const { runWithContext, contextFromEvent } = require('../context');
+const { logger } = require('../../utils/Logger.js');
 
 // Singleton state
 let adapter = new MemoryEventBusAdapter();
 
+/**
+ * Default handler retry policy: one attempt, no retries.
+ * @private
+ */
+const kDEFAULT_RETRY = Object.freeze({
+    attempts   : 1,
+    backoff    : 'exponential',
+    delayMs    : 1000,
+    maxDelayMs : 30000,
+});
+
+/**
+ * Delay before the next attempt.
+ * @private
+ * @param {Object} retry - Resolved retry policy
+ * @param {number} attempt - Attempts made so far (1 after the first failure)
+ * @returns {number} Milliseconds
+ */
+const retryDelay = ({ backoff, delayMs, maxDelayMs }, attempt) => {
+    if (typeof backoff === 'function') return Math.min(backoff(attempt), maxDelayMs);
+    if (backoff === 'fixed') return Math.min(delayMs, maxDelayMs);
+    return Math.min(delayMs * 2 ** (attempt - 1), maxDelayMs);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Payload validation modes: skip, log violations, or throw EventValidationError.
+ * @private
+ */
+const kVALIDATION_MODES = Object.freeze(['off', 'warn', 'strict']);
+
+/**
+ * Default validation mode: EVENT_VALIDATION if set, else 'warn' in development
+ * and test, else 'off'.
+ * @private
+ * @returns {string}
+ */
+const defaultValidationMode = () => {
+    const mode = process.env.EVENT_VALIDATION;
+    if (kVALIDATION_MODES.includes(mode)) return mode;
+    return ['development', 'test'].includes(process.env.NODE_ENV) ? 'warn' : 'off';
+};
+
 /**
  * @module Event System
  * @fileoverview EventBus - Event-driven pub/sub system for decoupled architecture.
@@ -60,17 +108,32 @@ let adapter = new MemoryEventBusAdapter();
  * │  EventBus   │  ← Application uses this interface
  * └──────┬──────┘
  *        │ (adapter: BaseEventBusAdapter)
- *        ├────────────────────┬─────────────────────
- *        ↓                    ↓
- * ┌────────────────┐   ┌────────────────┐
- * │ MemoryAdapter  │   │  RedisAdapter  │
- * └────────────────┘   └────────────────┘
- * (single instance)    (distributed)
+ *        ├────────────────────┬────────────────────┐
+ *        ↓                    ↓                    ↓
+ * ┌────────────────┐   ┌────────────────┐   ┌────────────────┐
+ * │ MemoryAdapter  │   │  RedisAdapter  │   │ SnsSqsAdapter  │
+ * └────────────────┘   └────────────────┘   └────────────────┘
+ * (single instance)    (distributed)        (durable, per-service queues)
  * ```
  *
+ * **Payload Schemas:**
+ * - Events registered in the schema registry (see `schemas/`) are validated on
+ *   emit: logged in development and test, skipped in production, or thrown as
+ *   EventValidationError in 'strict' mode (`EVENT_VALIDATION`, `setValidationMode()`)
+ * - Each event carries the schema version its payload was validated against
+ * - Handlers can accept only some versions (`config.versions`)
+ *
+ * **Trace Context:**
+ * - Events emitted during a request carry its trace id, user and actor (see `common/context`)
+ * - Handlers run in a context rebuilt from the event, on every adapter, so their
+ *   logs, emits and outbound messages stay on the originating trace
+ *
  * **Error Handling:**
  * - Handlers are automatically wrapped with try/catch
  * - Failed handlers don't crash the application
+ * - Failed handlers can be retried with backoff (`config.retry`)
+ * - Events that fail every attempt go to the dead-letter store, to be listed,
+ *   replayed or discarded later (see `dead-letter/`)
  * - Errors can trigger Slack/Email notifications
  * - Other handlers continue executing even if one fails
  * - Promise.allSettled ensures notification delivery
@@ -280,6 +343,20 @@ class EventBus {
          * @private
          */
         this.wrappedHandlers = new WeakMap();
+
+        /**
+         * Named handlers by event, so dead-lettered events can be replayed.
+         * @type {Map<string, Map<string, Function>>}
+         * @private
+         */
+        this.namedHandlers = new Map();
+
+        /**
+         * Payload validation mode: 'off', 'warn' or 'strict'.
+         * @type {string}
+         * @private
+         */
+        this.validationMode = defaultValidationMode();
     }
 
     /**
@@ -308,15 +385,44 @@ class EventBus {
         adapter = nextAdapter;
     }
 
+    /**
+     * Sets how emitted payloads are checked against the schema registry.
+     *
+     * @param {string} mode - 'off', 'warn' (log violations) or 'strict' (throw EventValidationError)
+     * @throws {Error} If the mode is unknown
+     *
+     * @example
+     * // Fail tests that emit payloads breaking their event's schema
+     * beforeAll(() => eventBus.setValidationMode('strict'));
+     */
+    setValidationMode(mode) {
+        if (!kVALIDATION_MODES.includes(mode)) {
+            throw new Error(`EventBus.setValidationMode expects one of ${kVALIDATION_MODES.join(', ')} (got ${mode})`);
+        }
+        this.validationMode = mode;
+    }
+
     /**
      * Subscribes to an event with an async handler function.
      *
      * Handlers are automatically wrapped with error handling. Failed handlers
      * won't crash the application and can optionally notify via Slack/Email.
      *
-     * @param {string} event - The event type to listen for (e.g., EventTypes.USER_SIGNUP)
+     * `event` can be a pattern: `user.*` (one segment), `order.**` (one or more
+     * segments) or `*` (every event). See patterns.js.
+     *
+     * @param {string} event - The event type or pattern to listen for (e.g., EventTypes.USER_SIGNUP, 'order.**')
      * @param {Function} handler - Async function to handle the event: `async (payload) => void`
      * @param {Object} [config={}] - Handler configuration
+     * @param {string} [config.name] - Handler name for dead letters and replay (default: handler.name)
+     * @param {Object} [config.retry] - Retry policy for failed runs
+     * @param {number} [config.retry.attempts=1] - Total attempts, including the first
+     * @param {string|Function} [config.retry.backoff='exponential'] - 'exponential', 'fixed' or `(attempt) => ms`
+     * @param {number} [config.retry.delayMs=1000] - Delay before the first retry
+     * @param {number} [config.retry.maxDelayMs=30000] - Upper bound for any delay
+     * @param {boolean} [config.deadLetter=true] - Set false to drop events that fail every attempt
+     * @param {Array<number>} [config.versions] - Payload schema versions the handler accepts;
+     *   events with other versions are skipped. Events without a version are always delivered.
      * @param {Object} [config.onError] - Error handling configuration
      * @param {Array<string>} [config.onError.notify] - Notifiers to use on error: ['slack', 'email']
      *
@@ -340,16 +446,34 @@ class EventBus {
      * eventBus.on(EventTypes.USER_VERIFY_EMAIL, sendWelcomeEmail);
      * eventBus.on(EventTypes.USER_VERIFY_EMAIL, createCouponCode);
      * eventBus.on(EventTypes.USER_VERIFY_EMAIL, notifySlack);
+     *
+     * @example
+     * // Audit every event, whatever its namespace
+     * eventBus.on('*', async (event) => {
+     *   await auditLog.write(event.name, event.data);
+     * });
+     *
+     * @example
+     * // Retry with backoff, then dead-letter
+     * eventBus.on(EventTypes.ORDER_COMPLETED, sendConfirmation, {
+     *   name: 'order-confirmation',
+     *   retry: { attempts: 5, backoff: 'exponential', maxDelayMs: 60000 },
+     * });
+     *
+     * @example
+     * // Only v2 payloads; v1 events are left to the legacy handler
+     * eventBus.on(EventTypes.ORDER_REFUND, refundV2, { versions: [2] });
      */
     on(event, handler, config = {}) {
         if (!event || !handler) return;
 
-        const wrapped = async (payload) => {
-            await this.safeRun(event, handler, payload);
-        };
+        const wrapped = async (payload) => this.acceptsVersion(config, payload)
+            ? runWithContext(contextFromEvent(payload), () => this.safeRun(event, handler, payload))
+            : true;
 
         this.handlerConfigs.set(handler, config);
         this.wrappedHandlers.set(handler, wrapped);
+        this.registerName(event, handler, config);
         adapter.on(event, wrapped);
     }
 
@@ -384,6 +508,11 @@ class EventBus {
         adapter.off(event, wrapped);
         this.handlerConfigs.delete(handler);
         this.wrappedHandlers.delete(handler);
+
+        const named = this.namedHandlers.get(event);
+        for (const [name, registered] of named || []) {
+            if (registered === handler) named.delete(name);
+        }
     }
 
     /**
@@ -415,15 +544,40 @@ class EventBus {
     once(event, handler, config = {}) {
         if (!event || !handler) return;
 
-        const wrapped = async (payload) => {
-            await this.safeRun(event, handler, payload);
-        };
+        const wrapped = async (payload) => this.acceptsVersion(config, payload)
+            ? runWithContext(contextFromEvent(payload), () => this.safeRun(event, handler, payload))
+            : true;
 
         this.handlerConfigs.set(handler, config);
         this.wrappedHandlers.set(handler, wrapped);
+        this.registerName(event, handler, config);
         adapter.once(event, wrapped);
     }
 
+    /**
+     * Whether a handler accepts the event's payload version.
+     * @private
+     */
+    acceptsVersion(config, payload) {
+        const version = payload?.version;
+        if (!Array.isArray(config.versions) || version == null) return true;
+        return config.versions.includes(version);
+    }
+
+    /**
+     * Remember a named handler so its dead letters can be replayed.
+     * @private
+     */
+    registerName(event, handler, config) {
+        const name = config.name || handler.name;
+        if (!name) return;
+
+        if (!this.namedHandlers.has(event)) {
+            this.namedHandlers.set(event, new Map());
+        }
+        this.namedHandlers.get(event).set(name, handler);
+    }
+
     /**
      * Emits an event with optional payload data.
      *
@@ -432,8 +586,11 @@ class EventBus {
      *
      * @param {string} event - The event type to emit
      * @param {*} [payload] - Data to pass to handlers (any type)
+     * @param {Object} [meta={}] - Envelope metadata (actor, user_id, trace_id), see Event
+     * @param {number} [meta.version] - Payload schema version (default: the latest registered)
      *
      * @returns {boolean} True if event was emitted, false if event name invalid
+     * @throws {EventValidationError} In 'strict' mode, if the payload breaks its schema
      *
      * @example
      * // Emit with object payload
@@ -456,10 +613,70 @@ class EventBus {
      * await iconService.createIcon(data);
      * eventBus.emit(EventTypes.ICON_CREATED, icon);
      * // All plugins listening to ICON_CREATED will execute
+     *
+     * @example
+     * // Stamp the acting user and trace id on the envelope
+     * eventBus.emit('icon.updated', { id: 12 }, { user_id: 7, trace_id: 'req-9f2c' });
+     *
+     * @example
+     * // Keep emitting the v1 payload while consumers migrate to v2
+     * eventBus.emit(EventTypes.ORDER_REFUND, legacyRefund, { version: 1 });
      */
-    emit(event, payload) {
+    emit(event, payload, meta = {}) {
         if (!event) return false;
-        adapter.emit(event, Event.create(event, payload));
+        const version = this.validate(event, payload, meta.version);
+        const delivered = adapter.emit(event, Event.create(event, payload, { ...meta, version }));
+
+        // Remote adapters (Redis, SNS/SQS) return the publish promise. emit() is
+        // fire-and-forget, so a failed publish is logged rather than left unhandled;
+        // use dispatch() to await delivery.
+        if (typeof delivered?.catch === 'function') {
+            delivered.catch(error => logger.error(`[EventBus] Failed to deliver "${event}":`, error));
+        }
+        return true;
+    }
+
+    /**
+     * Checks a payload against its event's schema, per the validation mode.
+     *
+     * @private
+     * @param {string} event
+     * @param {*} payload
+     * @param {number} [version] - Default: the latest registered
+     * @returns {number|null} Payload schema version, or null if the event has no schema
+     * @throws {EventValidationError} In 'strict' mode
+     */
+    validate(event, payload, version) {
+        const registry = getEventRegistry();
+        const resolved = version ?? registry.latestVersion(event);
+        if (this.validationMode === 'off' || resolved === null) return resolved;
+
+        const { valid, errors } = registry.validate(event, payload ?? {}, { version: resolved });
+        if (valid) return resolved;
+
+        const error = new EventValidationError(event, resolved, errors);
+        if (this.validationMode === 'strict') throw error;
+        logger.warn(`[EventBus] ${error.message}`);
+        return resolved;
+    }
+
+    /**
+     * Emits an existing Event as is, keeping its id and timestamp.
+     *
+     * Used to deliver events recorded earlier, such as rows relayed from the
+     * transactional outbox. Resolves once the adapter has accepted the event
+     * (for Redis, once it is published).
+     *
+     * @async
+     * @param {Event} event - Event to deliver
+     * @returns {Promise<boolean>} False if the event has no name
+     *
+     * @example
+     * await eventBus.dispatch(Event.fromPayload(row.payload));
+     */
+    async dispatch(event) {
+        if (!event?.name) return false;
+        await adapter.emit(event.name, event);
         return true;
     }
 
@@ -483,23 +700,105 @@ class EventBus {
         adapter.clear();
         this.handlerConfigs = new WeakMap();
         this.wrappedHandlers = new WeakMap();
+        this.namedHandlers = new Map();
+    }
+
+    /**
+     * Lists dead-lettered events, newest first.
+     *
+     * @async
+     * @param {Object} [query={}]
+     * @param {string} [query.eventName] - Only this event
+     * @param {string} [query.handlerName] - Only this handler
+     * @param {number} [query.limit=50]
+     * @param {number} [query.offset=0]
+     * @returns {Promise<Array<Object>>} Dead-letter entries, see BaseDeadLetterStore
+     *
+     * @example
+     * const failed = await eventBus.listDeadLetters({ handlerName: 'welcome-offer' });
+     */
+    async listDeadLetters(query = {}) {
+        return getDeadLetterStore().list(query);
+    }
+
+    /**
+     * Runs a dead-lettered event through its handler again, with the handler's
+     * retry policy. Success removes the entry; failure updates its error and
+     * attempt count and keeps it.
+     *
+     * @async
+     * @param {string} id - Dead-letter entry id
+     * @returns {Promise<boolean>} True if the handler succeeded
+     * @throws {Error} If the entry does not exist or its handler is no longer registered
+     *
+     * @example
+     * for (const entry of await eventBus.listDeadLetters({ handlerName: 'welcome-offer' })) {
+     *   await eventBus.replayDeadLetter(entry.id);
+     * }
+     */
+    async replayDeadLetter(id) {
+        const store = getDeadLetterStore();
+        const entry = await store.get(id);
+        if (!entry) {
+            throw new Error(`Dead letter ${id} not found`);
+        }
+
+        // Entries stored before `subscription` existed only have the event name.
+        const subscription = entry.subscription || entry.eventName;
+        const handler = this.namedHandlers.get(subscription)?.get(entry.handlerName);
+        if (!handler) {
+            throw new Error(`No handler "${entry.handlerName}" registered for ${subscription}`);
+        }
+
+        const config = this.handlerConfigs.get(handler) || {};
+        const event = Event.fromPayload(entry.payload);
+        const { attempts, error } = await runWithContext(contextFromEvent(event),
+            () => this.runWithRetry(handler, event, config.retry));
+
+        if (!error) {
+            await store.remove(id);
+            return true;
+        }
+
+        logger.error(`Replay of dead letter ${id} for "${entry.eventName}" failed:`, error);
+        await store.update(id, {
+            errorMessage : error?.message || String(error),
+            errorStack   : error?.stack || null,
+            attempts     : entry.attempts + attempts,
+            failedAt     : new Date().toISOString(),
+        });
+        return false;
+    }
+
+    /**
+     * Deletes a dead-lettered event without running it.
+     *
+     * @async
+     * @param {string} id - Dead-letter entry id
+     * @returns {Promise<boolean>} False if the entry does not exist
+     */
+    async discardDeadLetter(id) {
+        return getDeadLetterStore().remove(id);
     }
 
     /**
-     * Safely executes a handler with error handling and notifications.
+     * Safely executes a handler with retries, error handling and notifications.
      *
-     * If the handler throws an error:
+     * If the handler throws on every attempt:
      * 1. Error is logged to console
      * 2. Configured notifiers are triggered (Slack, Email)
-     * 3. Event bus continues operating normally
+     * 3. The event is dead-lettered (unless `config.deadLetter` is false)
+     * 4. Event bus continues operating normally
      *
      * This prevents one failing handler from crashing the application
      * or preventing other handlers from executing.
      *
      * @async
-     * @param {string} eventName - The event name (for error reporting)
+     * @param {string} eventName - The event name or pattern the handler subscribed to
      * @param {Function} handler - The handler function to execute
      * @param {*} payload - The event payload to pass to handler
+     * @returns {Promise<boolean>} False if the handler failed every attempt. Adapters
+     *   with acknowledgements (SQS) use this to keep the message for redelivery.
      *
      * @private
      *
@@ -508,24 +807,86 @@ class EventBus {
      * // You don't need to call it directly
      */
     async safeRun(eventName, handler, payload) {
-        try {
-            await handler(payload);
+        const config = this.handlerConfigs.get(handler) || {};
+        const { attempts, error } = await this.runWithRetry(handler, payload, config.retry);
+        if (!error) return true;
+
+        logger.error(`Error in plugin handler for event "${eventName}":`, error);
+        const notifiers = config?.onError?.notify || [];
+        const subject = `Error in plugin handler for ${eventName}`;
+        const tasks = [];
+
+        if (notifiers.includes('slack')) {
+            tasks.push(this.slackNotifier.notify(subject, error));
+        }
+        if (notifiers.includes('email')) {
+            tasks.push(this.emailNotifier.notify(subject, error));
         }
-        catch (error) {
-            console.error(`Error in plugin handler for event "${eventName}":`, error);
-            const config = this.handlerConfigs.get(handler) || {};
-            const notifiers = config?.onError?.notify || [];
-            const subject = `Error in plugin handler for ${eventName}`;
-            const tasks = [];
-
-            if (notifiers.includes('slack')) {
-                tasks.push(this.slackNotifier.notify(subject, error));
+        if (config.deadLetter !== false) {
+            tasks.push(this.deadLetter(eventName, config.name || handler.name || null, payload, error, attempts));
+        }
+
+        await Promise.allSettled(tasks);
+        return false;
+    }
+
+    /**
+     * Runs a handler until it succeeds or the retry policy's attempts run out.
+     *
+     * @async
+     * @private
+     * @param {Function} handler
+     * @param {*} payload
+     * @param {Object} [retry] - See `on()` config.retry
+     * @returns {Promise<{attempts: number, error: Error|null}>} Last error, or null on success
+     */
+    async runWithRetry(handler, payload, retry = {}) {
+        const policy = { ...kDEFAULT_RETRY, ...retry };
+        policy.attempts = Math.max(1, policy.attempts);
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= policy.attempts; attempt++) {
+            try {
+                await handler(payload);
+                return { attempts: attempt, error: null };
             }
-            if (notifiers.includes('email')) {
-                tasks.push(this.emailNotifier.notify(subject, error));
+            catch (error) {
+                lastError = error;
+                if (attempt < policy.attempts) {
+                    await sleep(retryDelay(policy, attempt));
+                }
             }
+        }
+        return { attempts: policy.attempts, error: lastError };
+    }
 
-            await Promise.allSettled(tasks);
+    /**
+     * Stores a failed event in the dead-letter store. Store failures are logged.
+     *
+     * The entry's `eventName` is the event that was delivered; `subscription` is
+     * what the handler subscribed to (a pattern such as `order.**` for wildcard
+     * handlers), which replayDeadLetter() uses to find the handler again.
+     *
+     * @async
+     * @private
+     * @param {string} subscription - The event name or pattern passed to on()/once()
+     */
+    async deadLetter(subscription, handlerName, payload, error, attempts) {
+        const eventName = payload?.name || subscription;
+        try {
+            await getDeadLetterStore().add({
+                eventName,
+                subscription,
+                handlerName,
+                payload      : typeof payload?.toPayload === 'function' ? payload.toPayload() : payload,
+                errorMessage : error?.message || String(error),
+                errorStack   : error?.stack || null,
+                attempts,
+                failedAt     : new Date().toISOString(),
+            });
+        }
+        catch (storeError) {
+            logger.error(`Failed to dead-letter event "${eventName}":`, storeError);
         }
     }
 }
@@ -3,6 +3,8 @@
  * @description Event types for the event bus.
  * This module defines a set of constants representing different event types
  * that can be emitted and listened to in the event bus system.
+ * Each event's payload schema lives in schemas/definitions.js; see
+ * source-docs/EVENTS.md for the generated catalog.
  * @example
  * const { EventBus, EventTypes } = require('./event-bus');
  * EventBus.on(EventTypes.USER_SIGNUP, (event) => {...});
@@ -30,6 +32,7 @@ const EventTypes = Object.freeze({
     ORDER_ADD_FAILED            : 'order.add.failed',
     NOTIFY_EMAIL                : 'notify-email',
     NOTIFY_SLACK                : 'notify-slack',
+    CACHE_INVALIDATE            : 'cache.invalidate',
 });
 
 module.exports = EventTypes;
\ No newline at end of file
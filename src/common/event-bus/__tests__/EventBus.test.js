@@ -1,4 +1,10 @@
 const { EventBus } = require('../index');
+const { MemoryDeadLetterStore, getDeadLetterStore, setDeadLetterStore } = require('../dead-letter');
+const { EventSchemaRegistry, EventValidationError, getEventRegistry, setEventRegistry } = require('../schemas');
+const { runWithContext, createContext, getContext } = require('../../context');
+const Event = require('../Event');
+const MemoryEventBusAdapter = require('../adapters/MemoryAdapter');
+const SnsSqsEventBusAdapter = require('../adapters/SnsSqsAdapter');
 const SlackNotifier = require('../../notifiers/slack-notifier');
 const AdminEmailNotifier = require('../../notifiers/admin-email-notifier');
 
@@ -74,6 +80,19 @@ describe('EventBus', () => {
         expect(AdminEmailNotifier.prototype.notify).toHaveBeenCalled();
     });
 
+    it('should deliver events to pattern subscribers', async () => {
+        const handler = jest.fn();
+        EventBus.on('order.**', handler);
+        EventBus.emit('order.credits.purchase', { credits: 100 });
+        EventBus.emit('user.signup', {});
+
+        await new Promise(r => setTimeout(r, 10));
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0]).toMatchObject({ name: 'order.credits.purchase', data: { credits: 100 } });
+        EventBus.off('order.**', handler);
+    });
+
     it('should clear all listeners', async () => {
         const handler = jest.fn();
         EventBus.on('clear.event', handler);
@@ -84,4 +103,276 @@ describe('EventBus', () => {
 
         expect(handler).not.toHaveBeenCalled();
     });
-});
\ No newline at end of file
+
+    describe('retries and dead letters', () => {
+        let store;
+        let previous;
+
+        beforeEach(() => {
+            previous = getDeadLetterStore();
+            store = new MemoryDeadLetterStore();
+            setDeadLetterStore(store);
+        });
+
+        afterEach(() => {
+            EventBus.clear();
+            setDeadLetterStore(previous);
+        });
+
+        it('should retry a failing handler until it succeeds', async () => {
+            const handler = jest.fn()
+                .mockRejectedValueOnce(new Error('flaky'))
+                .mockRejectedValueOnce(new Error('flaky'))
+                .mockResolvedValueOnce(undefined);
+            EventBus.on('retry.event', handler, { retry: { attempts: 3, delayMs: 1 } });
+
+            EventBus.emit('retry.event', { id: 1 });
+            await new Promise(r => setTimeout(r, 30));
+
+            expect(handler).toHaveBeenCalledTimes(3);
+            expect(await store.list()).toEqual([]);
+            expect(console.error).not.toHaveBeenCalled();
+        });
+
+        it('should back off exponentially up to maxDelayMs', async () => {
+            const delays = [];
+            jest.spyOn(global, 'setTimeout').mockImplementation((fn, ms) => {
+                delays.push(ms);
+                fn();
+                return 0;
+            });
+            const handler = jest.fn(async () => { throw new Error('down'); });
+
+            await EventBus.runWithRetry(handler, {}, { attempts: 5, delayMs: 100, maxDelayMs: 500 });
+            await EventBus.runWithRetry(handler, {}, { attempts: 3, backoff: 'fixed', delayMs: 50 });
+            global.setTimeout.mockRestore();
+
+            expect(delays).toEqual([100, 200, 400, 500, 50, 50]);
+        });
+
+        it('should dead-letter events that fail every attempt', async () => {
+            const handler = jest.fn(async () => { throw new Error('SMTP timeout'); });
+            EventBus.on('order.completed', handler, { name: 'order-confirmation', retry: { attempts: 2, delayMs: 1 } });
+
+            EventBus.emit('order.completed', { id: 5 }, { user_id: 7 });
+            await new Promise(r => setTimeout(r, 30));
+
+            const [letter] = await store.list();
+            expect(handler).toHaveBeenCalledTimes(2);
+            expect(letter).toMatchObject({
+                eventName: 'order.completed',
+                subscription: 'order.completed',
+                handlerName: 'order-confirmation',
+                payload: expect.objectContaining({ name: 'order.completed', user_id: 7, data: { id: 5 } }),
+                errorMessage: 'SMTP timeout',
+                attempts: 2,
+            });
+            expect(await EventBus.listDeadLetters({ handlerName: 'order-confirmation' })).toEqual([letter]);
+        });
+
+        it('should report the outcome to the adapter', async () => {
+            await expect(EventBus.safeRun('ok.event', async () => {}, {})).resolves.toBe(true);
+            await expect(EventBus.safeRun('bad.event', async () => { throw new Error('Boom'); }, {})).resolves.toBe(false);
+        });
+
+        it('should not dead-letter when disabled', async () => {
+            EventBus.on('quiet.event', async () => { throw new Error('Boom'); }, { deadLetter: false });
+
+            EventBus.emit('quiet.event', {});
+            await new Promise(r => setTimeout(r, 10));
+
+            expect(await store.list()).toEqual([]);
+        });
+
+        it('should replay a dead letter and remove it on success', async () => {
+            const handler = jest.fn()
+                .mockRejectedValueOnce(new Error('Boom'))
+                .mockResolvedValueOnce(undefined);
+            EventBus.on('replay.event', handler, { name: 'replayer' });
+            EventBus.emit('replay.event', { id: 1 });
+            await new Promise(r => setTimeout(r, 10));
+            const [letter] = await store.list();
+
+            expect(await EventBus.replayDeadLetter(letter.id)).toBe(true);
+
+            expect(handler.mock.calls[1][0]).toMatchObject({ id: letter.payload.id, name: 'replay.event', data: { id: 1 } });
+            expect(await store.list()).toEqual([]);
+        });
+
+        it('should dead-letter the delivered event and replay it through its pattern', async () => {
+            const handler = jest.fn()
+                .mockRejectedValueOnce(new Error('Boom'))
+                .mockResolvedValueOnce(undefined);
+            EventBus.on('order.**', handler, { name: 'order-audit' });
+            EventBus.emit('order.credits.purchase', { id: 4 });
+            await new Promise(r => setTimeout(r, 10));
+            const [letter] = await store.list();
+
+            expect(letter).toMatchObject({ eventName: 'order.credits.purchase', subscription: 'order.**' });
+            expect(await EventBus.listDeadLetters({ eventName: 'order.credits.purchase' })).toEqual([letter]);
+            expect(await EventBus.replayDeadLetter(letter.id)).toBe(true);
+            expect(handler.mock.calls[1][0]).toMatchObject({ name: 'order.credits.purchase', data: { id: 4 } });
+        });
+
+        it('should keep a dead letter that fails again', async () => {
+            const handler = jest.fn(async () => { throw new Error('still down'); });
+            EventBus.on('replay.event', handler, { name: 'replayer' });
+            EventBus.emit('replay.event', {});
+            await new Promise(r => setTimeout(r, 10));
+            const [letter] = await store.list();
+
+            expect(await EventBus.replayDeadLetter(letter.id)).toBe(false);
+            expect(await store.get(letter.id)).toMatchObject({ attempts: 2, errorMessage: 'still down' });
+        });
+
+        it('should refuse to replay unknown entries or handlers and discard entries', async () => {
+            const { id } = await store.add({ eventName: 'gone.event', handlerName: 'gone', payload: {}, attempts: 1 });
+
+            await expect(EventBus.replayDeadLetter('missing')).rejects.toThrow('Dead letter missing not found');
+            await expect(EventBus.replayDeadLetter(id)).rejects.toThrow('No handler "gone" registered for gone.event');
+
+            expect(await EventBus.discardDeadLetter(id)).toBe(true);
+            expect(await EventBus.discardDeadLetter(id)).toBe(false);
+        });
+    });
+
+    describe('payload schemas', () => {
+        let previous;
+
+        beforeEach(() => {
+            previous = getEventRegistry();
+            setEventRegistry(new EventSchemaRegistry()
+                .register('schema.event', { schema: { type: 'object', required: ['id'] } })
+                .register('schema.event', { version: 2, schema: { type: 'object', required: ['id', 'email'] } }));
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            EventBus.clear();
+            EventBus.setValidationMode('warn');
+            setEventRegistry(previous);
+            console.warn.mockRestore();
+        });
+
+        it('should warn about invalid payloads in test and still emit them', async () => {
+            const handler = jest.fn();
+            EventBus.on('schema.event', handler);
+
+            expect(EventBus.emit('schema.event', { id: 1 })).toBe(true);
+            await new Promise(r => setTimeout(r, 10));
+
+            expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("schema.event v2: data must have required property 'email'"));
+            expect(handler).toHaveBeenCalledWith(expect.objectContaining({ version: 2 }));
+        });
+
+        it('should throw in strict mode and skip validation when off', () => {
+            EventBus.setValidationMode('strict');
+            expect(() => EventBus.emit('schema.event', { id: 1 })).toThrow(EventValidationError);
+            expect(() => EventBus.emit('schema.event', { id: 1 }, { version: 1 })).not.toThrow();
+
+            EventBus.setValidationMode('off');
+            expect(() => EventBus.emit('schema.event', {})).not.toThrow();
+            expect(() => EventBus.setValidationMode('loud')).toThrow('EventBus.setValidationMode expects one of off, warn, strict');
+        });
+
+        it('should leave events without a schema unversioned', async () => {
+            EventBus.setValidationMode('strict');
+            const handler = jest.fn();
+            EventBus.on('unknown.event', handler);
+
+            EventBus.emit('unknown.event', { anything: true });
+            await new Promise(r => setTimeout(r, 10));
+
+            expect(handler).toHaveBeenCalledWith(expect.objectContaining({ version: null }));
+        });
+
+        it('should deliver only the versions a handler accepts', async () => {
+            const legacy = jest.fn();
+            const current = jest.fn();
+            const any = jest.fn();
+            EventBus.on('schema.event', legacy, { versions: [1] });
+            EventBus.on('schema.event', current, { versions: [2] });
+            EventBus.on('schema.event', any);
+
+            EventBus.emit('schema.event', { id: 1 }, { version: 1 });
+            EventBus.emit('schema.event', { id: 2, email: 'a@example.com' });
+            await new Promise(r => setTimeout(r, 10));
+
+            expect(legacy.mock.calls.map(([event]) => event.data.id)).toEqual([1]);
+            expect(current.mock.calls.map(([event]) => event.data.id)).toEqual([2]);
+            expect(any).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('trace context', () => {
+        const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+
+        afterEach(() => {
+            EventBus.clear();
+        });
+
+        it('should stamp the request context on emitted events', async () => {
+            const handler = jest.fn();
+            EventBus.on('traced.event', handler);
+
+            runWithContext(createContext({ traceId, userId: 7, actor: 'user' }), () => {
+                EventBus.emit('traced.event', {});
+                EventBus.emit('traced.event', {}, { user_id: 9, actor: 'system' });
+            });
+            await new Promise(r => setTimeout(r, 10));
+
+            expect(handler.mock.calls[0][0]).toMatchObject({ trace_id: traceId, user_id: 7, actor: 'user' });
+            expect(handler.mock.calls[1][0]).toMatchObject({ trace_id: traceId, user_id: 9, actor: 'system' });
+        });
+
+        it('should run handlers in the originating context', async () => {
+            const seen = [];
+            EventBus.on('traced.event', async () => {
+                await Promise.resolve();
+                seen.push(getContext());
+            });
+
+            runWithContext(createContext({ traceId, requestId: 'req-1', userId: 7, actor: 'user' }), () => {
+                EventBus.emit('traced.event', {});
+            });
+            // As delivered by a remote adapter: outside any request
+            await EventBus.dispatch(Event.fromPayload(Event.create('traced.event', {}, { trace_id: traceId, user_id: 8 }).toPayload()));
+            await new Promise(r => setTimeout(r, 10));
+
+            expect(seen[0]).toMatchObject({ traceId, requestId: 'req-1', userId: 7, actor: 'user' });
+            expect(seen[1]).toMatchObject({ traceId, requestId: null, userId: 8 });
+        });
+    });
+
+    describe('remote adapters', () => {
+        const error = new Error('SNS unavailable');
+        let sns;
+
+        beforeEach(() => {
+            sns = { publishMessage: jest.fn().mockRejectedValue(error) };
+            EventBus.setAdapter(new SnsSqsEventBusAdapter({ topicArn: 'arn:topic', queueUrl: 'https://queue', sns, sqs: {} }));
+        });
+
+        afterEach(() => {
+            EventBus.setAdapter(new MemoryEventBusAdapter());
+        });
+
+        it('should log a failed publish instead of leaving it unhandled', async () => {
+            const unhandled = jest.fn();
+            process.on('unhandledRejection', unhandled);
+
+            expect(EventBus.emit('icon.created', { id: 1 })).toBe(true);
+            await new Promise(r => setImmediate(r));
+            await new Promise(r => setImmediate(r));
+
+            process.off('unhandledRejection', unhandled);
+            expect(sns.publishMessage).toHaveBeenCalledTimes(1);
+            expect(unhandled).not.toHaveBeenCalled();
+            expect(console.error).toHaveBeenCalledWith('[EventBus] Failed to deliver "icon.created":', error);
+        });
+
+        it('should reject dispatch() so callers can retry', async () => {
+            await expect(EventBus.dispatch(Event.create('icon.created', { id: 1 }))).rejects.toBe(error);
+        });
+    });
+});
@@ -0,0 +1,211 @@
+/* eslint-env jest */
+
+const AWS = require('aws-sdk');
+const AWSMock = require('aws-sdk-mock');
+const SQSService = require('../../../aws/sqs/SQSService');
+const SNSService = require('../../../aws/sns/SNSService');
+const SnsSqsEventBusAdapter = require('../adapters/SnsSqsAdapter');
+
+AWSMock.setSDKInstance(AWS);
+
+const topicArn = 'arn:aws:sns:us-east-1:123456789012:eventbus';
+const queueUrl = 'https://sqs.us-east-1.amazonaws.com/123456789012/eventbus-search';
+
+const message = (id, body, { envelope = false } = {}) => ({
+    MessageId: id,
+    ReceiptHandle: `handle-${id}`,
+    Body: envelope
+        ? JSON.stringify({ Type: 'Notification', TopicArn: topicArn, Message: JSON.stringify(body) })
+        : JSON.stringify(body),
+});
+
+/**
+ * Mock SQS/SNS with aws-sdk-mock. `batches` are returned by successive receives,
+ * then receives come back empty.
+ */
+const mockAws = (batches = []) => {
+    const calls = { publish: [], receive: [], delete: [], visibility: [] };
+    const queue = [...batches];
+
+    AWSMock.mock('SNS', 'publish', (params, callback) => {
+        calls.publish.push(params);
+        callback(null, { MessageId: 'sns-1' });
+    });
+    AWSMock.mock('SQS', 'receiveMessage', (params, callback) => {
+        calls.receive.push(params);
+        callback(null, { Messages: queue.shift() || [] });
+    });
+    AWSMock.mock('SQS', 'deleteMessage', (params, callback) => {
+        calls.delete.push(params.ReceiptHandle);
+        callback(null, {});
+    });
+    AWSMock.mock('SQS', 'changeMessageVisibility', (params, callback) => {
+        calls.visibility.push(params);
+        callback(null, {});
+    });
+
+    const adapter = new SnsSqsEventBusAdapter({
+        topicArn,
+        queueUrl,
+        sns: new SNSService(new AWS.SNS()),
+        sqs: new SQSService(new AWS.SQS()),
+        waitTimeSeconds: 0,
+        visibilityTimeout: 2,
+    });
+    return { adapter, calls };
+};
+
+describe('SnsSqsEventBusAdapter', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        AWSMock.restore();
+        console.log.mockRestore();
+        console.error.mockRestore();
+    });
+
+    it('should require a topic and a queue', () => {
+        expect(() => new SnsSqsEventBusAdapter({ topicArn })).toThrow('SnsSqsEventBusAdapter requires a topicArn and a queueUrl');
+    });
+
+    it('should publish events to the topic with an event attribute', async () => {
+        const { adapter, calls } = mockAws();
+
+        await adapter.emit('icon.created', { id: 'evt-1', name: 'icon.created', data: { id: 12 } });
+
+        expect(calls.publish).toEqual([{
+            TopicArn: topicArn,
+            Message: JSON.stringify({ event: 'icon.created', payload: { id: 'evt-1', name: 'icon.created', data: { id: 12 } } }),
+            MessageAttributes: { event: { DataType: 'String', StringValue: 'icon.created' } },
+        }]);
+    });
+
+    it('should long-poll with the visibility timeout and delete handled messages', async () => {
+        const { adapter, calls } = mockAws([[
+            message('1', { event: 'icon.created', payload: { data: { id: 12 } } }),
+            message('2', { event: 'icon.created', payload: { data: { id: 13 } } }, { envelope: true }),
+        ]]);
+        const handler = jest.fn(async () => true);
+        adapter.on('icon.created', handler);
+
+        expect(await adapter.pollOnce()).toBe(2);
+
+        expect(calls.receive[0]).toEqual({
+            QueueUrl: queueUrl,
+            MaxNumberOfMessages: 10,
+            WaitTimeSeconds: 0,
+            VisibilityTimeout: 2,
+        });
+        expect(handler.mock.calls.map(([payload]) => payload.data.id)).toEqual([12, 13]);
+        expect(calls.delete).toEqual(['handle-1', 'handle-2']);
+    });
+
+    it('should keep messages whose handlers fail', async () => {
+        const { adapter, calls } = mockAws([[
+            message('1', { event: 'order.completed', payload: {} }),
+            message('2', { event: 'order.completed', payload: {} }),
+            message('3', { event: 'order.completed', payload: {} }),
+        ]]);
+        const ok = jest.fn();
+        const failing = jest.fn()
+            .mockResolvedValueOnce(false)
+            .mockRejectedValueOnce(new Error('boom'))
+            .mockResolvedValueOnce(undefined);
+        adapter.on('order.completed', ok);
+        adapter.on('order.completed', failing);
+
+        await adapter.pollOnce();
+
+        expect(ok).toHaveBeenCalledTimes(3);
+        expect(calls.delete).toEqual(['handle-3']);
+    });
+
+    it('should run wildcard subscribers', async () => {
+        const { adapter, calls } = mockAws([[
+            message('1', { event: 'order.credits.purchase', payload: {} }),
+        ]]);
+        const deep = jest.fn();
+        const namespace = jest.fn();
+        adapter.on('order.**', deep);
+        adapter.on('order.*', namespace);
+
+        await adapter.pollOnce();
+
+        expect(deep).toHaveBeenCalledTimes(1);
+        expect(namespace).not.toHaveBeenCalled();
+        expect(calls.delete).toEqual(['handle-1']);
+    });
+
+    it('should delete messages nobody handles and keep unreadable ones', async () => {
+        const { adapter, calls } = mockAws([[
+            message('1', { event: 'user.signup', payload: {} }),
+            { MessageId: '2', ReceiptHandle: 'handle-2', Body: 'not json' },
+        ]]);
+
+        await adapter.pollOnce();
+
+        expect(calls.delete).toEqual(['handle-1']);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Unreadable message 2'));
+    });
+
+    it('should extend visibility while a slow handler runs', async () => {
+        jest.useFakeTimers();
+        const { adapter, calls } = mockAws();
+        let finish;
+        adapter.on('icon.created', () => new Promise(resolve => { finish = resolve; }));
+
+        const handled = adapter.handleMessage(message('1', { event: 'icon.created', payload: {} }));
+        await jest.advanceTimersByTimeAsync(2500);
+        expect(calls.visibility).toEqual([
+            { QueueUrl: queueUrl, ReceiptHandle: 'handle-1', VisibilityTimeout: 2 },
+            { QueueUrl: queueUrl, ReceiptHandle: 'handle-1', VisibilityTimeout: 2 },
+        ]);
+
+        finish();
+        await expect(handled).resolves.toBe(true);
+        await jest.advanceTimersByTimeAsync(5000);
+        expect(calls.visibility).toHaveLength(2);
+        jest.useRealTimers();
+    });
+
+    it('should run once() handlers for a single message and support off() and clear()', async () => {
+        const { adapter } = mockAws();
+        const once = jest.fn();
+        const removed = jest.fn();
+        adapter.once('icon.created', once);
+        adapter.on('icon.created', removed);
+        adapter.off('icon.created', removed);
+
+        await adapter.handleMessage(message('1', { event: 'icon.created', payload: {} }));
+        await adapter.handleMessage(message('2', { event: 'icon.created', payload: {} }));
+
+        expect(once).toHaveBeenCalledTimes(1);
+        expect(removed).not.toHaveBeenCalled();
+
+        adapter.on('icon.created', removed);
+        adapter.clear();
+        expect(adapter.handlers.size).toBe(0);
+    });
+
+    it('should poll until stopped and survive receive errors', async () => {
+        const { adapter } = mockAws();
+        adapter.errorDelayMs = 1;
+        const pollOnce = jest.spyOn(adapter, 'pollOnce')
+            .mockRejectedValueOnce(new Error('throttled'))
+            .mockImplementation(() => new Promise(resolve => setTimeout(() => resolve(0), 5)));
+
+        adapter.start();
+        adapter.start();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await adapter.stop();
+        const polls = pollOnce.mock.calls.length;
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(polls).toBeGreaterThan(1);
+        expect(pollOnce).toHaveBeenCalledTimes(polls);
+        expect(console.error).toHaveBeenCalledWith('[SnsSqsEventBusAdapter] Failed to receive messages:', expect.any(Error));
+    });
+});
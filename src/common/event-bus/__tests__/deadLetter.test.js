@@ -0,0 +1,152 @@
+jest.mock('@vectoricons.net/db', () => ({
+    eventDeadLetters: {
+        jsonSchema: {
+            properties: {
+                id: { type: 'string' },
+                event_name: { type: 'string' },
+                handler_name: { type: 'string' },
+                attempts: { type: 'integer' },
+                failed_at: { type: 'string' },
+            },
+        },
+        query: jest.fn(),
+    },
+}), { virtual: true });
+
+const {
+    BaseDeadLetterStore,
+    MemoryDeadLetterStore,
+    DatabaseDeadLetterStore,
+    getDeadLetterStore,
+    setDeadLetterStore,
+} = require('../dead-letter');
+const DeadLetterRepository = require('../dead-letter/DeadLetterRepository');
+const DeadLetterEntity = require('../dead-letter/DeadLetterEntity');
+
+const entry = (overrides = {}) => ({
+    eventName: 'user.verify-email',
+    subscription: 'user.*',
+    handlerName: 'welcome-offer',
+    payload: { id: 'evt-1', name: 'user.verify-email', data: { id: 7 } },
+    errorMessage: 'SMTP timeout',
+    errorStack: 'Error: SMTP timeout',
+    attempts: 3,
+    failedAt: '2026-10-19T10:00:00.000Z',
+    ...overrides,
+});
+
+describe('dead letters', () => {
+    describe('MemoryDeadLetterStore', () => {
+        let store;
+
+        beforeEach(() => {
+            store = new MemoryDeadLetterStore({ maxEntries: 3 });
+        });
+
+        it('should add, get, update and remove entries', async () => {
+            const added = await store.add(entry());
+
+            expect(added).toEqual({ id: expect.any(String), ...entry() });
+            expect(Object.isFrozen(added)).toBe(true);
+            expect(await store.get(added.id)).toBe(added);
+
+            const updated = await store.update(added.id, { attempts: 4, errorMessage: 'again' });
+            expect(updated).toMatchObject({ id: added.id, attempts: 4, errorMessage: 'again', handlerName: 'welcome-offer' });
+            expect(await store.update('missing', {})).toBeNull();
+
+            expect(await store.remove(added.id)).toBe(true);
+            expect(await store.remove(added.id)).toBe(false);
+            expect(await store.get(added.id)).toBeNull();
+        });
+
+        it('should list newest first with filters and stay bounded', async () => {
+            await store.add(entry({ id: 'a' }));
+            await store.add(entry({ id: 'b', handlerName: 'order-confirmation', eventName: 'order.completed' }));
+            await store.add(entry({ id: 'c' }));
+            await store.add(entry({ id: 'd' }));
+
+            expect((await store.list()).map(e => e.id)).toEqual(['d', 'c', 'b']);
+            expect((await store.list({ handlerName: 'welcome-offer' })).map(e => e.id)).toEqual(['d', 'c']);
+            expect((await store.list({ eventName: 'order.completed' })).map(e => e.id)).toEqual(['b']);
+            expect((await store.list({ limit: 1, offset: 1 })).map(e => e.id)).toEqual(['c']);
+        });
+    });
+
+    describe('DatabaseDeadLetterStore', () => {
+        it('should map entries to event_dead_letters rows', async () => {
+            const repository = {
+                create: jest.fn(async (data) => data),
+                findLatest: jest.fn(async () => []),
+                findById: jest.fn(async (id) => ({ id })),
+                update: jest.fn(async () => 1),
+                delete: jest.fn().mockResolvedValueOnce(1).mockResolvedValueOnce(0),
+            };
+            const store = new DatabaseDeadLetterStore({ repository });
+
+            await store.add(entry());
+            expect(repository.create).toHaveBeenCalledWith({
+                id: expect.any(String),
+                event_name: 'user.verify-email',
+                subscription: 'user.*',
+                handler_name: 'welcome-offer',
+                payload: entry().payload,
+                error_message: 'SMTP timeout',
+                error_stack: 'Error: SMTP timeout',
+                attempts: 3,
+                failed_at: '2026-10-19T10:00:00.000Z',
+            });
+
+            await store.list({ eventName: 'user.verify-email' });
+            expect(repository.findLatest).toHaveBeenCalledWith({
+                eventName: 'user.verify-email', handlerName: null, limit: 50, offset: 0,
+            });
+
+            expect(await store.update('x', { errorMessage: 'again', attempts: 4, failedAt: 'now' })).toEqual({ id: 'x' });
+            expect(repository.update).toHaveBeenCalledWith('x', {
+                error_message: 'again', error_stack: null, attempts: 4, failed_at: 'now',
+            });
+
+            expect(await store.remove('x')).toBe(true);
+            expect(await store.remove('x')).toBe(false);
+        });
+    });
+
+    describe('DeadLetterRepository', () => {
+        it('should list the latest failures with filters', async () => {
+            const DB = require('@vectoricons.net/db');
+            const rows = [{ id: 'a', event_name: 'user.verify-email', handler_name: 'welcome-offer', attempts: 3 }];
+            const query = {
+                where: jest.fn(() => query),
+                orderBy: jest.fn(() => query),
+                limit: jest.fn(() => query),
+                offset: jest.fn(() => query),
+                then: (resolve, reject) => Promise.resolve(rows).then(resolve, reject),
+            };
+            DB.eventDeadLetters.query.mockReturnValue(query);
+            const repository = new DeadLetterRepository({ DB });
+
+            const letters = await repository.findLatest({ handlerName: 'welcome-offer', limit: 10, offset: 20 });
+
+            expect(query.orderBy).toHaveBeenCalledWith('failed_at', 'desc');
+            expect(query.limit).toHaveBeenCalledWith(10);
+            expect(query.offset).toHaveBeenCalledWith(20);
+            expect(query.where).toHaveBeenCalledTimes(1);
+            expect(query.where).toHaveBeenCalledWith('handler_name', 'welcome-offer');
+            expect(letters[0]).toBeInstanceOf(DeadLetterEntity);
+            expect(letters[0]).toMatchObject({ id: 'a', eventName: 'user.verify-email', handlerName: 'welcome-offer' });
+        });
+    });
+
+    describe('default store', () => {
+        it('should only accept dead-letter stores', () => {
+            const previous = getDeadLetterStore();
+            const next = new MemoryDeadLetterStore();
+
+            setDeadLetterStore(next);
+            expect(getDeadLetterStore()).toBe(next);
+            expect(next).toBeInstanceOf(BaseDeadLetterStore);
+            expect(() => setDeadLetterStore({})).toThrow('setDeadLetterStore requires a BaseDeadLetterStore instance');
+            setDeadLetterStore(previous);
+        });
+    });
+});
@@ -0,0 +1,104 @@
+const {
+    BaseDedupeStore,
+    MemoryDedupeStore,
+    RedisDedupeStore,
+    getDedupeStore,
+    setDedupeStore,
+    idempotent,
+} = require('../dedupe');
+
+describe('event dedupe', () => {
+    describe('idempotent', () => {
+        let store;
+
+        beforeEach(() => {
+            store = new MemoryDedupeStore();
+        });
+
+        it('should process each event id once per consumer', async () => {
+            const handler = jest.fn(async () => 'done');
+            const once = idempotent('welcome-offer', handler, { store });
+            const other = idempotent('analytics', handler, { store });
+            const event = { id: 'evt-1', data: {} };
+
+            expect(await once(event)).toBe('done');
+            expect(await once(event)).toBeUndefined();
+            await once({ id: 'evt-2' });
+            await other(event);
+
+            expect(handler).toHaveBeenCalledTimes(3);
+        });
+
+        it('should let a failed event be retried', async () => {
+            const handler = jest.fn()
+                .mockRejectedValueOnce(new Error('smtp down'))
+                .mockResolvedValueOnce(undefined);
+            const once = idempotent('welcome-offer', handler, { store });
+
+            await expect(once({ id: 'evt-1' })).rejects.toThrow('smtp down');
+            await once({ id: 'evt-1' });
+            await once({ id: 'evt-1' });
+
+            expect(handler).toHaveBeenCalledTimes(2);
+        });
+
+        it('should pass events without an id through', async () => {
+            const handler = jest.fn();
+            const once = idempotent('welcome-offer', handler, { store });
+
+            await once({ data: {} });
+            await once({ data: {} });
+
+            expect(handler).toHaveBeenCalledTimes(2);
+        });
+
+        it('should use the default store and require a consumer name', async () => {
+            const previous = getDedupeStore();
+            setDedupeStore(store);
+            const handler = jest.fn();
+
+            await idempotent('welcome-offer', handler)({ id: 'evt-1' });
+            expect(await store.claim('welcome-offer:evt-1', 60)).toBe(false);
+
+            setDedupeStore(previous);
+            expect(() => idempotent('', handler)).toThrow('idempotent() requires a consumer name');
+            expect(() => setDedupeStore({})).toThrow('setDedupeStore requires a BaseDedupeStore instance');
+        });
+    });
+
+    describe('MemoryDedupeStore', () => {
+        it('should expire claims and stay bounded', async () => {
+            const store = new MemoryDedupeStore({ maxKeys: 2 });
+            const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+
+            expect(await store.claim('a', 10)).toBe(true);
+            expect(await store.claim('a', 10)).toBe(false);
+            now.mockReturnValue(10001);
+            expect(await store.claim('a', 10)).toBe(true);
+
+            await store.claim('b', 10);
+            await store.claim('c', 10);
+            expect([...store.claims.keys()]).toEqual(['b', 'c']);
+            now.mockRestore();
+        });
+    });
+
+    describe('RedisDedupeStore', () => {
+        it('should claim with SET NX EX and release with DEL', async () => {
+            const redis = {
+                set: jest.fn().mockResolvedValueOnce('OK').mockResolvedValueOnce(null),
+                del: jest.fn(async () => 1),
+            };
+            const store = new RedisDedupeStore({ redis });
+
+            expect(store).toBeInstanceOf(BaseDedupeStore);
+            expect(await store.claim('welcome-offer:evt-1', 60)).toBe(true);
+            expect(await store.claim('welcome-offer:evt-1', 60)).toBe(false);
+            await store.release('welcome-offer:evt-1');
+
+            expect(redis.set).toHaveBeenCalledWith('eventbus:processed:welcome-offer:evt-1', '1', 'EX', 60, 'NX');
+            expect(redis.del).toHaveBeenCalledWith('eventbus:processed:welcome-offer:evt-1');
+            expect(() => new RedisDedupeStore()).toThrow('RedisDedupeStore requires a redis client');
+        });
+    });
+});
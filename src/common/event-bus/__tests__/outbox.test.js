@@ -0,0 +1,268 @@
+jest.mock('@vectoricons.net/db', () => ({
+    eventOutbox: {
+        jsonSchema: {
+            properties: {
+                id: { type: 'string' },
+                event_name: { type: 'string' },
+                payload: { type: 'object' },
+                status: { type: 'string' },
+                attempts: { type: 'integer' },
+            },
+        },
+        query: jest.fn(),
+        transaction: jest.fn(),
+    },
+}), { virtual: true });
+
+const Event = require('../Event');
+const { EventOutbox, OutboxRelay } = require('../outbox');
+const OutboxRepository = require('../outbox/OutboxRepository');
+const OutboxEventEntity = require('../outbox/OutboxEventEntity');
+
+/**
+ * Thenable Objection query stub: every builder method chains, awaiting resolves `result`.
+ */
+const makeQuery = (result) => {
+    const query = {
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    };
+    for (const method of ['where', 'whereIn', 'orderBy', 'limit', 'forUpdate', 'skipLocked', 'findById', 'patch', 'delete']) {
+        query[method] = jest.fn(() => query);
+    }
+    return query;
+};
+
+const row = (event, overrides = {}) => ({
+    id: event.id,
+    eventName: event.name,
+    payload: JSON.parse(JSON.stringify(event.toPayload())),
+    status: 'pending',
+    attempts: 0,
+    ...overrides,
+});
+
+const makeRepository = (rows = []) => {
+    const repository = {
+        inTransaction: false,
+        withTransaction: jest.fn(async (fn) => {
+            repository.inTransaction = true;
+            try {
+                return await fn('trx');
+            }
+            finally {
+                repository.inTransaction = false;
+            }
+        }),
+        claimPending: jest.fn(async () => rows),
+        markDelivered: jest.fn(async () => 0),
+        markFailed: jest.fn(async () => 1),
+        create: jest.fn(async (data) => data),
+    };
+    return repository;
+};
+
+describe('event outbox', () => {
+    describe('Event ids', () => {
+        it('should give every event an id that survives serialization', () => {
+            const a = Event.create('icon.created', { id: 1 });
+            const b = Event.create('icon.created', { id: 1 });
+
+            expect(a.getId()).toEqual(expect.any(String));
+            expect(a.id).not.toBe(b.id);
+            expect(Event.fromPayload(JSON.parse(a.toString())).id).toBe(a.id);
+        });
+    });
+
+    describe('EventOutbox', () => {
+        it('should insert the event in the caller transaction', async () => {
+            const repository = makeRepository();
+            const outbox = new EventOutbox({ repository });
+
+            const event = await outbox.add('order.completed', { id: 5 }, { user_id: 7 }, { trx: 'trx' });
+
+            expect(event).toBeInstanceOf(Event);
+            expect(repository.create).toHaveBeenCalledWith({
+                id: event.id,
+                event_name: 'order.completed',
+                payload: expect.objectContaining({ id: event.id, name: 'order.completed', user_id: 7, data: { id: 5 } }),
+                status: 'pending',
+                attempts: 0,
+                available_at: expect.any(Date),
+                created_at: expect.any(Date),
+            }, { trx: 'trx' });
+        });
+
+        it('should propagate insert failures so the transaction rolls back', async () => {
+            const repository = makeRepository();
+            repository.create.mockRejectedValue(new Error('insert failed'));
+
+            await expect(new EventOutbox({ repository }).add('order.completed', {})).rejects.toThrow('insert failed');
+            await expect(new EventOutbox({ repository }).add()).rejects.toThrow('EventOutbox.add requires an event name');
+        });
+    });
+
+    describe('OutboxRelay', () => {
+        beforeEach(() => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            console.error.mockRestore();
+        });
+
+        it('should publish claimed rows with their event ids and mark them delivered', async () => {
+            const first = Event.create('icon.created', { id: 1 }, { user_id: 7 });
+            const second = Event.create('icon.updated', { id: 1 });
+            const repository = makeRepository([row(first), row(second, { payload: second.toString() })]);
+            const publish = jest.fn(async () => {});
+            const relay = new OutboxRelay({ repository, publish, batchSize: 50 });
+
+            const result = await relay.relayOnce();
+
+            expect(repository.claimPending).toHaveBeenCalledWith({ limit: 50, leaseUntil: expect.any(Date), trx: 'trx' });
+            expect(publish).toHaveBeenCalledTimes(2);
+            expect(publish.mock.calls[0][0]).toBeInstanceOf(Event);
+            expect(publish.mock.calls[0][0]).toMatchObject({ id: first.id, name: 'icon.created', user_id: 7, data: { id: 1 } });
+            expect(publish.mock.calls[1][0].id).toBe(second.id);
+            expect(repository.markDelivered).toHaveBeenCalledWith([first.id, second.id], { trx: 'trx' });
+            expect(result).toEqual({ claimed: 2, delivered: 2, failed: 0 });
+        });
+
+        it('should reschedule failed rows with backoff', async () => {
+            const ok = Event.create('icon.created', {});
+            const bad = Event.create('icon.deleted', {});
+            const repository = makeRepository([row(ok), row(bad, { attempts: 2 })]);
+            const publish = jest.fn(async (event) => {
+                if (event.id === bad.id) throw new Error('redis down');
+            });
+            const relay = new OutboxRelay({ repository, publish, backoff: (attempts) => attempts * 1000 });
+
+            const before = Date.now();
+            const result = await relay.relayOnce();
+
+            expect(repository.markDelivered).toHaveBeenCalledWith([ok.id], { trx: 'trx' });
+            expect(repository.markFailed).toHaveBeenCalledWith(bad.id, {
+                error: 'redis down',
+                attempts: 3,
+                dead: false,
+                retryAt: expect.any(Date),
+                trx: 'trx',
+            });
+            expect(repository.markFailed.mock.calls[0][1].retryAt.getTime()).toBeGreaterThanOrEqual(before + 3000);
+            expect(result).toEqual({ claimed: 2, delivered: 1, failed: 1 });
+        });
+
+        it('should publish outside the claim and mark transactions', async () => {
+            const event = Event.create('icon.created', {});
+            const repository = makeRepository([row(event)]);
+            const publish = jest.fn(async () => expect(repository.inTransaction).toBe(false));
+            const relay = new OutboxRelay({ repository, publish, lease: 30000 });
+
+            const before = Date.now();
+            await relay.relayOnce();
+
+            expect(publish).toHaveBeenCalledTimes(1);
+            expect(repository.withTransaction).toHaveBeenCalledTimes(2);
+            expect(repository.claimPending.mock.calls[0][0].leaseUntil.getTime()).toBeGreaterThanOrEqual(before + 30000);
+            expect(repository.markDelivered).toHaveBeenCalledWith([event.id], { trx: 'trx' });
+        });
+
+        it('should not open a second transaction for an empty batch', async () => {
+            const repository = makeRepository([]);
+            const relay = new OutboxRelay({ repository, publish: jest.fn() });
+
+            await expect(relay.relayOnce()).resolves.toEqual({ claimed: 0, delivered: 0, failed: 0 });
+            expect(repository.withTransaction).toHaveBeenCalledTimes(1);
+            expect(repository.markDelivered).not.toHaveBeenCalled();
+        });
+
+        it('should give up on a row after maxAttempts', async () => {
+            const event = Event.create('icon.deleted', {});
+            const repository = makeRepository([row(event, { attempts: 2 })]);
+            const relay = new OutboxRelay({
+                repository,
+                publish: async () => { throw new Error('nope'); },
+                maxAttempts: 3,
+            });
+
+            await relay.relayOnce();
+
+            expect(repository.markFailed.mock.calls[0][1]).toMatchObject({ attempts: 3, dead: true });
+        });
+
+        it('should poll until stopped', async () => {
+            jest.useFakeTimers();
+            const repository = makeRepository([]);
+            const relay = new OutboxRelay({ repository, publish: jest.fn(), pollInterval: 500 });
+
+            relay.start();
+            relay.start();
+            await jest.advanceTimersByTimeAsync(0);
+            expect(repository.claimPending).toHaveBeenCalledTimes(1);
+
+            await jest.advanceTimersByTimeAsync(500);
+            expect(repository.claimPending).toHaveBeenCalledTimes(2);
+
+            relay.stop();
+            await jest.advanceTimersByTimeAsync(5000);
+            expect(repository.claimPending).toHaveBeenCalledTimes(2);
+            jest.useRealTimers();
+        });
+    });
+
+    describe('OutboxRepository', () => {
+        const DB = require('@vectoricons.net/db');
+
+        it('should claim due pending rows with SKIP LOCKED', async () => {
+            const query = makeQuery([{ id: 'a', event_name: 'icon.created', attempts: 0 }]);
+            DB.eventOutbox.query.mockReturnValue(query);
+            const repository = new OutboxRepository({ DB });
+            const now = new Date();
+            const leaseUntil = new Date(now.getTime() + 5000);
+
+            const rows = await repository.claimPending({ limit: 10, now, leaseUntil, trx: 'trx' });
+
+            expect(DB.eventOutbox.query).toHaveBeenCalledWith('trx');
+            expect(query.where).toHaveBeenCalledWith('status', 'pending');
+            expect(query.where).toHaveBeenCalledWith('available_at', '<=', now);
+            expect(query.orderBy).toHaveBeenCalledWith('created_at', 'asc');
+            expect(query.limit).toHaveBeenCalledWith(10);
+            expect(query.forUpdate).toHaveBeenCalled();
+            expect(query.skipLocked).toHaveBeenCalled();
+            expect(query.whereIn).toHaveBeenCalledWith('id', ['a']);
+            expect(query.patch).toHaveBeenCalledWith({ available_at: leaseUntil });
+            expect(DB.eventOutbox.query).toHaveBeenLastCalledWith('trx');
+            expect(rows[0]).toBeInstanceOf(OutboxEventEntity);
+            expect(rows[0]).toMatchObject({ id: 'a', eventName: 'icon.created' });
+        });
+
+        it('should mark rows delivered and failed', async () => {
+            const query = makeQuery(1);
+            DB.eventOutbox.query.mockReturnValue(query);
+            const repository = new OutboxRepository({ DB });
+
+            expect(await repository.markDelivered([])).toBe(0);
+            await repository.markDelivered(['a', 'b']);
+            expect(query.whereIn).toHaveBeenCalledWith('id', ['a', 'b']);
+            expect(query.patch).toHaveBeenCalledWith({ status: 'delivered', delivered_at: expect.any(Date), last_error: null });
+
+            const retryAt = new Date();
+            await repository.markFailed('c', { error: 'boom', attempts: 10, dead: true, retryAt });
+            expect(query.findById).toHaveBeenCalledWith('c');
+            expect(query.where).toHaveBeenCalledWith('status', 'pending');
+            expect(query.patch).toHaveBeenLastCalledWith({
+                status: 'failed',
+                attempts: 10,
+                last_error: 'boom',
+                available_at: retryAt,
+            });
+        });
+
+        it('should run work in a model transaction', async () => {
+            DB.eventOutbox.transaction.mockImplementation(async (fn) => fn('trx'));
+            const repository = new OutboxRepository({ DB });
+
+            await expect(repository.withTransaction(async (trx) => `ran in ${trx}`)).resolves.toBe('ran in trx');
+        });
+    });
+});
@@ -0,0 +1,144 @@
+const EventEmitter = require('events');
+const { isPattern, matches, toRedisGlob } = require('../patterns');
+const MemoryEventBusAdapter = require('../adapters/MemoryAdapter');
+const RedisEventBusAdapter = require('../adapters/RedisAdapter');
+
+describe('event patterns', () => {
+    describe('matches', () => {
+        it.each([
+            ['user.*', 'user.signup', true],
+            ['user.*', 'user.profile.updated', false],
+            ['user.*', 'user', false],
+            ['user.*', 'users.signup', false],
+            ['order.**', 'order.refund', true],
+            ['order.**', 'order.credits.purchase', true],
+            ['order.**', 'order', false],
+            ['*.created', 'icon.created', true],
+            ['*.created', 'icon.set.created', false],
+            ['icon.**.deleted', 'icon.set.family.deleted', true],
+            ['*', 'order.credits.purchase', true],
+            ['*', 'signup', true],
+            ['user.signup', 'user.signup', true],
+            ['user.signup', 'user.signups', false],
+            ['user.sign*', 'user.signup', true],
+        ])('%s against %s is %s', (pattern, name, expected) => {
+            expect(matches(pattern, name)).toBe(expected);
+        });
+
+        it('should treat only names with * as patterns', () => {
+            expect(isPattern('user.*')).toBe(true);
+            expect(isPattern('user.signup')).toBe(false);
+            expect(isPattern(undefined)).toBe(false);
+        });
+
+        it('should escape glob characters for Redis', () => {
+            expect(toRedisGlob('order.**')).toBe('order.*');
+            expect(toRedisGlob('a?[b].*')).toBe('a\\?\\[b\\].*');
+        });
+    });
+
+    describe('MemoryEventBusAdapter', () => {
+        it('should deliver to exact and pattern subscribers', () => {
+            const adapter = new MemoryEventBusAdapter();
+            const exact = jest.fn();
+            const namespace = jest.fn();
+            const deep = jest.fn();
+            const all = jest.fn();
+            adapter.on('order.refund', exact);
+            adapter.on('order.*', namespace);
+            adapter.on('order.**', deep);
+            adapter.on('*', all);
+
+            adapter.emit('order.refund', { id: 1 });
+            adapter.emit('order.credits.purchase', { id: 2 });
+            adapter.emit('user.signup', { id: 3 });
+
+            expect(exact.mock.calls).toEqual([[{ id: 1 }]]);
+            expect(namespace.mock.calls).toEqual([[{ id: 1 }]]);
+            expect(deep.mock.calls).toEqual([[{ id: 1 }], [{ id: 2 }]]);
+            expect(all).toHaveBeenCalledTimes(3);
+        });
+
+        it('should support once(), off() and clear() for patterns', () => {
+            const adapter = new MemoryEventBusAdapter();
+            const once = jest.fn();
+            const removed = jest.fn();
+            const cleared = jest.fn();
+            adapter.once('user.*', once);
+            adapter.on('user.*', removed);
+            adapter.off('user.*', removed);
+            adapter.off('missing.*', removed);
+
+            adapter.emit('user.signup', {});
+            adapter.emit('user.login', {});
+            expect(once).toHaveBeenCalledTimes(1);
+            expect(removed).not.toHaveBeenCalled();
+
+            adapter.on('*', cleared);
+            adapter.clear();
+            adapter.emit('user.signup', {});
+            expect(cleared).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('RedisEventBusAdapter', () => {
+        const makeAdapter = () => {
+            const subscriber = new EventEmitter();
+            subscriber.subscribe = jest.fn();
+            subscriber.unsubscribe = jest.fn();
+            subscriber.psubscribe = jest.fn();
+            subscriber.punsubscribe = jest.fn();
+            const publisher = { publish: jest.fn() };
+            return { adapter: new RedisEventBusAdapter({ publisher, subscriber }), subscriber };
+        };
+
+        it('should PSUBSCRIBE once per glob and filter by the pattern', () => {
+            const { adapter, subscriber } = makeAdapter();
+            const namespace = jest.fn();
+            const deep = jest.fn();
+            adapter.on('order.*', namespace);
+            adapter.on('order.**', deep);
+            adapter.on('order.**', jest.fn());
+
+            expect(subscriber.psubscribe.mock.calls).toEqual([['eventbus:order.*']]);
+
+            subscriber.emit('pmessage', 'eventbus:order.*', 'eventbus:order.refund', '{"id":1}');
+            subscriber.emit('pmessage', 'eventbus:order.*', 'eventbus:order.credits.purchase', '{"id":2}');
+            subscriber.emit('pmessage', 'eventbus:other.*', 'eventbus:other.event', '{}');
+
+            expect(namespace.mock.calls).toEqual([[{ id: 1 }]]);
+            expect(deep.mock.calls).toEqual([[{ id: 1 }], [{ id: 2 }]]);
+        });
+
+        it('should subscribe to every channel for *', () => {
+            const { adapter, subscriber } = makeAdapter();
+            const all = jest.fn();
+            adapter.on('*', all);
+
+            subscriber.emit('pmessage', 'eventbus:*', 'eventbus:user.signup', '{}');
+
+            expect(subscriber.psubscribe).toHaveBeenCalledWith('eventbus:*');
+            expect(all).toHaveBeenCalledWith({});
+        });
+
+        it('should PUNSUBSCRIBE when the last pattern on a glob goes', () => {
+            const { adapter, subscriber } = makeAdapter();
+            const namespace = jest.fn();
+            const deep = jest.fn();
+            adapter.on('order.*', namespace);
+            adapter.on('order.**', deep);
+
+            adapter.off('order.*', namespace);
+            expect(subscriber.punsubscribe).not.toHaveBeenCalled();
+            adapter.off('order.**', deep);
+            expect(subscriber.punsubscribe).toHaveBeenCalledWith('eventbus:order.*');
+
+            adapter.on('user.*', namespace);
+            adapter.on('user.signup', deep);
+            adapter.clear();
+            expect(subscriber.punsubscribe).toHaveBeenCalledWith('eventbus:user.*');
+            expect(subscriber.unsubscribe).toHaveBeenCalledWith('eventbus:user.signup');
+            expect(adapter.globs.size).toBe(0);
+        });
+    });
+});
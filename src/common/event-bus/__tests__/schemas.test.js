@@ -0,0 +1,134 @@
+const EventTypes = require('../EventTypes');
+const {
+    EventSchemaRegistry,
+    EventValidationError,
+    definitions,
+    registerDefinitions,
+    buildCatalog,
+    renderCatalogMarkdown,
+    getEventRegistry,
+    setEventRegistry,
+} = require('../schemas');
+
+describe('event schemas', () => {
+    describe('EventSchemaRegistry', () => {
+        let registry;
+
+        beforeEach(() => {
+            registry = new EventSchemaRegistry()
+                .register('order.refund', {
+                    description: 'Refund',
+                    schema: { type: 'object', required: ['id'], properties: { id: { type: 'integer' } } },
+                })
+                .register('order.refund', {
+                    version: 2,
+                    description: 'Partial refund',
+                    schema: { type: 'object', required: ['id', 'amount'], properties: { amount: { type: 'number' } } },
+                });
+        });
+
+        it('should track versions per event', () => {
+            expect(registry.has('order.refund')).toBe(true);
+            expect(registry.versions('order.refund')).toEqual([1, 2]);
+            expect(registry.latestVersion('order.refund')).toBe(2);
+            expect(registry.latestVersion('unknown')).toBeNull();
+            expect(registry.get('order.refund', 1).description).toBe('Refund');
+            expect(registry.get('order.refund').description).toBe('Partial refund');
+        });
+
+        it('should reject duplicate or invalid versions', () => {
+            expect(() => registry.register('order.refund', { version: 2, schema: {} }))
+                .toThrow('order.refund v2 is already registered');
+            expect(() => registry.register('order.refund', { version: 0, schema: {} }))
+                .toThrow('Event schema versions must be positive integers');
+            expect(() => registry.register('order.refund', {})).toThrow('requires an event name and a schema');
+        });
+
+        it('should validate against the latest version by default', () => {
+            expect(registry.validate('order.refund', { id: 5 })).toEqual({
+                valid: false,
+                version: 2,
+                errors: [{ path: '', message: "must have required property 'amount'" }],
+            });
+            expect(registry.validate('order.refund', { id: 5 }, { version: 1 }))
+                .toEqual({ valid: true, version: 1, errors: [] });
+            expect(registry.validate('order.refund', { id: 5 }, { version: 3 }).valid).toBe(false);
+        });
+
+        it('should treat events without a schema as valid', () => {
+            expect(registry.validate('unknown', 'anything')).toEqual({ valid: true, version: null, errors: [] });
+        });
+
+        it('should throw EventValidationError from assertValid', () => {
+            expect(registry.assertValid('order.refund', { id: 5, amount: 1.5 })).toBe(2);
+
+            let caught;
+            try {
+                registry.assertValid('order.refund', { id: 'x' }, { version: 1 });
+            }
+            catch (err) {
+                caught = err;
+            }
+            expect(caught).toBeInstanceOf(EventValidationError);
+            expect(caught).toMatchObject({
+                code: 'EVENT_VALIDATION',
+                eventName: 'order.refund',
+                version: 1,
+                errors: [{ path: '/id', message: 'must be integer' }],
+            });
+            expect(caught.message).toBe('Invalid payload for order.refund v1: data/id must be integer');
+        });
+    });
+
+    describe('definitions', () => {
+        it('should define a schema for every EventType', () => {
+            expect(Object.keys(definitions).sort()).toEqual(Object.values(EventTypes).sort());
+        });
+
+        it('should populate the default registry', () => {
+            const registry = getEventRegistry();
+
+            expect(registry.validate(EventTypes.USER_VERIFY_EMAIL, { id: 'u1', email: 'test@example.com' }).valid).toBe(true);
+            expect(registry.validate(EventTypes.USER_VERIFY_EMAIL, { id: 'u1' }).valid).toBe(false);
+            expect(registry.validate(EventTypes.USER_VERIFY_EMAIL, { id: 'u1', email: 'me@examplecom' }).valid).toBe(false);
+            expect(registry.validate(EventTypes.NOTIFY_SLACK, { channel: '#ops', message: 'hi' }).valid).toBe(true);
+            expect(registry.validate(EventTypes.CACHE_INVALIDATE, { origin: 'a1', keys: ['k'] }).valid).toBe(true);
+            expect(registry.validate(EventTypes.APP_START, undefined).valid).toBe(true);
+        });
+
+        it('should only replace the default registry with a registry', () => {
+            const previous = getEventRegistry();
+            const next = new EventSchemaRegistry();
+
+            setEventRegistry(next);
+            expect(getEventRegistry()).toBe(next);
+            setEventRegistry(previous);
+
+            expect(() => setEventRegistry({})).toThrow('setEventRegistry requires an EventSchemaRegistry instance');
+        });
+    });
+
+    describe('catalog', () => {
+        it('should list events by name with their versions', () => {
+            const registry = new EventSchemaRegistry()
+                .register('b.event', { schema: { type: 'object' }, description: 'B' })
+                .register('a.event', { schema: {}, description: 'A old', deprecated: true })
+                .register('a.event', { version: 2, schema: { type: 'object' }, description: 'A' });
+
+            const catalog = buildCatalog(registry);
+
+            expect(catalog.events.map(({ name, latestVersion }) => [name, latestVersion])).toEqual([['a.event', 2], ['b.event', 1]]);
+            expect(catalog.events[0].versions[0]).toEqual({ version: 1, description: 'A old', deprecated: true, schema: {} });
+
+            const markdown = renderCatalogMarkdown(catalog);
+            expect(markdown).toContain('| [`a.event`](#aevent) | v2 | A |');
+            expect(markdown).toContain('### v1 (deprecated)');
+            expect(markdown.indexOf('### v2')).toBeLessThan(markdown.indexOf('### v1'));
+        });
+
+        it('should cover every predefined event', () => {
+            const catalog = buildCatalog(registerDefinitions(new EventSchemaRegistry()));
+            expect(catalog.events).toHaveLength(Object.keys(EventTypes).length);
+        });
+    });
+});
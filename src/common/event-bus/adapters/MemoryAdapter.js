@@ -1,5 +1,6 @@
 const mitt = require('mitt');
 const BaseEventBusAdapter = require('./BaseEventBusAdapter.js');
+const { isPattern, matches } = require('../patterns.js');
 
 /**
  * @module Event System
@@ -7,20 +8,40 @@ const BaseEventBusAdapter = require('./BaseEventBusAdapter.js');
  *
  * Uses mitt library for efficient in-process event emitting. Suitable for development,
  * testing, and single-server production environments.
+ *
+ * Wildcard subscriptions (`user.*`, `order.**`, `*`, see patterns.js) are kept
+ * beside mitt and matched on every emit.
  */
 
 class MemoryEventBusAdapter extends BaseEventBusAdapter {
     constructor() {
         super();
         this.emitter = mitt();
+        this.patterns = new Map(); // pattern -> Set<handler>
     }
 
     on(event, handler) {
-        this.emitter.on(event, handler);
+        if (!isPattern(event)) {
+            this.emitter.on(event, handler);
+            return;
+        }
+        if (!this.patterns.has(event)) {
+            this.patterns.set(event, new Set());
+        }
+        this.patterns.get(event).add(handler);
     }
 
     off(event, handler) {
-        this.emitter.off(event, handler);
+        if (!isPattern(event)) {
+            this.emitter.off(event, handler);
+            return;
+        }
+        const set = this.patterns.get(event);
+        if (!set) return;
+        set.delete(handler);
+        if (set.size === 0) {
+            this.patterns.delete(event);
+        }
     }
 
     once(event, handler) {
@@ -33,11 +54,17 @@ class MemoryEventBusAdapter extends BaseEventBusAdapter {
 
     emit(event, payload) {
         this.emitter.emit(event, payload);
+
+        for (const [pattern, set] of this.patterns) {
+            if (!matches(pattern, event)) continue;
+            for (const fn of [...set]) fn(payload);
+        }
     }
 
     clear() {
         this.emitter.all.clear();
+        this.patterns.clear();
     }
 }
 
-module.exports = MemoryEventBusAdapter;
\ No newline at end of file
+module.exports = MemoryEventBusAdapter;
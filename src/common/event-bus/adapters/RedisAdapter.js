@@ -7,12 +7,17 @@
  *
  * NOTE: This is a simple channel-per-event approach. For large scale you'd
  * want serialization, backpressure, and graceful reconnection handling.
+ *
+ * Wildcard subscriptions (`user.*`, `order.**`, `*`, see patterns.js) use
+ * PSUBSCRIBE. Redis globs let `*` cross dots, so each message is checked against
+ * the pattern before its handlers run.
  */
 
 // Example Redis adapter (pub/sub). Requires a Redis client (e.g., ioredis).
 // You can flesh this out when you're ready to use Redis in prod.
 
 const BaseEventBusAdapter = require('./BaseEventBusAdapter.js');
+const { isPattern, matches, toRedisGlob } = require('../patterns.js');
 
 class RedisEventBusAdapter extends BaseEventBusAdapter {
     constructor({ publisher, subscriber, channelPrefix = 'eventbus:' }) {
@@ -21,6 +26,8 @@ class RedisEventBusAdapter extends BaseEventBusAdapter {
         this.subscriber = subscriber;
         this.channelPrefix = channelPrefix;
         this.handlers = new Map(); // event -> Set<handler>
+        this.patterns = new Map(); // pattern -> Set<handler>
+        this.globs = new Map();    // PSUBSCRIBE glob -> Set<pattern>
 
         this.subscriber.on('message', (channel, message) => {
             const event = channel.replace(this.channelPrefix, '');
@@ -29,6 +36,19 @@ class RedisEventBusAdapter extends BaseEventBusAdapter {
             if (!set) return;
             for (const fn of set) fn(payload);
         });
+
+        this.subscriber.on('pmessage', (glob, channel, message) => {
+            const event = channel.replace(this.channelPrefix, '');
+            const patterns = this.globs.get(glob);
+            if (!patterns) return;
+
+            let payload;
+            for (const pattern of patterns) {
+                if (!matches(pattern, event)) continue;
+                payload = payload === undefined ? this._safeParse(message) : payload;
+                for (const fn of this.patterns.get(pattern) || []) fn(payload);
+            }
+        });
     }
 
     _safeParse(message) {
@@ -39,7 +59,15 @@ class RedisEventBusAdapter extends BaseEventBusAdapter {
         return `${this.channelPrefix}${event}`;
     }
 
+    _glob(pattern) {
+        return `${toRedisGlob(this.channelPrefix)}${toRedisGlob(pattern)}`;
+    }
+
     on(event, handler) {
+        if (isPattern(event)) {
+            this._onPattern(event, handler);
+            return;
+        }
         if (!this.handlers.has(event)) {
             this.handlers.set(event, new Set());
             this.subscriber.subscribe(this._channel(event));
@@ -48,6 +76,10 @@ class RedisEventBusAdapter extends BaseEventBusAdapter {
     }
 
     off(event, handler) {
+        if (isPattern(event)) {
+            this._offPattern(event, handler);
+            return;
+        }
         const set = this.handlers.get(event);
         if (!set) return;
         set.delete(handler);
@@ -57,6 +89,36 @@ class RedisEventBusAdapter extends BaseEventBusAdapter {
         }
     }
 
+    _onPattern(pattern, handler) {
+        if (!this.patterns.has(pattern)) {
+            this.patterns.set(pattern, new Set());
+
+            const glob = this._glob(pattern);
+            if (!this.globs.has(glob)) {
+                this.globs.set(glob, new Set());
+                this.subscriber.psubscribe(glob);
+            }
+            this.globs.get(glob).add(pattern);
+        }
+        this.patterns.get(pattern).add(handler);
+    }
+
+    _offPattern(pattern, handler) {
+        const set = this.patterns.get(pattern);
+        if (!set) return;
+        set.delete(handler);
+        if (set.size > 0) return;
+
+        this.patterns.delete(pattern);
+        const glob = this._glob(pattern);
+        const patterns = this.globs.get(glob);
+        patterns.delete(pattern);
+        if (patterns.size === 0) {
+            this.subscriber.punsubscribe(glob);
+            this.globs.delete(glob);
+        }
+    }
+
     once(event, handler) {
         const onceHandler = (payload) => {
             this.off(event, onceHandler);
@@ -66,14 +128,19 @@ class RedisEventBusAdapter extends BaseEventBusAdapter {
     }
 
     emit(event, payload) {
-        this.publisher.publish(this._channel(event), JSON.stringify(payload));
+        return this.publisher.publish(this._channel(event), JSON.stringify(payload));
     }
 
     clear() {
         for (const event of this.handlers.keys()) {
             this.subscriber.unsubscribe(this._channel(event));
         }
+        for (const glob of this.globs.keys()) {
+            this.subscriber.punsubscribe(glob);
+        }
         this.handlers.clear();
+        this.patterns.clear();
+        this.globs.clear();
     }
 }
 
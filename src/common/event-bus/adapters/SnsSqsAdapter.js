@@ -0,0 +1,248 @@
+/**
+ * @module Event System
+ * @fileoverview SnsSqsEventBusAdapter - SNS fan-out, SQS delivery adapter for the event bus.
+ *
+ * Events are published to one SNS topic. Each service subscribes its own SQS queue
+ * to the topic and consumes it with long polling, so every service gets every event
+ * (or the subset its subscription filter policy selects, on the `event` attribute).
+ *
+ * ```
+ * emit('icon.created') ──> SNS topic ──┬──> SQS queue (search)   ──> poll ──> handlers
+ *                                      └──> SQS queue (mailer)   ──> poll ──> handlers
+ * ```
+ *
+ * **Delivery:**
+ * - A message is deleted only after every local handler for its event succeeds.
+ *   EventBus handlers report failure by resolving `false` (see `EventBus.safeRun`).
+ * - A failed message is left alone: SQS makes it visible again when its visibility
+ *   timeout ends, and the queue's redrive policy moves it to an SQS dead-letter
+ *   queue after `maxReceiveCount` receives. Register such handlers with
+ *   `deadLetter: false` so failures aren't dead-lettered twice.
+ * - While handlers run, the message's visibility timeout is extended every half
+ *   timeout, so a slow handler doesn't see its message delivered to another consumer.
+ * - Messages for events with no local handler are deleted.
+ * - Wildcard subscriptions (`user.*`, `order.**`, `*`) are matched locally; the
+ *   queue's filter policy decides which events reach it at all.
+ * - Messages that cannot be parsed are logged and left for the redrive policy.
+ *
+ * Works with raw message delivery on or off: SNS envelopes are unwrapped.
+ *
+ * @example
+ * const adapter = new SnsSqsEventBusAdapter({
+ *   topicArn: process.env.EVENTBUS_TOPIC_ARN,
+ *   queueUrl: process.env.EVENTBUS_QUEUE_URL,
+ * });
+ * EventBus.setAdapter(adapter);
+ * adapter.start();
+ *
+ * @example
+ * // Against LocalStack (or any SQS/SNS stand-in)
+ * const endpoint = 'http://localhost:4566';
+ * const adapter = new SnsSqsEventBusAdapter({
+ *   sns: new SNSService(new AWS.SNS({ endpoint })),
+ *   sqs: new SQSService(new AWS.SQS({ endpoint })),
+ *   topicArn, queueUrl,
+ * });
+ */
+
+const BaseEventBusAdapter = require('./BaseEventBusAdapter.js');
+const { matches } = require('../patterns.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class SnsSqsEventBusAdapter extends BaseEventBusAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} options.topicArn                 SNS topic events are published to
+     * @param {string} options.queueUrl                 This service's SQS queue, subscribed to the topic
+     * @param {SNSService} [options.sns]                Defaults to initSNSService()
+     * @param {SQSService} [options.sqs]                Defaults to initSQSService()
+     * @param {number} [options.maxMessages=10]         Messages per receive (1-10)
+     * @param {number} [options.waitTimeSeconds=20]     Long polling wait (0-20)
+     * @param {number} [options.visibilityTimeout=30]   Seconds a received message stays hidden
+     * @param {number} [options.errorDelayMs=1000]      Pause after a failed receive
+     */
+    constructor({
+        topicArn,
+        queueUrl,
+        sns = null,
+        sqs = null,
+        maxMessages = 10,
+        waitTimeSeconds = 20,
+        visibilityTimeout = 30,
+        errorDelayMs = 1000,
+    } = {}) {
+        super();
+        if (!topicArn || !queueUrl) {
+            throw new Error('SnsSqsEventBusAdapter requires a topicArn and a queueUrl');
+        }
+
+        this.topicArn = topicArn;
+        this.queueUrl = queueUrl;
+        this.sns = sns || require('../../../aws/sns')();
+        this.sqs = sqs || require('../../../aws/sqs')();
+        this.maxMessages = maxMessages;
+        this.waitTimeSeconds = waitTimeSeconds;
+        this.visibilityTimeout = visibilityTimeout;
+        this.errorDelayMs = errorDelayMs;
+
+        this.handlers = new Map(); // event or pattern -> Set<handler>
+        this.running = false;
+        this.loop = null;
+    }
+
+    on(event, handler) {
+        if (!this.handlers.has(event)) {
+            this.handlers.set(event, new Set());
+        }
+        this.handlers.get(event).add(handler);
+    }
+
+    off(event, handler) {
+        const set = this.handlers.get(event);
+        if (!set) return;
+        set.delete(handler);
+        if (set.size === 0) {
+            this.handlers.delete(event);
+        }
+    }
+
+    once(event, handler) {
+        const onceHandler = (payload) => {
+            this.off(event, onceHandler);
+            return handler(payload);
+        };
+        this.on(event, onceHandler);
+    }
+
+    /**
+     * Publish to the topic. The event name is also sent as the `event` message
+     * attribute, for subscription filter policies.
+     * @returns {Promise<Object>} SNS publish result
+     */
+    emit(event, payload) {
+        return this.sns.publishMessage(this.topicArn, { event, payload }, { attributes: { event } });
+    }
+
+    clear() {
+        this.handlers.clear();
+    }
+
+    /**
+     * Start polling the queue. Resolves immediately; polling runs until stop().
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        this.loop = (async () => {
+            while (this.running) {
+                try {
+                    await this.pollOnce();
+                }
+                catch (error) {
+                    console.error('[SnsSqsEventBusAdapter] Failed to receive messages:', error);
+                    await sleep(this.errorDelayMs);
+                }
+            }
+        })();
+    }
+
+    /**
+     * Stop polling. Resolves when the receive in flight (up to `waitTimeSeconds`)
+     * and its handlers have finished.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.running = false;
+        await this.loop;
+        this.loop = null;
+    }
+
+    /**
+     * Receive one batch and handle its messages.
+     * @returns {Promise<number>} Messages received
+     */
+    async pollOnce() {
+        const messages = await this.sqs.receiveMessages(this.queueUrl, this.maxMessages, {
+            waitTimeSeconds   : this.waitTimeSeconds,
+            visibilityTimeout : this.visibilityTimeout,
+        });
+
+        await Promise.all(messages.map(message => this.handleMessage(message)));
+        return messages.length;
+    }
+
+    /**
+     * Run the local handlers for one message and delete it if they all succeed.
+     * @private
+     * @param {Object} message - SQS message
+     * @returns {Promise<boolean>} True if the message was deleted
+     */
+    async handleMessage(message) {
+        const body = this._parse(message.Body);
+        if (!body || !body.event) {
+            console.error(`[SnsSqsEventBusAdapter] Unreadable message ${message.MessageId}, leaving it for the redrive policy`);
+            return false;
+        }
+
+        const handlers = [];
+        for (const [subscription, set] of this.handlers) {
+            if (matches(subscription, body.event)) handlers.push(...set);
+        }
+
+        const heartbeat = handlers.length ? this._keepInvisible(message) : null;
+        let ok;
+        try {
+            const results = await Promise.all(handlers.map(fn => Promise.resolve()
+                .then(() => fn(body.payload))
+                .then(result => result !== false, () => false)));
+            ok = results.every(Boolean);
+        }
+        finally {
+            if (heartbeat) clearInterval(heartbeat);
+        }
+
+        if (!ok) {
+            console.error(`[SnsSqsEventBusAdapter] Handlers failed for ${body.event} (message ${message.MessageId}); it will be redelivered`);
+            return false;
+        }
+
+        await this.sqs.deleteMessage(this.queueUrl, message.ReceiptHandle);
+        return true;
+    }
+
+    /**
+     * Extend the message's visibility every half timeout while handlers run.
+     * @private
+     * @returns {Object} Interval handle
+     */
+    _keepInvisible(message) {
+        const timer = setInterval(() => {
+            this.sqs.changeMessageVisibility(this.queueUrl, message.ReceiptHandle, this.visibilityTimeout)
+                .catch(error => console.error('[SnsSqsEventBusAdapter] Failed to extend visibility:', error));
+        }, this.visibilityTimeout * 500);
+        timer.unref?.();
+        return timer;
+    }
+
+    /**
+     * Parse a message body, unwrapping the SNS envelope when raw delivery is off.
+     * @private
+     * @returns {{event: string, payload: *}|null}
+     */
+    _parse(raw) {
+        try {
+            const body = JSON.parse(raw);
+            if (body?.Type === 'Notification' && typeof body.Message === 'string') {
+                return JSON.parse(body.Message);
+            }
+            return body;
+        }
+        catch {
+            return null;
+        }
+    }
+}
+
+module.exports = SnsSqsEventBusAdapter;
@@ -0,0 +1,25 @@
+'use strict';
+
+const { createEntityFromModel } = require('../../BaseEntity');
+const DB = require('@vectoricons.net/db');
+
+/**
+ * @module Event System
+ * @fileoverview DeadLetterEntity - Immutable event_dead_letters row.
+ */
+class DeadLetterEntity extends createEntityFromModel(DB.eventDeadLetters, {}, {
+    allowedColumns: [
+        'id',
+        'event_name',
+        'subscription',
+        'handler_name',
+        'payload',
+        'error_message',
+        'error_stack',
+        'attempts',
+        'failed_at',
+    ],
+    relatedEntities: {},
+}) {}
+
+module.exports = DeadLetterEntity;
@@ -0,0 +1,60 @@
+'use strict';
+
+const BaseRepository = require('../../BaseRepository');
+const DeadLetterEntity = require('./DeadLetterEntity');
+
+/**
+ * @module Event System
+ * @fileoverview DeadLetterRepository - Stores failed events in the `event_dead_letters` table.
+ *
+ * **Table:**
+ * ```
+ * event_dead_letters
+ *   id             uuid primary key
+ *   event_name     text
+ *   subscription   text null      -- event name or pattern the handler subscribed to
+ *   handler_name   text null
+ *   payload        jsonb          -- Event.toPayload()
+ *   error_message  text
+ *   error_stack    text null
+ *   attempts       integer
+ *   failed_at      timestamptz
+ *
+ *   index (event_name, failed_at desc)
+ * ```
+ */
+class DeadLetterRepository extends BaseRepository {
+    constructor({ DB } = {}) {
+        super({
+            DB : DB || require('@vectoricons.net/db'),
+            modelName: 'eventDeadLetters',
+            entityClass: DeadLetterEntity,
+        });
+    }
+
+    /**
+     * Most recent failures, newest first.
+     *
+     * @param {Object} [options]
+     * @param {string} [options.eventName]
+     * @param {string} [options.handlerName]
+     * @param {number} [options.limit=50]
+     * @param {number} [options.offset=0]
+     * @param {Object} [options.trx]
+     * @returns {Promise<DeadLetterEntity[]>}
+     */
+    async findLatest({ eventName = null, handlerName = null, limit = 50, offset = 0, trx } = {}) {
+        const query = this.model.query(trx)
+            .orderBy('failed_at', 'desc')
+            .limit(limit)
+            .offset(offset);
+
+        if (eventName) query.where('event_name', eventName);
+        if (handlerName) query.where('handler_name', handlerName);
+
+        const rows = await query;
+        return this.finalize(this.wrapEntity(rows, this.entityClass), 'afterList');
+    }
+}
+
+module.exports = DeadLetterRepository;
@@ -0,0 +1,33 @@
+/**
+ * @module Event System
+ * @fileoverview BaseDeadLetterStore - Abstract base class for dead-letter stores.
+ *
+ * Holds events whose handler still failed after its retries, with the error,
+ * until an operator replays or discards them.
+ *
+ * **Entry shape:**
+ * ```
+ * {
+ *   id: 'uuid',
+ *   eventName: 'user.verify-email',     // the event that was delivered
+ *   subscription: 'user.*',            // what the handler subscribed to, used for replay
+ *   handlerName: 'welcome-offer',     // config.name or the handler function's name
+ *   payload: { id, name, data, ... }, // Event.toPayload()
+ *   errorMessage: 'SMTP timeout',
+ *   errorStack: 'Error: SMTP timeout\n    at ...',
+ *   attempts: 3,
+ *   failedAt: '2026-10-19T10:00:00.000Z',
+ * }
+ * ```
+ */
+
+// Minimal store interface. Implementations must provide these methods.
+class BaseDeadLetterStore {
+    add(entry)           { throw new Error('add() not implemented'); }
+    list(query)          { throw new Error('list() not implemented'); }
+    get(id)              { throw new Error('get() not implemented'); }
+    update(id, changes)  { throw new Error('update() not implemented'); }
+    remove(id)           { throw new Error('remove() not implemented'); }
+}
+
+module.exports = BaseDeadLetterStore;
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const BaseDeadLetterStore = require('./BaseDeadLetterStore.js');
+
+/**
+ * @module Event System
+ * @fileoverview DatabaseDeadLetterStore - Keeps failed events in the `event_dead_letters` table.
+ *
+ * @example
+ * const { setDeadLetterStore, DatabaseDeadLetterStore } = require('./dead-letter');
+ * setDeadLetterStore(new DatabaseDeadLetterStore());
+ */
+class DatabaseDeadLetterStore extends BaseDeadLetterStore {
+    /**
+     * @param {Object} [options]
+     * @param {DeadLetterRepository} [options.repository] Defaults to a repository on the shared DB
+     */
+    constructor({ repository = null } = {}) {
+        super();
+        this._repository = repository;
+    }
+
+    /**
+     * The repository in use. Created on first use so the store can be configured
+     * before the DB connection is.
+     * @type {DeadLetterRepository}
+     */
+    get repository() {
+        if (!this._repository) {
+            const DeadLetterRepository = require('../DeadLetterRepository');
+            this._repository = new DeadLetterRepository();
+        }
+        return this._repository;
+    }
+
+    /**
+     * Insert a dead-letter row.
+     * @param {Object} entry - See BaseDeadLetterStore
+     * @returns {Promise<DeadLetterEntity>}
+     */
+    add(entry) {
+        return this.repository.create({
+            id            : entry.id || crypto.randomUUID(),
+            event_name    : entry.eventName,
+            subscription  : entry.subscription ?? null,
+            handler_name  : entry.handlerName ?? null,
+            payload       : JSON.parse(JSON.stringify(entry.payload ?? null)),
+            error_message : entry.errorMessage,
+            error_stack   : entry.errorStack ?? null,
+            attempts      : entry.attempts,
+            failed_at     : entry.failedAt,
+        });
+    }
+
+    /**
+     * @param {Object} [query] - See MemoryDeadLetterStore.list()
+     * @returns {Promise<Array<DeadLetterEntity>>}
+     */
+    list({ eventName = null, handlerName = null, limit = 50, offset = 0 } = {}) {
+        return this.repository.findLatest({ eventName, handlerName, limit, offset });
+    }
+
+    get(id) {
+        return this.repository.findById(id);
+    }
+
+    async update(id, { errorMessage, errorStack, attempts, failedAt }) {
+        await this.repository.update(id, {
+            error_message : errorMessage,
+            error_stack   : errorStack ?? null,
+            attempts,
+            failed_at     : failedAt,
+        });
+        return this.get(id);
+    }
+
+    async remove(id) {
+        return (await this.repository.delete(id)) > 0;
+    }
+}
+
+module.exports = DatabaseDeadLetterStore;
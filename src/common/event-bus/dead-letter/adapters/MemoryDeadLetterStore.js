@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const BaseDeadLetterStore = require('./BaseDeadLetterStore.js');
+
+/**
+ * @module Event System
+ * @fileoverview MemoryDeadLetterStore - In-memory dead-letter store for development and testing.
+ *
+ * Keeps the most recent failures in a bounded buffer. Entries are lost on restart;
+ * use DatabaseDeadLetterStore in production.
+ */
+class MemoryDeadLetterStore extends BaseDeadLetterStore {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxEntries=1000] Oldest entries are dropped past this size
+     */
+    constructor({ maxEntries = 1000 } = {}) {
+        super();
+        this.maxEntries = maxEntries;
+        this.entries = [];
+    }
+
+    /**
+     * Store a failed event.
+     * @param {Object} entry - See BaseDeadLetterStore; `id` is generated when missing
+     * @returns {Promise<Object>} The stored entry
+     */
+    async add(entry) {
+        const stored = Object.freeze({ id: crypto.randomUUID(), ...entry });
+        this.entries.push(stored);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+        return stored;
+    }
+
+    /**
+     * Entries newest first, optionally filtered by event and handler.
+     * @param {Object} [query]
+     * @param {string} [query.eventName]
+     * @param {string} [query.handlerName]
+     * @param {number} [query.limit=50]
+     * @param {number} [query.offset=0]
+     * @returns {Promise<Array<Object>>}
+     */
+    async list({ eventName = null, handlerName = null, limit = 50, offset = 0 } = {}) {
+        return this.entries
+            .filter(entry => (!eventName || entry.eventName === eventName)
+                && (!handlerName || entry.handlerName === handlerName))
+            .reverse()
+            .slice(offset, offset + limit);
+    }
+
+    async get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    async update(id, changes) {
+        const index = this.entries.findIndex(entry => entry.id === id);
+        if (index === -1) return null;
+        this.entries[index] = Object.freeze({ ...this.entries[index], ...changes, id });
+        return this.entries[index];
+    }
+
+    async remove(id) {
+        const index = this.entries.findIndex(entry => entry.id === id);
+        if (index === -1) return false;
+        this.entries.splice(index, 1);
+        return true;
+    }
+
+    clear() {
+        this.entries = [];
+    }
+}
+
+module.exports = MemoryDeadLetterStore;
@@ -0,0 +1,31 @@
+const BaseDeadLetterStore = require('./adapters/BaseDeadLetterStore.js');
+const MemoryDeadLetterStore = require('./adapters/MemoryDeadLetterStore.js');
+const DatabaseDeadLetterStore = require('./adapters/DatabaseDeadLetterStore.js');
+
+// Process-wide store for events whose handlers failed every retry.
+let store = new MemoryDeadLetterStore();
+
+/**
+ * Get the dead-letter store.
+ * @returns {BaseDeadLetterStore}
+ */
+const getDeadLetterStore = () => store;
+
+/**
+ * Replace the dead-letter store (e.g., with a DatabaseDeadLetterStore at boot).
+ * @param {BaseDeadLetterStore} nextStore
+ */
+const setDeadLetterStore = (nextStore) => {
+    if (!(nextStore instanceof BaseDeadLetterStore)) {
+        throw new Error('setDeadLetterStore requires a BaseDeadLetterStore instance');
+    }
+    store = nextStore;
+};
+
+module.exports = {
+    BaseDeadLetterStore,
+    MemoryDeadLetterStore,
+    DatabaseDeadLetterStore,
+    getDeadLetterStore,
+    setDeadLetterStore,
+};
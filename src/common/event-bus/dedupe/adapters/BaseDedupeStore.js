@@ -0,0 +1,25 @@
+/**
+ * @module Event System
+ * @fileoverview BaseDedupeStore - Abstract base class for processed-event stores.
+ *
+ * Records which consumer has handled which event id, so a handler run through
+ * `idempotent()` skips events delivered more than once.
+ */
+class BaseDedupeStore {
+    /**
+     * Claim a key for processing.
+     * @param {string} key - `<consumer>:<event id>`
+     * @param {number} ttlSeconds - How long to remember the key
+     * @returns {Promise<boolean>} False if the key was already claimed
+     */
+    async claim(key, ttlSeconds) { throw new Error('claim() not implemented'); }
+
+    /**
+     * Forget a claim, so the event can be processed again (after a failure).
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    async release(key) { throw new Error('release() not implemented'); }
+}
+
+module.exports = BaseDedupeStore;
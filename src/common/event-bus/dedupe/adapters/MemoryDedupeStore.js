@@ -0,0 +1,49 @@
+const BaseDedupeStore = require('./BaseDedupeStore.js');
+
+/**
+ * @module Event System
+ * @fileoverview MemoryDedupeStore - In-process processed-event store.
+ *
+ * Dedupes redeliveries within one process only. Deployments with several
+ * instances consuming the same events should use RedisDedupeStore.
+ */
+class MemoryDedupeStore extends BaseDedupeStore {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxKeys=10000] Oldest claims are forgotten past this size
+     */
+    constructor({ maxKeys = 10000 } = {}) {
+        super();
+        this.maxKeys = maxKeys;
+
+        /**
+         * Claims by key, with their expiry (ms timestamp), oldest first.
+         * @type {Map<string, number>}
+         * @private
+         */
+        this.claims = new Map();
+    }
+
+    async claim(key, ttlSeconds) {
+        const now = Date.now();
+        const expiresAt = this.claims.get(key);
+        if (expiresAt !== undefined && expiresAt > now) return false;
+
+        this.claims.delete(key);
+        this.claims.set(key, now + ttlSeconds * 1000);
+        while (this.claims.size > this.maxKeys) {
+            this.claims.delete(this.claims.keys().next().value);
+        }
+        return true;
+    }
+
+    async release(key) {
+        this.claims.delete(key);
+    }
+
+    clear() {
+        this.claims.clear();
+    }
+}
+
+module.exports = MemoryDedupeStore;
@@ -0,0 +1,35 @@
+const BaseDedupeStore = require('./BaseDedupeStore.js');
+
+/**
+ * @module Event System
+ * @fileoverview RedisDedupeStore - Processed-event store shared by every instance.
+ *
+ * Each claim is one `SET <prefix><consumer>:<event id> 1 NX EX <ttl>`, so two
+ * instances receiving the same event cannot both process it.
+ */
+class RedisDedupeStore extends BaseDedupeStore {
+    /**
+     * @param {Object} options
+     * @param {Object} options.redis                         ioredis client
+     * @param {string} [options.prefix='eventbus:processed:'] Key prefix
+     */
+    constructor({ redis, prefix = 'eventbus:processed:' } = {}) {
+        super();
+        if (!redis) {
+            throw new Error('RedisDedupeStore requires a redis client');
+        }
+        this.redis = redis;
+        this.prefix = prefix;
+    }
+
+    async claim(key, ttlSeconds) {
+        const ok = await this.redis.set(`${this.prefix}${key}`, '1', 'EX', ttlSeconds, 'NX');
+        return ok === 'OK';
+    }
+
+    async release(key) {
+        await this.redis.del(`${this.prefix}${key}`);
+    }
+}
+
+module.exports = RedisDedupeStore;
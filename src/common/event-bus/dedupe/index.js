@@ -0,0 +1,86 @@
+const BaseDedupeStore = require('./adapters/BaseDedupeStore.js');
+const MemoryDedupeStore = require('./adapters/MemoryDedupeStore.js');
+const RedisDedupeStore = require('./adapters/RedisDedupeStore.js');
+
+/**
+ * @module Event System
+ * @fileoverview Consumer-side dedupe for at-least-once event delivery.
+ *
+ * The outbox relay may deliver an event more than once (a relay that dies after
+ * publishing but before marking the row delivered publishes it again). Handlers
+ * with side effects that must happen once, like issuing a coupon, are wrapped
+ * with `idempotent()`:
+ * ```javascript
+ * EventBus.on(EventTypes.USER_VERIFY_EMAIL, idempotent('welcome-offer', handler));
+ * ```
+ * The wrapper claims `<consumer>:<event id>` before running the handler and skips
+ * the event if the claim is already taken. A handler that throws releases its
+ * claim, so a later delivery can retry it.
+ */
+
+// Remember processed events for a week: well past any relay retry window.
+const kDEDUPE_TTL = 7 * 24 * 60 * 60;
+
+// Process-wide default store used by idempotent() handlers that don't inject their own.
+let store = new MemoryDedupeStore();
+
+/**
+ * Get the default dedupe store.
+ * @returns {BaseDedupeStore}
+ */
+const getDedupeStore = () => store;
+
+/**
+ * Replace the default dedupe store (e.g., with a RedisDedupeStore at boot).
+ * @param {BaseDedupeStore} nextStore
+ */
+const setDedupeStore = (nextStore) => {
+    if (!(nextStore instanceof BaseDedupeStore)) {
+        throw new Error('setDedupeStore requires a BaseDedupeStore instance');
+    }
+    store = nextStore;
+};
+
+/**
+ * Wrap an event handler so each event id is processed once per consumer.
+ * Events without an id are passed through.
+ *
+ * @param {string} consumer - Name that scopes the dedupe keys, e.g. 'welcome-offer'
+ * @param {Function} handler - `async (event, ...args) => void`; extra arguments are passed through
+ * @param {Object} [options]
+ * @param {BaseDedupeStore} [options.store] - Defaults to the process-wide store at call time
+ * @param {number} [options.ttl=kDEDUPE_TTL] - Seconds to remember processed events
+ * @returns {Function} `async (event, ...args) => void`
+ */
+const idempotent = (consumer, handler, { store: injected = null, ttl = kDEDUPE_TTL } = {}) => {
+    if (!consumer) {
+        throw new Error('idempotent() requires a consumer name');
+    }
+
+    return async (event, ...args) => {
+        const id = event?.id;
+        if (!id) return handler(event, ...args);
+
+        const dedupe = injected || getDedupeStore();
+        const key = `${consumer}:${id}`;
+        if (!(await dedupe.claim(key, ttl))) return undefined;
+
+        try {
+            return await handler(event, ...args);
+        }
+        catch (error) {
+            await dedupe.release(key);
+            throw error;
+        }
+    };
+};
+
+module.exports = {
+    BaseDedupeStore,
+    MemoryDedupeStore,
+    RedisDedupeStore,
+    getDedupeStore,
+    setDedupeStore,
+    idempotent,
+    kDEDUPE_TTL,
+};
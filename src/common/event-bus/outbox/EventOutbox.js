@@ -0,0 +1,79 @@
+'use strict';
+
+const Event = require('../Event.js');
+const { getEventRegistry } = require('../schemas');
+
+/**
+ * @module Event System
+ * @fileoverview EventOutbox - Records events in the caller's transaction for later delivery.
+ *
+ * `EventBus.emit()` after a commit loses the event if the process dies between the
+ * COMMIT and the emit. Writing the event to `event_outbox` in the same transaction
+ * as the change makes both durable together: either both commit or neither does.
+ * OutboxRelay then publishes the row, at least once.
+ *
+ * @example
+ * await DB.transaction(async (trx) => {
+ *   const order = await orderService.complete(id, { trx });
+ *   await outbox.add('order.completed', { id: order.id }, { user_id: 7 }, { trx });
+ * });
+ */
+class EventOutbox {
+    /**
+     * @param {Object} [options]
+     * @param {OutboxRepository} [options.repository] - Defaults to a new OutboxRepository
+     */
+    constructor({ repository = null } = {}) {
+        this._repository = repository;
+    }
+
+    /**
+     * The outbox repository, created on first use so the outbox can be configured
+     * without loading the DB.
+     * @type {OutboxRepository}
+     */
+    get repository() {
+        if (!this._repository) {
+            const OutboxRepository = require('./OutboxRepository.js');
+            this._repository = new OutboxRepository();
+        }
+        return this._repository;
+    }
+
+    /**
+     * Record an event. Pass the transaction of the write it describes: a rollback
+     * discards the event along with the write.
+     *
+     * @param {string} name - Event name
+     * @param {*} data - Event payload
+     * @param {Object} [meta={}] - Envelope metadata (actor, user_id, trace_id), see Event.
+     *   `meta.version` defaults to the event's latest registered schema version.
+     * @param {Object} [options]
+     * @param {Object} [options.trx] - Knex/Objection transaction
+     * @returns {Promise<Event>} The recorded event
+     */
+    async add(name, data, meta = {}, { trx } = {}) {
+        if (!name) {
+            throw new Error('EventOutbox.add requires an event name');
+        }
+
+        const version = meta.version ?? getEventRegistry().latestVersion(name);
+        const event = Event.create(name, data, { ...meta, version });
+        const now = new Date();
+
+        await this.repository.create({
+            id           : event.id,
+            event_name   : event.name,
+            // Round-trip through JSON so entities are stored as their toJSON() fields
+            payload      : JSON.parse(JSON.stringify(event.toPayload())),
+            status       : 'pending',
+            attempts     : 0,
+            available_at : now,
+            created_at   : now,
+        }, { trx });
+
+        return event;
+    }
+}
+
+module.exports = EventOutbox;
@@ -0,0 +1,25 @@
+'use strict';
+
+const { createEntityFromModel } = require('../../BaseEntity');
+const DB = require('@vectoricons.net/db');
+
+/**
+ * @module Event System
+ * @fileoverview OutboxEventEntity - Immutable event_outbox row.
+ */
+class OutboxEventEntity extends createEntityFromModel(DB.eventOutbox, {}, {
+    allowedColumns: [
+        'id',
+        'event_name',
+        'payload',
+        'status',
+        'attempts',
+        'last_error',
+        'available_at',
+        'created_at',
+        'delivered_at',
+    ],
+    relatedEntities: {},
+}) {}
+
+module.exports = OutboxEventEntity;
@@ -0,0 +1,168 @@
+'use strict';
+
+const Event = require('../Event.js');
+
+/**
+ * Default retry delay: exponential from 2s, capped at 5 minutes.
+ * @private
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+const kDEFAULT_BACKOFF = (attempts) => Math.min(2 ** attempts * 1000, 5 * 60 * 1000);
+
+/**
+ * @module Event System
+ * @fileoverview OutboxRelay - Publishes pending event_outbox rows.
+ *
+ * Each batch takes two short transactions with the publishing in between, so no
+ * row lock or connection is held while the broker is slow:
+ * 1. claim due rows (`FOR UPDATE SKIP LOCKED`) and lease them by pushing their
+ *    `available_at` forward by `lease` ms, which hides them from other relays;
+ * 2. publish each one, outside any transaction;
+ * 3. mark the published rows delivered and reschedule the rest with backoff.
+ * After `maxAttempts` a row is marked 'failed' and left for an operator.
+ *
+ * Delivery is at least once: rows of a relay that dies after publishing but before
+ * step 3 are published again once their lease runs out. Consumers with side effects
+ * that must not repeat use `idempotent()` (see `dedupe/`).
+ *
+ * @example
+ * const relay = new OutboxRelay();
+ * relay.start();
+ * process.on('SIGTERM', () => relay.stop());
+ */
+class OutboxRelay {
+    /**
+     * @param {Object} [options]
+     * @param {OutboxRepository} [options.repository]  Defaults to a new OutboxRepository
+     * @param {Function} [options.publish]             `async (event) => void`; defaults to EventBus.dispatch
+     * @param {number} [options.batchSize=100]         Rows per batch
+     * @param {number} [options.pollInterval=1000]     Ms between polls when idle
+     * @param {number} [options.maxAttempts=10]        Attempts before a row is marked failed
+     * @param {Function} [options.backoff]             `(attempts) => ms` before the next attempt
+     * @param {number} [options.lease=60000]           Ms claimed rows stay hidden from other relays;
+     *                                                 must outlast publishing a batch
+     */
+    constructor({
+        repository = null,
+        publish = null,
+        batchSize = 100,
+        pollInterval = 1000,
+        maxAttempts = 10,
+        backoff = kDEFAULT_BACKOFF,
+        lease = 60 * 1000,
+    } = {}) {
+        this._repository = repository;
+        this._publish = publish;
+        this.batchSize = batchSize;
+        this.pollInterval = pollInterval;
+        this.maxAttempts = maxAttempts;
+        this.backoff = backoff;
+        this.lease = lease;
+
+        this.timer = null;
+        this.running = false;
+    }
+
+    /** @type {OutboxRepository} */
+    get repository() {
+        if (!this._repository) {
+            const OutboxRepository = require('./OutboxRepository.js');
+            this._repository = new OutboxRepository();
+        }
+        return this._repository;
+    }
+
+    /**
+     * Publish one event. Defaults to the EventBus singleton, loaded on first use.
+     * @private
+     * @param {Event} event
+     * @returns {Promise<void>}
+     */
+    async publish(event) {
+        if (!this._publish) {
+            const { EventBus } = require('../index.js');
+            this._publish = (next) => EventBus.dispatch(next);
+        }
+        await this._publish(event);
+    }
+
+    /**
+     * Relay one batch.
+     * @returns {Promise<{claimed: number, delivered: number, failed: number}>}
+     */
+    async relayOnce() {
+        const rows = await this.repository.withTransaction((trx) => this.repository.claimPending({
+            limit      : this.batchSize,
+            leaseUntil : new Date(Date.now() + this.lease),
+            trx,
+        }));
+
+        const delivered = [];
+        const failures = [];
+
+        for (const row of rows) {
+            try {
+                const payload = typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload;
+                await this.publish(Event.fromPayload({ ...payload, id: row.id }));
+                delivered.push(row.id);
+            }
+            catch (error) {
+                const attempts = (row.attempts || 0) + 1;
+                console.error(`[OutboxRelay] Failed to publish ${row.eventName} (${row.id}), attempt ${attempts}:`, error);
+                failures.push({ id: row.id, error, attempts });
+            }
+        }
+
+        if (rows.length) {
+            await this.repository.withTransaction(async (trx) => {
+                await this.repository.markDelivered(delivered, { trx });
+                for (const { id, error, attempts } of failures) {
+                    await this.repository.markFailed(id, {
+                        error   : error?.message || String(error),
+                        attempts,
+                        dead    : attempts >= this.maxAttempts,
+                        retryAt : new Date(Date.now() + this.backoff(attempts)),
+                        trx,
+                    });
+                }
+            });
+        }
+
+        return { claimed: rows.length, delivered: delivered.length, failed: failures.length };
+    }
+
+    /**
+     * Poll until stop(). A full batch polls again right away; otherwise the relay
+     * waits `pollInterval`. The timer does not keep the process alive.
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        const tick = async () => {
+            let claimed = 0;
+            try {
+                ({ claimed } = await this.relayOnce());
+            }
+            catch (error) {
+                console.error('[OutboxRelay] Batch failed:', error);
+            }
+            if (!this.running) return;
+
+            this.timer = setTimeout(tick, claimed >= this.batchSize ? 0 : this.pollInterval);
+            this.timer.unref?.();
+        };
+
+        this.timer = setTimeout(tick, 0);
+        this.timer.unref?.();
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = OutboxRelay;
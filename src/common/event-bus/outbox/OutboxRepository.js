@@ -0,0 +1,130 @@
+'use strict';
+
+const BaseRepository = require('../../BaseRepository');
+const OutboxEventEntity = require('./OutboxEventEntity');
+
+/**
+ * @module Event System
+ * @fileoverview OutboxRepository - Stores pending events in the `event_outbox` table.
+ *
+ * **Table:**
+ * ```
+ * event_outbox
+ *   id            uuid primary key      -- the Event id
+ *   event_name    text
+ *   payload       jsonb                 -- Event.toPayload()
+ *   status        text                  -- 'pending' | 'delivered' | 'failed'
+ *   attempts      integer default 0
+ *   last_error    text null
+ *   available_at  timestamptz           -- next delivery attempt, or end of a relay's lease
+ *   created_at    timestamptz
+ *   delivered_at  timestamptz null
+ *
+ *   index (status, available_at, created_at)
+ * ```
+ */
+class OutboxRepository extends BaseRepository {
+    constructor({ DB } = {}) {
+        super({
+            DB : DB || require('@vectoricons.net/db'),
+            modelName: 'eventOutbox',
+            entityClass: OutboxEventEntity,
+        });
+    }
+
+    /**
+     * Run `fn(trx)` in a new transaction.
+     * @param {Function} fn
+     * @returns {Promise<*>}
+     */
+    async withTransaction(fn) {
+        return this.model.transaction(fn);
+    }
+
+    /**
+     * Claim the oldest pending rows that are due: lock them, skipping rows another
+     * relay is claiming, and lease them by moving `available_at` to `leaseUntil` so
+     * other relays leave them alone once the transaction commits. Must run in a
+     * transaction.
+     *
+     * @param {Object} options
+     * @param {number} [options.limit=100]
+     * @param {Date} [options.now=new Date()]
+     * @param {Date} [options.leaseUntil] - End of the lease (default: a minute from `now`)
+     * @param {Object} options.trx
+     * @returns {Promise<OutboxEventEntity[]>}
+     */
+    async claimPending({ limit = 100, now = new Date(), leaseUntil = new Date(now.getTime() + 60 * 1000), trx } = {}) {
+        const rows = await this.model.query(trx)
+            .where('status', 'pending')
+            .where('available_at', '<=', now)
+            .orderBy('created_at', 'asc')
+            .limit(limit)
+            .forUpdate()
+            .skipLocked();
+
+        if (rows.length) {
+            await this.model.query(trx)
+                .whereIn('id', rows.map(row => row.id))
+                .patch({ available_at: leaseUntil });
+        }
+
+        return this.wrapEntity(rows, this.entityClass);
+    }
+
+    /**
+     * @param {string[]} ids
+     * @param {Object} [options]
+     * @param {Object} [options.trx]
+     * @returns {Promise<number>} Rows updated
+     */
+    async markDelivered(ids, { trx } = {}) {
+        if (!ids.length) return 0;
+        return this.model.query(trx)
+            .whereIn('id', ids)
+            .patch({ status: 'delivered', delivered_at: new Date(), last_error: null });
+    }
+
+    /**
+     * Record a failed delivery: reschedule the row, or give up on it. Rows no
+     * longer pending (delivered by another relay after the lease ran out) are
+     * left alone.
+     *
+     * @param {string} id
+     * @param {Object} options
+     * @param {string} options.error - Failure message
+     * @param {number} options.attempts - Attempts made so far
+     * @param {boolean} [options.dead=false] - Stop retrying (status 'failed')
+     * @param {Date} [options.retryAt] - Next attempt, for rows still pending
+     * @param {Object} [options.trx]
+     * @returns {Promise<number>} Rows updated
+     */
+    async markFailed(id, { error, attempts, dead = false, retryAt = new Date(), trx } = {}) {
+        return this.model.query(trx)
+            .findById(id)
+            .where('status', 'pending')
+            .patch({
+                status       : dead ? 'failed' : 'pending',
+                attempts,
+                last_error   : error,
+                available_at : retryAt,
+            });
+    }
+
+    /**
+     * Delete delivered rows older than `before`.
+     *
+     * @param {Object} options
+     * @param {Date} options.before
+     * @param {Object} [options.trx]
+     * @returns {Promise<number>} Rows deleted
+     */
+    async purgeDelivered({ before, trx } = {}) {
+        return this.model.query(trx)
+            .where('status', 'delivered')
+            .where('delivered_at', '<', before)
+            .delete();
+    }
+}
+
+module.exports = OutboxRepository;
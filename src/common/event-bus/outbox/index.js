@@ -0,0 +1,20 @@
+const EventOutbox = require('./EventOutbox.js');
+const OutboxRelay = require('./OutboxRelay.js');
+
+/**
+ * @module Event System
+ * @fileoverview Transactional outbox for durable, at-least-once event delivery.
+ *
+ * ```
+ * service write ──┐ same trx
+ * outbox.add() ───┴──> COMMIT ──> event_outbox ──> OutboxRelay ──> EventBus.dispatch()
+ *                                                                      ↓
+ *                                                  idempotent(consumer, handler)
+ * ```
+ * The repository and entity are required lazily by EventOutbox and OutboxRelay,
+ * so this module loads without the DB package.
+ */
+module.exports = {
+    EventOutbox,
+    OutboxRelay,
+};
@@ -0,0 +1,79 @@
+/**
+ * @module Event System
+ * @fileoverview Event name patterns for wildcard subscriptions.
+ *
+ * Event names are dot-namespaced (`order.credits.purchase`). A subscription can
+ * name one event or a pattern:
+ * ```
+ * user.*       one segment:          user.signup, user.login   (not user.profile.updated)
+ * order.**     one or more segments: order.refund, order.credits.purchase  (not order)
+ * *.created    any namespace:        icon.created, set.created
+ * *            every event
+ * ```
+ * Every adapter matches with these rules, so a pattern behaves the same on
+ * Memory, Redis and SNS/SQS.
+ */
+
+/**
+ * Compiled patterns, by pattern.
+ * @private
+ * @type {Map<string, RegExp>}
+ */
+const compiled = new Map();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Whether a subscription name is a pattern rather than an event name.
+ * @param {string} name
+ * @returns {boolean}
+ */
+const isPattern = (name) => typeof name === 'string' && name.includes('*');
+
+/**
+ * Compile a pattern to a RegExp over full event names.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+const compilePattern = (pattern) => {
+    if (compiled.has(pattern)) return compiled.get(pattern);
+
+    const source = pattern === '*'
+        ? '.+'
+        : pattern.split('.').map((segment) => {
+            if (segment === '**') return '[^.]+(?:\\.[^.]+)*';
+            return segment.split('*').map(escapeRegExp).join('[^.]*');
+        }).join('\\.');
+
+    const regex = new RegExp(`^${source}$`);
+    compiled.set(pattern, regex);
+    return regex;
+};
+
+/**
+ * Whether an event name matches a pattern (or equals a plain name).
+ * @param {string} pattern
+ * @param {string} name
+ * @returns {boolean}
+ */
+const matches = (pattern, name) => {
+    if (!isPattern(pattern)) return pattern === name;
+    return typeof name === 'string' && compilePattern(pattern).test(name);
+};
+
+/**
+ * Redis PSUBSCRIBE glob covering a pattern. Redis `*` also matches dots, so the
+ * glob can be broader than the pattern: subscribers filter with `matches()`.
+ * @param {string} pattern
+ * @returns {string}
+ */
+const toRedisGlob = (pattern) => pattern
+    .replace(/[?[\]\\]/g, '\\$&')
+    .replace(/\*+/g, '*');
+
+module.exports = {
+    isPattern,
+    compilePattern,
+    matches,
+    toRedisGlob,
+};
@@ -0,0 +1,175 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const EventValidationError = require('./EventValidationError.js');
+
+/**
+ * @module Event System
+ * @fileoverview EventSchemaRegistry - JSON schemas and versions for event payloads.
+ *
+ * Pairs each event name with one or more versioned JSON schemas describing
+ * `event.data`. EventBus validates emitted payloads against the latest version
+ * (or the one named in `meta.version`) and stamps the version on the Event, so
+ * handlers can declare which versions they understand.
+ *
+ * Events without a registered schema are not validated.
+ *
+ * @example
+ * const registry = new EventSchemaRegistry();
+ * registry.register('order.refund', {
+ *   version: 2,
+ *   description: 'An order was refunded, in full or in part.',
+ *   schema: {
+ *     type: 'object',
+ *     required: ['id', 'amount'],
+ *     properties: { id: { type: 'integer' }, amount: { type: 'number' } },
+ *   },
+ * });
+ *
+ * registry.validate('order.refund', { id: 5 });
+ * // { valid: false, version: 2, errors: [{ path: '', message: "must have required property 'amount'" }] }
+ */
+class EventSchemaRegistry {
+    /**
+     * @param {Object} [options]
+     * @param {Ajv} [options.ajv] - Ajv instance to compile schemas with
+     */
+    constructor({ ajv = null } = {}) {
+        this.ajv = ajv || addFormats(new Ajv({ allErrors: true, strict: false }));
+
+        /**
+         * Definitions by event name, then version.
+         * @type {Map<string, Map<number, Object>>}
+         * @private
+         */
+        this.events = new Map();
+    }
+
+    /**
+     * Register a schema version for an event.
+     *
+     * @param {string} name - Event name (e.g. EventTypes.USER_SIGNUP)
+     * @param {Object} definition
+     * @param {Object} definition.schema - JSON schema for `event.data`
+     * @param {number} [definition.version=1] - Positive integer
+     * @param {string} [definition.description=''] - Shown in the event catalog
+     * @param {boolean} [definition.deprecated=false] - Still accepted, flagged in the catalog
+     * @returns {EventSchemaRegistry} this, for chaining
+     * @throws {Error} If the version is invalid or already registered
+     */
+    register(name, { schema, version = 1, description = '', deprecated = false } = {}) {
+        if (!name || !schema) {
+            throw new Error('EventSchemaRegistry.register requires an event name and a schema');
+        }
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Event schema versions must be positive integers (got ${version} for ${name})`);
+        }
+        if (this.events.get(name)?.has(version)) {
+            throw new Error(`${name} v${version} is already registered`);
+        }
+
+        if (!this.events.has(name)) {
+            this.events.set(name, new Map());
+        }
+        this.events.get(name).set(version, Object.freeze({
+            name,
+            version,
+            description,
+            deprecated,
+            schema,
+            validate: this.ajv.compile(schema),
+        }));
+        return this;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.events.has(name);
+    }
+
+    /**
+     * Registered versions of an event, ascending.
+     * @param {string} name
+     * @returns {number[]}
+     */
+    versions(name) {
+        return [...(this.events.get(name)?.keys() || [])].sort((a, b) => a - b);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {number|null} Highest registered version, or null if unregistered
+     */
+    latestVersion(name) {
+        const versions = this.versions(name);
+        return versions.length ? versions[versions.length - 1] : null;
+    }
+
+    /**
+     * @param {string} name
+     * @param {number} [version] - Defaults to the latest
+     * @returns {Object|null} `{ name, version, description, deprecated, schema }`
+     */
+    get(name, version = this.latestVersion(name)) {
+        return this.events.get(name)?.get(version) || null;
+    }
+
+    /**
+     * Validate a payload.
+     *
+     * @param {string} name
+     * @param {*} data - Event payload
+     * @param {Object} [options]
+     * @param {number} [options.version] - Defaults to the latest
+     * @returns {{valid: boolean, version: number|null, errors: Array<{path: string, message: string}>}}
+     *   Unregistered events are valid with a null version.
+     */
+    validate(name, data, { version = this.latestVersion(name) } = {}) {
+        if (!this.has(name)) {
+            return { valid: true, version: null, errors: [] };
+        }
+
+        const definition = this.get(name, version);
+        if (!definition) {
+            return { valid: false, version, errors: [{ path: '', message: `unknown version ${version}` }] };
+        }
+
+        const valid = definition.validate(data);
+        const errors = valid ? [] : definition.validate.errors.map(error => ({
+            path    : error.instancePath,
+            message : error.message,
+        }));
+        return { valid, version, errors };
+    }
+
+    /**
+     * Validate a payload and throw if it breaks the schema.
+     * @returns {number|null} Version validated against
+     * @throws {EventValidationError}
+     */
+    assertValid(name, data, options = {}) {
+        const { valid, version, errors } = this.validate(name, data, options);
+        if (!valid) {
+            throw new EventValidationError(name, version, errors);
+        }
+        return version;
+    }
+
+    /**
+     * Every registered event with its versions, sorted by name, for the catalog.
+     * @returns {Array<{name: string, versions: Array<Object>}>}
+     */
+    list() {
+        return [...this.events.keys()].sort().map(name => ({
+            name,
+            versions: this.versions(name).map((version) => {
+                const { description, deprecated, schema } = this.get(name, version);
+                return { version, description, deprecated, schema };
+            }),
+        }));
+    }
+}
+
+module.exports = EventSchemaRegistry;
@@ -0,0 +1,33 @@
+/**
+ * @module Event System
+ * @fileoverview EventValidationError - Thrown when an event payload breaks its schema.
+ *
+ * @example
+ * try {
+ *   EventBus.emit(EventTypes.USER_VERIFY_EMAIL, { id: 7 });
+ * }
+ * catch (err) {
+ *   if (err instanceof EventValidationError) {
+ *     console.log(err.eventName, err.version); // 'user.verify-email' 1
+ *     console.log(err.errors);                 // [{ path: '', message: "must have required property 'email'" }]
+ *   }
+ * }
+ */
+class EventValidationError extends Error {
+    /**
+     * @param {string} eventName - Event whose payload failed validation
+     * @param {number} version - Schema version validated against
+     * @param {Array<{path: string, message: string}>} [errors=[]] - Schema violations
+     */
+    constructor(eventName, version, errors = []) {
+        const detail = errors.map(({ path, message }) => `data${path} ${message}`).join('; ');
+        super(`Invalid payload for ${eventName} v${version}: ${detail}`);
+        this.name = 'EventValidationError';
+        this.code = 'EVENT_VALIDATION';
+        this.eventName = eventName;
+        this.version = version;
+        this.errors = errors;
+    }
+}
+
+module.exports = EventValidationError;
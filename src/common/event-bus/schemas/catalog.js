@@ -0,0 +1,73 @@
+/**
+ * @module Event System
+ * @fileoverview Event catalog - machine- and human-readable listings of the registry.
+ *
+ * `npm run docs:events` writes both to source-docs/ (events.json and EVENTS.md).
+ */
+
+/**
+ * Describe every registered event.
+ * @param {EventSchemaRegistry} registry
+ * @returns {{events: Array<{name: string, latestVersion: number, versions: Array<Object>}>}}
+ */
+const buildCatalog = (registry) => ({
+    events: registry.list().map(({ name, versions }) => ({
+        name,
+        latestVersion: versions[versions.length - 1].version,
+        versions,
+    })),
+});
+
+/**
+ * Render a catalog as Markdown.
+ * @param {{events: Array<Object>}} catalog - From buildCatalog()
+ * @returns {string}
+ */
+const renderCatalogMarkdown = ({ events }) => {
+    const lines = [
+        '# Event Catalog',
+        '',
+        '> Generated by `npm run docs:events` from `src/common/event-bus/schemas/definitions.js`. Do not edit by hand.',
+        '',
+        'Payload schemas for every event registered with the EventBus schema registry.',
+        'Emitted payloads are validated against the latest version unless the emitter',
+        'passes `meta.version`; handlers registered with `versions: [...]` only receive',
+        'the versions they list.',
+        '',
+        '| Event | Latest | Description |',
+        '|-------|--------|-------------|',
+        ...events.map(({ name, latestVersion, versions }) => {
+            const { description } = versions[versions.length - 1];
+            return `| [\`${name}\`](#${anchor(name)}) | v${latestVersion} | ${description} |`;
+        }),
+    ];
+
+    for (const { name, versions } of events) {
+        lines.push('', `## ${name}`);
+        for (const { version, description, deprecated, schema } of [...versions].reverse()) {
+            lines.push(
+                '',
+                `### v${version}${deprecated ? ' (deprecated)' : ''}`,
+                '',
+                description,
+                '',
+                '```json',
+                JSON.stringify(schema, null, 2),
+                '```',
+            );
+        }
+    }
+
+    return `${lines.join('\n')}\n`;
+};
+
+/**
+ * GitHub-style heading anchor.
+ * @private
+ */
+const anchor = (heading) => heading.toLowerCase().replace(/[^a-z0-9 -]/g, '').replace(/ /g, '-');
+
+module.exports = {
+    buildCatalog,
+    renderCatalogMarkdown,
+};
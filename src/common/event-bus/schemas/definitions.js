@@ -0,0 +1,192 @@
+const EventTypes = require('../EventTypes.js');
+
+/**
+ * @module Event System
+ * @fileoverview Payload schemas for the predefined EventTypes.
+ *
+ * One entry per event; `versions` lists every schema version still accepted,
+ * oldest first. To change a payload incompatibly, append a version rather than
+ * editing the existing one, and register the handlers that understand it with
+ * `versions: [...]`.
+ *
+ * Schemas describe the fields consumers rely on and allow additional properties,
+ * so services can add fields without a version bump.
+ *
+ * Run `npm run docs:events` after editing to regenerate the event catalog.
+ */
+
+const id = { type: ['integer', 'string'], description: 'Primary key' };
+const email = { type: 'string', format: 'email' };
+
+/**
+ * Payload carrying a record id and anything else.
+ * @private
+ */
+const withId = (description) => ({
+    type: 'object',
+    required: ['id'],
+    properties: { id },
+    description,
+});
+
+/**
+ * Payload carrying a user's id and email address.
+ * @private
+ */
+const userWithEmail = (description) => ({
+    type: 'object',
+    required: ['id', 'email'],
+    properties: { id, email },
+    description,
+});
+
+const anything = (description) => ({ description });
+
+/**
+ * @type {Object<string, {description: string, versions: Array<{version: number, schema: Object}>}>}
+ */
+const definitions = {
+    [EventTypes.APP_START]: {
+        description: 'The application finished booting.',
+        versions: [{ version: 1, schema: anything('Free-form startup details') }],
+    },
+    [EventTypes.APP_ERROR]: {
+        description: 'An unhandled application error.',
+        versions: [{ version: 1, schema: anything('The error or its details') }],
+    },
+    [EventTypes.USER_SIGNUP]: {
+        description: 'A user created an account.',
+        versions: [{ version: 1, schema: userWithEmail('The new user') }],
+    },
+    [EventTypes.USER_SIGNUP_ERROR]: {
+        description: 'Creating an account failed.',
+        versions: [{ version: 1, schema: anything('The signup attempt and its error') }],
+    },
+    [EventTypes.USER_LOGIN]: {
+        description: 'A user logged in.',
+        versions: [{ version: 1, schema: withId('The user') }],
+    },
+    [EventTypes.USER_LOGOUT]: {
+        description: 'A user logged out.',
+        versions: [{ version: 1, schema: withId('The user') }],
+    },
+    [EventTypes.USER_DELETE]: {
+        description: 'A user account was deleted.',
+        versions: [{ version: 1, schema: withId('The deleted user') }],
+    },
+    [EventTypes.USER_UPDATE_PROFILE]: {
+        description: 'A user changed their profile.',
+        versions: [{ version: 1, schema: withId('The updated user') }],
+    },
+    [EventTypes.USER_UPDATE_EMAIL]: {
+        description: 'A user changed their email address.',
+        versions: [{ version: 1, schema: userWithEmail('The user, with the new address') }],
+    },
+    [EventTypes.USER_VERIFY_EMAIL]: {
+        description: 'A user verified their email address.',
+        versions: [{ version: 1, schema: userWithEmail('The verified user') }],
+    },
+    [EventTypes.USER_UPDATE_PASSWORD]: {
+        description: 'A user asked to change their password.',
+        versions: [{ version: 1, schema: withId('The user') }],
+    },
+    [EventTypes.USER_PASSWORD_CHANGED]: {
+        description: 'A user\'s password was changed.',
+        versions: [{ version: 1, schema: withId('The user') }],
+    },
+    [EventTypes.USER_FORGOT_PASSWORD]: {
+        description: 'A user requested a password reset link.',
+        versions: [{ version: 1, schema: withId('The user') }],
+    },
+    [EventTypes.USER_RESET_PASSWORD]: {
+        description: 'A user reset their password from a reset link.',
+        versions: [{ version: 1, schema: withId('The user') }],
+    },
+    [EventTypes.ORDER_CONFIRMATION]: {
+        description: 'An order was paid for.',
+        versions: [{ version: 1, schema: withId('The order') }],
+    },
+    [EventTypes.ORDER_CANCEL_SUBSCRIPTION]: {
+        description: 'A subscription was cancelled.',
+        versions: [{ version: 1, schema: withId('The subscription order') }],
+    },
+    [EventTypes.ORDER_PURCHASE_CREDITS]: {
+        description: 'A user bought credits.',
+        versions: [{ version: 1, schema: withId('The credits order') }],
+    },
+    [EventTypes.ORDER_REFUND]: {
+        description: 'An order was refunded.',
+        versions: [{ version: 1, schema: withId('The refunded order') }],
+    },
+    [EventTypes.ORDER_ADD_FAILED]: {
+        description: 'Creating an order failed.',
+        versions: [{ version: 1, schema: anything('The order attempt and its error') }],
+    },
+    [EventTypes.NOTIFY_EMAIL]: {
+        description: 'Send a templated email (handled by the notify-email plugin).',
+        versions: [{
+            version: 1,
+            schema: {
+                type: 'object',
+                required: ['type', 'user'],
+                properties: {
+                    type: { type: 'string', description: 'Autoresponder template, e.g. welcome-offer' },
+                    user: {
+                        type: 'object',
+                        required: ['email'],
+                        properties: { email },
+                    },
+                    data: { type: 'object', description: 'Template variables' },
+                },
+            },
+        }],
+    },
+    [EventTypes.NOTIFY_SLACK]: {
+        description: 'Post a Slack message (handled by the notify-slack plugin).',
+        versions: [{
+            version: 1,
+            schema: {
+                type: 'object',
+                required: ['channel', 'message'],
+                properties: {
+                    channel: { type: 'string' },
+                    message: { type: 'string' },
+                },
+            },
+        }],
+    },
+    [EventTypes.CACHE_INVALIDATE]: {
+        description: 'Evict keys from every node\'s L1 cache (sent by TieredCacheAdapter).',
+        versions: [{
+            version: 1,
+            schema: {
+                type: 'object',
+                required: ['origin'],
+                properties: {
+                    origin: { type: 'string', description: 'Node that sent the invalidation' },
+                    keys: { type: 'array', items: { type: 'string' } },
+                    prefix: { type: 'string' },
+                },
+            },
+        }],
+    },
+};
+
+/**
+ * Register every definition with a registry.
+ * @param {EventSchemaRegistry} registry
+ * @returns {EventSchemaRegistry}
+ */
+const registerDefinitions = (registry) => {
+    for (const [name, { description, versions }] of Object.entries(definitions)) {
+        for (const { version, schema, deprecated = false } of versions) {
+            registry.register(name, { version, schema, description, deprecated });
+        }
+    }
+    return registry;
+};
+
+module.exports = {
+    definitions,
+    registerDefinitions,
+};
@@ -0,0 +1,46 @@
+const EventSchemaRegistry = require('./EventSchemaRegistry.js');
+const EventValidationError = require('./EventValidationError.js');
+const { definitions, registerDefinitions } = require('./definitions.js');
+const { buildCatalog, renderCatalogMarkdown } = require('./catalog.js');
+
+/**
+ * @module Event System
+ * @fileoverview Event payload schemas.
+ *
+ * The default registry holds the schemas in definitions.js. EventBus validates
+ * every emit against it; services can register schemas for their own events:
+ * ```javascript
+ * getEventRegistry().register('icon.created', { schema: { type: 'object', required: ['id'] } });
+ * ```
+ */
+
+// Process-wide default registry used by EventBus.
+let registry = registerDefinitions(new EventSchemaRegistry());
+
+/**
+ * Get the default event schema registry.
+ * @returns {EventSchemaRegistry}
+ */
+const getEventRegistry = () => registry;
+
+/**
+ * Replace the default event schema registry.
+ * @param {EventSchemaRegistry} nextRegistry
+ */
+const setEventRegistry = (nextRegistry) => {
+    if (!(nextRegistry instanceof EventSchemaRegistry)) {
+        throw new Error('setEventRegistry requires an EventSchemaRegistry instance');
+    }
+    registry = nextRegistry;
+};
+
+module.exports = {
+    EventSchemaRegistry,
+    EventValidationError,
+    definitions,
+    registerDefinitions,
+    buildCatalog,
+    renderCatalogMarkdown,
+    getEventRegistry,
+    setEventRegistry,
+};
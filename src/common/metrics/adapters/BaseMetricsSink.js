@@ -0,0 +1,15 @@
+/**
+ * @module Observability
+ * @fileoverview BaseMetricsSink - Abstract base class for metrics sinks.
+ *
+ * Defines the interface that all metrics sinks must follow (in-memory,
+ * StatsD, Datadog, etc.). Sinks receive one record per observed operation.
+ */
+
+// Minimal sink interface. Implementations must provide these methods.
+class BaseMetricsSink {
+    record(metric) { throw new Error('record() not implemented'); }
+    clear()        { throw new Error('clear() not implemented'); }
+}
+
+module.exports = BaseMetricsSink;
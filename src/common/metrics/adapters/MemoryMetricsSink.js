@@ -0,0 +1,73 @@
+const BaseMetricsSink = require('./BaseMetricsSink.js');
+
+/**
+ * @module Observability
+ * @fileoverview MemoryMetricsSink - In-memory metrics sink for development and testing.
+ *
+ * Keeps the most recent metric records in a bounded buffer so tests can assert
+ * against them and long-running processes don't grow without limit.
+ */
+class MemoryMetricsSink extends BaseMetricsSink {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxRecords=1000] Oldest records are dropped past this size
+     */
+    constructor({ maxRecords = 1000 } = {}) {
+        super();
+        this.maxRecords = maxRecords;
+        this.records = [];
+    }
+
+    /**
+     * Store a metric record.
+     * @param {Object} metric
+     * @param {string} metric.service      Service name (e.g., 'icon')
+     * @param {string} metric.operation    Method name (e.g., 'getById')
+     * @param {string} metric.result       'success' or 'failure'
+     * @param {number} metric.durationMs   Elapsed time in milliseconds
+     * @param {string|null} metric.errorClass  Error constructor name on failure
+     * @param {string} metric.timestamp    ISO timestamp
+     */
+    record(metric) {
+        this.records.push(Object.freeze({ ...metric }));
+        if (this.records.length > this.maxRecords) {
+            this.records.splice(0, this.records.length - this.maxRecords);
+        }
+    }
+
+    /**
+     * List recorded metrics, optionally filtered by exact field values.
+     * @param {Object} [where={}] e.g. { service: 'icon', operation: 'getById' }
+     * @returns {Array<Object>}
+     */
+    getRecords(where = {}) {
+        const entries = Object.entries(where);
+        return this.records.filter(record => entries.every(([key, value]) => record[key] === value));
+    }
+
+    /**
+     * Aggregate recorded metrics per service + operation.
+     * @returns {Object<string, {count: number, failures: number, totalMs: number, maxMs: number}>}
+     * @example
+     * sink.summary();
+     * // { 'icon.getById': { count: 3, failures: 1, totalMs: 12.4, maxMs: 6.1 } }
+     */
+    summary() {
+        return this.records.reduce((acc, { service, operation, result, durationMs }) => {
+            const key = `${service}.${operation}`;
+            const entry = acc[key] || { count: 0, failures: 0, totalMs: 0, maxMs: 0 };
+            entry.count += 1;
+            entry.failures += result === 'failure' ? 1 : 0;
+            entry.totalMs += durationMs;
+            entry.maxMs = Math.max(entry.maxMs, durationMs);
+            acc[key] = entry;
+            return acc;
+        }, {});
+    }
+
+    clear() {
+        this.records = [];
+    }
+}
+
+module.exports = MemoryMetricsSink;
@@ -0,0 +1,29 @@
+const BaseMetricsSink = require('./adapters/BaseMetricsSink.js');
+const MemoryMetricsSink = require('./adapters/MemoryMetricsSink.js');
+
+// Process-wide default sink used by services that don't inject their own.
+let sink = new MemoryMetricsSink();
+
+/**
+ * Get the default metrics sink.
+ * @returns {BaseMetricsSink}
+ */
+const getMetricsSink = () => sink;
+
+/**
+ * Replace the default metrics sink (e.g., with a StatsD/Datadog sink at boot).
+ * @param {BaseMetricsSink} nextSink
+ */
+const setMetricsSink = (nextSink) => {
+    if (!(nextSink instanceof BaseMetricsSink)) {
+        throw new Error('setMetricsSink requires a BaseMetricsSink instance');
+    }
+    sink = nextSink;
+};
+
+module.exports = {
+    BaseMetricsSink,
+    MemoryMetricsSink,
+    getMetricsSink,
+    setMetricsSink,
+};
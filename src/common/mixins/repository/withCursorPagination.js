@@ -25,8 +25,8 @@
  * - Supports multi-field sorting (created_at + id for uniqueness)
  * - Supports array position sorting (for Elasticsearch relevance)
  * - Works with all filters/facets (price, tags, search, etc.)
- * - Returns cursor metadata (hasNextPage, hasPrevPage)
- * - Handles forward and backward pagination
+ * - Returns cursor metadata (hasNextPage, hasPreviousPage)
+ * - Handles forward and backward pagination (`after`/`before` cursors, `last: N`)
  * - Consistent results even when data changes
  *
  * **Architecture Integration:**
@@ -95,7 +95,7 @@ const { CursorEncoder } = require('../../cursor');
  * - Filter application before cursor (search facets)
  * - Cursor encoding/decoding
  * - Metadata (hasNext, hasPrev, cursors)
- * - Forward and backward paging
+ * - Forward and backward paging (reversed-order query, re-reversed for output)
  *
  * **Method Added:**
  * ```javascript
@@ -104,8 +104,10 @@ const { CursorEncoder } = require('../../cursor');
  *
  * **Options:**
  * - `filters` - Object with filter criteria (price, tagIds, styleId, etc.)
- * - `cursor` - Encoded cursor token from previous page
+ * - `cursor` - Encoded cursor token from previous page (endCursor: forwards, startCursor: backwards)
+ * - `after` / `before` - Page forwards / backwards from a cursor token
  * - `limit` - Page size (default: 20, max: 100)
+ * - `last` - Page backwards with this page size: the items just before `before`, or the end of the list
  * - `sortBy` - Field to sort by (default: 'createdAt')
  * - `sortOrder` - 'asc' or 'desc' (default: 'desc')
  * - `includeTotalCount` - Whether to count total matches (expensive!)
@@ -164,11 +166,29 @@ const withCursorPagination = (BaseClass) => {
          *
          * This uses a composite index and is O(log n) instead of O(n) like OFFSET.
          *
+         * **Paging Backwards:**
+         * `before` (or a `startCursor` passed as `cursor`) pages towards the start of
+         * the list. The query runs with the sort order and keyset condition flipped,
+         * so it still walks the index from the cursor, and the rows are reversed back
+         * into list order before they are returned. `last: N` is a backwards page of
+         * N items: the N items just before `before`, or the last N of the whole list.
+         *
+         * `startCursor` is encoded with `direction: 'prev'` and `endCursor` with
+         * `direction: 'next'`, so either can be handed back as `cursor`.
+         *
+         * `hasNextPage`/`hasPreviousPage` are exact: the side the page was fetched
+         * towards is known from the extra (limit + 1) row, the other side from a
+         * one-row query beyond the cursor.
+         *
          * @async
          * @param {Object} options - Pagination options
          * @param {Object} [options.filters={}] - Filter criteria
-         * @param {string} [options.cursor=null] - Cursor token from previous page
+         * @param {string} [options.cursor=null] - Cursor token from a previous page; pages
+         *   forwards from an `endCursor`, backwards from a `startCursor`
+         * @param {string} [options.after=null] - Page forwards from this cursor token
+         * @param {string} [options.before=null] - Page backwards from this cursor token
          * @param {number} [options.limit=20] - Page size (max 100)
+         * @param {number} [options.last=null] - Page backwards with this page size (max 100)
          * @param {string} [options.sortBy='createdAt'] - Field to sort by
          * @param {string} [options.sortOrder='desc'] - 'asc' or 'desc'
          * @param {boolean} [options.includeTotalCount=false] - Whether to count total (expensive!)
@@ -177,14 +197,16 @@ const withCursorPagination = (BaseClass) => {
          * @param {Object} [options.trx] - Knex transaction
          *
          * @returns {Promise<Object>} Pagination result
-         * @returns {Array} result.results - Entity instances for current page
+         * @returns {Array} result.results - Entity instances for current page, in list order
          * @returns {Object} result.pageInfo - Pagination metadata
-         * @returns {boolean} result.pageInfo.hasNextPage - True if more results exist
-         * @returns {boolean} result.pageInfo.hasPreviousPage - True if previous page exists
+         * @returns {boolean} result.pageInfo.hasNextPage - True if more results exist after this page
+         * @returns {boolean} result.pageInfo.hasPreviousPage - True if results exist before this page
          * @returns {string|null} result.pageInfo.startCursor - Cursor for first item
          * @returns {string|null} result.pageInfo.endCursor - Cursor for last item
          * @returns {number} [result.pageInfo.totalCount] - Total count (if includeTotalCount=true)
          *
+         * @throws {Error} If a cursor token is invalid, or both `after` and `before` are given
+         *
          * @example
          * // First page (newest icons)
          * const page1 = await repo.cursorPaginate({
@@ -206,6 +228,21 @@ const withCursorPagination = (BaseClass) => {
          * });
          *
          * @example
+         * // Back to the previous page
+         * const back = await repo.cursorPaginate({
+         *   filters: { price: 'free' },
+         *   before: page2.pageInfo.startCursor,
+         *   limit: 20
+         * });
+         *
+         * @example
+         * // The last 20 icons of the list (oldest, for a newest-first sort)
+         * const tail = await repo.cursorPaginate({
+         *   filters: { price: 'free' },
+         *   last: 20
+         * });
+         *
+         * @example
          * // With multiple filters (search facets)
          * const results = await repo.cursorPaginate({
          *   filters: {
@@ -232,7 +269,10 @@ const withCursorPagination = (BaseClass) => {
         async cursorPaginate({
             filters = {},
             cursor = null,
+            after = null,
+            before = null,
             limit = 20,
+            last = null,
             sortBy = 'createdAt',
             sortOrder = 'desc',
             includeTotalCount = false,
@@ -240,79 +280,64 @@ const withCursorPagination = (BaseClass) => {
             entityOptions = {},
             trx = null,
         } = {}) {
+            if (after && before) {
+                throw new Error('Pass either an after or a before cursor, not both');
+            }
+
             // Validate and cap limit
-            const safeLimit = Math.min(Math.max(1, limit), 100);
+            const pageSize = last !== null && last !== undefined ? last : limit;
+            const safeLimit = Math.min(Math.max(1, pageSize), 100);
 
             // Decode cursor if provided
+            const token = before || after || cursor;
             let cursorData = null;
-            if (cursor) {
-                cursorData = CursorEncoder.decode(cursor);
+            if (token) {
+                cursorData = CursorEncoder.decode(token);
                 if (!CursorEncoder.isValid(cursorData)) {
                     throw new Error('Invalid cursor token');
                 }
             }
 
+            // Page towards the start of the list for `before`, `last` and prev cursors
+            const backward = Boolean(before)
+                || (!after && last !== null && last !== undefined)
+                || (!after && !before && cursorData?.direction === 'prev');
+
             // Check if this is array position sorting (Elasticsearch relevance)
             const isArrayPositionSort = sortBy === 'relevance' && filters.iconIdsOrder && Array.isArray(filters.iconIdsOrder);
 
             // Convert sortBy from camelCase to snake_case for database
             const dbSortField = isArrayPositionSort ? 'relevance' : this._toSnakeCase(sortBy);
 
-            // Start building query
-            let query = this.model.query();
+            // Backward pages are queried in reverse order, then reversed for output
+            const listOrder = sortOrder.toLowerCase() === 'asc' ? 'asc' : 'desc';
+            const queryOrder = backward ? this._reverseSortOrder(listOrder) : listOrder;
 
-            // Apply transaction if provided
-            if (trx) {
-                query = query.transacting(trx);
-            }
+            const keyset = { filters, isArrayPositionSort, dbSortField, trx };
 
             // ================================================================
-            // Step 1: Apply all filters FIRST
+            // Steps 1-2: Apply all filters FIRST, then the cursor condition
             // ================================================================
-            query = this._applyFilters(query, filters);
-
-            // ================================================================
-            // Step 2: Apply cursor condition (keyset WHERE)
-            // ================================================================
-            if (cursorData) {
-                if (isArrayPositionSort) {
-                    // Array position cursor: filter by position
-                    query = this._applyArrayPositionCursor(
-                        query,
-                        cursorData,
-                        filters.iconIdsOrder,
-                        sortOrder
-                    );
-                } else {
-                    // Field-based cursor: filter by field values
-                    query = this._applyCursorCondition(
-                        query,
-                        cursorData,
-                        dbSortField,
-                        sortOrder
-                    );
-                }
-            }
+            let query = this._keysetQuery({ ...keyset, cursorData, sortOrder: queryOrder });
 
             // ================================================================
             // Step 3: Apply sorting
             // ================================================================
             if (isArrayPositionSort) {
                 // Array position sort: ORDER BY array_position(ARRAY[iconIdsOrder], id)
-                query = this._applyArrayPositionSort(query, filters.iconIdsOrder, sortOrder);
+                query = this._applyArrayPositionSort(query, filters.iconIdsOrder, queryOrder);
             } else {
                 // Field-based sort: ORDER BY field, id
-                const sortDirection = sortOrder.toLowerCase() === 'asc' ? 'asc' : 'desc';
-                query = query.orderBy(dbSortField, sortDirection);
+                query = query.orderBy(dbSortField, queryOrder);
 
                 // Always sort by id as tiebreaker for uniqueness
                 if (dbSortField !== 'id') {
-                    query = query.orderBy('id', sortDirection);
+                    query = query.orderBy('id', queryOrder);
                 }
             }
 
             // ================================================================
-            // Step 4: Fetch limit + 1 to check if there's a next page
+            // Step 4: Fetch limit + 1 to check if there's another page
             // ================================================================
             query = query.limit(safeLimit + 1);
 
@@ -320,10 +345,11 @@ const withCursorPagination = (BaseClass) => {
             const rawResults = await query;
 
             // ================================================================
-            // Step 5: Determine if there's a next page
+            // Step 5: Determine if there's another page in the paging direction
             // ================================================================
-            const hasNextPage = rawResults.length > safeLimit;
-            const results = hasNextPage ? rawResults.slice(0, safeLimit) : rawResults;
+            const hasMore = rawResults.length > safeLimit;
+            const pageRows = hasMore ? rawResults.slice(0, safeLimit) : rawResults;
+            const results = backward ? pageRows.reverse() : pageRows;
 
             // ================================================================
             // Step 6: Convert to entities
@@ -340,22 +366,36 @@ const withCursorPagination = (BaseClass) => {
             let endCursor = null;
 
             if (entities.length > 0) {
+                const first = entities[0];
+                const lastEntity = entities[entities.length - 1];
+
                 if (isArrayPositionSort) {
                     // Array position cursors: encode position in array
-                    startCursor = this._createArrayPositionCursor(entities[0], filters.iconIdsOrder);
-                    endCursor = this._createArrayPositionCursor(entities[entities.length - 1], filters.iconIdsOrder);
+                    startCursor = this._createArrayPositionCursor(first, filters.iconIdsOrder, 'prev');
+                    endCursor = this._createArrayPositionCursor(lastEntity, filters.iconIdsOrder, 'next');
                 } else {
-                    // Field-based cursors: encode field values
-                    const sortFields = dbSortField !== 'id' ? [dbSortField, 'id'] : ['id'];
-                    startCursor = CursorEncoder.fromRow(entities[0], sortFields, 'next');
-                    endCursor = CursorEncoder.fromRow(entities[entities.length - 1], sortFields, 'next');
+                    // Field-based cursors: encode field values (entity fields are camelCase)
+                    const sortFields = dbSortField !== 'id' ? [this._toCamelCase(dbSortField), 'id'] : ['id'];
+                    startCursor = CursorEncoder.fromRow(first, sortFields, 'prev');
+                    endCursor = CursorEncoder.fromRow(lastEntity, sortFields, 'next');
                 }
             }
 
             // ================================================================
-            // Step 8: Determine if there's a previous page
+            // Step 8: Determine if there are rows on the other side of the cursor
             // ================================================================
-            const hasPreviousPage = !!cursor;
+            // The cursor row itself lies on that side, so the check is inclusive.
+            const hasRowsBehind = cursorData
+                ? await this._hasKeysetRows({
+                    ...keyset,
+                    cursorData,
+                    sortOrder: this._reverseSortOrder(queryOrder),
+                    inclusive: true,
+                })
+                : false;
+
+            const hasNextPage = backward ? hasRowsBehind : hasMore;
+            const hasPreviousPage = backward ? hasMore : hasRowsBehind;
 
             // ================================================================
             // Step 9: Get total count (if requested - EXPENSIVE!)
@@ -385,6 +425,81 @@ const withCursorPagination = (BaseClass) => {
             };
         }
 
+        /**
+         * Build the filtered query with the keyset condition for a cursor, if any.
+         *
+         * @protected
+         * @param {Object} options
+         * @param {Object} options.filters - Filter criteria
+         * @param {Object|null} options.cursorData - Decoded cursor data
+         * @param {boolean} options.isArrayPositionSort - Sorting by iconIdsOrder position
+         * @param {string} options.dbSortField - Database field to sort by (snake_case)
+         * @param {string} options.sortOrder - Order the query walks in, 'asc' or 'desc'
+         * @param {boolean} [options.inclusive=false] - Include the cursor row itself
+         * @param {Object} [options.trx] - Knex transaction
+         * @returns {Object} Objection.js query builder
+         */
+        _keysetQuery({ filters, cursorData, isArrayPositionSort, dbSortField, sortOrder, inclusive = false, trx = null }) {
+            let query = this.model.query();
+
+            // Apply transaction if provided
+            if (trx) {
+                query = query.transacting(trx);
+            }
+
+            query = this._applyFilters(query, filters);
+
+            if (cursorData) {
+                if (isArrayPositionSort) {
+                    // Array position cursor: filter by position
+                    query = this._applyArrayPositionCursor(
+                        query,
+                        cursorData,
+                        filters.iconIdsOrder,
+                        sortOrder,
+                        inclusive
+                    );
+                } else {
+                    // Field-based cursor: filter by field values
+                    query = this._applyCursorCondition(
+                        query,
+                        cursorData,
+                        dbSortField,
+                        sortOrder,
+                        inclusive
+                    );
+                }
+            }
+
+            return query;
+        }
+
+        /**
+         * Whether any row matches the filters beyond a cursor, walking in `sortOrder`.
+         *
+         * Used for the `hasPreviousPage`/`hasNextPage` flag on the side of the cursor
+         * a page was not fetched from. Fetches at most one row.
+         *
+         * @protected
+         * @param {Object} options - As for `_keysetQuery`
+         * @returns {Promise<boolean>}
+         */
+        async _hasKeysetRows(options) {
+            const rows = await this._keysetQuery(options).limit(1);
+            return rows.length > 0;
+        }
+
+        /**
+         * Flip a sort order.
+         *
+         * @protected
+         * @param {string} sortOrder - 'asc' or 'desc'
+         * @returns {string} 'desc' or 'asc'
+         */
+        _reverseSortOrder(sortOrder) {
+            return sortOrder.toLowerCase() === 'asc' ? 'desc' : 'asc';
+        }
+
         /**
          * Apply filters to query.
          *
@@ -444,17 +559,20 @@ const withCursorPagination = (BaseClass) => {
          * - For DESC: WHERE (sort_field, id) < (cursor_value, cursor_id)
          * - For ASC: WHERE (sort_field, id) > (cursor_value, cursor_id)
          *
+         * With `inclusive`, the comparison is `<=`/`>=` so the cursor row matches too.
+         *
          * This uses composite index and is O(log n) instead of O(n).
          *
          * @protected
          * @param {Object} query - Objection.js query builder
          * @param {Object} cursorData - Decoded cursor data
          * @param {string} sortField - Database field to sort by (snake_case)
-         * @param {string} sortOrder - 'asc' or 'desc'
+         * @param {string} sortOrder - Order the query walks in, 'asc' or 'desc'
+         * @param {boolean} [inclusive=false] - Include the cursor row itself
          * @returns {Object} Modified query
          */
-        _applyCursorCondition(query, cursorData, sortField, sortOrder) {
-            const operator = sortOrder.toLowerCase() === 'asc' ? '>' : '<';
+        _applyCursorCondition(query, cursorData, sortField, sortOrder, inclusive = false) {
+            const operator = this._keysetOperator(sortOrder, inclusive);
             const cursorValue = cursorData[this._toCamelCase(sortField)];
             const cursorId = cursorData.id;
 
@@ -483,7 +601,8 @@ const withCursorPagination = (BaseClass) => {
          * @param {Object} query - Objection.js query builder
          * @param {Object} cursorData - Decoded cursor data with arrayPosition
          * @param {Array<number>} iconIdsOrder - Ordered array of icon IDs from Elasticsearch
-         * @param {string} sortOrder - 'asc' or 'desc'
+         * @param {string} sortOrder - Order the query walks in, 'asc' or 'desc'
+         * @param {boolean} [inclusive=false] - Include the cursor row itself
          * @returns {Object} Modified query
          *
          * @example
@@ -491,8 +610,8 @@ const withCursorPagination = (BaseClass) => {
          * // iconIdsOrder: [1001, 2003, 5005, 3002] (from Elasticsearch)
          * // Query: WHERE array_position(ARRAY[iconIdsOrder], id) > 20
          */
-        _applyArrayPositionCursor(query, cursorData, iconIdsOrder, sortOrder) {
-            const operator = sortOrder.toLowerCase() === 'asc' ? '>' : '<';
+        _applyArrayPositionCursor(query, cursorData, iconIdsOrder, sortOrder, inclusive = false) {
+            const operator = this._keysetOperator(sortOrder, inclusive);
             const arrayPosition = cursorData.arrayPosition;
 
             if (!arrayPosition || !Number.isInteger(arrayPosition)) {
@@ -511,6 +630,19 @@ const withCursorPagination = (BaseClass) => {
             return query;
         }
 
+        /**
+         * Comparison operator for a keyset condition walking in `sortOrder`.
+         *
+         * @protected
+         * @param {string} sortOrder - 'asc' or 'desc'
+         * @param {boolean} [inclusive=false] - Include the cursor row itself
+         * @returns {string} '>', '<', '>=' or '<='
+         */
+        _keysetOperator(sortOrder, inclusive = false) {
+            const operator = sortOrder.toLowerCase() === 'asc' ? '>' : '<';
+            return inclusive ? `${operator}=` : operator;
+        }
+
         /**
          * Apply array position sorting (for Elasticsearch relevance).
          *
@@ -548,10 +680,12 @@ const withCursorPagination = (BaseClass) => {
          * - arrayPosition: Position in the iconIdsOrder array
          * - id: Icon ID (for validation)
          * - sortType: 'arrayPosition' (to distinguish from field-based cursors)
+         * - direction: 'next' for a page's endCursor, 'prev' for its startCursor
          *
          * @protected
          * @param {Object} entity - Entity instance or plain object
          * @param {Array<number>} iconIdsOrder - Ordered array of icon IDs
+         * @param {string} [direction='next'] - 'next' or 'prev'
          * @returns {string} Encoded cursor token
          *
          * @example
@@ -559,7 +693,7 @@ const withCursorPagination = (BaseClass) => {
          * // iconIdsOrder: [1001, 2003, 5005, 3002] (from Elasticsearch)
          * // Cursor: { arrayPosition: 3, id: 5005, sortType: 'arrayPosition' }
          */
-        _createArrayPositionCursor(entity, iconIdsOrder) {
+        _createArrayPositionCursor(entity, iconIdsOrder, direction = 'next') {
             const id = entity.id;
             const arrayPosition = iconIdsOrder.indexOf(id) + 1; // 1-based for array_position
 
@@ -571,7 +705,7 @@ const withCursorPagination = (BaseClass) => {
                 arrayPosition,
                 id,
                 sortType: 'arrayPosition',
-                direction: 'next'
+                direction
             };
 
             return CursorEncoder.encode(cursorData);
@@ -0,0 +1,402 @@
+jest.mock('@vectoricons.net/db', () => ({}), { virtual: true });
+
+const path = require('path');
+const BaseService = require('../../../BaseService');
+const { withAccessControl, withSoftDeletable } = require('..');
+const { AccessControlService, ForbiddenError } = require('../../../access-control');
+const { UserRoles } = require('../../../../utils/enums');
+
+class IconEntity {
+    constructor(data = {}) {
+        Object.assign(this, data);
+    }
+}
+
+const owner = { id: 7, roles: [{ value: UserRoles.Customer }] };
+const stranger = { id: 8, roles: [{ value: UserRoles.Customer }] };
+const admin = { id: 1, roles: [{ value: UserRoles.Admin }] };
+const banned = { id: 7, roles: [{ value: UserRoles.DenyAll }] };
+
+const makeRepository = () => ({
+    findById: jest.fn(async (id) => (id === 404 ? null : new IconEntity({ id, userId: 7 }))),
+    findOne: jest.fn(async () => new IconEntity({ id: 3, userId: 7 })),
+    findAll: jest.fn(async () => []),
+    paginate: jest.fn(async (where, page, pageSize) => ({ results: [], total: 0, page, pageSize, totalPages: 0 })),
+    cursorPage: jest.fn(async () => ({ results: [] })),
+    create: jest.fn(async (data) => new IconEntity({ id: 9, ...data })),
+    upsert: jest.fn(async (data) => new IconEntity({ userId: 7, ...data })),
+    update: jest.fn(async () => 1),
+    delete: jest.fn(async () => 1),
+});
+
+class IconService extends withAccessControl(withSoftDeletable(BaseService)) {}
+
+describe('withAccessControl', () => {
+    let repository;
+    let service;
+
+    beforeEach(() => {
+        repository = makeRepository();
+        service = new IconService({
+            repository,
+            entityClass: IconEntity,
+            observability: { enabled: false },
+        });
+    });
+
+    describe('reads', () => {
+        it('should return records the actor owns', async () => {
+            await expect(service.getById(3, { actor: owner })).resolves.toEqual({ id: 3, userId: 7 });
+        });
+
+        it('should throw ForbiddenError for records the actor does not own', async () => {
+            const error = await service.getById(3, { actor: stranger }).catch(e => e);
+
+            expect(error).toBeInstanceOf(ForbiddenError);
+            expect(error).toMatchObject({
+                statusCode: 403,
+                action: 'read',
+                resourceType: 'icon',
+                resourceId: 3,
+                actorId: 8,
+                rule: 'default-deny',
+            });
+        });
+
+        it('should let admins read anything', async () => {
+            await expect(service.getOne({ slug: 'home' }, { actor: admin })).resolves.toBeTruthy();
+        });
+
+        it('should let non-owners read public records a policy opens up', async () => {
+            const acl = new AccessControlService({
+                audit: false,
+                policyDocument: { roles: { ROLE_CUSTOMER: { icon: { read: 'public' } } } },
+            });
+            const guarded = new IconService({
+                repository,
+                entityClass: IconEntity,
+                accessControl: { acl },
+                observability: { enabled: false },
+            });
+
+            repository.findById.mockResolvedValueOnce(new IconEntity({ id: 3, userId: 7, isPublic: true }));
+            await expect(guarded.getById(3, { actor: stranger })).resolves.toMatchObject({ id: 3 });
+
+            repository.findById.mockResolvedValueOnce(new IconEntity({ id: 3, userId: 7, isPublic: false }));
+            await expect(guarded.getById(3, { actor: stranger })).rejects.toBeInstanceOf(ForbiddenError);
+        });
+
+        it('should pass the record attributes to policies', async () => {
+            const acl = new AccessControlService({
+                audit: false,
+                policies: { 'icon:read': (actor, resource) => (resource.status === 'published' ? true : null) },
+            });
+            const guarded = new IconService({
+                repository,
+                entityClass: IconEntity,
+                accessControl: { acl },
+                observability: { enabled: false },
+            });
+
+            repository.findById.mockResolvedValueOnce(new IconEntity({ id: 3, userId: 7, status: 'published' }));
+            await expect(guarded.getById(3, { actor: stranger })).resolves.toBeTruthy();
+
+            repository.findById.mockResolvedValueOnce(new IconEntity({ id: 3, userId: 7, status: 'draft' }));
+            await expect(guarded.getById(3, { actor: stranger })).rejects.toBeInstanceOf(ForbiddenError);
+        });
+
+        it('should pass through missing records', async () => {
+            await expect(service.getById(404, { actor: stranger })).resolves.toBeNull();
+        });
+    });
+
+    describe('writes', () => {
+        it('should check the stored record before updating', async () => {
+            await expect(service.update(3, { name: 'x' }, { actor: stranger })).rejects.toBeInstanceOf(ForbiddenError);
+            expect(repository.update).not.toHaveBeenCalled();
+
+            await service.update(3, { name: 'x' }, { actor: owner });
+            expect(repository.update).toHaveBeenCalledTimes(1);
+        });
+
+        it('should check deletes and soft deletes', async () => {
+            await expect(service.delete(3, { actor: stranger })).rejects.toMatchObject({ action: 'delete' });
+            await expect(service.softDelete(3, { actor: stranger })).rejects.toMatchObject({ action: 'delete' });
+            await expect(service.delete(3, { actor: admin })).resolves.toBe(1);
+        });
+
+        it('should check team membership on team-owned records', async () => {
+            repository.findById.mockResolvedValue(new IconEntity({ id: 3, userId: 7, teamId: 5 }));
+            const teamOwner = { ...stranger, teams: [{ teamId: 5, role: UserRoles.TeamOwner }] };
+            const teamMember = { ...stranger, teamIds: [5] };
+
+            await expect(service.delete(3, { actor: teamOwner })).resolves.toBe(1);
+            await expect(service.update(3, { name: 'x' }, { actor: teamMember })).resolves.toBe(1);
+            await expect(service.delete(3, { actor: teamMember })).rejects.toMatchObject({ rule: 'default-deny' });
+        });
+
+        it('should deny everything to DenyAll actors, even owners', async () => {
+            await expect(service.update(3, {}, { actor: banned })).rejects.toBeInstanceOf(ForbiddenError);
+        });
+
+        it('should apply wildcard policies keyed by the service name', async () => {
+            const acl = new AccessControlService({
+                policies: { 'icon:*': { id: 'suspended', effect: 'deny', when: (actor) => actor.isSuspended === true } },
+                audit: false,
+            });
+            const guarded = new IconService({
+                repository,
+                entityClass: IconEntity,
+                accessControl: { acl },
+                observability: { enabled: false },
+            });
+            const suspended = { ...owner, isSuspended: true };
+
+            await expect(guarded.update(3, { name: 'x' }, { actor: suspended }))
+                .rejects.toMatchObject({ action: 'update', rule: 'policy:suspended' });
+            await expect(guarded.getById(3, { actor: suspended })).rejects.toBeInstanceOf(ForbiddenError);
+            await expect(guarded.getWhere({}, { actor: suspended })).rejects.toMatchObject({ action: 'list' });
+            expect(repository.update).not.toHaveBeenCalled();
+
+            await expect(guarded.update(3, { name: 'x' }, { actor: owner })).resolves.toBe(1);
+        });
+
+        it('should apply policies keyed by the plural resource type', async () => {
+            const acl = new AccessControlService({
+                policies: { 'icons:*': { id: 'suspended', effect: 'deny', when: (actor) => actor.isSuspended === true } },
+                audit: false,
+            });
+            const guarded = new IconService({
+                repository,
+                entityClass: IconEntity,
+                accessControl: { acl },
+                observability: { enabled: false },
+            });
+
+            await expect(guarded.update(3, { name: 'x' }, { actor: { ...owner, isSuspended: true } }))
+                .rejects.toMatchObject({ action: 'update', rule: 'policy:suspended' });
+            expect(repository.update).not.toHaveBeenCalled();
+        });
+
+        it('should let actors create records for themselves', async () => {
+            await expect(service.create({ name: 'home' }, { actor: owner })).resolves.toBeTruthy();
+            await expect(service.create({ name: 'home', user_id: 7 }, { actor: owner })).resolves.toBeTruthy();
+        });
+
+        it('should check upserts of existing records as updates', async () => {
+            await expect(service.upsert({ id: 3, name: 'pwned' }, {}, { actor: stranger }))
+                .rejects.toMatchObject({ action: 'update', resourceId: 3 });
+            await expect(service.upsert({ name: 'pwned' }, { slug: 'home' }, { actor: stranger }))
+                .rejects.toMatchObject({ action: 'update' });
+            expect(repository.upsert).not.toHaveBeenCalled();
+            expect(repository.findOne).toHaveBeenCalledWith({ id: 3 }, { entityClass: IconEntity, trx: undefined });
+
+            await expect(service.upsert({ id: 3, name: 'home' }, {}, { actor: owner })).resolves.toBeTruthy();
+        });
+
+        it('should check upserts that insert as creates', async () => {
+            repository.findOne.mockResolvedValue(null);
+
+            await expect(service.upsert({ id: 12, name: 'home' }, {}, { actor: stranger })).resolves.toBeTruthy();
+            await expect(service.upsert({ id: 12, name: 'home', userId: 7 }, {}, { actor: stranger }))
+                .rejects.toMatchObject({ action: 'create' });
+        });
+
+        it('should stop actors creating records for someone else', async () => {
+            await expect(service.create({ name: 'home', userId: 7 }, { actor: stranger }))
+                .rejects.toMatchObject({ action: 'create' });
+            expect(repository.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('list scoping', () => {
+        it('should scope list queries to the actor', async () => {
+            await service.paginate({ style_id: 3, user_id: 99 }, 1, 20, { actor: owner });
+            expect(repository.paginate).toHaveBeenCalledWith(
+                { style_id: 3, user_id: 7 },
+                1,
+                20,
+                expect.any(Object)
+            );
+        });
+
+        it('should scope getWhere and cursorPage', async () => {
+            await service.getWhere({}, { actor: owner });
+            expect(repository.paginate.mock.calls[0][0]).toMatchObject({ user_id: 7 });
+
+            await service.cursorPage({}, [], { actor: owner });
+            expect(repository.cursorPage.mock.calls[0][0]).toMatchObject({ user_id: 7 });
+        });
+
+        it('should scope getAll', async () => {
+            await service.getAll({ actor: owner });
+            expect(repository.findAll).toHaveBeenCalledWith({ user_id: 7 }, { entityClass: IconEntity, trx: undefined });
+        });
+
+        it('should not scope admins', async () => {
+            await service.paginate({ style_id: 3 }, 1, 20, { actor: admin });
+            expect(repository.paginate.mock.calls[0][0]).not.toHaveProperty('user_id');
+        });
+
+        it('should refuse lists to DenyAll actors', async () => {
+            await expect(service.getWhere({}, { actor: banned })).rejects.toMatchObject({ action: 'list' });
+        });
+
+        it('should list owned, public and team rows when those are readable', async () => {
+            const acl = new AccessControlService({
+                policyDocument: { roles: { ROLE_CUSTOMER: { icon: { read: 'public' } } } },
+                audit: false,
+            });
+            const scoped = new IconService({
+                repository,
+                entityClass: IconEntity,
+                accessControl: { acl },
+                observability: { enabled: false },
+            });
+
+            await scoped.paginate({ style_id: 3 }, 1, 20, { actor: { ...stranger, teamIds: [4] } });
+            expect(repository.paginate.mock.calls[0][0]).toEqual({
+                style_id: 3,
+                $accessScope: [{ user_id: 8 }, { is_public: true }, { team_id: ['4'] }],
+            });
+        });
+
+        it('should honor publicColumn and teamColumn', async () => {
+            const acl = new AccessControlService({
+                policyDocument: { roles: { ROLE_CUSTOMER: { icon: { read: 'public' } } } },
+                audit: false,
+            });
+            const scoped = new IconService({
+                repository,
+                entityClass: IconEntity,
+                accessControl: { acl, publicColumn: 'visible', teamColumn: null },
+                observability: { enabled: false },
+            });
+
+            await scoped.getAll({ actor: { ...stranger, teamIds: [4] } });
+            expect(repository.findAll.mock.calls[0][0]).toEqual({
+                $accessScope: [{ user_id: 8 }, { visible: true }],
+            });
+        });
+    });
+
+    describe('with the shipped rbac.yml', () => {
+        const kPOLICY_FILE = path.join(__dirname, '..', '..', '..', 'access-control', 'policies', 'rbac.yml');
+        const guest = { id: null, roles: [{ value: UserRoles.Guest }] };
+        const subscriber = { id: 8, roles: [{ value: UserRoles.Subscriber }] };
+        let icons;
+
+        beforeEach(() => {
+            icons = new IconService({
+                repository,
+                entityClass: IconEntity,
+                accessControl: { acl: new AccessControlService({ policyFile: kPOLICY_FILE, audit: false }) },
+                observability: { enabled: false },
+            });
+        });
+
+        it('should let anyone read public records and only owners read private ones', async () => {
+            repository.findById.mockResolvedValueOnce(new IconEntity({ id: 3, userId: 7, isPublic: true }));
+            await expect(icons.getById(3, { actor: stranger })).resolves.toMatchObject({ id: 3 });
+            repository.findById.mockResolvedValueOnce(new IconEntity({ id: 3, userId: 7, isPublic: true }));
+            await expect(icons.getById(3, { actor: guest })).resolves.toMatchObject({ id: 3 });
+
+            repository.findById.mockResolvedValue(new IconEntity({ id: 3, userId: 7, isPublic: false }));
+            await expect(icons.getById(3, { actor: stranger })).rejects.toBeInstanceOf(ForbiddenError);
+            await expect(icons.getById(3, { actor: guest })).rejects.toBeInstanceOf(ForbiddenError);
+            await expect(icons.getById(3, { actor: owner })).resolves.toMatchObject({ id: 3 });
+        });
+
+        it('should let subscribers download public records', async () => {
+            const publicIcon = new IconEntity({ id: 3, userId: 7, isPublic: true });
+            const privateIcon = new IconEntity({ id: 4, userId: 7, isPublic: false });
+
+            await expect(icons.assertCan(subscriber, 'download', publicIcon)).resolves.toBeUndefined();
+            await expect(icons.assertCan(subscriber, 'download', privateIcon)).rejects.toBeInstanceOf(ForbiddenError);
+            await expect(icons.assertCan(stranger, 'download', publicIcon)).rejects.toBeInstanceOf(ForbiddenError);
+        });
+
+        it('should list public rows alongside the actor\'s own', async () => {
+            await icons.paginate({ style_id: 3 }, 1, 20, { actor: stranger });
+            expect(repository.paginate.mock.calls[0][0]).toEqual({
+                style_id: 3,
+                $accessScope: [{ user_id: 8 }, { is_public: true }],
+            });
+
+            await icons.paginate({}, 1, 20, { actor: guest });
+            expect(repository.paginate.mock.calls[1][0]).toEqual({ $accessScope: [{ is_public: true }] });
+        });
+    });
+
+    describe('options', () => {
+        it('should reject calls without an actor', async () => {
+            await expect(service.getById(3)).rejects.toThrow('icon.getById requires an actor');
+            await expect(service.update(3, {}, { trx: {} })).rejects.toBeInstanceOf(ForbiddenError);
+            await expect(service.getAll()).rejects.toMatchObject({ action: 'list' });
+            expect(repository.update).not.toHaveBeenCalled();
+            expect(repository.findAll).not.toHaveBeenCalled();
+        });
+
+        it('should skip checks for system calls', async () => {
+            await expect(service.update(3, {}, { system: true })).resolves.toBe(1);
+            await service.getDeleted({}, { system: true });
+            expect(repository.paginate.mock.calls[0][0]).toEqual({ is_deleted: true });
+        });
+
+        it('should keep checking calls made from other guarded methods', async () => {
+            await service.getDeleted({}, { actor: stranger });
+            expect(repository.paginate.mock.calls[0][0]).toEqual({ is_deleted: true, user_id: 8 });
+        });
+
+        it('should honor a custom owner field and resolver', async () => {
+            const teamScoped = new IconService({
+                repository,
+                entityClass: IconEntity,
+                accessControl: { ownerField: 'createdBy', resolveOwner: () => 8 },
+                observability: { enabled: false },
+            });
+
+            await expect(teamScoped.getById(3, { actor: stranger })).resolves.toBeTruthy();
+            await teamScoped.paginate({}, 1, 10, { actor: stranger });
+            expect(repository.paginate.mock.calls[0][0]).toMatchObject({ created_by: 8 });
+        });
+
+        it('should use an injected AccessControlService', async () => {
+            const acl = { enforce: jest.fn(async () => true), scopeFor: jest.fn(async () => 'all') };
+            const custom = new IconService({
+                repository,
+                entityClass: IconEntity,
+                accessControl: { acl },
+                observability: { enabled: false },
+            });
+
+            await custom.update(3, {}, { actor: stranger });
+            expect(acl.enforce).toHaveBeenCalledWith({
+                actor: stranger,
+                action: 'update',
+                resource: { type: 'icon', id: 3, ownerId: 7, userId: 7 },
+            });
+        });
+
+        it('should honor resolveResource and resolvePublic', async () => {
+            const acl = { enforce: jest.fn(async () => true), scopeFor: jest.fn(async () => 'all') };
+            const custom = new IconService({
+                repository,
+                entityClass: IconEntity,
+                accessControl: {
+                    acl,
+                    resolveResource: (record) => ({ slug: `icon-${record.id}` }),
+                    resolvePublic: (record) => record.id === 3,
+                },
+                observability: { enabled: false },
+            });
+
+            await custom.getById(3, { actor: stranger });
+            expect(acl.enforce).toHaveBeenCalledWith({
+                actor: stranger,
+                action: 'read',
+                resource: { type: 'icon', id: 3, ownerId: 7, slug: 'icon-3', isPublic: true },
+            });
+        });
+    });
+});
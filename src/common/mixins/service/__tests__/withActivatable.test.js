@@ -0,0 +1,131 @@
+const BaseService = require('../../../BaseService');
+const { withActivatable } = require('..');
+
+class TagEntity {
+    constructor(data = {}) {
+        Object.assign(this, data);
+    }
+}
+
+const makeRepository = (columns = ['is_active', 'is_deleted']) => {
+    const rows = new Map([
+        [1, { id: 1, isActive: false, isPublished: false }],
+        [2, { id: 2, isActive: true, isPublished: true }],
+    ]);
+
+    return {
+        modelName: 'tags',
+        model: {
+            name: 'TagModel',
+            jsonSchema: {
+                properties: Object.fromEntries(columns.map(c => [c, { type: 'boolean' }])),
+            },
+        },
+        findById: jest.fn(async (id) => (rows.has(id) ? new TagEntity(rows.get(id)) : null)),
+        findAll: jest.fn(async () => []),
+        update: jest.fn(async () => 1),
+    };
+};
+
+class TagService extends withActivatable(BaseService) {}
+
+const build = (repository, activatable) => new TagService({
+    repository,
+    entityClass: TagEntity,
+    activatable,
+    observability: { enabled: false },
+});
+
+describe('withActivatable', () => {
+    let repository;
+    let service;
+
+    beforeEach(() => {
+        repository = makeRepository();
+        service = build(repository);
+    });
+
+    it('should not add activation methods to plain services', () => {
+        const plain = new BaseService({ repository, entityClass: TagEntity, observability: { enabled: false } });
+        expect(plain.activate).toBeUndefined();
+        expect(plain.getActive).toBeUndefined();
+    });
+
+    it('should list active, non-deleted records', async () => {
+        await service.getActive({ name: 'ui' });
+        expect(repository.findAll).toHaveBeenCalledWith(
+            { name: 'ui', is_active: true, is_deleted: false },
+            { entityClass: TagEntity, trx: undefined }
+        );
+    });
+
+    it('should activate and clear is_deleted', async () => {
+        const trx = {};
+        await expect(service.activate(1, { trx })).resolves.toBe(1);
+        expect(repository.update).toHaveBeenCalledWith(1, { is_active: true, is_deleted: false }, { trx });
+    });
+
+    it('should deactivate', async () => {
+        await service.deactivate(2);
+        expect(repository.update).toHaveBeenCalledWith(2, { is_active: false, is_deleted: false }, { trx: undefined });
+    });
+
+    it('should toggle based on the current state', async () => {
+        await service.toggleActive(1);
+        await service.toggleActive(2);
+        expect(repository.update).toHaveBeenNthCalledWith(1, 1, { is_active: true }, { trx: undefined });
+        expect(repository.update).toHaveBeenNthCalledWith(2, 2, { is_active: false }, { trx: undefined });
+    });
+
+    it('should throw when the record does not exist', async () => {
+        await expect(service.activate(99)).rejects.toThrow('TagEntity with ID 99 not found');
+    });
+
+    it('should use a configured column', async () => {
+        const published = build(makeRepository(['is_published']), { column: 'is_published' });
+
+        await published.activate(1);
+        await published.toggleActive(2);
+        expect(published.repository.update).toHaveBeenNthCalledWith(1, 1, { is_published: true }, { trx: undefined });
+        expect(published.repository.update).toHaveBeenNthCalledWith(2, 2, { is_published: false }, { trx: undefined });
+    });
+
+    it('should fail clearly when the model lacks the column', async () => {
+        const noColumn = build(makeRepository(['amount']));
+
+        await expect(noColumn.activate(1)).rejects.toThrow(
+            "TagService.activate() requires an 'is_active' column, but TagModel does not define one"
+        );
+        await expect(noColumn.getActive()).rejects.toThrow("requires an 'is_active' column");
+        expect(noColumn.repository.update).not.toHaveBeenCalled();
+    });
+
+    describe('guards', () => {
+        it('should block activation with the guard reason', async () => {
+            const guard = jest.fn(async () => 'icon has no SVG image');
+            const guarded = build(repository, { guards: [guard] });
+
+            await expect(guarded.activate(1)).rejects.toThrow('Cannot activate TagEntity 1: icon has no SVG image');
+            expect(guard).toHaveBeenCalledWith(expect.objectContaining({ id: 1 }), { service: guarded, trx: undefined });
+            expect(repository.update).not.toHaveBeenCalled();
+        });
+
+        it('should use a generic reason when a guard returns false', async () => {
+            const guarded = build(repository, { guards: [() => false] });
+            await expect(guarded.activate(1)).rejects.toThrow('activation guard rejected');
+        });
+
+        it('should allow activation when every guard passes', async () => {
+            const guarded = build(repository, { guards: [async () => true, () => true] });
+            await expect(guarded.activate(1)).resolves.toBe(1);
+        });
+
+        it('should guard toggleActive only when turning a record on', async () => {
+            const guarded = build(repository, { guards: [() => 'blocked'] });
+
+            await expect(guarded.toggleActive(1)).rejects.toThrow('blocked');
+            await expect(guarded.toggleActive(2)).resolves.toBe(1);
+            await expect(guarded.deactivate(2)).resolves.toBe(1);
+        });
+    });
+});
@@ -0,0 +1,234 @@
+jest.mock('../../../../utils', () => ({
+    getRequestVars: jest.fn(() => ({})),
+}));
+
+const BaseService = require('../../../BaseService');
+const NodeCacheAdapter = require('../../../cache/adapters/NodeCacheAdapter');
+const { withCacheable, withPluggableCacheableAndSoftDeletable } = require('..');
+
+class WidgetEntity {
+    constructor(data = {}) {
+        Object.assign(this, data);
+    }
+}
+
+/**
+ * Adapter that stores JSON strings, like RedisCacheAdapter, so hits come back as plain objects.
+ */
+class JsonAdapter {
+    constructor() {
+        this.store = new Map();
+        this.set = jest.fn(async (key, value, ttl) => {
+            this.store.set(key, { json: JSON.stringify(value), ttl });
+            return true;
+        });
+    }
+
+    async get(key) {
+        const entry = this.store.get(key);
+        return entry ? JSON.parse(entry.json) : null;
+    }
+
+    async invalidatePrefix(prefix) {
+        for (const key of [...this.store.keys()]) {
+            if (key.startsWith(prefix)) this.store.delete(key);
+        }
+        return true;
+    }
+}
+
+const makeRepository = () => ({
+    findById: jest.fn(async (id) => (id === 404 ? null : new WidgetEntity({ id, name: 'gear' }))),
+    findOne: jest.fn(async (where) => new WidgetEntity({ id: 1, ...where })),
+    paginate: jest.fn(async (where, page, pageSize) => ({
+        results: [new WidgetEntity({ id: 1, ...where }), new WidgetEntity({ id: 2, ...where })],
+        total: 2,
+        page,
+        pageSize,
+        totalPages: 1,
+    })),
+    create: jest.fn(async (data) => new WidgetEntity({ id: 3, ...data })),
+    update: jest.fn(async (id, data) => new WidgetEntity({ id, ...data })),
+    delete: jest.fn(async () => 1),
+    upsert: jest.fn(async (data) => new WidgetEntity({ id: 4, ...data })),
+    wrapEntity: jest.fn((value, entityClass) => new entityClass(value)),
+    finalize: jest.fn(async (value) => Object.freeze(value)),
+});
+
+class WidgetService extends withCacheable(BaseService) {}
+
+describe('withCacheable', () => {
+    let repository;
+    let adapter;
+    let service;
+
+    beforeEach(() => {
+        repository = makeRepository();
+        adapter = new JsonAdapter();
+        service = new WidgetService({
+            repository,
+            entityClass: WidgetEntity,
+            cache: { adapter, ttl: 120 },
+            observability: { enabled: false },
+        });
+    });
+
+    it('should namespace keys by service name', () => {
+        expect(service.cacheNamespace).toBe('widget');
+    });
+
+    it('should default to the adapter the cache module shares', () => {
+        const { getSharedAdapter } = require('../../../cache');
+        const plain = new WidgetService({ repository, entityClass: WidgetEntity, observability: { enabled: false } });
+
+        expect(plain.cacheAdapter).toBe(getSharedAdapter());
+        expect(plain.cacheAdapter).toBeInstanceOf(NodeCacheAdapter);
+        plain.cacheAdapter.cache.close();
+    });
+
+    it('should cache getById and rehydrate hits into the entity class', async () => {
+        const first = await service.getById(7);
+        const second = await service.getById(7);
+
+        expect(repository.findById).toHaveBeenCalledTimes(1);
+        expect(first).toBeInstanceOf(WidgetEntity);
+        expect(second).toBeInstanceOf(WidgetEntity);
+        expect(second).toEqual({ id: 7, name: 'gear' });
+        expect(Object.isFrozen(second)).toBe(true);
+        expect(adapter.set).toHaveBeenCalledWith(expect.stringMatching(/^widget:getById:/), expect.anything(), 120);
+    });
+
+    it('should cache getOne per where clause', async () => {
+        await service.getOne({ slug: 'a' });
+        await service.getOne({ slug: 'a' });
+        await service.getOne({ slug: 'b' });
+
+        expect(repository.findOne).toHaveBeenCalledTimes(2);
+    });
+
+    it('should rehydrate paginated results and cache getWhere through paginate', async () => {
+        await service.paginate({ setId: 1 }, 1, 20);
+        const page = await service.paginate({ setId: 1 }, 1, 20);
+
+        expect(repository.paginate).toHaveBeenCalledTimes(1);
+        expect(page.total).toBe(2);
+        expect(page.results.every(r => r instanceof WidgetEntity)).toBe(true);
+
+        const rows = await service.getWhere({ setId: 2 });
+        const again = await service.getWhere({ setId: 2 });
+        expect(repository.paginate).toHaveBeenCalledTimes(2);
+        expect(again[0]).toBeInstanceOf(WidgetEntity);
+        expect(again).toEqual(rows);
+    });
+
+    it('should not cache null results', async () => {
+        await service.getById(404);
+        await service.getById(404);
+
+        expect(repository.findById).toHaveBeenCalledTimes(2);
+        expect(adapter.set).not.toHaveBeenCalled();
+    });
+
+    it('should bypass the cache inside transactions and for hidden fields', async () => {
+        const trx = {};
+        await service.getById(7, { trx });
+        await service.getById(7, { trx });
+        await service.getById(7, { includeHiddenFields: true });
+
+        expect(repository.findById).toHaveBeenCalledTimes(3);
+        expect(adapter.set).not.toHaveBeenCalled();
+    });
+
+    it.each([
+        ['create', (s) => s.create({ name: 'new' })],
+        ['update', (s) => s.update(7, { name: 'renamed' })],
+        ['delete', (s) => s.delete(7)],
+        ['upsert', (s) => s.upsert({ name: 'x' }, { name: 'x' })],
+    ])('should invalidate the namespace after %s', async (_name, write) => {
+        await service.getById(7);
+        await write(service);
+        await service.getById(7);
+
+        expect(repository.findById).toHaveBeenCalledTimes(2);
+    });
+
+    it('should leave the cache intact when a write fails', async () => {
+        repository.update.mockRejectedValueOnce(new Error('boom'));
+        await service.getById(7);
+
+        await expect(service.update(7, {})).rejects.toThrow('boom');
+        await service.getById(7);
+        expect(repository.findById).toHaveBeenCalledTimes(1);
+    });
+
+    it('should invalidate again when a write transaction commits', async () => {
+        let commit;
+        const trx = { executionPromise: new Promise((resolve) => { commit = resolve; }) };
+
+        await service.update(7, { name: 'renamed' }, { trx });
+        await service.getById(7);
+        commit();
+        await trx.executionPromise;
+        await new Promise(setImmediate);
+        await service.getById(7);
+
+        expect(repository.findById).toHaveBeenCalledTimes(2);
+    });
+
+    it('should only clear its own namespace', async () => {
+        const other = new WidgetService({
+            repository,
+            entityClass: WidgetEntity,
+            cache: { adapter, namespace: 'gadget' },
+            observability: { enabled: false },
+        });
+
+        await service.getById(7);
+        await other.getById(7);
+        await other.clearCache();
+        await service.getById(7);
+        await other.getById(7);
+
+        expect(repository.findById).toHaveBeenCalledTimes(3);
+    });
+
+    it('should read through when disabled', async () => {
+        const uncached = new WidgetService({
+            repository,
+            entityClass: WidgetEntity,
+            cache: { adapter, enabled: false },
+            observability: { enabled: false },
+        });
+
+        await uncached.getById(7);
+        await uncached.getById(7);
+        expect(repository.findById).toHaveBeenCalledTimes(2);
+    });
+
+    it('should accept a bare NodeCacheAdapter', async () => {
+        const nodeCache = new NodeCacheAdapter({ checkperiod: 0 });
+        const withNode = new WidgetService({ repository, entityClass: WidgetEntity, cache: nodeCache });
+
+        const first = await withNode.getById(7);
+        const second = await withNode.getById(7);
+
+        expect(repository.findById).toHaveBeenCalledTimes(1);
+        expect(second).toBe(first);
+        await nodeCache.close();
+    });
+
+    it('should make the combined catalog stack constructible', async () => {
+        class IconLikeService extends withPluggableCacheableAndSoftDeletable(BaseService) {}
+        const icons = new IconLikeService({
+            repository,
+            entityClass: WidgetEntity,
+            cache: { adapter },
+            observability: { enabled: false },
+        });
+
+        await icons.getById(7);
+        await icons.getById(7);
+        expect(repository.findById).toHaveBeenCalledTimes(1);
+        expect(icons.cacheNamespace).toBe('icon-like');
+    });
+});
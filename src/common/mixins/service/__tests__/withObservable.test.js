@@ -0,0 +1,170 @@
+const BaseService = require('../../../BaseService');
+const { MemoryMetricsSink } = require('../../../metrics');
+
+class WidgetEntity {
+    constructor(data = {}) {
+        Object.assign(this, data);
+    }
+}
+
+class NotFoundError extends Error {}
+
+const makeRepository = () => ({
+    findById: jest.fn(async (id) => new WidgetEntity({ id })),
+    create: jest.fn(async (data) => new WidgetEntity({ id: 1, ...data })),
+    update: jest.fn(async () => { throw new NotFoundError('Widget not found'); }),
+    paginate: jest.fn(async () => ({ results: [], total: 0, page: 1, pageSize: 10, totalPages: 0 })),
+    cursorPage: jest.fn(async () => ({ results: [] })),
+});
+
+class WidgetService extends BaseService {
+    async searchWidgets(term) {
+        return this.getWhere({ name: term });
+    }
+
+    countSync() {
+        return 0;
+    }
+}
+
+describe('withObservable', () => {
+    let metrics;
+    let logger;
+    let repository;
+    let service;
+
+    beforeEach(() => {
+        metrics = new MemoryMetricsSink();
+        logger = { debug: jest.fn(), warn: jest.fn() };
+        repository = makeRepository();
+        service = new WidgetService({
+            repository,
+            entityClass: WidgetEntity,
+            observability: { metrics, logger },
+        });
+    });
+
+    it('should derive the service name from the class name', () => {
+        expect(service.serviceName).toBe('widget');
+        expect(service.metrics).toBe(metrics);
+    });
+
+    it('should fall back to the entity class name for anonymous services', () => {
+        const anonymous = new BaseService({ repository, entityClass: WidgetEntity, observability: { metrics } });
+        expect(anonymous.serviceName).toBe('widget');
+    });
+
+    it('should record a success metric for CRUD calls', async () => {
+        const result = await service.getById(5);
+
+        expect(result).toBeInstanceOf(WidgetEntity);
+        const [record] = metrics.getRecords({ operation: 'getById' });
+        expect(record).toMatchObject({
+            service: 'widget',
+            operation: 'getById',
+            result: 'success',
+            errorClass: null,
+        });
+        expect(typeof record.durationMs).toBe('number');
+        expect(record.durationMs).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should record failures with the error class and rethrow', async () => {
+        await expect(service.update(1, { name: 'x' })).rejects.toBeInstanceOf(NotFoundError);
+
+        const [record] = metrics.getRecords({ operation: 'update' });
+        expect(record).toMatchObject({ result: 'failure', errorClass: 'NotFoundError' });
+        expect(logger.warn).toHaveBeenCalledWith(
+            'widget-service.update failure ' + record.durationMs + 'ms',
+            expect.objectContaining({ message: 'Widget not found' })
+        );
+    });
+
+    it('should wrap subclass async methods and nested calls', async () => {
+        await service.searchWidgets('gear');
+
+        expect(metrics.getRecords({ operation: 'searchWidgets' })).toHaveLength(1);
+        expect(metrics.getRecords({ operation: 'getWhere' })).toHaveLength(1);
+        expect(metrics.getRecords({ operation: 'paginate' })).toHaveLength(1);
+    });
+
+    it('should wrap cursorPage and create', async () => {
+        await service.cursorPage({}, [], { limit: 5 });
+        await service.create({ name: 'gear' });
+
+        expect(metrics.getRecords({ operation: 'cursorPage', result: 'success' })).toHaveLength(1);
+        expect(metrics.getRecords({ operation: 'create', result: 'success' })).toHaveLength(1);
+    });
+
+    it('should leave synchronous helpers unwrapped', () => {
+        expect(Object.prototype.hasOwnProperty.call(service, 'countSync')).toBe(false);
+        expect(Object.prototype.hasOwnProperty.call(service, 'toPlain')).toBe(false);
+        expect(service.countSync()).toBe(0);
+    });
+
+    it('should only log successes when logSuccess is enabled', async () => {
+        await service.getById(1);
+        expect(logger.debug).not.toHaveBeenCalled();
+
+        const verbose = new WidgetService({
+            repository,
+            entityClass: WidgetEntity,
+            observability: { metrics, logger, logSuccess: true },
+        });
+        await verbose.getById(1);
+        expect(logger.debug).toHaveBeenCalledWith(
+            expect.stringMatching(/^widget-service\.getById success/),
+            expect.objectContaining({ result: 'success' })
+        );
+    });
+
+    it('should honor exclude and enabled options', async () => {
+        const partial = new WidgetService({
+            repository,
+            entityClass: WidgetEntity,
+            observability: { metrics, exclude: ['getById'] },
+        });
+        await partial.getById(1);
+        expect(metrics.getRecords({ operation: 'getById' })).toHaveLength(0);
+
+        const disabled = new WidgetService({
+            repository,
+            entityClass: WidgetEntity,
+            observability: { metrics, enabled: false },
+        });
+        await disabled.create({ name: 'gear' });
+        expect(metrics.getRecords()).toHaveLength(0);
+    });
+
+    it('should not fail the call when the metrics sink throws', async () => {
+        const broken = new WidgetService({
+            repository,
+            entityClass: WidgetEntity,
+            observability: { metrics: { record: () => { throw new Error('sink down'); } }, logger },
+        });
+
+        await expect(broken.getById(1)).resolves.toBeInstanceOf(WidgetEntity);
+        expect(logger.warn).toHaveBeenCalledWith('widget-service.getById metrics sink failed', { error: 'sink down' });
+    });
+});
+
+describe('MemoryMetricsSink', () => {
+    it('should cap stored records at maxRecords', () => {
+        const sink = new MemoryMetricsSink({ maxRecords: 2 });
+        sink.record({ operation: 'a' });
+        sink.record({ operation: 'b' });
+        sink.record({ operation: 'c' });
+        expect(sink.getRecords().map(r => r.operation)).toEqual(['b', 'c']);
+    });
+
+    it('should summarize records per service operation', () => {
+        const sink = new MemoryMetricsSink();
+        sink.record({ service: 'icon', operation: 'getById', result: 'success', durationMs: 2 });
+        sink.record({ service: 'icon', operation: 'getById', result: 'failure', durationMs: 6 });
+        expect(sink.summary()).toEqual({
+            'icon.getById': { count: 2, failures: 1, totalMs: 8, maxMs: 6 },
+        });
+        sink.clear();
+        expect(sink.getRecords()).toEqual([]);
+    });
+});
@@ -0,0 +1,273 @@
+const BaseService = require('../../../BaseService');
+const { withPluggable, withSoftDeletable, withActivatable } = require('..');
+
+class IconEntity {
+    constructor(data = {}) {
+        Object.assign(this, data);
+    }
+
+    toJSON() {
+        return { ...this };
+    }
+}
+
+const makeRepository = () => {
+    const rows = new Map([
+        [3, { id: 3, name: 'home', isActive: false, isDeleted: false }],
+    ]);
+
+    return {
+        model: {
+            jsonSchema: {
+                properties: { is_active: {}, is_deleted: {} },
+            },
+        },
+        findById: jest.fn(async (id) => (rows.has(id) ? new IconEntity(rows.get(id)) : null)),
+        findOne: jest.fn(async () => null),
+        findAll: jest.fn(async () => []),
+        create: jest.fn(async (data) => {
+            rows.set(9, { id: 9, ...data });
+            return new IconEntity(rows.get(9));
+        }),
+        update: jest.fn(async (id, data) => {
+            const camel = Object.fromEntries(Object.entries(data).map(
+                ([k, v]) => [k.replace(/_([a-z])/g, (_, c) => c.toUpperCase()), v]
+            ));
+            rows.set(id, { ...rows.get(id), ...camel });
+            return 1;
+        }),
+        delete: jest.fn(async (id) => {
+            rows.delete(id);
+            return 1;
+        }),
+    };
+};
+
+class IconService extends withActivatable(withPluggable(withSoftDeletable(BaseService))) {}
+
+/**
+ * Fake knex transactor. Like knex 3 (`doNotRejectOnRollback`), executionPromise
+ * resolves on rollback as well as on commit; pass a parent for a savepoint, whose
+ * commit() is a RELEASE.
+ */
+const makeTrx = (parent = null) => {
+    const trx = parent ? { parentTransaction: parent } : {};
+    trx.executionPromise = new Promise((resolve) => {
+        trx.commit = () => resolve();
+        trx.rollback = () => resolve();
+    });
+    return trx;
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('withPluggable', () => {
+    let repository;
+    let events;
+    let service;
+
+    beforeEach(() => {
+        repository = makeRepository();
+        events = { emit: jest.fn() };
+        service = new IconService({
+            repository,
+            entityClass: IconEntity,
+            events,
+            observability: { enabled: false },
+        });
+    });
+
+    it('should emit <service>.created with the new entity', async () => {
+        const icon = await service.create({ name: 'star' });
+
+        expect(events.emit).toHaveBeenCalledTimes(1);
+        const [name, data] = events.emit.mock.calls[0];
+        expect(name).toBe('icon.created');
+        expect(data).toMatchObject({ id: 9, before: null, after: { id: 9, name: 'star' } });
+        expect(data.entity).toBeInstanceOf(IconEntity);
+        expect(Object.isFrozen(data.entity)).toBe(true);
+        expect(Object.isFrozen(icon)).toBe(false);
+    });
+
+    it('should include a field-level diff on updates', async () => {
+        await service.update(3, { name: 'house' });
+
+        const [name, data] = events.emit.mock.calls[0];
+        expect(name).toBe('icon.updated');
+        expect(data.changes).toEqual({ name: { from: 'home', to: 'house' } });
+        expect(data.entity).toMatchObject({ id: 3, name: 'house' });
+    });
+
+    it('should stamp the actor and trace id on the envelope', async () => {
+        await service.update(3, { name: 'house' }, { actor: { id: 7 }, traceId: 'req-9f2c' });
+
+        const [, data, meta] = events.emit.mock.calls[0];
+        expect(data.actorId).toBe(7);
+        expect(meta).toEqual({ user_id: 7, trace_id: 'req-9f2c' });
+    });
+
+    it('should emit deleted with the removed entity', async () => {
+        await service.delete(3);
+
+        const [name, data] = events.emit.mock.calls[0];
+        expect(name).toBe('icon.deleted');
+        expect(data).toMatchObject({ id: 3, after: null, entity: { id: 3, name: 'home' } });
+    });
+
+    it('should mark soft deletes', async () => {
+        await service.softDelete(3);
+
+        const [name, data] = events.emit.mock.calls[0];
+        expect(name).toBe('icon.deleted');
+        expect(data.soft).toBe(true);
+        expect(data.changes.isDeleted).toEqual({ from: false, to: true });
+    });
+
+    it('should name toggleActive events after the resulting state', async () => {
+        await service.toggleActive(3);
+        await service.toggleActive(3);
+
+        expect(events.emit.mock.calls.map(([name]) => name)).toEqual(['icon.activated', 'icon.deactivated']);
+    });
+
+    it('should not emit when the write fails', async () => {
+        repository.update.mockRejectedValueOnce(new Error('db down'));
+
+        await expect(service.update(3, { name: 'house' })).rejects.toThrow('db down');
+        expect(events.emit).not.toHaveBeenCalled();
+    });
+
+    it('should not fail the write when the bus throws', async () => {
+        events.emit.mockImplementation(() => { throw new Error('bus down'); });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(service.update(3, { name: 'house' })).resolves.toBe(1);
+        console.error.mockRestore();
+    });
+
+    describe('transactions', () => {
+        it('should wait for the transaction to commit', async () => {
+            const trx = makeTrx();
+
+            await service.activate(3, { trx });
+            await flush();
+            expect(events.emit).not.toHaveBeenCalled();
+
+            trx.commit();
+            await flush();
+            expect(events.emit).toHaveBeenCalledWith('icon.activated', expect.any(Object), expect.any(Object));
+        });
+
+        it('should drop events from rolled-back transactions', async () => {
+            const trx = makeTrx();
+
+            await service.update(3, { name: 'house' }, { trx });
+            trx.rollback();
+            await flush();
+
+            expect(events.emit).not.toHaveBeenCalled();
+        });
+
+        it('should wait for the outermost transaction, not a released savepoint', async () => {
+            const outer = makeTrx();
+            const savepoint = makeTrx(outer);
+
+            await service.update(3, { name: 'house' }, { trx: savepoint });
+            savepoint.commit();
+            await flush();
+            expect(events.emit).not.toHaveBeenCalled();
+
+            outer.commit();
+            await flush();
+            expect(events.emit).toHaveBeenCalledWith('icon.updated', expect.any(Object), expect.any(Object));
+        });
+
+        it('should drop events when the outer transaction rolls back after a savepoint release', async () => {
+            const outer = makeTrx();
+            const savepoint = makeTrx(outer);
+
+            await service.update(3, { name: 'house' }, { trx: savepoint });
+            savepoint.commit();
+            outer.rollback();
+            await flush();
+
+            expect(events.emit).not.toHaveBeenCalled();
+        });
+
+        it('should drop events from savepoints rolled back inside a committed transaction', async () => {
+            const outer = makeTrx();
+            const savepoint = makeTrx(outer);
+
+            await service.update(3, { name: 'house' }, { trx: savepoint });
+            savepoint.rollback();
+            outer.commit();
+            await flush();
+
+            expect(events.emit).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('options', () => {
+        it('should use a custom prefix', async () => {
+            const custom = new IconService({
+                repository,
+                entityClass: IconEntity,
+                events,
+                eventOptions: { prefix: 'catalog.icon' },
+                observability: { enabled: false },
+            });
+
+            await custom.restore(3);
+            expect(events.emit.mock.calls[0][0]).toBe('catalog.icon.restored');
+        });
+
+        it('should emit nothing when disabled', async () => {
+            const quiet = new IconService({
+                repository,
+                entityClass: IconEntity,
+                events,
+                eventOptions: { enabled: false },
+                observability: { enabled: false },
+            });
+
+            await quiet.update(3, { name: 'house' });
+            expect(events.emit).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('outbox', () => {
+        let outbox;
+        let durable;
+
+        beforeEach(() => {
+            outbox = { add: jest.fn(async () => {}) };
+            durable = new IconService({
+                repository,
+                entityClass: IconEntity,
+                events,
+                eventOptions: { outbox },
+                observability: { enabled: false },
+            });
+        });
+
+        it('should record the event in the write transaction instead of emitting it', async () => {
+            const trx = makeTrx();
+
+            await durable.update(3, { name: 'house' }, { trx, actor: { id: 7 } });
+
+            expect(outbox.add).toHaveBeenCalledWith(
+                'icon.updated',
+                expect.objectContaining({ id: 3, changes: { name: { from: 'home', to: 'house' } } }),
+                { user_id: 7, trace_id: null },
+                { trx },
+            );
+            expect(events.emit).not.toHaveBeenCalled();
+        });
+
+        it('should fail the write when the outbox insert fails', async () => {
+            outbox.add.mockRejectedValue(new Error('insert failed'));
+
+            await expect(durable.create({ name: 'star' })).rejects.toThrow('insert failed');
+        });
+    });
+});
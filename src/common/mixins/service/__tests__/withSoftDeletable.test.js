@@ -0,0 +1,156 @@
+const BaseService = require('../../../BaseService');
+const { withSoftDeletable } = require('..');
+
+class FamilyEntity {
+    constructor(data = {}) {
+        Object.assign(this, data);
+    }
+}
+
+const makeRepository = (columns = ['is_active', 'is_deleted', 'deleted_at']) => {
+    const rows = new Map([
+        [1, { id: 1, isActive: true, isDeleted: false }],
+        [2, { id: 2, isActive: false, isDeleted: true }],
+    ]);
+
+    return {
+        rows,
+        model: {
+            jsonSchema: {
+                properties: Object.fromEntries(columns.map(c => [c, { type: 'string' }])),
+            },
+        },
+        findById: jest.fn(async (id) => (rows.has(id) ? new FamilyEntity(rows.get(id)) : null)),
+        paginate: jest.fn(async (where, page, pageSize) => ({
+            results: [...rows.values()]
+                .filter(r => where.is_deleted === undefined || r.isDeleted === where.is_deleted)
+                .map(r => new FamilyEntity(r)),
+            total: 0,
+            page,
+            pageSize,
+            totalPages: 0,
+        })),
+        cursorPage: jest.fn(async () => ({ results: [] })),
+        update: jest.fn(async (id, data) => new FamilyEntity({ id, ...data })),
+        delete: jest.fn(async () => 1),
+    };
+};
+
+class FamilyService extends withSoftDeletable(BaseService) {}
+
+describe('withSoftDeletable', () => {
+    let repository;
+    let service;
+
+    beforeEach(() => {
+        repository = makeRepository();
+        service = new FamilyService({
+            repository,
+            entityClass: FamilyEntity,
+            observability: { enabled: false },
+        });
+    });
+
+    describe('read filtering', () => {
+        it('should exclude deleted rows from getWhere and paginate by default', async () => {
+            const rows = await service.getWhere({ family_id: 3 });
+
+            expect(rows.map(r => r.id)).toEqual([1]);
+            expect(repository.paginate).toHaveBeenCalledWith(
+                { family_id: 3, is_deleted: false },
+                1,
+                1000,
+                expect.any(Object)
+            );
+
+            await service.paginate({}, 2, 10);
+            expect(repository.paginate).toHaveBeenLastCalledWith({ is_deleted: false }, 2, 10, expect.any(Object));
+        });
+
+        it('should include deleted rows when withDeleted is set', async () => {
+            const rows = await service.getWhere({}, { withDeleted: true });
+
+            expect(rows.map(r => r.id)).toEqual([1, 2]);
+            expect(repository.paginate).toHaveBeenCalledWith({}, 1, 1000, expect.any(Object));
+        });
+
+        it('should respect an explicit is_deleted in the where clause', async () => {
+            await service.paginate({ is_deleted: true });
+            expect(repository.paginate).toHaveBeenCalledWith({ is_deleted: true }, 1, 10, expect.any(Object));
+        });
+
+        it('should filter cursorPage', async () => {
+            await service.cursorPage({ set_id: 1 }, [], { limit: 5 });
+            expect(repository.cursorPage).toHaveBeenCalledWith(
+                { set_id: 1, is_deleted: false },
+                [],
+                expect.objectContaining({ limit: 5 })
+            );
+        });
+
+        it('should not filter models without an is_deleted column', async () => {
+            const plain = new FamilyService({
+                repository: makeRepository(['is_active']),
+                entityClass: FamilyEntity,
+                observability: { enabled: false },
+            });
+
+            await plain.paginate({});
+            expect(plain.repository.paginate).toHaveBeenCalledWith({}, 1, 10, expect.any(Object));
+        });
+
+        it('should list only deleted rows with getDeleted', async () => {
+            const rows = await service.getDeleted();
+            expect(rows.map(r => r.id)).toEqual([2]);
+        });
+    });
+
+    describe('softDelete', () => {
+        it('should flag the row deleted and inactive and stamp deleted_at', async () => {
+            await service.softDelete(1);
+
+            expect(repository.update).toHaveBeenCalledWith(
+                1,
+                { is_deleted: true, is_active: false, deleted_at: expect.any(String) },
+                { trx: undefined }
+            );
+        });
+
+        it('should skip deleted_at when the model has no such column', async () => {
+            const noStamp = new FamilyService({
+                repository: makeRepository(['is_active', 'is_deleted']),
+                entityClass: FamilyEntity,
+                observability: { enabled: false },
+            });
+
+            await noStamp.softDelete(1);
+            expect(noStamp.repository.update).toHaveBeenCalledWith(1, { is_deleted: true, is_active: false }, { trx: undefined });
+        });
+
+        it('should throw when the record does not exist', async () => {
+            await expect(service.softDelete(99)).rejects.toThrow('FamilyEntity with ID 99 not found');
+            expect(repository.update).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('restore', () => {
+        it('should clear the deleted flag and deleted_at', async () => {
+            const trx = {};
+            await service.restore(2, { trx });
+
+            expect(repository.update).toHaveBeenCalledWith(2, { is_deleted: false, deleted_at: null }, { trx });
+        });
+    });
+
+    describe('purge', () => {
+        it('should permanently delete a soft-deleted row', async () => {
+            await expect(service.purge(2)).resolves.toBe(1);
+            expect(repository.delete).toHaveBeenCalledWith(2, { trx: undefined });
+        });
+
+        it('should refuse to purge a live row', async () => {
+            await expect(service.purge(1)).rejects.toThrow('is not deleted');
+            expect(repository.delete).not.toHaveBeenCalled();
+        });
+    });
+});
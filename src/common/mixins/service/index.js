@@ -2,20 +2,36 @@
  * @fileoverview Service mixins - Composable business logic concerns.
  *
  * Provides mixins for adding features to service classes:
- * - withObservable - Timing, logging, metrics (placeholder)
- * - withCacheable - Read-through caching (placeholder)
- * - withPluggable - Event emission (placeholder)
- * - withAccessControl - RBAC enforcement (placeholder)
- * - withSoftDeletable - Soft delete support (placeholder)
- * - withActivatable - Activation state (placeholder)
+ * - withObservable - Timing, logging, metrics
+ * - withCacheable - Read-through caching
+ * - withPluggable - Lifecycle event emission
+ * - withAccessControl - RBAC enforcement
+ * - withSoftDeletable - Soft delete support
+ * - withActivatable - Activation state
  */
 
+const withObservable = require('./withObservable');
+const withCacheable = require('./withCacheable');
+const withSoftDeletable = require('./withSoftDeletable');
+const withActivatable = require('./withActivatable');
+const withAccessControl = require('./withAccessControl');
+const withPluggable = require('./withPluggable');
+
 /**
- * Placeholder for withObservable mixin.
- * TODO: Implement observability mixin for timing, logging, metrics.
+ * Events + caching + soft deletes, the stack used by the catalog services.
+ * Caching sits innermost so soft-delete filters become part of the cache key.
+ * @param {Function} BaseClass - Service class to extend
+ * @returns {Function}
  */
-const withObservable = (BaseClass) => BaseClass;
+const withPluggableCacheableAndSoftDeletable = (BaseClass) =>
+    withPluggable(withSoftDeletable(withCacheable(BaseClass)));
 
 module.exports = {
     withObservable,
+    withCacheable,
+    withPluggable,
+    withSoftDeletable,
+    withActivatable,
+    withAccessControl,
+    withPluggableCacheableAndSoftDeletable,
 };
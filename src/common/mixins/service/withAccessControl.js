@@ -0,0 +1,339 @@
+/**
+ * @module Service Mixins
+ * @fileoverview withAccessControl - Enforces AccessControlService on service calls.
+ *
+ * Reads the acting user from the call options (`{ actor }`) and checks it against
+ * AccessControlService before the call reaches the repository.
+ *
+ * **What gets checked:**
+ * ```
+ * getById / getOne                       → 'read'   on the loaded record
+ * create                                 → 'create' on the incoming data
+ * upsert                                 → 'update' on the matching stored record,
+ *                                          'create' on the incoming data when none matches
+ * update / restore / activate /
+ *   deactivate / toggleActive            → 'update' on the stored record
+ * delete / softDelete / purge            → 'delete' on the stored record
+ * getWhere / paginate / cursorPage /
+ *   getActive / getDeleted / getAll      → scoped to the rows the actor may read
+ * ```
+ *
+ * Denials throw a `ForbiddenError` (statusCode 403). List queries are not denied
+ * record by record; they are narrowed to what the actor may see using
+ * `AccessControlService.listScope()`, which applies the same rules as single-record
+ * reads: admins (and `any` grants) see everything, other actors see the rows they
+ * own, public rows where a policy grants `read: public`, and their teams' rows;
+ * DenyAll actors get a ForbiddenError.
+ *
+ * **Ownership:**
+ * The owner is read from `userId` on the record (icons, sets, illustrations).
+ * Services whose owner lives elsewhere pass `ownerField` / `scopeColumn`, or a
+ * `resolveOwner(record)` function.
+ *
+ * **Resource attributes:**
+ * Policies see the whole record: the resource passed to the acl is the record's
+ * fields plus `type`, `id`, `ownerId`, `teamId` and `isPublic` (read from
+ * `publicField`, default `isPublic`). Services pass `resolveResource(record)` to
+ * choose the attributes themselves, and `resolvePublic(record)` when public-ness
+ * is derived (e.g. active and not deleted).
+ *
+ * **Teams:**
+ * Records with a `teamId` are also checked against the actor's team membership
+ * (see TeamMembershipResolver): team owners may read, update and delete them,
+ * team members may read and update. List queries include the rows of the actor's
+ * teams (`teamColumn`, default `team_id`).
+ *
+ * **Calls without an actor:**
+ * Are refused with a ForbiddenError. Internal callers (plugins, jobs, migrations)
+ * that act on behalf of no one say so with `{ system: true }`, which skips the checks.
+ *
+ * @example
+ * class IconService extends withAccessControl(BaseService) {}
+ * const icons = new IconService({ repository, entityClass });
+ *
+ * await icons.update(12, { name: 'home' }, { actor: req.user });
+ * // → loads icon 12, enforce({ actor, action: 'update', resource: { ...icon, type: 'icon', ownerId: icon.userId } })
+ * // → ForbiddenError if denied
+ *
+ * await icons.paginate({ style_id: 3 }, 1, 20, { actor: req.user });
+ * // → customer:            WHERE style_id = 3 AND user_id = <actor.id>
+ * // → with read: public,
+ * //   in team 4:           WHERE style_id = 3 AND (user_id = <actor.id> OR is_public = true OR team_id IN (4))
+ * // → admin:               WHERE style_id = 3
+ *
+ * await icons.purge(12, { system: true });
+ * // → not checked
+ */
+
+const AccessControlService = require('../../access-control/AccessControlService');
+const ForbiddenError = require('../../access-control/ForbiddenError');
+const { AccessScopes, kSCOPE_WHERE_KEY } = require('../../access-control/AccessControlConstants');
+
+/**
+ * Guarded methods: how each one is checked and where its options argument sits.
+ * Methods missing from the instance are skipped.
+ * @private
+ * @type {Object<string, {kind: string, action?: string, optsIndex: number}>}
+ */
+const kGUARDED_METHODS = {
+    getById      : { kind: 'read',   action: 'read',   optsIndex: 1 },
+    getOne       : { kind: 'read',   action: 'read',   optsIndex: 1 },
+    create       : { kind: 'create', action: 'create', optsIndex: 1 },
+    upsert       : { kind: 'upsert', action: 'create', optsIndex: 2 },
+    update       : { kind: 'write',  action: 'update', optsIndex: 2 },
+    restore      : { kind: 'write',  action: 'update', optsIndex: 1 },
+    activate     : { kind: 'write',  action: 'update', optsIndex: 1 },
+    deactivate   : { kind: 'write',  action: 'update', optsIndex: 1 },
+    toggleActive : { kind: 'write',  action: 'update', optsIndex: 1 },
+    delete       : { kind: 'write',  action: 'delete', optsIndex: 1 },
+    softDelete   : { kind: 'write',  action: 'delete', optsIndex: 1 },
+    purge        : { kind: 'write',  action: 'delete', optsIndex: 1 },
+    getWhere     : { kind: 'list',   action: 'list',   optsIndex: 1 },
+    paginate     : { kind: 'list',   action: 'list',   optsIndex: 3 },
+    cursorPage   : { kind: 'list',   action: 'list',   optsIndex: 2 },
+    getActive    : { kind: 'list',   action: 'list',   optsIndex: 1 },
+    getDeleted   : { kind: 'list',   action: 'list',   optsIndex: 1 },
+    getAll       : { kind: 'list',   action: 'list',   optsIndex: 0 },
+};
+
+/**
+ * Convert camelCase to snake_case ('userId' → 'user_id').
+ * @private
+ * @param {string} str
+ * @returns {string}
+ */
+const toSnakeCase = (str) => str.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+
+/**
+ * Mixin to enforce access control on a service class.
+ *
+ * **Options** (passed to the service constructor as `accessControl`):
+ * - `acl` - AccessControlService instance (default: new AccessControlService())
+ * - `ownerField` - Entity property holding the owner id (default: 'userId')
+ * - `scopeColumn` - Column used to scope list queries (default: snake_case of ownerField)
+ * - `resolveOwner` - `(record) => ownerId`, overrides ownerField
+ * - `resolveTeam` - `(record) => teamId` (default: record.teamId / record.team_id)
+ * - `teamColumn` - Column holding the owning team, for list queries (default: 'team_id'; null: none)
+ * - `publicField` - Entity property marking public records (default: 'isPublic')
+ * - `publicColumn` - Column marking public records, for list queries (default: snake_case of
+ *   publicField; null: public rows are never listed to non-owners)
+ * - `resolvePublic` - `(record) => boolean`, overrides publicField
+ * - `resolveResource` - `(record) => attributes` policies see (default: the record's fields)
+ *
+ * **Properties Added:**
+ * - `acl` - The AccessControlService in use
+ *
+ * @param {Function} BaseClass - Service class to extend
+ * @returns {Function} Service class with access control
+ */
+const withAccessControl = (BaseClass) => {
+    return class extends BaseClass {
+        constructor(opts = {}) {
+            super(opts);
+
+            const {
+                acl = new AccessControlService(),
+                ownerField = 'userId',
+                scopeColumn = toSnakeCase(ownerField),
+                resolveOwner = (record) => record?.[ownerField] ?? record?.[toSnakeCase(ownerField)],
+                resolveTeam = (record) => record?.teamId ?? record?.team_id,
+                teamColumn = 'team_id',
+                publicField = 'isPublic',
+                publicColumn = publicField ? toSnakeCase(publicField) : null,
+                resolvePublic = (record) => record?.[publicField] ?? record?.[toSnakeCase(publicField)],
+                resolveResource = (record) => ({ ...record }),
+            } = opts.accessControl || {};
+
+            this.acl = acl;
+            this._accessControl = {
+                scopeColumn,
+                teamColumn,
+                publicColumn,
+                resolveOwner,
+                resolveTeam,
+                resolvePublic,
+                resolveResource,
+            };
+
+            for (const [name, spec] of Object.entries(kGUARDED_METHODS)) {
+                if (typeof this[name] === 'function') {
+                    this._guardMethod(name, spec);
+                }
+            }
+        }
+
+        /**
+         * Check an action against a single record and throw if denied.
+         * The resource carries the record's attributes (see `resolveResource`), so
+         * policy conditions such as `public` can read them.
+         * The error carries the rule that denied it when the acl can explain decisions.
+         * @param {Object} actor - Acting user
+         * @param {string} action - 'read' | 'create' | 'update' | 'delete' | custom
+         * @param {Object} record - Entity or data the action applies to
+         * @param {number|string} [ownerId] - Owner id, when it is not on the record
+         * @throws {ForbiddenError}
+         */
+        async assertCan(actor, action, record, ownerId = this._accessControl.resolveOwner(record)) {
+            const resource = {
+                ...(record ? this._accessControl.resolveResource(record) : {}),
+                type    : this.serviceName,
+                id      : record?.id ?? null,
+                ownerId : ownerId ?? null,
+            };
+
+            const teamId = this._accessControl.resolveTeam(record);
+            if (teamId != null) resource.teamId = teamId;
+
+            const isPublic = this._accessControl.resolvePublic(record);
+            if (isPublic != null) resource.isPublic = isPublic;
+
+            const decision = typeof this.acl.explain === 'function'
+                ? await this.acl.explain({ actor, action, resource })
+                : { allowed: await this.acl.enforce({ actor, action, resource }) };
+
+            if (!decision.allowed) {
+                throw new ForbiddenError(
+                    `Actor ${actor?.id ?? 'anonymous'} may not ${action} ${resource.type}${resource.id != null ? ` ${resource.id}` : ''}` +
+                    (decision.reason ? `: ${decision.reason}` : ''),
+                    {
+                        action,
+                        resourceType : resource.type,
+                        resourceId   : resource.id,
+                        actorId      : actor?.id ?? null,
+                        rule         : decision.rule,
+                        reason       : decision.reason,
+                    }
+                );
+            }
+        }
+
+        /**
+         * Narrow a where clause to the rows an actor may list.
+         *
+         * Owner-only scopes set the owner column. Wider scopes add "any of" conditions
+         * under the scope key, which BaseRepository.applyWhere() turns into
+         * `AND (owner OR public OR team)`.
+         *
+         * @param {Object} actor - Acting user
+         * @param {Object} [where={}]
+         * @param {string} [action='list']
+         * @returns {Promise<Object>} Where clause, possibly with the owner column or scope conditions set
+         * @throws {ForbiddenError} When the actor may not list anything
+         */
+        async scopeWhere(actor, where = {}, action = 'list') {
+            const { scopeColumn, teamColumn, publicColumn } = this._accessControl;
+            const { scope, ownerId, isPublic, teamIds } = typeof this.acl.listScope === 'function'
+                ? await this.acl.listScope({ actor, action, type: this.serviceName })
+                : { scope: await this.acl.scopeFor({ actor, action }) };
+
+            if (scope === AccessScopes.ALL) return where;
+            if (scope === AccessScopes.OWN) {
+                return { ...where, [scopeColumn]: ownerId ?? actor.id };
+            }
+
+            if (scope === AccessScopes.FILTERED) {
+                const anyOf = [];
+                if (ownerId != null) anyOf.push({ [scopeColumn]: ownerId });
+                if (isPublic && publicColumn) anyOf.push({ [publicColumn]: true });
+                if (teamIds?.length && teamColumn) anyOf.push({ [teamColumn]: teamIds });
+
+                if (anyOf.length) return { ...where, [kSCOPE_WHERE_KEY]: anyOf };
+            }
+
+            throw new ForbiddenError(
+                `Actor ${actor?.id ?? 'anonymous'} may not ${action} ${this.serviceName}`,
+                { action, resourceType: this.serviceName, actorId: actor?.id ?? null }
+            );
+        }
+
+        /**
+         * Replace `this[name]` with a wrapper that checks the actor first.
+         * @private
+         * @param {string} name - Method name
+         * @param {Object} spec - Entry from kGUARDED_METHODS
+         */
+        _guardMethod(name, { kind, action, optsIndex }) {
+            const original = this[name];
+
+            const guarded = async (...args) => {
+                const actor = args[optsIndex]?.actor;
+
+                if (args[optsIndex]?.system === true) return original.apply(this, args);
+                if (!actor) {
+                    throw new ForbiddenError(
+                        `${this.serviceName}.${name} requires an actor, or { system: true } for internal calls`,
+                        { action, resourceType: this.serviceName }
+                    );
+                }
+
+                const trx = args[optsIndex]?.trx;
+
+                switch (kind) {
+                    case 'read': {
+                        const result = await original.apply(this, args);
+                        if (result) await this.assertCan(actor, action, result);
+                        return result;
+                    }
+
+                    case 'create': {
+                        // New records without an owner will belong to the actor.
+                        const data = this.toPlain(args[0]) || {};
+                        const ownerId = this._accessControl.resolveOwner(data) ?? actor.id;
+                        await this.assertCan(actor, action, data, ownerId);
+                        return original.apply(this, args);
+                    }
+
+                    case 'upsert': {
+                        // Upserts patch the row matching whereClause / data.id, so check
+                        // that row as an update; only a fresh insert is checked as a create.
+                        const data = this.toPlain(args[0]) || {};
+                        const whereClause = args[1] || {};
+                        const where = Object.keys(whereClause).length > 0
+                            ? whereClause
+                            : data.id != null ? { id: data.id } : null;
+                        const existing = where
+                            ? await this.repository.findOne(where, { entityClass: this.entityClass, trx })
+                            : null;
+
+                        if (existing) {
+                            await this.assertCan(actor, 'update', existing);
+                        } else {
+                            const ownerId = this._accessControl.resolveOwner(data) ?? actor.id;
+                            await this.assertCan(actor, action, data, ownerId);
+                        }
+                        return original.apply(this, args);
+                    }
+
+                    case 'write': {
+                        const record = await this.repository.findById(args[0], { entityClass: this.entityClass, trx });
+                        if (record) await this.assertCan(actor, action, record);
+                        return original.apply(this, args);
+                    }
+
+                    case 'list': {
+                        if (optsIndex > 0) {
+                            const next = [...args];
+                            next[0] = await this.scopeWhere(actor, args[0], action);
+                            return original.apply(this, next);
+                        }
+                        // getAll({ actor }) takes no where clause, so query the scoped rows directly.
+                        const where = await this.scopeWhere(actor, {}, action);
+                        return this.repository.findAll(where, { entityClass: this.entityClass, trx });
+                    }
+
+                    default:
+                        return original.apply(this, args);
+                }
+            };
+
+            Object.defineProperty(this, name, {
+                value        : guarded,
+                writable     : true,
+                configurable : true,
+                enumerable   : false,
+            });
+        }
+    };
+};
+
+module.exports = withAccessControl;
@@ -0,0 +1,214 @@
+/**
+ * @module Service Mixins
+ * @fileoverview withActivatable - Activation state management for services.
+ *
+ * Adds `getActive`, `activate`, `deactivate` and `toggleActive` to services whose
+ * table carries an activation flag. Only services that compose this mixin get
+ * these methods; tables without the flag (transactions, orders) never see them.
+ *
+ * **Configurable column:**
+ * The flag defaults to `is_active`. Services whose table names it differently pass
+ * `activatable: { column: 'is_published' }`. Calling any activation method on a
+ * service whose model does not declare the column throws immediately with a
+ * message naming the service, model and column, rather than failing inside SQL.
+ *
+ * **Activation guards:**
+ * Guards run before a record becomes active (via `activate()` or `toggleActive()`).
+ * Each guard receives the current record and returns `true` to allow activation,
+ * or `false` / a reason string to block it. A blocked activation throws and
+ * leaves the record unchanged.
+ * ```
+ * activate(12)
+ *   → load record 12
+ *   → guard: hasSvgObjectKey? ──no──→ throw "Cannot activate IconEntity 12: icon has no SVG image"
+ *   → yes → UPDATE icons SET is_active = true, is_deleted = false
+ * ```
+ *
+ * @example
+ * class IconService extends withActivatable(BaseService) {
+ *   constructor(opts = {}) {
+ *     super({
+ *       ...opts,
+ *       activatable: {
+ *         guards: [
+ *           async (icon, { service, trx }) =>
+ *             await service.repository.hasSvgObjectKey(icon.id, { trx }) || 'icon has no SVG image',
+ *         ],
+ *       },
+ *     });
+ *   }
+ * }
+ */
+
+/**
+ * Convert a snake_case column to the camelCase entity property ('is_active' → 'isActive').
+ * @private
+ * @param {string} column
+ * @returns {string}
+ */
+const toCamelCase = (column) => column.replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+
+/**
+ * Mixin to add activation state management to a service class.
+ *
+ * **Options** (passed to the service constructor as `activatable`):
+ * - `column` - Activation column (default: 'is_active')
+ * - `guards` - Array of `async (record, { service, trx }) => true | false | string`
+ *
+ * **Methods Added:**
+ * - `getActive(where)` - List active (and not deleted) records
+ * - `activate(id)` - Set the column true, clearing `is_deleted` where present
+ * - `deactivate(id)` - Set the column false
+ * - `toggleActive(id)` - Flip the column
+ *
+ * @param {Function} BaseClass - Service class to extend
+ * @returns {Function} Service class with activation support
+ */
+const withActivatable = (BaseClass) => {
+    return class extends BaseClass {
+        constructor(opts = {}) {
+            super(opts);
+
+            const { column = 'is_active', guards = [] } = opts.activatable || {};
+
+            this.activeColumn = column;
+            this.activationGuards = [...guards];
+        }
+
+        /**
+         * Get active records, optionally filtered by additional WHERE criteria.
+         * Returns an array of Entity instances.
+         * @param {Object} [where={}] - Additional WHERE clause to filter results
+         * @param {Object} [opts]
+         * @param {Object} [opts.trx]
+         */
+        async getActive(where = {}, { trx } = {}) {
+            this._assertActiveColumn('getActive');
+
+            const fullWhere = { ...where, [this.activeColumn]: true };
+
+            // Only add is_deleted filter if the model has that column
+            if (this.modelHasColumn('is_deleted')) {
+                fullWhere.is_deleted = false;
+            }
+
+            return this.repository.findAll(
+                fullWhere,
+                { entityClass: this.entityClass, trx }
+            );
+        }
+
+        /**
+         * Activate a record by its ID.
+         * Runs activation guards first. Throws if not found or blocked.
+         * @param {string|number} id
+         * @param {Object} [opts]
+         * @param {Object} [opts.trx]
+         */
+        async activate(id, { trx } = {}) {
+            this._assertActiveColumn('activate');
+
+            const record = await this._findForActivation(id, { trx });
+            await this._runActivationGuards(record, { trx });
+
+            const updateData = { [this.activeColumn]: true };
+
+            // Only set is_deleted if the model has that column
+            if (this.modelHasColumn('is_deleted')) {
+                updateData.is_deleted = false;
+            }
+
+            return this.repository.update(id, updateData, { trx });
+        }
+
+        /**
+         * Deactivate a record by its ID.
+         * Throws if not found.
+         * @param {string|number} id
+         * @param {Object} [opts]
+         * @param {Object} [opts.trx]
+         */
+        async deactivate(id, { trx } = {}) {
+            this._assertActiveColumn('deactivate');
+
+            await this._findForActivation(id, { trx });
+
+            const updateData = { [this.activeColumn]: false };
+
+            // Only set is_deleted if the model has that column
+            if (this.modelHasColumn('is_deleted')) {
+                updateData.is_deleted = false;
+            }
+
+            return this.repository.update(id, updateData, { trx });
+        }
+
+        /**
+         * Toggle the active status of a record by its ID.
+         * Runs activation guards when the record is about to become active.
+         * Throws if not found or blocked.
+         * @param {string|number} id
+         * @param {Object} [opts]
+         * @param {Object} [opts.trx]
+         */
+        async toggleActive(id, { trx } = {}) {
+            this._assertActiveColumn('toggleActive');
+
+            const record = await this._findForActivation(id, { trx });
+            const nextState = !record[toCamelCase(this.activeColumn)];
+            if (nextState) {
+                await this._runActivationGuards(record, { trx });
+            }
+
+            return this.repository.update(id, { [this.activeColumn]: nextState }, { trx });
+        }
+
+        /**
+         * Throw a descriptive error when the model has no activation column.
+         * @private
+         * @param {string} method - Method being called, for the message
+         */
+        _assertActiveColumn(method) {
+            if (!this.modelHasColumn(this.activeColumn)) {
+                const modelName = this.repository.model?.name || this.repository.modelName || 'model';
+                throw new Error(
+                    `${this.constructor.name}.${method}() requires an '${this.activeColumn}' column, ` +
+                    `but ${modelName} does not define one`
+                );
+            }
+        }
+
+        /**
+         * Load a record straight from the repository so cached copies cannot hide its current state.
+         * @private
+         * @param {string|number} id
+         * @param {Object} opts
+         * @returns {Promise<*>}
+         */
+        async _findForActivation(id, { trx } = {}) {
+            const record = await this.repository.findById(id, { entityClass: this.entityClass, trx });
+            if (!record) {
+                throw new Error(`${this.entityClass.name} with ID ${id} not found`);
+            }
+            return record;
+        }
+
+        /**
+         * Run each guard in order and throw on the first one that blocks.
+         * @private
+         * @param {*} record - Record about to be activated
+         * @param {Object} opts
+         */
+        async _runActivationGuards(record, { trx } = {}) {
+            for (const guard of this.activationGuards) {
+                const verdict = await guard(record, { service: this, trx });
+                if (verdict === true) continue;
+
+                const reason = typeof verdict === 'string' ? verdict : 'activation guard rejected';
+                throw new Error(`Cannot activate ${this.entityClass.name} ${record.id}: ${reason}`);
+            }
+        }
+    };
+};
+
+module.exports = withActivatable;
@@ -0,0 +1,272 @@
+/**
+ * @module Service Mixins
+ * @fileoverview withCacheable - Read-through caching mixin with entity rehydration.
+ *
+ * Caches the results of the service read methods through a CacheService adapter
+ * (`NodeCacheAdapter` in development, `RedisCacheAdapter` in production) and
+ * turns cache hits back into instances of the service's `entityClass`, so callers
+ * cannot tell a hit from a database read.
+ *
+ * **Cached reads:**
+ * - `getById(id)`
+ * - `getOne(where)`
+ * - `paginate(where, page, pageSize)` - `getWhere()` is cached through this,
+ *   since BaseService implements it as a single 1000-row page
+ *
+ * Reads bypass the cache when they run inside a transaction (`trx`) or ask for
+ * hidden fields (`includeHiddenFields`), because neither result is safe to share.
+ * `null` results are never cached. Hits, misses and writes are counted in the
+ * process-wide CacheStats under `<namespace>:<method>`.
+ *
+ * **Key layout:**
+ * ```
+ * <namespace>:<method>:<md5 of sorted params>
+ * icon:getById:5d41402abc4b2a76b9719d911017c592
+ * icon:paginate:7d793037a0760186574b0282f2f435e1
+ * ```
+ *
+ * **Invalidation:**
+ * Any successful write (`create`, `update`, `delete`, `upsert`, and the soft-delete
+ * and activation methods when those mixins are present) clears every key under
+ * `<namespace>:`. Writes inside a transaction clear the namespace again once the
+ * transaction commits, so reads that ran before the commit cannot leave stale
+ * entries behind.
+ *
+ * @example
+ * // Per-service TTL and namespace
+ * const iconService = new IconService({
+ *   cache: { ttl: 300, namespace: 'icons:v2' },
+ * });
+ *
+ * @example
+ * // Bring your own adapter (tests, Redis)
+ * const iconService = new IconService({
+ *   cache: { adapter: new RedisCacheAdapter({ url: process.env.REDIS_URL }), ttl: 600 },
+ * });
+ *
+ * @example
+ * // Turn caching off for one service
+ * const iconService = new IconService({ cache: { enabled: false } });
+ */
+
+/**
+ * Methods that clear the service namespace after they succeed.
+ * Methods missing from the instance are skipped.
+ * @private
+ * @type {Array<string>}
+ */
+const kINVALIDATING_METHODS = [
+    'create',
+    'update',
+    'delete',
+    'upsert',
+    'softDelete',
+    'restore',
+    'purge',
+    'activate',
+    'deactivate',
+    'toggleActive',
+];
+
+/**
+ * Shared adapter used by services that do not pass their own. The cache module
+ * is loaded on first use so merely requiring a service opens no connections.
+ * @private
+ * @returns {Object} The process-wide default cache adapter
+ */
+const getSharedAdapter = () => require('../../cache').getSharedAdapter();
+
+/**
+ * Normalise the `cache` constructor option.
+ * Accepts either an adapter instance or an options object.
+ * @private
+ * @param {Object} [cache]
+ * @returns {Object}
+ */
+const normalizeCacheOptions = (cache) => {
+    if (cache && typeof cache.get === 'function') {
+        return { adapter: cache };
+    }
+    return cache || {};
+};
+
+/**
+ * Mixin to add read-through caching to a service class.
+ *
+ * **Options** (passed to the service constructor as `cache`):
+ * - `adapter` - Cache adapter with `get/set/invalidatePrefix` (default: the shared adapter, see `getSharedAdapter()`)
+ * - `ttl` - Time-to-live in seconds for this service's entries (default: adapter default)
+ * - `namespace` - Key prefix for this service (default: the service name, e.g. 'icon')
+ * - `enabled` - Set false to always read through to the repository (default: true)
+ *
+ * A bare adapter may also be passed as `cache`.
+ *
+ * **Methods Added:**
+ * - `clearCache()` - Drop every cached entry for this service
+ *
+ * @param {Function} BaseClass - Service class to extend
+ * @returns {Function} Service class with caching
+ */
+const withCacheable = (BaseClass) => {
+    return class extends BaseClass {
+        constructor(opts = {}) {
+            super(opts);
+
+            const {
+                adapter = null,
+                ttl,
+                namespace = this.serviceName || this.entityClass.name,
+                enabled = true,
+            } = normalizeCacheOptions(opts.cache);
+
+            this._cacheAdapter = adapter;
+            this.cacheTtl = ttl;
+            this.cacheNamespace = namespace;
+            this.cacheEnabled = enabled;
+
+            if (!enabled) return;
+
+            for (const name of kINVALIDATING_METHODS) {
+                if (typeof this[name] === 'function') {
+                    this._invalidateAfter(name);
+                }
+            }
+        }
+
+        /**
+         * The adapter in use, resolved lazily.
+         * @type {Object}
+         */
+        get cacheAdapter() {
+            if (!this._cacheAdapter) {
+                this._cacheAdapter = getSharedAdapter();
+            }
+            return this._cacheAdapter;
+        }
+
+        /**
+         * CacheService bound to the adapter, used for key generation.
+         * Required lazily: BaseService loads this module, and CacheService pulls in
+         * the request utilities, which the service layer should not depend on.
+         * @type {CacheService}
+         */
+        get cacheService() {
+            if (!this._cacheService || this._cacheService.adapter !== this.cacheAdapter) {
+                const CacheService = require('../../cache/CacheService');
+                this._cacheService = new CacheService(this.cacheAdapter);
+            }
+            return this._cacheService;
+        }
+
+        async getById(id, opts = {}) {
+            return this._cached('getById', { id }, opts, () => super.getById(id, opts));
+        }
+
+        async getOne(where = {}, opts = {}) {
+            return this._cached('getOne', { where }, opts, () => super.getOne(where, opts));
+        }
+
+        async paginate(where = {}, page = 1, pageSize = 10, opts = {}) {
+            return this._cached(
+                'paginate',
+                { where, page, pageSize },
+                opts,
+                () => super.paginate(where, page, pageSize, opts)
+            );
+        }
+
+        /**
+         * Drop every cached entry for this service.
+         * @returns {Promise<boolean>}
+         */
+        async clearCache() {
+            return this.cacheAdapter.invalidatePrefix(`${this.cacheNamespace}:`);
+        }
+
+        /**
+         * Read-through helper: return the cached value for a call or load and store it.
+         * @private
+         * @param {string} method - Method name, part of the key
+         * @param {Object} params - Arguments that identify the result
+         * @param {Object} opts - Call options (trx, includeHiddenFields)
+         * @param {Function} load - Loads the value on a miss
+         * @returns {Promise<*>}
+         */
+        async _cached(method, params, opts, load) {
+            if (!this.cacheEnabled || opts.trx || opts.includeHiddenFields) {
+                return load();
+            }
+
+            const key = this.cacheService.getCacheKey(`${this.cacheNamespace}:${method}`, params);
+            const { stats } = this.cacheService;
+            const hit = await this.cacheAdapter.get(key);
+            if (hit != null) {
+                stats.hit(key);
+                return this._rehydrate(hit);
+            }
+
+            stats.miss(key);
+            const value = await load();
+            if (value != null) {
+                await this.cacheAdapter.set(key, value, this.cacheTtl);
+                stats.set(key, value);
+            }
+            return value;
+        }
+
+        /**
+         * Turn a cached value back into entities. Handles single records, arrays
+         * and `{ results, ... }` pages. Values that are already entities are kept.
+         * @private
+         * @param {*} value
+         * @returns {Promise<*>}
+         */
+        async _rehydrate(value) {
+            const entityClass = this.entityClass;
+            const wrap = async (item) => {
+                if (item instanceof entityClass) return item;
+                const entity = this.repository.wrapEntity(item, entityClass);
+                return typeof this.repository.finalize === 'function'
+                    ? this.repository.finalize(entity)
+                    : entity;
+            };
+
+            if (Array.isArray(value)) {
+                return Promise.all(value.map(wrap));
+            }
+            if (value && Array.isArray(value.results)) {
+                return { ...value, results: await Promise.all(value.results.map(wrap)) };
+            }
+            return wrap(value);
+        }
+
+        /**
+         * Replace `this[name]` with a wrapper that clears the namespace once the call succeeds.
+         * @private
+         * @param {string} name - Method name
+         */
+        _invalidateAfter(name) {
+            const original = this[name];
+
+            const invalidating = async (...args) => {
+                const result = await original.apply(this, args);
+                await this.clearCache();
+
+                const { trx } = args[args.length - 1] || {};
+                if (trx?.executionPromise) {
+                    trx.executionPromise.then(() => this.clearCache()).catch(() => {});
+                }
+                return result;
+            };
+
+            Object.defineProperty(this, name, {
+                value        : invalidating,
+                writable     : true,
+                configurable : true,
+                enumerable   : false,
+            });
+        }
+    };
+};
+
+module.exports = withCacheable;
@@ -0,0 +1,210 @@
+/**
+ * @module Service Mixins
+ * @fileoverview withObservable - Mixin for automatic timing, logging and metrics on service calls.
+ *
+ * Wraps every public async method of a service instance so each call records
+ * its duration, whether it succeeded or failed, and the error class on failure.
+ * Records go to a pluggable metrics sink; failures are logged as structured
+ * entries.
+ *
+ * **Why instance-level wrapping?**
+ * BaseService is `withObservable(RawBaseService)`, so this mixin sits at the
+ * bottom of every service's class hierarchy. Overriding prototype methods here
+ * would miss everything defined above it (other mixins, `IconService.searchIcons`).
+ * Instead the constructor walks the finished prototype chain of `this` and
+ * wraps the most-derived implementation of each async method on the instance.
+ *
+ * **What a call produces:**
+ * ```
+ * iconService.getById(123)
+ *   → metric: { service: 'icon', operation: 'getById', result: 'success', durationMs: 4.2, errorClass: null }
+ *   → log (VERBOSE_LOGGING=true): "icon-service.getById success 4.2ms"
+ *
+ * iconService.update(999, {...})   // throws NotFoundError
+ *   → metric: { service: 'icon', operation: 'update', result: 'failure', durationMs: 1.3, errorClass: 'NotFoundError' }
+ *   → log (warn): "icon-service.update failure 1.3ms"
+ * ```
+ *
+ * @example
+ * // Assert against an in-memory sink in tests
+ * const metrics = new MemoryMetricsSink();
+ * const service = new IconService({ observability: { metrics } });
+ * await service.getById(1);
+ * metrics.getRecords({ operation: 'getById' }); // [{ service: 'icon', result: 'success', ... }]
+ *
+ * @example
+ * // Disable observability for a service
+ * const service = new IconService({ observability: { enabled: false } });
+ */
+
+const { performance } = require('perf_hooks');
+const { getMetricsSink } = require('../../metrics');
+const { logger: contextLogger } = require('../../../utils/Logger.js');
+
+/**
+ * Convert PascalCase to kebab-case ('ImageType' → 'image-type').
+ * @private
+ * @param {string} str
+ * @returns {string}
+ */
+const toKebabCase = (str) => str.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+
+/**
+ * Derive a short service name from the class name or, failing that, the entity class.
+ * IconService → 'icon', anonymous BaseService wrapping IconEntity → 'icon'.
+ * @private
+ * @param {Object} instance - Service instance
+ * @returns {string}
+ */
+const resolveServiceName = (instance) => {
+    const className = instance.constructor?.name || '';
+    if (className.endsWith('Service') && className.length > 'Service'.length) {
+        return toKebabCase(className.slice(0, -'Service'.length));
+    }
+    const entityName = instance.entityClass?.name || '';
+    if (entityName.endsWith('Entity') && entityName.length > 'Entity'.length) {
+        return toKebabCase(entityName.slice(0, -'Entity'.length));
+    }
+    return 'service';
+};
+
+/**
+ * @private
+ * @param {*} fn
+ * @returns {boolean}
+ */
+const isAsyncFunction = (fn) => typeof fn === 'function' && fn.constructor?.name === 'AsyncFunction';
+
+/**
+ * Collect names of public async methods along the prototype chain.
+ * Methods prefixed with `_` are treated as private and skipped.
+ * @private
+ * @param {Object} instance
+ * @returns {Array<string>}
+ */
+const collectAsyncMethodNames = (instance) => {
+    const names = new Set();
+    let proto = Object.getPrototypeOf(instance);
+
+    while (proto && proto !== Object.prototype) {
+        for (const name of Object.getOwnPropertyNames(proto)) {
+            if (name === 'constructor' || name.startsWith('_')) continue;
+            const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+            if (descriptor && isAsyncFunction(descriptor.value)) {
+                names.add(name);
+            }
+        }
+        proto = Object.getPrototypeOf(proto);
+    }
+
+    return [...names];
+};
+
+/**
+ * Mixin to add observability to a service class.
+ *
+ * **Options** (passed to the service constructor as `observability`):
+ * - `enabled` - Set false to skip wrapping entirely (default: true)
+ * - `metrics` - Metrics sink with `record(metric)` (default: shared sink from `common/metrics`)
+ * - `logger` - Logger with `debug()`/`warn()` (default: utils/Logger, which stamps the request's trace id)
+ * - `logSuccess` - Also log successful calls (default: `VERBOSE_LOGGING === 'true'`)
+ * - `serviceName` - Override the derived service name
+ * - `exclude` - Method names to leave unwrapped
+ *
+ * **Properties Added:**
+ * - `serviceName` - Name used in metrics and logs
+ * - `metrics` - The metrics sink in use
+ *
+ * @param {Function} BaseClass - Service class to extend
+ * @returns {Function} Service class with observability
+ */
+const withObservable = (BaseClass) => {
+    return class extends BaseClass {
+        constructor(opts = {}) {
+            super(opts);
+
+            const {
+                enabled = true,
+                metrics = getMetricsSink(),
+                logger = contextLogger,
+                logSuccess = process.env.VERBOSE_LOGGING === 'true',
+                serviceName = resolveServiceName(this),
+                exclude = [],
+            } = opts.observability || {};
+
+            this.serviceName = serviceName;
+            this.metrics = metrics;
+
+            if (!enabled) return;
+
+            const skip = new Set(exclude);
+            for (const name of collectAsyncMethodNames(this)) {
+                if (skip.has(name)) continue;
+                this._observeMethod(name, { metrics, logger, logSuccess });
+            }
+        }
+
+        /**
+         * Replace `this[name]` with a timed wrapper around the current implementation.
+         * @private
+         * @param {string} name - Method name
+         * @param {Object} ctx
+         * @param {Object} ctx.metrics
+         * @param {Object} ctx.logger
+         * @param {boolean} ctx.logSuccess
+         */
+        _observeMethod(name, { metrics, logger, logSuccess }) {
+            const original = this[name];
+            const service = this.serviceName;
+            const label = `${service}-service.${name}`;
+
+            const observed = async (...args) => {
+                const start = performance.now();
+                const finish = (result, error = null) => {
+                    const durationMs = Math.round((performance.now() - start) * 1000) / 1000;
+                    const metric = {
+                        service,
+                        operation  : name,
+                        result,
+                        durationMs,
+                        errorClass : error ? (error.constructor?.name || 'Error') : null,
+                        timestamp  : new Date().toISOString(),
+                    };
+
+                    try {
+                        metrics?.record(metric);
+                    }
+                    catch (sinkError) {
+                        logger?.warn?.(`${label} metrics sink failed`, { error: sinkError.message });
+                    }
+
+                    if (error) {
+                        logger?.warn?.(`${label} failure ${durationMs}ms`, { ...metric, message: error.message });
+                    }
+                    else if (logSuccess) {
+                        logger?.debug?.(`${label} success ${durationMs}ms`, metric);
+                    }
+                };
+
+                try {
+                    const value = await original.apply(this, args);
+                    finish('success');
+                    return value;
+                }
+                catch (error) {
+                    finish('failure', error);
+                    throw error;
+                }
+            };
+
+            Object.defineProperty(this, name, {
+                value        : observed,
+                writable     : true,
+                configurable : true,
+                enumerable   : false,
+            });
+        }
+    };
+};
+
+module.exports = withObservable;
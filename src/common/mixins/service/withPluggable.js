@@ -0,0 +1,338 @@
+/**
+ * @module Service Mixins
+ * @fileoverview withPluggable - Emits lifecycle events on the EventBus after entity mutations.
+ *
+ * Plugins (`src/common/plugins/*`) subscribe to EventBus events. This mixin makes
+ * every service write produce one, so plugins can react to catalog changes
+ * without the service knowing they exist.
+ *
+ * **Events:**
+ * ```
+ * create()        → <name>.created
+ * update()        → <name>.updated
+ * upsert()        → <name>.created or <name>.updated
+ * delete()        → <name>.deleted
+ * softDelete()    → <name>.deleted      (data.soft = true)
+ * purge()         → <name>.purged
+ * restore()       → <name>.restored
+ * activate()      → <name>.activated
+ * deactivate()    → <name>.deactivated
+ * toggleActive()  → <name>.activated or <name>.deactivated
+ * ```
+ * `<name>` is the service name (`icon`, `set`, `image`), or `eventOptions.prefix`.
+ *
+ * **Event envelope:**
+ * ```
+ * {
+ *   name: 'icon.updated',
+ *   user_id: 7,                    // opts.actor.id, else the request context's user
+ *   trace_id: 'req-9f2c',          // opts.traceId, else the request context's trace
+ *   data: {
+ *     id: 12,
+ *     entity: IconEntity { ... },  // frozen, state after the write (before it for deletes)
+ *     before: { ...plain row } | null,
+ *     after:  { ...plain row } | null,
+ *     changes: { name: { from: 'home', to: 'house' } },
+ *     actorId: 7,
+ *   }
+ * }
+ * ```
+ *
+ * **Transactions:**
+ * Writes made with `{ trx }` emit only after the outermost transaction commits.
+ * knex resolves `executionPromise` on rollback too (`doNotRejectOnRollback`), and
+ * savepoints resolve on RELEASE, so the mixin records which transactions had
+ * `commit()` called and emits once the outermost one settles with every level of
+ * the chain committed. A rollback anywhere in the chain drops the event, so
+ * plugins never see changes that did not happen. Writes without a transaction
+ * emit right away.
+ *
+ * **Durable delivery:**
+ * With `eventOptions.outbox` (an EventOutbox), events are written to the
+ * `event_outbox` table in the write's transaction instead of being emitted, and
+ * OutboxRelay publishes them. A crash after COMMIT no longer loses the event, and
+ * an outbox insert that fails fails the write. Handlers receive the entity as
+ * plain fields, since the event went through JSON.
+ *
+ * @example
+ * const iconService = new IconService({ events: EventBus });
+ *
+ * EventBus.on('icon.activated', async (event) => {
+ *   await searchIndex.add(event.data.entity);
+ * });
+ *
+ * await DB.transaction(async (trx) => {
+ *   await iconService.activate(12, { trx, actor: req.user, traceId: req.id });
+ * });
+ * // icon.activated fires here, after COMMIT
+ */
+
+/**
+ * Lifecycle methods and the event verb each one emits.
+ * `null` means the verb depends on the result (upsert, toggleActive).
+ * @private
+ * @type {Object<string, {verb: string|null, optsIndex: number, idIndex?: number}>}
+ */
+const kLIFECYCLE_METHODS = {
+    create       : { verb: 'created',     optsIndex: 1 },
+    update       : { verb: 'updated',     optsIndex: 2, idIndex: 0 },
+    upsert       : { verb: null,          optsIndex: 2 },
+    delete       : { verb: 'deleted',     optsIndex: 1, idIndex: 0 },
+    softDelete   : { verb: 'deleted',     optsIndex: 1, idIndex: 0 },
+    purge        : { verb: 'purged',      optsIndex: 1, idIndex: 0 },
+    restore      : { verb: 'restored',    optsIndex: 1, idIndex: 0 },
+    activate     : { verb: 'activated',   optsIndex: 1, idIndex: 0 },
+    deactivate   : { verb: 'deactivated', optsIndex: 1, idIndex: 0 },
+    toggleActive : { verb: null,          optsIndex: 1, idIndex: 0 },
+};
+
+/**
+ * Verbs whose entity no longer exists after the write.
+ * @private
+ * @type {Set<string>}
+ */
+const kREMOVAL_VERBS = new Set(['deleted', 'purged']);
+
+/**
+ * Shallow field-level diff between two plain objects.
+ * @private
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Object<string, {from: *, to: *}>}
+ */
+const diff = (before, after) => {
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const key of keys) {
+        const from = before ? before[key] : undefined;
+        const to = after ? after[key] : undefined;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[key] = { from: from ?? null, to: to ?? null };
+        }
+    }
+    return changes;
+};
+
+/**
+ * Shallow copy of an entity that keeps its class, so freezing the event payload
+ * never freezes the instance returned to the caller.
+ * @private
+ * @param {Object} entity
+ * @returns {Object}
+ */
+const snapshot = (entity) => Object.assign(Object.create(Object.getPrototypeOf(entity)), entity);
+
+/**
+ * Transactor property set to true once its commit() has been called.
+ * @private
+ */
+const kCOMMITTED = Symbol('committed');
+
+/**
+ * Wrap a knex transactor's commit() so it records that it ran. knex calls
+ * `trx.commit()` itself when a transaction callback resolves, so this covers
+ * both callback and manual transactions. Wrapping is done once per transactor.
+ * @private
+ * @param {Object} trx - knex transactor
+ */
+const trackCommit = (trx) => {
+    if (trx[kCOMMITTED] !== undefined || typeof trx.commit !== 'function') return;
+
+    const commit = trx.commit;
+    trx[kCOMMITTED] = false;
+    trx.commit = function (...args) {
+        trx[kCOMMITTED] = true;
+        return commit.apply(this, args);
+    };
+};
+
+/**
+ * Run `fn` once the outermost transaction of `trx` has committed, and only if
+ * `trx` and every transaction enclosing it committed (savepoints released rather
+ * than rolled back).
+ * @private
+ * @param {Object} trx - knex transactor, possibly nested (`parentTransaction`)
+ * @param {Function} fn
+ */
+const afterCommit = (trx, fn) => {
+    const chain = [];
+    for (let current = trx; current; current = current.parentTransaction) {
+        trackCommit(current);
+        chain.push(current);
+    }
+
+    const outermost = chain[chain.length - 1];
+    outermost.executionPromise.then(
+        () => {
+            if (chain.every(current => current[kCOMMITTED] !== false)) fn();
+        },
+        () => {}
+    );
+};
+
+/**
+ * Mixin to emit lifecycle events from a service class.
+ *
+ * **Options:**
+ * - `events` - Event bus with `emit(name, payload, meta)` (default: the EventBus singleton)
+ * - `eventOptions.prefix` - Event name prefix (default: the service name)
+ * - `eventOptions.enabled` - Set false to emit nothing (default: true)
+ * - `eventOptions.outbox` - EventOutbox to record events in (default: emit on the bus)
+ *
+ * **Properties Added:**
+ * - `events` - The event bus in use
+ *
+ * @param {Function} BaseClass - Service class to extend
+ * @returns {Function} Service class with lifecycle events
+ */
+const withPluggable = (BaseClass) => {
+    return class extends BaseClass {
+        constructor(opts = {}) {
+            super(opts);
+
+            const { prefix = this.serviceName, enabled = true, outbox = null } = opts.eventOptions || {};
+
+            this._events = opts.events || null;
+            this.eventPrefix = prefix;
+            this.outbox = outbox;
+
+            if (!enabled) return;
+
+            for (const [name, spec] of Object.entries(kLIFECYCLE_METHODS)) {
+                if (typeof this[name] === 'function') {
+                    this._emitAfter(name, spec);
+                }
+            }
+        }
+
+        /**
+         * The event bus in use. Defaults to the EventBus singleton, loaded on first use
+         * so services can be constructed without the event system's notifiers.
+         * @type {Object}
+         */
+        get events() {
+            if (!this._events) {
+                this._events = require('../../event-bus').EventBus;
+            }
+            return this._events;
+        }
+
+        /**
+         * Replace `this[name]` with a wrapper that emits the lifecycle event after success.
+         * @private
+         * @param {string} name - Method name
+         * @param {Object} spec - Entry from kLIFECYCLE_METHODS
+         */
+        _emitAfter(name, { verb, optsIndex, idIndex }) {
+            const original = this[name];
+
+            const pluggable = async (...args) => {
+                const opts = args[optsIndex] || {};
+                const { trx } = opts;
+                const id = idIndex === undefined ? undefined : args[idIndex];
+
+                let before = null;
+                if (id !== undefined) {
+                    before = await this.repository.findById(id, { entityClass: this.entityClass, trx });
+                }
+                else if (name === 'upsert') {
+                    before = await this.repository.findOne(args[1] || {}, { entityClass: this.entityClass, trx });
+                }
+
+                const result = await original.apply(this, args);
+
+                const after = await this._loadAfter({ name, id, result, before, trx });
+                const resolvedVerb = verb || this._resolveVerb(name, before, after);
+
+                await this._publish(resolvedVerb, { before, after, opts, trx, soft: name === 'softDelete' });
+                return result;
+            };
+
+            Object.defineProperty(this, name, {
+                value        : pluggable,
+                writable     : true,
+                configurable : true,
+                enumerable   : false,
+            });
+        }
+
+        /**
+         * Load the post-write state. Repository writes return row counts for
+         * patches, so anything that is not already an entity is re-read.
+         * @private
+         * @returns {Promise<*>}
+         */
+        async _loadAfter({ name, id, result, before, trx }) {
+            if (name === 'delete' || name === 'purge') return null;
+            if (this.isEntity(result)) return result;
+
+            const afterId = id ?? before?.id;
+            if (afterId === undefined || afterId === null) return null;
+            return this.repository.findById(afterId, { entityClass: this.entityClass, trx });
+        }
+
+        /**
+         * Pick the verb for methods whose outcome decides it.
+         * @private
+         * @returns {string}
+         */
+        _resolveVerb(name, before, after) {
+            if (name === 'upsert') return before ? 'updated' : 'created';
+
+            const activeKey = (this.activeColumn || 'is_active').replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+            return after?.[activeKey] ? 'activated' : 'deactivated';
+        }
+
+        /**
+         * Build the event and record it in the outbox, or emit it now or after the
+         * transaction commits. Emission failures are logged and never fail the
+         * write; outbox failures do.
+         * @private
+         * @returns {Promise<void>}
+         */
+        async _publish(verb, { before, after, opts, trx, soft }) {
+            const beforePlain = before ? this.toPlain(before) : null;
+            const afterPlain = after ? this.toPlain(after) : null;
+            const entity = kREMOVAL_VERBS.has(verb) ? before : (after || before);
+            const actorId = opts.actor?.id ?? null;
+
+            const name = `${this.eventPrefix}.${verb}`;
+            const payload = {
+                id      : entity?.id ?? null,
+                entity  : entity ? Object.freeze(snapshot(entity)) : null,
+                before  : beforePlain,
+                after   : afterPlain,
+                changes : diff(beforePlain, afterPlain),
+                actorId,
+                ...(soft ? { soft: true } : {}),
+            };
+            const meta = {
+                user_id  : actorId,
+                trace_id : opts.traceId ?? null,
+            };
+
+            if (this.outbox) {
+                await this.outbox.add(name, payload, meta, { trx });
+                return;
+            }
+
+            const emit = () => {
+                try {
+                    this.events.emit(name, payload, meta);
+                }
+                catch (error) {
+                    console.error(`[${this.eventPrefix}-service] failed to emit ${name}:`, error);
+                }
+            };
+
+            if (trx?.executionPromise) {
+                afterCommit(trx, emit);
+                return;
+            }
+            emit();
+        }
+    };
+};
+
+module.exports = withPluggable;
@@ -0,0 +1,165 @@
+/**
+ * @module Service Mixins
+ * @fileoverview withSoftDeletable - Soft delete, restore and deleted-row filtering for services.
+ *
+ * Catalog tables (icons, illustrations, sets, families, images) keep rows after
+ * a delete and flag them with `is_deleted`. This mixin adds the methods that
+ * manage that flag and hides flagged rows from list queries by default.
+ *
+ * **Lifecycle:**
+ * ```
+ *   active row ──softDelete()──→ deleted row ──purge()──→ gone
+ *        ↑                           │
+ *        └─────────restore()─────────┘  (row stays inactive until activate())
+ * ```
+ *
+ * **Read filtering:**
+ * `getWhere()`, `paginate()` and `cursorPage()` add `is_deleted = false` unless the
+ * call passes `{ withDeleted: true }` or sets `is_deleted` in the where clause
+ * itself. `getById()` and `getOne()` are not filtered, so a deleted row can still
+ * be looked up by ID to restore it.
+ *
+ * Models without an `is_deleted` column are left untouched by the filter.
+ * `deleted_at` is stamped on soft delete and cleared on restore only when the
+ * model declares that column.
+ *
+ * @example
+ * await familyService.softDelete(12);          // is_deleted=true, is_active=false, deleted_at=now
+ * await familyService.getWhere({});            // excludes family 12
+ * await familyService.getWhere({}, { withDeleted: true }); // includes it
+ * await familyService.getDeleted();            // only deleted families
+ * await familyService.restore(12);             // is_deleted=false, deleted_at=null
+ * await familyService.purge(12);               // throws: family 12 is not deleted
+ */
+
+/**
+ * Mixin to add soft delete support to a service class.
+ *
+ * **Methods Added:**
+ * - `softDelete(id)` - Flag a record deleted and inactive
+ * - `restore(id)` - Clear the deleted flag
+ * - `purge(id)` - Permanently remove a soft-deleted record
+ * - `getDeleted(where)` - List soft-deleted records
+ *
+ * **Methods Changed:**
+ * - `getWhere()`, `paginate()`, `cursorPage()` - Exclude deleted rows unless `withDeleted: true`
+ *
+ * @param {Function} BaseClass - Service class to extend
+ * @returns {Function} Service class with soft delete support
+ */
+const withSoftDeletable = (BaseClass) => {
+    return class extends BaseClass {
+        async getWhere(where = {}, opts = {}) {
+            const { results } = await this.paginate(where, 1, 1000, opts);
+            return results;
+        }
+
+        async paginate(where = {}, page = 1, pageSize = 10, opts = {}) {
+            return super.paginate(this._excludeDeleted(where, opts), page, pageSize, opts);
+        }
+
+        async cursorPage(where = {}, order = [], opts = {}) {
+            return super.cursorPage(this._excludeDeleted(where, opts), order, opts);
+        }
+
+        /**
+         * Get soft-deleted records matching a where clause.
+         * @param {Object} [where={}]
+         * @param {Object} [opts]
+         * @param {Object} [opts.trx]
+         * @returns {Promise<Array<*>>} Array of Entity instances
+         */
+        async getDeleted(where = {}, opts = {}) {
+            return this.getWhere({ ...where, is_deleted: true }, { ...opts, withDeleted: true });
+        }
+
+        /**
+         * Soft delete a record by its ID.
+         * Marks the record deleted and inactive, and stamps `deleted_at` where the model has it.
+         * Throws if not found.
+         * @param {string|number} id
+         * @param {Object} [opts]
+         * @param {Object} [opts.trx]
+         */
+        async softDelete(id, { trx } = {}) {
+            await this._assertFound(id, { trx });
+
+            const updateData = { is_deleted: true };
+            if (this.modelHasColumn('is_active')) {
+                updateData.is_active = false;
+            }
+            if (this.modelHasColumn('deleted_at')) {
+                updateData.deleted_at = new Date().toISOString();
+            }
+
+            return this.repository.update(id, updateData, { trx });
+        }
+
+        /**
+         * Restore a soft-deleted record by its ID.
+         * The record stays inactive; call `activate()` to publish it again.
+         * Throws if not found.
+         * @param {string|number} id
+         * @param {Object} [opts]
+         * @param {Object} [opts.trx]
+         */
+        async restore(id, { trx } = {}) {
+            await this._assertFound(id, { trx });
+
+            const updateData = { is_deleted: false };
+            if (this.modelHasColumn('deleted_at')) {
+                updateData.deleted_at = null;
+            }
+
+            return this.repository.update(id, updateData, { trx });
+        }
+
+        /**
+         * Permanently delete a soft-deleted record by its ID.
+         * Refuses records that have not been soft-deleted first, so a live row
+         * cannot be removed by accident. Returns the number of rows deleted.
+         * @param {string|number} id
+         * @param {Object} [opts]
+         * @param {Object} [opts.trx]
+         */
+        async purge(id, { trx } = {}) {
+            const record = await this._assertFound(id, { trx });
+            if (!record.isDeleted) {
+                throw new Error(`${this.entityClass.name} with ID ${id} is not deleted; soft delete it before purging`);
+            }
+            return this.repository.delete(id, { trx });
+        }
+
+        /**
+         * Add the `is_deleted = false` filter unless the caller opted out.
+         * @private
+         * @param {Object} where
+         * @param {Object} opts
+         * @param {boolean} [opts.withDeleted=false]
+         * @returns {Object}
+         */
+        _excludeDeleted(where = {}, { withDeleted = false } = {}) {
+            if (withDeleted || where.is_deleted !== undefined || !this.modelHasColumn('is_deleted')) {
+                return where;
+            }
+            return { ...where, is_deleted: false };
+        }
+
+        /**
+         * Load a record by ID, bypassing any cache, or throw if it does not exist.
+         * @private
+         * @param {string|number} id
+         * @param {Object} opts
+         * @returns {Promise<*>}
+         */
+        async _assertFound(id, { trx } = {}) {
+            const record = await this.repository.findById(id, { entityClass: this.entityClass, trx });
+            if (!record) {
+                throw new Error(`${this.entityClass.name} with ID ${id} not found`);
+            }
+            return record;
+        }
+    };
+};
+
+module.exports = withSoftDeletable;
@@ -0,0 +1,254 @@
+jest.mock('@vectoricons.net/db', () => ({}), { virtual: true });
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    PluginManager,
+    validateManifest,
+    resolvePluginConfig,
+    loadPluginConfig,
+} = require('..');
+
+/**
+ * Minimal bus: remembers subscriptions in order and runs them on emit.
+ */
+const createBus = () => {
+    const handlers = [];
+    return {
+        handlers,
+        on: jest.fn((event, handler, config) => handlers.push({ event, handler, config })),
+        off: jest.fn((event, handler) => {
+            const index = handlers.findIndex(entry => entry.event === event && entry.handler === handler);
+            if (index >= 0) handlers.splice(index, 1);
+        }),
+        emit: async (event, data) => {
+            for (const entry of handlers.filter(entry => entry.event === event)) {
+                await entry.handler({ name: event, data });
+            }
+        },
+    };
+};
+
+const createPlugin = (name, overrides = {}, calls = []) => ({
+    manifest: { name, version: '1.0.0', events: ['user.signup'], ...overrides },
+    handler: jest.fn(async (event, context) => calls.push([name, context.config])),
+});
+
+describe('PluginManager', () => {
+    let bus;
+    let manager;
+    let calls;
+
+    beforeEach(() => {
+        bus = createBus();
+        manager = new PluginManager({ eventBus: bus, logger: { warn: jest.fn(), error: jest.fn() } });
+        calls = [];
+    });
+
+    describe('manifests', () => {
+        it('should apply defaults', () => {
+            expect(validateManifest(createPlugin('welcome-offer'))).toEqual({
+                name: 'welcome-offer',
+                version: '1.0.0',
+                description: '',
+                events: ['user.signup'],
+                enabled: true,
+                priority: 100,
+                configSchema: null,
+                options: {},
+            });
+        });
+
+        it('should list every problem', () => {
+            expect(() => validateManifest({ manifest: { name: 'Bad Name', version: '1', events: [] } }, 'bad.js'))
+                .toThrow('Plugin "Bad Name" (bad.js) is invalid: name must be kebab-case; version must be semver (e.g. 1.0.0); '
+                    + 'events must be a non-empty array of event names; the module must export a handler function');
+            expect(() => validateManifest({ handler() {} })).toThrow('Plugin does not export a manifest');
+        });
+    });
+
+    describe('lifecycle', () => {
+        it('should subscribe enabled plugins with their handler options', async () => {
+            const plugin = createPlugin('welcome-offer', { options: { retry: { attempts: 3 } } }, calls);
+
+            const description = await manager.register(plugin);
+            await bus.emit('user.signup', { id: 1 });
+
+            expect(description).toMatchObject({ name: 'welcome-offer', enabled: true, priority: 100 });
+            expect(bus.on).toHaveBeenCalledWith('user.signup', expect.any(Function), { name: 'welcome-offer', retry: { attempts: 3 } });
+            expect(plugin.handler).toHaveBeenCalledWith({ name: 'user.signup', data: { id: 1 } }, expect.objectContaining({
+                config: {},
+                manifest: expect.objectContaining({ name: 'welcome-offer' }),
+            }));
+        });
+
+        it('should refuse duplicate names and unknown plugins', async () => {
+            await manager.register(createPlugin('welcome-offer'));
+
+            await expect(manager.register(createPlugin('welcome-offer'))).rejects.toThrow('Plugin "welcome-offer" is already registered');
+            await expect(manager.enable('missing')).rejects.toThrow('Plugin "missing" is not registered');
+            expect(await manager.unregister('missing')).toBe(false);
+        });
+
+        it('should disable, re-enable and unregister', async () => {
+            const plugin = createPlugin('welcome-offer', {}, calls);
+            await manager.register(plugin);
+
+            expect(await manager.disable('welcome-offer')).toBe(true);
+            expect(await manager.disable('welcome-offer')).toBe(false);
+            await bus.emit('user.signup', {});
+            expect(plugin.handler).not.toHaveBeenCalled();
+
+            expect(await manager.enable('welcome-offer')).toBe(true);
+            await bus.emit('user.signup', {});
+            expect(plugin.handler).toHaveBeenCalledTimes(1);
+
+            expect(await manager.unregister('welcome-offer')).toBe(true);
+            expect(bus.handlers).toEqual([]);
+            expect(manager.list()).toEqual([]);
+        });
+
+        it('should leave plugins disabled by their manifest or settings', async () => {
+            manager.config = { 'hello-world': { enabled: false } };
+            await manager.register(createPlugin('template', { enabled: false }));
+            await manager.register(createPlugin('hello-world'));
+            await manager.register(createPlugin('welcome-offer'), { enabled: false });
+
+            expect(manager.list().map(({ name, enabled }) => [name, enabled])).toEqual([
+                ['hello-world', false], ['template', false], ['welcome-offer', false],
+            ]);
+            expect(bus.on).not.toHaveBeenCalled();
+        });
+
+        it('should run setup before subscribing and teardown after unsubscribing', async () => {
+            const order = [];
+            const plugin = {
+                ...createPlugin('welcome-offer'),
+                setup: jest.fn(async () => order.push(['setup', bus.handlers.length])),
+                teardown: jest.fn(async () => order.push(['teardown', bus.handlers.length])),
+            };
+
+            await manager.register(plugin);
+            await manager.disable('welcome-offer');
+
+            expect(order).toEqual([['setup', 0], ['teardown', 0]]);
+        });
+
+        it('should keep a plugin whose setup fails registered but disabled', async () => {
+            const plugin = { ...createPlugin('welcome-offer'), setup: async () => { throw new Error('no smtp'); } };
+
+            await expect(manager.register(plugin)).rejects.toThrow('no smtp');
+            expect(manager.get('welcome-offer')).toMatchObject({ enabled: false });
+            expect(bus.on).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('ordering', () => {
+        it('should run plugins on a shared event by priority, even when enabled late', async () => {
+            await manager.register(createPlugin('audit', { priority: 200 }, calls));
+            await manager.register(createPlugin('welcome-offer', { enabled: false, priority: 10 }, calls));
+            await manager.register(createPlugin('analytics', {}, calls));
+            await manager.enable('welcome-offer');
+
+            await bus.emit('user.signup', {});
+
+            expect(calls.map(([name]) => name)).toEqual(['welcome-offer', 'analytics', 'audit']);
+            expect(manager.list().map(({ name }) => name)).toEqual(['welcome-offer', 'analytics', 'audit']);
+        });
+    });
+
+    describe('config', () => {
+        const configSchema = {
+            type: 'object',
+            properties: {
+                amount: { type: 'number', default: 10 },
+                validDays: { type: 'integer', minimum: 1, default: 30 },
+            },
+            additionalProperties: false,
+        };
+
+        it('should fill schema defaults and pass the config to the handler', async () => {
+            manager.config = { 'welcome-offer': { config: { amount: 15 } } };
+            await manager.register(createPlugin('welcome-offer', { configSchema }, calls));
+
+            await bus.emit('user.signup', {});
+
+            expect(calls).toEqual([['welcome-offer', { amount: 15, validDays: 30 }]]);
+        });
+
+        it('should reject invalid config at registration and on configure()', async () => {
+            await expect(manager.register(createPlugin('welcome-offer', { configSchema }), { config: { validDays: 0, color: 'red' } }))
+                .rejects.toThrow('Plugin "welcome-offer" config is invalid: config must NOT have additional properties; config/validDays must be >= 1');
+
+            await manager.register(createPlugin('other', { configSchema }, calls));
+            expect(() => manager.configure('other', { amount: 'lots' })).toThrow('config/amount must be number');
+
+            expect(manager.configure('other', { amount: 20 })).toEqual({ amount: 20, validDays: 30 });
+            await bus.emit('user.signup', {});
+            expect(calls).toEqual([['other', { amount: 20, validDays: 30 }]]);
+        });
+
+        it('should merge the environment section over the defaults', () => {
+            const document = {
+                default: { 'welcome-offer': { priority: 10, config: { amount: 10, validDays: 30 } } },
+                production: { 'welcome-offer': { config: { amount: 15 } }, 'hello-world': { enabled: false } },
+            };
+
+            expect(resolvePluginConfig(document, { env: 'production' })).toEqual({
+                'welcome-offer': { priority: 10, config: { amount: 15, validDays: 30 } },
+                'hello-world': { enabled: false },
+            });
+            expect(resolvePluginConfig(document, { env: 'test' })).toEqual(document.default);
+            expect(() => resolvePluginConfig({ default: { x: { enabeld: false } } }))
+                .toThrow('plugin config: unknown settings for plugin "x": enabeld');
+            expect(() => resolvePluginConfig({ default: { x: { enabled: 'no' } } }))
+                .toThrow('plugins.x.enabled must be true or false');
+        });
+
+        it('should load the bundled plugins.yml', () => {
+            const settings = loadPluginConfig(path.join(__dirname, '..', 'plugins.yml'), { env: 'production' });
+
+            expect(settings['hello-world']).toEqual({ enabled: false });
+            expect(settings['welcome-offer'].config).toEqual({ amount: 10, validDays: 30 });
+        });
+    });
+
+    describe('discovery', () => {
+        let directory;
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+            const plugin = (name, extra = '') => `module.exports = {
+                manifest: { name: '${name}', version: '1.0.0', events: ['user.signup'] ${extra} },
+                handler: async () => {},
+            };`;
+            fs.writeFileSync(path.join(directory, 'b-plugin.js'), plugin('b-plugin'));
+            fs.writeFileSync(path.join(directory, 'a-plugin.js'), plugin('a-plugin', ", priority: 300"));
+            fs.writeFileSync(path.join(directory, 'helpers.js'), 'module.exports = {};');
+            fs.writeFileSync(path.join(directory, 'index.js'), 'throw new Error("index must not be loaded");');
+            fs.writeFileSync(path.join(directory, 'b-plugin.test.js'), 'throw new Error("tests must not be loaded");');
+        });
+
+        afterEach(() => {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        it('should register every plugin module in a directory once', async () => {
+            const registered = await manager.loadDirectory(directory);
+
+            expect(registered.map(({ name, source }) => [name, path.basename(source)]))
+                .toEqual([['a-plugin', 'a-plugin.js'], ['b-plugin', 'b-plugin.js']]);
+            expect(manager.list().map(({ name }) => name)).toEqual(['b-plugin', 'a-plugin']);
+            expect(manager.logger.warn).toHaveBeenCalledWith('[PluginManager] helpers.js has no manifest, skipping');
+
+            expect(await manager.loadDirectory(directory)).toEqual([]);
+        });
+
+        it('should load the bundled plugins under the new contract', () => {
+            const names = manager.discover(path.join(__dirname, '..')).map(({ plugin }) => validateManifest(plugin).name);
+
+            expect(names).toEqual(['hello-world', 'notify-email', 'notify-slack', 'template', 'welcome-offer']);
+        });
+    });
+});
@@ -1,12 +1,15 @@
-const { EventBus, EventTypes } = require('../event-bus');
+const EventTypes = require('../event-bus/EventTypes.js');
 
 const handler = async (event) => {
     // console.log('hello-world event', event);
     console.log('hello-world called', event?.data);
 };
 
-// Register the plugin with the event bus
-EventBus.on(EventTypes.APP_START, handler);
+const manifest = {
+    name: 'hello-world',
+    version: '1.0.0',
+    description: 'Logs app.start, to check that plugins are loaded.',
+    events: [EventTypes.APP_START],
+};
 
-// Export for unit testing.
-module.exports = { handler };
\ No newline at end of file
+module.exports = { manifest, handler };
\ No newline at end of file
@@ -1,4 +1,71 @@
-require('./hello-world');
-require('./notify-email');
-require('./notify-slack');
-require('./welcome-offer');
\ No newline at end of file
+const path = require('path');
+const PluginManager = require('./manager/PluginManager.js');
+const { validateManifest } = require('./manager/manifest.js');
+const { loadPluginConfig, resolvePluginConfig } = require('./manager/config.js');
+
+/**
+ * @module Plugin System
+ * @fileoverview EventBus plugins.
+ *
+ * Requiring this module no longer subscribes anything. Load the plugins once at
+ * boot:
+ * ```javascript
+ * await loadPlugins();   // every plugin in this directory, settings from plugins.yml
+ * ```
+ * then manage them through `getPluginManager()` (enable, disable, configure...).
+ */
+
+const kPLUGINS_DIR = __dirname;
+const kDEFAULT_CONFIG_FILE = path.join(__dirname, 'plugins.yml');
+
+let manager = null;
+
+/**
+ * Get the process-wide plugin manager, created on first use.
+ * @returns {PluginManager}
+ */
+const getPluginManager = () => {
+    if (!manager) manager = new PluginManager();
+    return manager;
+};
+
+/**
+ * Replace the process-wide plugin manager.
+ * @param {PluginManager} nextManager
+ */
+const setPluginManager = (nextManager) => {
+    if (!(nextManager instanceof PluginManager)) {
+        throw new Error('setPluginManager requires a PluginManager instance');
+    }
+    manager = nextManager;
+};
+
+/**
+ * Load the per-environment settings and register every plugin in a directory
+ * with the process-wide manager.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.directory] - Default: this directory
+ * @param {string} [options.configFile] - Default: PLUGINS_CONFIG_FILE, else plugins.yml here
+ * @param {string} [options.env] - Default: NODE_ENV, else 'development'
+ * @returns {Promise<Array<Object>>} Descriptions of the plugins registered
+ */
+const loadPlugins = async ({
+    directory = kPLUGINS_DIR,
+    configFile = process.env.PLUGINS_CONFIG_FILE || kDEFAULT_CONFIG_FILE,
+    env,
+} = {}) => {
+    const pluginManager = getPluginManager();
+    pluginManager.config = loadPluginConfig(configFile, { env });
+    return pluginManager.loadDirectory(directory);
+};
+
+module.exports = {
+    PluginManager,
+    validateManifest,
+    loadPluginConfig,
+    resolvePluginConfig,
+    getPluginManager,
+    setPluginManager,
+    loadPlugins,
+};
@@ -0,0 +1,314 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { validateManifest } = require('./manifest.js');
+const { logger: defaultLogger } = require('../../../utils/Logger.js');
+
+/**
+ * @module Plugin System
+ * @fileoverview PluginManager - Registers, orders, configures and unloads EventBus plugins.
+ *
+ * Plugins used to subscribe themselves when required, so they could not be
+ * turned off, ordered or configured. Now a plugin module only exports a manifest
+ * and a handler (see manifest.js); the manager owns its subscriptions:
+ * ```
+ * register(plugin) ──> validate manifest + config ──> enabled? ──> setup() ──> EventBus.on(events)
+ * disable(name)    ──> EventBus.off(events) ──> teardown()
+ * ```
+ *
+ * - **Ordering:** on an event shared by several plugins, handlers are subscribed
+ *   (and, with the Memory adapter, run) by ascending priority, then name.
+ * - **Config:** each plugin's config is validated against its `configSchema`,
+ *   schema defaults filled in, and passed to the handler on every call.
+ * - **Settings:** `enabled`, `priority` and `config` from the YAML file (see
+ *   config.js) override the manifest; arguments to `register()` override both.
+ *
+ * @example
+ * const manager = new PluginManager({ config: loadPluginConfig('config/plugins.yml') });
+ * await manager.loadDirectory(path.join(__dirname, 'plugins'));
+ * await manager.disable('welcome-offer');
+ */
+class PluginManager {
+    /**
+     * @param {Object} [options]
+     * @param {EventBus} [options.eventBus] - Default: the EventBus singleton
+     * @param {Object} [options.config={}] - Settings by plugin name, e.g. from loadPluginConfig()
+     * @param {Object} [options.logger] - Default: utils/Logger
+     */
+    constructor({ eventBus = null, config = {}, logger = defaultLogger } = {}) {
+        this._eventBus = eventBus;
+        this.config = config;
+        this.logger = logger;
+        this.ajv = addFormats(new Ajv({ allErrors: true, useDefaults: true, strict: false }));
+
+        /**
+         * Registered plugins by name.
+         * @type {Map<string, Object>}
+         * @private
+         */
+        this.plugins = new Map();
+    }
+
+    /**
+     * The bus plugins subscribe to, loaded on first use.
+     * @type {EventBus}
+     */
+    get eventBus() {
+        if (!this._eventBus) {
+            this._eventBus = require('../../event-bus').EventBus;
+        }
+        return this._eventBus;
+    }
+
+    /**
+     * Register a plugin, and enable it unless its settings say otherwise.
+     *
+     * @param {Object} plugin - Plugin module exports
+     * @param {Object} [settings] - Override the config file and manifest
+     * @param {boolean} [settings.enabled]
+     * @param {number} [settings.priority]
+     * @param {Object} [settings.config]
+     * @param {string} [settings.source] - File the plugin came from, for error messages
+     * @returns {Promise<Object>} The plugin's description, see list()
+     * @throws {Error} If the manifest or config is invalid, or the name is taken. A
+     *   failing setup() is rethrown; the plugin stays registered, disabled.
+     */
+    async register(plugin, { source = null, ...overrides } = {}) {
+        const manifest = validateManifest(plugin, source);
+        if (this.plugins.has(manifest.name)) {
+            throw new Error(`Plugin "${manifest.name}" is already registered`);
+        }
+
+        const settings = { ...this.config[manifest.name], ...overrides };
+        const record = {
+            manifest,
+            plugin,
+            source,
+            enabled       : false,
+            priority      : settings.priority ?? manifest.priority,
+            config        : this.validateConfig(manifest, settings.config),
+            logger        : this.logger.child ? this.logger.child({ plugin: manifest.name }) : this.logger,
+            subscriptions : new Map(),
+        };
+        this.plugins.set(manifest.name, record);
+
+        if (settings.enabled ?? manifest.enabled) {
+            await this.enable(manifest.name);
+        }
+        return this.describe(record);
+    }
+
+    /**
+     * Disable a plugin and forget it.
+     * @param {string} name
+     * @returns {Promise<boolean>} False if it was not registered
+     */
+    async unregister(name) {
+        if (!this.plugins.has(name)) return false;
+        await this.disable(name);
+        this.plugins.delete(name);
+        return true;
+    }
+
+    /**
+     * Run the plugin's setup() and subscribe its handler.
+     * @param {string} name
+     * @returns {Promise<boolean>} False if it was already enabled
+     * @throws {Error} If the plugin is not registered, or setup() fails (it stays disabled)
+     */
+    async enable(name) {
+        const record = this.require(name);
+        if (record.enabled) return false;
+
+        await record.plugin.setup?.(this.contextFor(record));
+        record.enabled = true;
+        this.resubscribe(record.manifest.events);
+        return true;
+    }
+
+    /**
+     * Unsubscribe the plugin's handler and run its teardown().
+     * @param {string} name
+     * @returns {Promise<boolean>} False if it was already disabled
+     * @throws {Error} If the plugin is not registered
+     */
+    async disable(name) {
+        const record = this.require(name);
+        if (!record.enabled) return false;
+
+        for (const [event, bound] of record.subscriptions) {
+            this.eventBus.off(event, bound);
+        }
+        record.subscriptions.clear();
+        record.enabled = false;
+
+        try {
+            await record.plugin.teardown?.(this.contextFor(record));
+        }
+        catch (error) {
+            record.logger.error(`[PluginManager] teardown of "${name}" failed:`, error);
+        }
+        return true;
+    }
+
+    /**
+     * Replace a plugin's config. Handlers see it from their next call.
+     * @param {string} name
+     * @param {Object} config
+     * @returns {Object} The validated config, with schema defaults
+     * @throws {Error} If the plugin is not registered or the config is invalid
+     */
+    configure(name, config) {
+        const record = this.require(name);
+        record.config = this.validateConfig(record.manifest, config);
+        return record.config;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Object|null} The plugin's description, see list()
+     */
+    get(name) {
+        const record = this.plugins.get(name);
+        return record ? this.describe(record) : null;
+    }
+
+    /**
+     * Registered plugins in run order.
+     * @returns {Array<{name: string, version: string, description: string, events: string[], enabled: boolean, priority: number, config: Object, source: string|null}>}
+     */
+    list() {
+        return this.ordered().map(record => this.describe(record));
+    }
+
+    /**
+     * Load the plugin modules in a directory, without registering them.
+     * Every `.js` file except index.js and tests is required; modules without a
+     * manifest are skipped.
+     *
+     * @param {string} directory
+     * @returns {Array<{plugin: Object, source: string}>}
+     */
+    discover(directory) {
+        return fs.readdirSync(directory)
+            .filter(file => file.endsWith('.js') && file !== 'index.js' && !/\.(test|spec)\.js$/.test(file))
+            .sort()
+            .map(file => ({ plugin: require(path.join(directory, file)), source: file }))
+            .filter(({ plugin, source }) => {
+                if (plugin?.manifest) return true;
+                this.logger.warn(`[PluginManager] ${source} has no manifest, skipping`);
+                return false;
+            });
+    }
+
+    /**
+     * Register every plugin in a directory that isn't registered yet.
+     *
+     * @param {string} directory
+     * @returns {Promise<Array<Object>>} Descriptions of the plugins registered
+     */
+    async loadDirectory(directory) {
+        const registered = [];
+        for (const { plugin, source } of this.discover(directory)) {
+            if (this.plugins.has(plugin.manifest.name)) continue;
+            registered.push(await this.register(plugin, { source: path.join(directory, source) }));
+        }
+        return registered;
+    }
+
+    /**
+     * Disable and forget every plugin.
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        for (const { manifest } of this.ordered().reverse()) {
+            await this.unregister(manifest.name);
+        }
+    }
+
+    /**
+     * Re-subscribe the enabled plugins on some events in priority order, so a
+     * plugin enabled late still runs in its place.
+     * @private
+     * @param {string[]} events
+     */
+    resubscribe(events) {
+        for (const record of this.ordered()) {
+            if (!record.enabled) continue;
+
+            for (const event of record.manifest.events) {
+                if (!events.includes(event)) continue;
+
+                const previous = record.subscriptions.get(event);
+                if (previous) this.eventBus.off(event, previous);
+
+                const bound = (payload) => record.plugin.handler(payload, this.contextFor(record));
+                record.subscriptions.set(event, bound);
+                this.eventBus.on(event, bound, { name: record.manifest.name, ...record.manifest.options });
+            }
+        }
+    }
+
+    /**
+     * Validate a config against the manifest's schema, filling in defaults.
+     * @private
+     * @returns {Object} Frozen config
+     */
+    validateConfig(manifest, config = {}) {
+        const data = structuredClone(config ?? {});
+        if (manifest.configSchema) {
+            const validate = this.ajv.compile(manifest.configSchema);
+            if (!validate(data)) {
+                const detail = validate.errors.map(({ instancePath, message }) => `config${instancePath} ${message}`).join('; ');
+                throw new Error(`Plugin "${manifest.name}" config is invalid: ${detail}`);
+            }
+        }
+        return Object.freeze(data);
+    }
+
+    /**
+     * @private
+     * @returns {Object} Second argument of handler(), setup() and teardown()
+     */
+    contextFor(record) {
+        return { config: record.config, manifest: record.manifest, logger: record.logger };
+    }
+
+    /**
+     * @private
+     */
+    require(name) {
+        const record = this.plugins.get(name);
+        if (!record) {
+            throw new Error(`Plugin "${name}" is not registered`);
+        }
+        return record;
+    }
+
+    /**
+     * @private
+     */
+    ordered() {
+        return [...this.plugins.values()].sort((a, b) => a.priority - b.priority
+            || a.manifest.name.localeCompare(b.manifest.name));
+    }
+
+    /**
+     * @private
+     */
+    describe({ manifest, enabled, priority, config, source }) {
+        return {
+            name        : manifest.name,
+            version     : manifest.version,
+            description : manifest.description,
+            events      : [...manifest.events],
+            enabled,
+            priority,
+            config,
+            source,
+        };
+    }
+}
+
+module.exports = PluginManager;
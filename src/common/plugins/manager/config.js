@@ -0,0 +1,88 @@
+/**
+ * @module Plugin System
+ * @fileoverview Per-environment plugin settings from YAML.
+ *
+ * ```yaml
+ * # Applies everywhere
+ * default:
+ *   welcome-offer:
+ *     priority: 10
+ *     config:
+ *       amount: 10
+ *
+ * # Merged over default when NODE_ENV matches
+ * production:
+ *   hello-world:
+ *     enabled: false
+ *   welcome-offer:
+ *     config:
+ *       amount: 15
+ * ```
+ * Each plugin entry may set `enabled`, `priority` and `config`; unset keys keep
+ * the manifest's defaults. `config` objects are merged key by key.
+ */
+
+const kSETTINGS = new Set(['enabled', 'priority', 'config']);
+
+/**
+ * Merge environment settings over defaults.
+ * @private
+ */
+const mergeSettings = (base = {}, override = {}) => {
+    const merged = { ...base };
+    for (const [name, settings] of Object.entries(override || {})) {
+        const current = merged[name] || {};
+        merged[name] = {
+            ...current,
+            ...settings,
+            ...(settings?.config || current.config ? { config: { ...current.config, ...settings?.config } } : {}),
+        };
+    }
+    return merged;
+};
+
+/**
+ * Resolve the settings for one environment from a parsed document.
+ *
+ * @param {Object} document - `{ default, <env>... }`
+ * @param {Object} [options]
+ * @param {string} [options.env=process.env.NODE_ENV || 'development']
+ * @param {string} [options.source] - File name, for error messages
+ * @returns {Object<string, {enabled?: boolean, priority?: number, config?: Object}>} Settings by plugin name
+ * @throws {Error} On unknown setting keys or wrongly typed values
+ */
+const resolvePluginConfig = (document = {}, { env = process.env.NODE_ENV || 'development', source = 'plugin config' } = {}) => {
+    const settings = mergeSettings(mergeSettings({}, document?.default), document?.[env]);
+
+    for (const [name, entry] of Object.entries(settings)) {
+        const unknown = Object.keys(entry || {}).filter(key => !kSETTINGS.has(key));
+        if (unknown.length) {
+            throw new Error(`${source}: unknown settings for plugin "${name}": ${unknown.join(', ')}`);
+        }
+        if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') {
+            throw new Error(`${source}: plugins.${name}.enabled must be true or false`);
+        }
+        if (entry.priority !== undefined && !Number.isFinite(entry.priority)) {
+            throw new Error(`${source}: plugins.${name}.priority must be a number`);
+        }
+    }
+    return settings;
+};
+
+/**
+ * Load a YAML (or JSON) plugin config file through `utils.yml`.
+ *
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {string} [options.env] - Default: NODE_ENV, else 'development'
+ * @returns {Object} Settings by plugin name, see resolvePluginConfig()
+ */
+const loadPluginConfig = (filePath, { env } = {}) => {
+    const { yml } = require('../../../utils');
+    return resolvePluginConfig(yml(filePath), { env, source: filePath });
+};
+
+module.exports = {
+    resolvePluginConfig,
+    loadPluginConfig,
+};
@@ -0,0 +1,100 @@
+/**
+ * @module Plugin System
+ * @fileoverview Plugin module contract and manifest validation.
+ *
+ * A plugin is a module that exports a manifest and a handler, and does nothing
+ * when required. PluginManager subscribes the handler while the plugin is enabled.
+ * ```javascript
+ * module.exports = {
+ *   manifest: {
+ *     name: 'welcome-offer',                     // unique, kebab-case
+ *     version: '1.2.0',                          // semver
+ *     description: 'Emails a coupon to newly verified users',
+ *     events: [EventTypes.USER_VERIFY_EMAIL],    // names or patterns ('user.*')
+ *     enabled: true,                             // default; YAML config can override
+ *     priority: 100,                             // lower runs first on shared events
+ *     configSchema: { type: 'object', properties: { amount: { type: 'number', default: 10 } } },
+ *     options: { retry: { attempts: 3 }, onError: { notify: ['slack'] } },  // EventBus.on() config
+ *   },
+ *   handler: async (event, { config, manifest, logger }) => { ... },
+ *   setup: async ({ config }) => { ... },       // optional, before subscribing
+ *   teardown: async ({ config }) => { ... },    // optional, after unsubscribing
+ * };
+ * ```
+ */
+
+const kNAME = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const kVERSION = /^\d+\.\d+\.\d+(?:[-+][0-9A-Za-z.-]+)?$/;
+
+/**
+ * Default priority for plugins that don't declare one.
+ * @constant {number}
+ */
+const kDEFAULT_PRIORITY = 100;
+
+/**
+ * Check a plugin module and return its normalized, frozen manifest.
+ *
+ * @param {Object} plugin - Plugin module exports
+ * @param {string} [source] - File the plugin came from, for error messages
+ * @returns {Object} Manifest with defaults applied
+ * @throws {Error} If the module breaks the contract
+ */
+const validateManifest = (plugin, source = null) => {
+    const where = source ? ` (${source})` : '';
+    const manifest = plugin?.manifest;
+    if (!manifest || typeof manifest !== 'object') {
+        throw new Error(`Plugin${where} does not export a manifest`);
+    }
+
+    const label = `Plugin "${manifest.name}"${where}`;
+    const problems = [];
+
+    if (typeof manifest.name !== 'string' || !kNAME.test(manifest.name)) {
+        problems.push('name must be kebab-case');
+    }
+    if (typeof manifest.version !== 'string' || !kVERSION.test(manifest.version)) {
+        problems.push('version must be semver (e.g. 1.0.0)');
+    }
+    if (!Array.isArray(manifest.events) || !manifest.events.length
+        || !manifest.events.every(event => typeof event === 'string' && event)) {
+        problems.push('events must be a non-empty array of event names');
+    }
+    if (manifest.enabled !== undefined && typeof manifest.enabled !== 'boolean') {
+        problems.push('enabled must be a boolean');
+    }
+    if (manifest.priority !== undefined && !Number.isFinite(manifest.priority)) {
+        problems.push('priority must be a number');
+    }
+    if (manifest.configSchema !== undefined && (typeof manifest.configSchema !== 'object' || manifest.configSchema === null)) {
+        problems.push('configSchema must be a JSON schema object');
+    }
+    if (typeof plugin.handler !== 'function') {
+        problems.push('the module must export a handler function');
+    }
+    for (const hook of ['setup', 'teardown']) {
+        if (plugin[hook] !== undefined && typeof plugin[hook] !== 'function') {
+            problems.push(`${hook} must be a function`);
+        }
+    }
+
+    if (problems.length) {
+        throw new Error(`${label} is invalid: ${problems.join('; ')}`);
+    }
+
+    return Object.freeze({
+        name         : manifest.name,
+        version      : manifest.version,
+        description  : manifest.description || '',
+        events       : Object.freeze([...new Set(manifest.events)]),
+        enabled      : manifest.enabled ?? true,
+        priority     : manifest.priority ?? kDEFAULT_PRIORITY,
+        configSchema : manifest.configSchema || null,
+        options      : Object.freeze({ ...(manifest.options || {}) }),
+    });
+};
+
+module.exports = {
+    validateManifest,
+    kDEFAULT_PRIORITY,
+};
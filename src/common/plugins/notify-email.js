@@ -1,6 +1,6 @@
                                          // plugins/messenger-plugin.js
 
-const { EventBus, EventTypes } = require('../event-bus');
+const EventTypes = require('../event-bus/EventTypes.js');
 const MailService = require('../mail-service');
 
 const SampleEmailNotifierEvent = {
@@ -43,14 +43,17 @@ const handler = (event) => {
      MailService.maybeSendAutoResponder({ type, user, data });
 };
 
-// Register plugin once for unified notifications
-EventBus.on(EventTypes.NOTIFY_EMAIL, handler, {
-    onError: { notify: ['slack', 'email'] },
-});
+const manifest = {
+    name: 'notify-email',
+    version: '1.0.0',
+    description: 'Sends templated emails requested with notify-email events.',
+    events: [EventTypes.NOTIFY_EMAIL],
+    options: {
+        onError: { notify: ['slack', 'email'] },
+    },
+};
 
 module.exports = {
+    manifest,
     handler,
-    meta: {
-        onError: { notify: ['slack', 'email'] },
-    },
 };
\ No newline at end of file
@@ -1,6 +1,6 @@
  // plugins/messenger-plugin.js
 
-const { EventBus, EventTypes } = require('../event-bus');
+const EventTypes = require('../event-bus/EventTypes.js');
 const SlackMessenger = require('../SlackMessenger.js');
 
 const ExampleSlackEvent = {
@@ -34,14 +34,17 @@ const handler = async (event) => {
     await SlackMessenger.sendMessage(channel, message);
 };
 
-// Register plugin once for unified notifications
-EventBus.on(EventTypes.NOTIFY_SLACK, handler, {
-    onError: { notify: ['slack', 'email'] },
-});
+const manifest = {
+    name: 'notify-slack',
+    version: '1.0.0',
+    description: 'Posts Slack messages requested with notify-slack events.',
+    events: [EventTypes.NOTIFY_SLACK],
+    options: {
+        onError: { notify: ['slack', 'email'] },
+    },
+};
 
 module.exports = {
+    manifest,
     handler,
-    meta: {
-        onError: { notify: ['slack', 'email'] },
-    },
-};
\ No newline at end of file
+};
@@ -1,15 +1,14 @@
-  const { EventBus } = require('../event-bus');
-const SlackMessenger = require('../SlackMessenger.js');
 const mailService = require('../mail-service');
 
 /**
  * Plugin to send a cancellation offer email to the user.
- * This plugin listens for the 'cancel-subscription' event and sends an email with a discount offer.
- * @param {Object} user - The user object containing user details.
+ * This plugin listens for the 'foo-bar' event and sends an email with a discount offer.
+ * @param {Event} event - The event; its data holds the user details.
+ * @param {Object} context - Plugin context from PluginManager: { config, manifest, logger }.
  * @return {Promise<void>} - A promise that resolves when the email is sent.
  * @throws {Error} - Throws an error if the email sending fails.
  */
-const handler = async (event) => {
+const handler = async (event, { config, logger } = {}) => {
     const { data } = event;
     if (! data) {
         console.log('Data for plugin XXX not found.');
@@ -21,21 +20,33 @@ const handler = async (event) => {
     // Plugin logic goes here.
 }
 
-// Register the event handler
-// The third argument is a config object for how EventBus handles errors.
-// The options currently are 'slack' and 'email', which means if an error  
-// occurs during the execution of the plugin, the error is non-blocking but
-// the error will be logged and optionally notifications sent to Slack and/or
-// admin email.
-EventBus.on('foo-bar', handler, {
-    onError: {
-        notify: ['slack', 'email'] 
-    }
-});
+// The manifest tells PluginManager when and how to run the handler. Plugins
+// don't subscribe themselves: the manager subscribes `handler` to `events`
+// while the plugin is enabled, in `priority` order, and can disable it,
+// reconfigure it or unload it at runtime. plugins.yml overrides `enabled`,
+// `priority` and `config` per environment.
+//
+// `options` is the EventBus handler config. `onError.notify` takes 'slack'
+// and 'email': errors are non-blocking, but logged and optionally sent to
+// Slack and/or admin email. Add `retry: { attempts, backoff: 'exponential',
+// maxDelayMs }` to retry failed runs; events that still fail are dead-lettered
+// under the plugin name and can be replayed with EventBus.replayDeadLetter(id).
+const manifest = {
+    name: 'template',
+    version: '0.1.0',
+    description: 'Starting point for new plugins. Copy, rename and enable.',
+    events: ['foo-bar'],
+    // Disabled: the template only documents the contract
+    enabled: false,
+    configSchema: {
+        type: 'object',
+        properties: {},
+    },
+    options: {
+        onError: {
+            notify: ['slack', 'email']
+        }
+    },
+};
 
-// Export for unit testing.
-module.exports = { handler, meta: {
-    onError: {
-        notify: ['slack', 'email'] 
-    }
-}};    
\ No newline at end of file
+module.exports = { manifest, handler };
@@ -1,4 +1,5 @@
-const { EventBus, EventTypes } = require('../event-bus');
+const EventTypes = require('../event-bus/EventTypes.js');
+const { idempotent } = require('../event-bus/dedupe');
 const CouponCodeService = require('../../coupon-codes/CouponCodeService');
 const mailService = require('../mail-service');
 const { CouponCodeTypes, CouponCodeScopes } = require('../../utils/enums');
@@ -6,13 +7,17 @@ const { initCouponCodeService } = require('../../coupon-codes');
 
 /**
  * Handler for sending a welcome offer email to new users.
- * This function is triggered when a user signs up.
+ * This function is triggered when a user verifies their email address.
  * It creates a coupon code and sends an email with the coupon code details.
- * @param {Object} user - The user object containing user details.
+ * @param {Event} event - Event whose data is the user.
+ * @param {Object} [context] - Plugin context from PluginManager.
+ * @param {Object} [context.config] - Coupon settings, see manifest.configSchema.
  * @return {Promise<void>} - A promise that resolves when the email is sent.
  * @throws {Error} - Throws an error if the email sending fails.
  */
-const handler = async (event) => {
+const sendWelcomeOffer = async (event, { config = {} } = {}) => {
+    const { amount = 10, minPurchaseAmount = 5, validDays = 30 } = config;
+
     // ===========================================================================
     // Create Coupon Code & Send welcome offer email
     // ===========================================================================
@@ -32,11 +37,11 @@ const handler = async (event) => {
     const couponCode = await couponService.createRandom({
         type: CouponCodeTypes.Fixed,
         scope: CouponCodeScopes.Subscription,
-        amount: 10,
+        amount,
         max_uses: 1,
-        min_purchase_amount: 5,
+        min_purchase_amount: minPurchaseAmount,
         start_date: new Date().toISOString(),
-        end_date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+        end_date: new Date(Date.now() + validDays * 24 * 60 * 60 * 1000).toISOString(),
         entity_type: CouponCodeScopes.Subscription,
     }, 8);
 
@@ -51,18 +56,33 @@ const handler = async (event) => {
     });
 };
 
-// Register the plugin with the event bus
-EventBus.on(EventTypes.USER_VERIFY_EMAIL, handler, {
-    onError: {
-        notify: ['slack', 'email']
-    }
-});
-
-module.exports = {
-    handler,
-    meta: {
+const manifest = {
+    name: 'welcome-offer',
+    version: '1.0.0',
+    description: 'Emails a single-use subscription coupon to users who verify their email address.',
+    events: [EventTypes.USER_VERIFY_EMAIL],
+    configSchema: {
+        type: 'object',
+        properties: {
+            amount: { type: 'number', exclusiveMinimum: 0, default: 10 },
+            minPurchaseAmount: { type: 'number', minimum: 0, default: 5 },
+            validDays: { type: 'integer', minimum: 1, default: 30 },
+        },
+        additionalProperties: false,
+    },
+    options: {
+        // Names the handler in dead letters, so a failed welcome offer can be replayed
+        name: 'welcome-offer',
+        // Reads data.email, which user.verify-email v1 guarantees
+        versions: [1],
         onError: {
             notify: ['slack', 'email']
         }
-    }
+    },
+};
+
+module.exports = {
+    manifest,
+    // A redelivered event must not issue a second coupon.
+    handler: idempotent('welcome-offer', sendWelcomeOffer),
 };
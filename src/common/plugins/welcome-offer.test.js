@@ -12,11 +12,21 @@ jest.mock('../SlackMessenger', () => ({
 const mailService = require('../mail-service');
 const { EventBus, EventTypes } = require('../event-bus');
 const SlackMessenger = require('../SlackMessenger');
+const { PluginManager } = require('./index');
 
-// Register the plugin after mocks
-require('./welcome-offer');
+// Load the plugin after mocks
+const welcomeOffer = require('./welcome-offer');
+const plugins = new PluginManager({ eventBus: EventBus });
 
 describe('Welcome Offer Plugin', () => {
+    beforeAll(async () => {
+        await plugins.register(welcomeOffer);
+    });
+
+    afterAll(async () => {
+        await plugins.clear();
+    });
+
     beforeEach(() => {
         jest.clearAllMocks();
         jest.spyOn(console, 'error').mockImplementation(() => {});
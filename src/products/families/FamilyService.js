@@ -3,18 +3,19 @@ const BaseService = require('../../common/BaseService');
 const FamilyEntity = require('./FamilyEntity');
 const FamilyRepository = require('./FamilyRepository');
 const DB = require('@vectoricons.net/db');
-const { withSoftDeletable, withActivatable } = require('../../common/mixins/service');
+const { withSoftDeletable, withActivatable, withAccessControl } = require('../../common/mixins/service');
 
 /**
  * @module Products Domain
- * @fileoverview FamilyService - Service for managing family data with soft delete and activation support.
+ * @fileoverview FamilyService - Service for managing family data with soft delete, activation and access control support.
  * @class FamilyService
  */
-class FamilyService extends withSoftDeletable(withActivatable(BaseService)) {
-    constructor({ repository, entityClass } = {}) {
+class FamilyService extends withAccessControl(withSoftDeletable(withActivatable(BaseService))) {
+    constructor({ repository, entityClass, accessControl } = {}) {
         super({
             repository: repository || new FamilyRepository({ DB }),
             entityClass: entityClass || FamilyEntity,
+            accessControl: { publicField: 'isActive', ...accessControl },
         });
     }
 
@@ -60,7 +60,7 @@ describe('FamilyService - Custom Tests', () => {
     describe('Family Creation and Retrieval', () => {
         test('creates family with all fields', async () => {
             const familyData = await seedOne();
-            const family = await service.create(familyData, { trx });
+            const family = await service.create(familyData, { trx, system: true });
 
             expect(family).toBeInstanceOf(FamilyEntity);
             expect(family.name).toBe(familyData.name);
@@ -77,7 +77,7 @@ describe('FamilyService - Custom Tests', () => {
 
         test('auto-generates unique_id on creation', async () => {
             const familyData = await seedOne();
-            const family = await service.create(familyData, { trx });
+            const family = await service.create(familyData, { trx, system: true });
 
             expect(family.uniqueId).toBeDefined();
             expect(typeof family.uniqueId).toBe('string');
@@ -86,9 +86,9 @@ describe('FamilyService - Custom Tests', () => {
 
         test('finds family by id', async () => {
             const familyData = await seedOne();
-            const created = await service.create(familyData, { trx });
+            const created = await service.create(familyData, { trx, system: true });
 
-            const found = await service.getById(created.id, { trx });
+            const found = await service.getById(created.id, { trx, system: true });
             expect(found).toBeInstanceOf(FamilyEntity);
             expect(found.id).toBe(created.id);
             expect(found.name).toBe(familyData.name);
@@ -98,7 +98,7 @@ describe('FamilyService - Custom Tests', () => {
     describe('Unique ID Lookup', () => {
         test('getFamilyByUniqueId finds family', async () => {
             const familyData = await seedOne();
-            const created = await service.create(familyData, { trx });
+            const created = await service.create(familyData, { trx, system: true });
 
             const found = await service.getFamilyByUniqueId(created.uniqueId, { trx });
             expect(found).toBeInstanceOf(FamilyEntity);
@@ -113,11 +113,11 @@ describe('FamilyService - Custom Tests', () => {
 
         test('unique_id persists after updates', async () => {
             const familyData = await seedOne();
-            const created = await service.create(familyData, { trx });
+            const created = await service.create(familyData, { trx, system: true });
             const originalUniqueId = created.uniqueId;
 
-            await service.update(created.id, { name: 'Updated Family' }, { trx });
-            const updated = await service.getById(created.id, { trx });
+            await service.update(created.id, { name: 'Updated Family' }, { trx, system: true });
+            const updated = await service.getById(created.id, { trx, system: true });
 
             expect(updated.uniqueId).toBe(originalUniqueId);
         });
@@ -130,10 +130,10 @@ describe('FamilyService - Custom Tests', () => {
             const inactive = { ...await seedOne(), is_active: false };
             const deleted = { ...await seedOne(), is_deleted: true };
 
-            await service.create(active1, { trx });
-            await service.create(active2, { trx });
-            await service.create(inactive, { trx });
-            await service.create(deleted, { trx });
+            await service.create(active1, { trx, system: true });
+            await service.create(active2, { trx, system: true });
+            await service.create(inactive, { trx, system: true });
+            await service.create(deleted, { trx, system: true });
 
             const activeFamilies = await service.getAllActiveFamilies({ trx });
 
@@ -148,9 +148,9 @@ describe('FamilyService - Custom Tests', () => {
 
         test('soft deleted families not in getAllActiveFamilies', async () => {
             const familyData = await seedOne();
-            const created = await service.create(familyData, { trx });
+            const created = await service.create(familyData, { trx, system: true });
 
-            await service.softDelete(created.id, { trx });
+            await service.softDelete(created.id, { trx, system: true });
 
             const activeFamilies = await service.getAllActiveFamilies({ trx });
             const found = activeFamilies.find(f => f.id === created.id);
@@ -160,9 +160,9 @@ describe('FamilyService - Custom Tests', () => {
 
         test('deactivated families not in getAllActiveFamilies', async () => {
             const familyData = await seedOne();
-            const created = await service.create(familyData, { trx });
+            const created = await service.create(familyData, { trx, system: true });
 
-            await service.deactivate(created.id, { trx });
+            await service.deactivate(created.id, { trx, system: true });
 
             const activeFamilies = await service.getAllActiveFamilies({ trx });
             const found = activeFamilies.find(f => f.id === created.id);
@@ -174,14 +174,14 @@ describe('FamilyService - Custom Tests', () => {
     describe('Pricing Management', () => {
         test('creates family with price', async () => {
             const familyData = { ...await seedOne(), price: 49.99 };
-            const family = await service.create(familyData, { trx });
+            const family = await service.create(familyData, { trx, system: true });
 
             expect(family.price).toBe('49.99');
         });
 
         test('handles price precision (2 decimals)', async () => {
             const familyData = { ...await seedOne(), price: 29.9999 };
-            const family = await service.create(familyData, { trx });
+            const family = await service.create(familyData, { trx, system: true });
 
             // Database should round to 2 decimals
             expect(parseFloat(family.price)).toBeCloseTo(30.00, 2);
@@ -189,10 +189,10 @@ describe('FamilyService - Custom Tests', () => {
 
         test('updates family price', async () => {
             const familyData = await seedOne();
-            const created = await service.create(familyData, { trx });
+            const created = await service.create(familyData, { trx, system: true });
 
-            await service.update(created.id, { price: 99.99 }, { trx });
-            const updated = await service.getById(created.id, { trx });
+            await service.update(created.id, { price: 99.99 }, { trx, system: true });
+            const updated = await service.getById(created.id, { trx, system: true });
 
             expect(updated.price).toBe('99.99');
         });
@@ -200,7 +200,7 @@ describe('FamilyService - Custom Tests', () => {
         test('creates family without price', async () => {
             const familyData = await seedOne();
             delete familyData.price;
-            const family = await service.create(familyData, { trx });
+            const family = await service.create(familyData, { trx, system: true });
 
             expect(family).toBeInstanceOf(FamilyEntity);
             expect(family.name).toBe(familyData.name);
@@ -210,7 +210,7 @@ describe('FamilyService - Custom Tests', () => {
     describe('Ownership Tracking', () => {
         test('creates family with user_id', async () => {
             const familyData = await seedOne();
-            const family = await service.create(familyData, { trx });
+            const family = await service.create(familyData, { trx, system: true });
 
             expect(family.userId).toBe(1);
         });
@@ -219,10 +219,10 @@ describe('FamilyService - Custom Tests', () => {
             const family1 = await seedOne();
             const family2 = await seedOne();
 
-            const created1 = await service.create(family1, { trx });
-            const created2 = await service.create(family2, { trx });
+            const created1 = await service.create(family1, { trx, system: true });
+            const created2 = await service.create(family2, { trx, system: true });
 
-            const userFamilies = await service.getWhere({ user_id: 1 }, { trx });
+            const userFamilies = await service.getWhere({ user_id: 1 }, { trx, system: true });
             const ourFamilies = userFamilies.filter(f =>
                 f.id === created1.id || f.id === created2.id
             );
@@ -233,7 +233,7 @@ describe('FamilyService - Custom Tests', () => {
 
         test('team_id is nullable', async () => {
             const familyData = await seedOne();
-            const family = await service.create(familyData, { trx });
+            const family = await service.create(familyData, { trx, system: true });
 
             // team_id is optional/nullable
             expect(family).toBeInstanceOf(FamilyEntity);
@@ -243,14 +243,14 @@ describe('FamilyService - Custom Tests', () => {
     describe('Licensing', () => {
         test('uses default license_id (21)', async () => {
             const familyData = await seedOne();
-            const family = await service.create(familyData, { trx });
+            const family = await service.create(familyData, { trx, system: true });
 
             expect(family.licenseId).toBe(21);
         });
 
         test('license_id is set from seed', async () => {
             const familyData = await seedOne();
-            const family = await service.create(familyData, { trx });
+            const family = await service.create(familyData, { trx, system: true });
 
             expect(family).toBeInstanceOf(FamilyEntity);
             expect(family.licenseId).toBe(21);
@@ -260,21 +260,21 @@ describe('FamilyService - Custom Tests', () => {
     describe('Soft Delete + Activation', () => {
         test('soft delete sets is_deleted to true', async () => {
             const familyData = await seedOne();
-            const created = await service.create(familyData, { trx });
+            const created = await service.create(familyData, { trx, system: true });
 
-            await service.softDelete(created.id, { trx });
-            const deleted = await service.getById(created.id, { trx });
+            await service.softDelete(created.id, { trx, system: true });
+            const deleted = await service.getById(created.id, { trx, system: true });
 
             expect(deleted.isDeleted).toBe(true);
         });
 
         test('soft delete also deactivates (withSoftDeletable behavior)', async () => {
             const familyData = await seedOne();
-            const created = await service.create(familyData, { trx });
+            const created = await service.create(familyData, { trx, system: true });
             expect(created.isActive).toBe(true);
 
-            await service.softDelete(created.id, { trx });
-            const deleted = await service.getById(created.id, { trx });
+            await service.softDelete(created.id, { trx, system: true });
+            const deleted = await service.getById(created.id, { trx, system: true });
 
             // withSoftDeletable mixin also sets is_active to false
             expect(deleted.isActive).toBe(false);
@@ -283,21 +283,21 @@ describe('FamilyService - Custom Tests', () => {
 
         test('deactivate sets is_active to false', async () => {
             const familyData = await seedOne();
-            const created = await service.create(familyData, { trx });
+            const created = await service.create(familyData, { trx, system: true });
 
-            await service.deactivate(created.id, { trx });
-            const deactivated = await service.getById(created.id, { trx });
+            await service.deactivate(created.id, { trx, system: true });
+            const deactivated = await service.getById(created.id, { trx, system: true });
 
             expect(deactivated.isActive).toBe(false);
         });
 
         test('deactivate does not affect is_deleted', async () => {
             const familyData = await seedOne();
-            const created = await service.create(familyData, { trx });
+            const created = await service.create(familyData, { trx, system: true });
             expect(created.isDeleted).toBe(false);
 
-            await service.deactivate(created.id, { trx });
-            const deactivated = await service.getById(created.id, { trx });
+            await service.deactivate(created.id, { trx, system: true });
+            const deactivated = await service.getById(created.id, { trx, system: true });
 
             expect(deactivated.isDeleted).toBe(false);
             expect(deactivated.isActive).toBe(false);
@@ -305,11 +305,11 @@ describe('FamilyService - Custom Tests', () => {
 
         test('can be both deleted and inactive', async () => {
             const familyData = await seedOne();
-            const created = await service.create(familyData, { trx });
+            const created = await service.create(familyData, { trx, system: true });
 
-            await service.deactivate(created.id, { trx });
-            await service.softDelete(created.id, { trx });
-            const family = await service.getById(created.id, { trx });
+            await service.deactivate(created.id, { trx, system: true });
+            await service.softDelete(created.id, { trx, system: true });
+            const family = await service.getById(created.id, { trx, system: true });
 
             expect(family.isActive).toBe(false);
             expect(family.isDeleted).toBe(true);
@@ -317,11 +317,11 @@ describe('FamilyService - Custom Tests', () => {
 
         test('restore sets is_deleted to false', async () => {
             const familyData = await seedOne();
-            const created = await service.create(familyData, { trx });
+            const created = await service.create(familyData, { trx, system: true });
 
-            await service.softDelete(created.id, { trx });
-            await service.restore(created.id, { trx });
-            const restored = await service.getById(created.id, { trx });
+            await service.softDelete(created.id, { trx, system: true });
+            await service.restore(created.id, { trx, system: true });
+            const restored = await service.getById(created.id, { trx, system: true });
 
             expect(restored.isDeleted).toBe(false);
         });
@@ -330,24 +330,24 @@ describe('FamilyService - Custom Tests', () => {
     describe('Sorting', () => {
         test('uses default sort value (0)', async () => {
             const familyData = await seedOne();
-            const family = await service.create(familyData, { trx });
+            const family = await service.create(familyData, { trx, system: true });
 
             expect(family.sort).toBe(0);
         });
 
         test('accepts custom sort value', async () => {
             const familyData = { ...await seedOne(), sort: 100 };
-            const family = await service.create(familyData, { trx });
+            const family = await service.create(familyData, { trx, system: true });
 
             expect(family.sort).toBe(100);
         });
 
         test('updates sort value', async () => {
             const familyData = await seedOne();
-            const created = await service.create(familyData, { trx });
+            const created = await service.create(familyData, { trx, system: true });
 
-            await service.update(created.id, { sort: 50 }, { trx });
-            const updated = await service.getById(created.id, { trx });
+            await service.update(created.id, { sort: 50 }, { trx, system: true });
+            const updated = await service.getById(created.id, { trx, system: true });
 
             expect(updated.sort).toBe(50);
         });
@@ -356,7 +356,7 @@ describe('FamilyService - Custom Tests', () => {
     describe('Timestamp Tracking', () => {
         test('sets createdAt on creation', async () => {
             const familyData = await seedOne();
-            const family = await service.create(familyData, { trx });
+            const family = await service.create(familyData, { trx, system: true });
 
             expect(family.createdAt).toBeInstanceOf(Date);
             expect(family.createdAt.getTime()).toBeLessThanOrEqual(Date.now());
@@ -364,7 +364,7 @@ describe('FamilyService - Custom Tests', () => {
 
         test('sets updatedAt on creation', async () => {
             const familyData = await seedOne();
-            const family = await service.create(familyData, { trx });
+            const family = await service.create(familyData, { trx, system: true });
 
             expect(family.updatedAt).toBeInstanceOf(Date);
             expect(family.updatedAt.getTime()).toBeLessThanOrEqual(Date.now());
@@ -372,7 +372,7 @@ describe('FamilyService - Custom Tests', () => {
 
         test('createdAt and updatedAt are close on creation', async () => {
             const familyData = await seedOne();
-            const family = await service.create(familyData, { trx });
+            const family = await service.create(familyData, { trx, system: true });
 
             const timeDiff = Math.abs(
                 family.updatedAt.getTime() - family.createdAt.getTime()
@@ -382,12 +382,12 @@ describe('FamilyService - Custom Tests', () => {
 
         test('update changes updatedAt timestamp', async () => {
             const familyData = await seedOne();
-            const created = await service.create(familyData, { trx });
+            const created = await service.create(familyData, { trx, system: true });
 
             await new Promise(resolve => setTimeout(resolve, 10));
 
-            await service.update(created.id, { name: 'Updated Family' }, { trx });
-            const updated = await service.getById(created.id, { trx });
+            await service.update(created.id, { name: 'Updated Family' }, { trx, system: true });
+            const updated = await service.getById(created.id, { trx, system: true });
 
             expect(updated.updatedAt).toBeDefined();
             expect(updated.updatedAt).toBeInstanceOf(Date);
@@ -397,37 +397,37 @@ describe('FamilyService - Custom Tests', () => {
     describe('Update Operations', () => {
         test('updates family name', async () => {
             const familyData = await seedOne();
-            const created = await service.create(familyData, { trx });
+            const created = await service.create(familyData, { trx, system: true });
 
             const newName = `Updated Family ${testCounter}`;
-            await service.update(created.id, { name: newName }, { trx });
+            await service.update(created.id, { name: newName }, { trx, system: true });
 
-            const updated = await service.getById(created.id, { trx });
+            const updated = await service.getById(created.id, { trx, system: true });
             expect(updated.name).toBe(newName);
         });
 
         test('updates family description', async () => {
             const familyData = await seedOne();
-            const created = await service.create(familyData, { trx });
+            const created = await service.create(familyData, { trx, system: true });
 
             const newDesc = 'Updated description';
-            await service.update(created.id, { description: newDesc }, { trx });
+            await service.update(created.id, { description: newDesc }, { trx, system: true });
 
-            const updated = await service.getById(created.id, { trx });
+            const updated = await service.getById(created.id, { trx, system: true });
             expect(updated.description).toBe(newDesc);
         });
 
         test('updates multiple fields at once', async () => {
             const familyData = await seedOne();
-            const created = await service.create(familyData, { trx });
+            const created = await service.create(familyData, { trx, system: true });
 
             await service.update(created.id, {
                 name: 'New Name',
                 price: 199.99,
                 sort: 10,
-            }, { trx });
+            }, { trx, system: true });
 
-            const updated = await service.getById(created.id, { trx });
+            const updated = await service.getById(created.id, { trx, system: true });
             expect(updated.name).toBe('New Name');
             expect(updated.price).toBe('199.99');
             expect(updated.sort).toBe(10);
@@ -1,4 +1,5 @@
 const DB = require('@vectoricons.net/db');
+const { initAccessControlService } = require('../../common/access-control');
 
 const FamilyEntity = require('./FamilyEntity.js');
 const FamilyRepository = require('./FamilyRepository.js');
@@ -8,6 +9,7 @@ const initFamilyService = () => {
     return new FamilyService({
         repository: new FamilyRepository({ DB }),
         entityClass: FamilyEntity,
+        accessControl: { acl: initAccessControlService() },
     });
 };
 
@@ -2,6 +2,7 @@ const BaseRepository = require('../../common/BaseRepository');
 const { Icons }      = require('@vectoricons.net/db');
 const IconEntity     = require('./IconEntity');
 const { withCursorPagination } = require('../../common/mixins/repository');
+const { ImageEntityTypes, ImageFileTypes } = require('../../utils/enums');
 
 /**
  * @module Products Domain
@@ -64,6 +65,30 @@ class RawIconRepository extends BaseRepository {
         });
     }
 
+    /**
+     * Check whether an icon has a stored SVG file.
+     *
+     * Icon files live in the images table; an icon is publishable only when a
+     * non-deleted SVG row with an S3 object key exists for it.
+     *
+     * @param {number} iconId - Icon ID
+     * @param {Object} [options={}] - Query options
+     * @param {Object} [options.trx] - Knex transaction
+     * @returns {Promise<boolean>}
+     */
+    async hasSvgObjectKey(iconId, { trx } = {}) {
+        const image = await this.DB.images.query(trx)
+            .where({
+                entity_type : ImageEntityTypes.Icon,
+                entity_id   : iconId,
+                file_type   : ImageFileTypes.SVG,
+            })
+            .whereNotNull('object_key')
+            .whereRaw('COALESCE(is_deleted, false) = false')
+            .first();
+        return !!image;
+    }
+
     /**
      * Apply icon-specific filters to cursor pagination query.
      *
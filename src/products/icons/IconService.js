@@ -9,10 +9,11 @@
  * **Mixin Composition:**
  * ```
  * IconService extends
+ *   withAccessControl(            // RBAC checks on the acting user ({ actor })
  *   withActivatable(              // Activation state management (activate, deactivate)
  *   withPluggableCacheableAndSoftDeletable( // Combined mixin for:
  *     BaseService                 //   - Event-driven plugins (emit icon.created, etc.)
- *   )                             //   - Read-through caching (cache getById, etc.)
+ *   ))                            //   - Read-through caching (cache getById, etc.)
  * )                               //   - Soft deletes (mark deleted without removing)
  *                                 //   - Observability (already in BaseService)
  * ```
@@ -24,28 +25,29 @@
  * - ✅ Read-through caching (getById cached automatically)
  * - ✅ Soft delete support (marks is_deleted=true instead of removing)
  * - ✅ Activation management (activate, deactivate, toggleActive)
+ * - ✅ Access control (every call names an actor, or `system: true` for internal callers)
  *
  * **Usage Example:**
  * ```javascript
  * const iconService = new IconService();
  *
- * // Create icon (automatically: logged, cached, event emitted)
+ * // Create icon (automatically: checked, logged, cached, event emitted)
  * const icon = await iconService.create({
  *   name: 'home',
  *   svgPath: 'M3 9l9-7 9 7v11...',
  *   setId: 10
- * });
+ * }, { actor: req.user });
  * // Logs: "icon-service.create success 45ms"
  * // Emits: icon.created event
  * // Returns: IconEntity instance (frozen)
  *
  * // Get by ID (cached after first fetch)
- * const icon2 = await iconService.getById(icon.id);
+ * const icon2 = await iconService.getById(icon.id, { actor: req.user });
  * // First call: queries DB, caches result
  * // Second call: returns from cache (< 1ms)
  *
  * // Soft delete (marks deleted, doesn't remove)
- * await iconService.softDelete(icon.id);
+ * await iconService.softDelete(icon.id, { actor: req.user });
  * // Sets: is_deleted=true, is_active=false
  * // Clears cache
  * // Emits: icon.deleted event
@@ -62,7 +64,21 @@ const IconRepository = require('./IconRepository');
 const BaseService = require('../../common/BaseService');
 
 const { withPluggableCacheableAndSoftDeletable } = require('../../common/mixins/service');
-const { withActivatable } = require('../../common/mixins/service');
+const { withActivatable, withAccessControl } = require('../../common/mixins/service');
+
+/**
+ * Activation guard: an icon cannot go live until its SVG has been uploaded.
+ * @private
+ * @param {IconEntity} icon - Icon about to be activated
+ * @param {Object} ctx
+ * @param {IconService} ctx.service
+ * @param {Object} [ctx.trx]
+ * @returns {Promise<true|string>}
+ */
+const requireSvgObjectKey = async (icon, { service, trx }) => {
+    const hasSvg = await service.repository.hasSvgObjectKey(icon.id, { trx });
+    return hasSvg || 'icon has no SVG image with an object key';
+};
 
 /**
  * Icon domain service with full mixin composition.
@@ -75,6 +91,7 @@ const { withActivatable } = require('../../common/mixins/service');
  * 1. BaseService (with withObservable) - Core CRUD + automatic observability
  * 2. withPluggableCacheableAndSoftDeletable - Event emission, caching, soft deletes
  * 3. withActivatable - Activation state management
+ * 4. withAccessControl - Checks the acting user against AccessControlService
  *
  * **Custom Business Logic:**
  * In addition to inherited CRUD methods, IconService provides domain-specific
@@ -92,11 +109,11 @@ const { withActivatable } = require('../../common/mixins/service');
  *   svgPath: 'M3 9l9-7...',
  *   setId: 10,
  *   isActive: true
- * });
+ * }, { actor: req.user });
  *
- * const found = await iconService.getById(icon.id); // Cached
- * const updated = await iconService.update(icon.id, { name: 'home-alt' });
- * await iconService.softDelete(icon.id); // Soft delete
+ * const found = await iconService.getById(icon.id, { actor: req.user }); // Cached
+ * const updated = await iconService.update(icon.id, { name: 'home-alt' }, { actor: req.user });
+ * await iconService.softDelete(icon.id, { system: true }); // Soft delete, unchecked (internal caller)
  *
  * @example
  * // Custom queries (domain-specific)
@@ -106,26 +123,36 @@ const { withActivatable } = require('../../common/mixins/service');
  *
  * @example
  * // Activation management (from withActivatable)
- * await iconService.activate(icon.id);   // is_active=true
- * await iconService.deactivate(icon.id); // is_active=false
- * await iconService.toggleActive(icon.id); // Toggle state
+ * await iconService.activate(icon.id, { actor });   // is_active=true (requires an uploaded SVG)
+ * await iconService.deactivate(icon.id, { actor }); // is_active=false
+ * await iconService.toggleActive(icon.id, { actor }); // Toggle state
  *
  * @example
  * // Pagination (inherited from BaseService)
  * const result = await iconService.paginate(
  *   { setId: 10, isActive: true },
  *   1,    // page
- *   20    // pageSize
+ *   20,   // pageSize
+ *   { actor: req.user } // narrowed to the icons the actor may see
  * );
  * // Returns: { results: IconEntity[], total, page, pageSize, totalPages }
  */
-class IconService extends withActivatable(withPluggableCacheableAndSoftDeletable(BaseService)) {
+class IconService extends withAccessControl(withActivatable(withPluggableCacheableAndSoftDeletable(BaseService))) {
     /**
      * Construct IconService with repository and entity class.
      *
      * @param {Object} [options={}] - Service configuration
      * @param {IconRepository} [options.repository] - Icon repository instance
      * @param {Function} [options.entityClass] - Icon entity class
+     * @param {Object} [options.cache] - Cache options or adapter (see withCacheable)
+     * @param {Object} [options.events] - Event bus for lifecycle events (see withPluggable)
+     * @param {Object} [options.accessControl] - Access control options (see withAccessControl)
+     *
+     * Activation is guarded: `activate()` and `toggleActive()` refuse icons that
+     * have no SVG object key in the images table.
+     *
+     * Active icons are the public ones: policies granting `read: public` let
+     * anyone see them.
      *
      * @example
      * // Default construction
@@ -136,8 +163,15 @@ class IconService extends withActivatable(withPluggableCacheableAndSoftDeletable
      * const mockRepo = new IconRepository({ DB: mockDB });
      * const iconService = new IconService({ repository: mockRepo });
      */
-    constructor({ repository = new IconRepository({ DB }), entityClass = IconEntity } = {}) {
-        super({ repository, entityClass });
+    constructor({ repository = new IconRepository({ DB }), entityClass = IconEntity, cache, events, accessControl } = {}) {
+        super({
+            repository,
+            entityClass,
+            cache,
+            events,
+            activatable: { guards: [requireSvgObjectKey] },
+            accessControl: { publicField: 'isActive', ...accessControl },
+        });
     }
 
     /**
@@ -242,6 +276,9 @@ class IconService extends withActivatable(withPluggableCacheableAndSoftDeletable
      * @param {string} [sortBy='createdAt'] - Field to sort by
      * @param {string} [sortOrder='desc'] - 'asc' or 'desc'
      * @param {Object} [options={}] - Additional options
+     * @param {string} [options.after] - Page forwards from this cursor token
+     * @param {string} [options.before] - Page backwards from this cursor token
+     * @param {number} [options.last] - Page backwards with this page size
      * @param {boolean} [options.includeTotalCount=false] - Whether to include total count (expensive!)
      * @param {Object} [options.trx] - Knex transaction
      *
@@ -264,6 +301,18 @@ class IconService extends withActivatable(withPluggableCacheableAndSoftDeletable
      * }, page1.pageInfo.endCursor, 20);
      *
      * @example
+     * // Back to page 1 (a startCursor pages backwards)
+     * const back = await iconService.cursorPaginate({
+     *   price: 'free'
+     * }, page2.pageInfo.startCursor, 20);
+     *
+     * @example
+     * // The last 20 free icons (oldest, for a newest-first sort)
+     * const tail = await iconService.cursorPaginate({
+     *   price: 'free'
+     * }, null, 20, 'createdAt', 'desc', { last: 20 });
+     *
+     * @example
      * // Complex search with multiple facets
      * const results = await iconService.cursorPaginate({
      *   price: 'free',
@@ -300,7 +349,10 @@ class IconService extends withActivatable(withPluggableCacheableAndSoftDeletable
         return this.repository.cursorPaginate({
             filters,
             cursor,
+            after: options.after || null,
+            before: options.before || null,
             limit,
+            last: options.last ?? null,
             sortBy,
             sortOrder,
             includeTotalCount: options.includeTotalCount || false,
@@ -327,8 +379,10 @@ class IconService extends withActivatable(withPluggableCacheableAndSoftDeletable
      * @param {number} [params.styleId] - Style ID
      * @param {string} [params.searchTerm] - Text search
      * @param {Array<number>} [params.iconIds] - Icon IDs from Elasticsearch (for relevance sort)
-     * @param {string} [params.cursor] - Cursor token
+     * @param {string} [params.cursor] - Cursor token (endCursor: next page, startCursor: previous page)
+     * @param {string} [params.before] - Page backwards from this cursor token
      * @param {number} [params.limit=20] - Page size
+     * @param {number} [params.last] - Page backwards with this page size
      * @param {string} [params.sort='newest'] - Sort type ('newest', 'bestseller', or 'relevance')
      * @param {Object} [options={}] - Additional options
      *
@@ -384,7 +438,9 @@ class IconService extends withActivatable(withPluggableCacheableAndSoftDeletable
             searchTerm,
             iconIds,
             cursor = null,
+            before = null,
             limit = 20,
+            last = null,
             sort = 'newest',
         } = params;
 
@@ -442,7 +498,7 @@ class IconService extends withActivatable(withPluggableCacheableAndSoftDeletable
             limit,
             sortBy,
             sortOrder,
-            options
+            { ...options, before: before || options.before, last: last ?? options.last }
         );
     }
 }
@@ -57,7 +57,7 @@ describe('Cursor Pagination - Field-Based Sorting', () => {
             const icons = [];
             for (let i = 0; i < 5; i++) {
                 const data = await seedIcon({ name: `Icon ${i}` });
-                const icon = await service.create(data, { trx });
+                const icon = await service.create(data, { trx, system: true });
                 icons.push(icon);
             }
 
@@ -93,7 +93,7 @@ describe('Cursor Pagination - Field-Based Sorting', () => {
             const icons = [];
             for (let i = 0; i < 10; i++) {
                 const data = await seedIcon({ name: `Page Icon ${i}` });
-                const icon = await service.create(data, { trx });
+                const icon = await service.create(data, { trx, system: true });
                 icons.push(icon);
             }
 
@@ -126,7 +126,7 @@ describe('Cursor Pagination - Field-Based Sorting', () => {
             // Create exactly 5 icons
             for (let i = 0; i < 5; i++) {
                 const data = await seedIcon({ name: `Last Page Icon ${i}` });
-                await service.create(data, { trx });
+                await service.create(data, { trx, system: true });
             }
 
             // Get all 5 at once
@@ -147,7 +147,7 @@ describe('Cursor Pagination - Field-Based Sorting', () => {
             // Create 20 icons
             for (let i = 0; i < 20; i++) {
                 const data = await seedIcon();
-                await service.create(data, { trx });
+                await service.create(data, { trx, system: true });
             }
 
             const result5 = await service.cursorPaginate({}, null, 5, 'createdAt', 'desc', { trx });
@@ -169,11 +169,11 @@ describe('Cursor Pagination - Field-Based Sorting', () => {
     describe('Sorting Modes', () => {
         test('sorts by created_at descending (newest first)', async () => {
             // Create icons with delay to ensure different timestamps
-            const icon1 = await service.create(await seedIcon({ name: 'First' }), { trx });
+            const icon1 = await service.create(await seedIcon({ name: 'First' }), { trx, system: true });
             await new Promise(resolve => setTimeout(resolve, 10));
-            const icon2 = await service.create(await seedIcon({ name: 'Second' }), { trx });
+            const icon2 = await service.create(await seedIcon({ name: 'Second' }), { trx, system: true });
             await new Promise(resolve => setTimeout(resolve, 10));
-            const icon3 = await service.create(await seedIcon({ name: 'Third' }), { trx });
+            const icon3 = await service.create(await seedIcon({ name: 'Third' }), { trx, system: true });
 
             const result = await service.cursorPaginate({}, null, 10, 'createdAt', 'desc', { trx });
 
@@ -192,11 +192,11 @@ describe('Cursor Pagination - Field-Based Sorting', () => {
         });
 
         test('sorts by created_at ascending (oldest first)', async () => {
-            const icon1 = await service.create(await seedIcon({ name: 'First' }), { trx });
+            const icon1 = await service.create(await seedIcon({ name: 'First' }), { trx, system: true });
             await new Promise(resolve => setTimeout(resolve, 10));
-            const icon2 = await service.create(await seedIcon({ name: 'Second' }), { trx });
+            const icon2 = await service.create(await seedIcon({ name: 'Second' }), { trx, system: true });
             await new Promise(resolve => setTimeout(resolve, 10));
-            const icon3 = await service.create(await seedIcon({ name: 'Third' }), { trx });
+            const icon3 = await service.create(await seedIcon({ name: 'Third' }), { trx, system: true });
 
             const result = await service.cursorPaginate({}, null, 10, 'createdAt', 'asc', { trx });
 
@@ -215,9 +215,9 @@ describe('Cursor Pagination - Field-Based Sorting', () => {
         });
 
         test('sorts by popularity descending (bestsellers first)', async () => {
-            const icon1 = await service.create(await seedIcon({ popularity: 100 }), { trx });
-            const icon2 = await service.create(await seedIcon({ popularity: 500 }), { trx });
-            const icon3 = await service.create(await seedIcon({ popularity: 300 }), { trx });
+            const icon1 = await service.create(await seedIcon({ popularity: 100 }), { trx, system: true });
+            const icon2 = await service.create(await seedIcon({ popularity: 500 }), { trx, system: true });
+            const icon3 = await service.create(await seedIcon({ popularity: 300 }), { trx, system: true });
 
             const result = await service.cursorPaginate({}, null, 10, 'popularity', 'desc', { trx });
 
@@ -233,8 +233,8 @@ describe('Cursor Pagination - Field-Based Sorting', () => {
 
     describe('Search Facets', () => {
         test('filters by price (free)', async () => {
-            await service.create(await seedIcon({ price: 0, name: 'Free Icon' }), { trx });
-            await service.create(await seedIcon({ price: 9.99, name: 'Paid Icon' }), { trx });
+            await service.create(await seedIcon({ price: 0, name: 'Free Icon' }), { trx, system: true });
+            await service.create(await seedIcon({ price: 9.99, name: 'Paid Icon' }), { trx, system: true });
 
             const result = await service.cursorPaginate(
                 { price: 'free' },
@@ -254,8 +254,8 @@ describe('Cursor Pagination - Field-Based Sorting', () => {
         });
 
         test('filters by price (premium)', async () => {
-            await service.create(await seedIcon({ price: 0, name: 'Free Icon 2' }), { trx });
-            const paidIcon = await service.create(await seedIcon({ price: 9.99, name: 'Paid Icon 2' }), { trx });
+            await service.create(await seedIcon({ price: 0, name: 'Free Icon 2' }), { trx, system: true });
+            const paidIcon = await service.create(await seedIcon({ price: 9.99, name: 'Paid Icon 2' }), { trx, system: true });
 
             const result = await service.cursorPaginate(
                 { price: 'premium' },
@@ -276,9 +276,9 @@ describe('Cursor Pagination - Field-Based Sorting', () => {
         });
 
         test('filters by searchTerm (case insensitive)', async () => {
-            await service.create(await seedIcon({ name: 'home-outline' }), { trx });
-            await service.create(await seedIcon({ name: 'settings-gear' }), { trx });
-            await service.create(await seedIcon({ name: 'home-filled' }), { trx });
+            await service.create(await seedIcon({ name: 'home-outline' }), { trx, system: true });
+            await service.create(await seedIcon({ name: 'settings-gear' }), { trx, system: true });
+            await service.create(await seedIcon({ name: 'home-filled' }), { trx, system: true });
 
             const result = await service.cursorPaginate(
                 { searchTerm: 'home' },
@@ -298,7 +298,7 @@ describe('Cursor Pagination - Field-Based Sorting', () => {
         });
 
         test('filters by setId', async () => {
-            const icon1 = await service.create(await seedIcon({ set_id: testSetId }), { trx });
+            const icon1 = await service.create(await seedIcon({ set_id: testSetId }), { trx, system: true });
 
             const result = await service.cursorPaginate(
                 { setId: testSetId },
@@ -315,8 +315,8 @@ describe('Cursor Pagination - Field-Based Sorting', () => {
         });
 
         test('filters by userId', async () => {
-            await service.create(await seedIcon({ user_id: 1 }), { trx });
-            await service.create(await seedIcon({ user_id: 2 }), { trx });
+            await service.create(await seedIcon({ user_id: 1 }), { trx, system: true });
+            await service.create(await seedIcon({ user_id: 2 }), { trx, system: true });
 
             const result = await service.cursorPaginate(
                 { userId: 1 },
@@ -335,13 +335,13 @@ describe('Cursor Pagination - Field-Based Sorting', () => {
                 price: 0,
                 name: 'free-home-icon',
                 set_id: testSetId,
-            }), { trx });
+            }), { trx, system: true });
 
             await service.create(await seedIcon({
                 price: 9.99,
                 name: 'paid-home-icon',
                 set_id: testSetId,
-            }), { trx });
+            }), { trx, system: true });
 
             const result = await service.cursorPaginate(
                 {
@@ -362,6 +362,94 @@ describe('Cursor Pagination - Field-Based Sorting', () => {
         });
     });
 
+    describe('Bidirectional Pagination', () => {
+        const seedPages = async (prefix, count) => {
+            for (let i = 0; i < count; i++) {
+                await service.create(await seedIcon({ name: `${prefix} ${i}` }), { trx, system: true });
+            }
+        };
+
+        test('pages back to the previous page with a before cursor', async () => {
+            await seedPages('Bidi Before Icon', 9);
+            const filters = { searchTerm: 'Bidi Before Icon' };
+
+            const page1 = await service.cursorPaginate(filters, null, 3, 'createdAt', 'desc', { trx });
+            const page2 = await service.cursorPaginate(filters, page1.pageInfo.endCursor, 3, 'createdAt', 'desc', { trx });
+
+            const back = await service.cursorPaginate(
+                filters,
+                null,
+                3,
+                'createdAt',
+                'desc',
+                { trx, before: page2.pageInfo.startCursor }
+            );
+
+            expect(back.results.map(r => r.id)).toEqual(page1.results.map(r => r.id));
+            expect(back.pageInfo.hasPreviousPage).toBe(false);
+            expect(back.pageInfo.hasNextPage).toBe(true);
+        });
+
+        test('pages backwards when a startCursor is passed as cursor', async () => {
+            await seedPages('Bidi Start Icon', 9);
+            const filters = { searchTerm: 'Bidi Start Icon' };
+
+            const page1 = await service.cursorPaginate(filters, null, 3, 'createdAt', 'desc', { trx });
+            const page2 = await service.cursorPaginate(filters, page1.pageInfo.endCursor, 3, 'createdAt', 'desc', { trx });
+            const page3 = await service.cursorPaginate(filters, page2.pageInfo.endCursor, 3, 'createdAt', 'desc', { trx });
+
+            const back = await service.cursorPaginate(filters, page3.pageInfo.startCursor, 3, 'createdAt', 'desc', { trx });
+
+            expect(back.results.map(r => r.id)).toEqual(page2.results.map(r => r.id));
+            expect(back.pageInfo.hasPreviousPage).toBe(true);
+            expect(back.pageInfo.hasNextPage).toBe(true);
+        });
+
+        test('returns the end of the list for last: N', async () => {
+            await seedPages('Bidi Last Icon', 5);
+            const filters = { searchTerm: 'Bidi Last Icon' };
+
+            const all = await service.cursorPaginate(filters, null, 10, 'createdAt', 'desc', { trx });
+            const tail = await service.cursorPaginate(filters, null, 10, 'createdAt', 'desc', { trx, last: 2 });
+
+            expect(tail.results.map(r => r.id)).toEqual(all.results.slice(-2).map(r => r.id));
+            expect(tail.pageInfo.hasPreviousPage).toBe(true);
+            expect(tail.pageInfo.hasNextPage).toBe(false);
+        });
+
+        test('reports no previous page when nothing precedes the cursor', async () => {
+            await seedPages('Bidi Edge Icon', 4);
+            const filters = { searchTerm: 'Bidi Edge Icon' };
+
+            const page1 = await service.cursorPaginate(filters, null, 4, 'createdAt', 'desc', { trx });
+            const before = await service.cursorPaginate(
+                filters,
+                null,
+                4,
+                'createdAt',
+                'desc',
+                { trx, before: page1.pageInfo.startCursor }
+            );
+
+            expect(before.results).toHaveLength(0);
+            expect(before.pageInfo.hasPreviousPage).toBe(false);
+            expect(before.pageInfo.hasNextPage).toBe(true);
+        });
+
+        test('rejects both after and before cursors', async () => {
+            await seedPages('Bidi Both Icon', 2);
+            const page = await service.cursorPaginate({ searchTerm: 'Bidi Both Icon' }, null, 1, 'createdAt', 'desc', { trx });
+
+            await expect(
+                service.cursorPaginate({}, null, 1, 'createdAt', 'desc', {
+                    trx,
+                    after: page.pageInfo.endCursor,
+                    before: page.pageInfo.startCursor,
+                })
+            ).rejects.toThrow();
+        });
+    });
+
     describe('Cursor Validation', () => {
         test('throws error for invalid cursor token', async () => {
             await expect(
@@ -389,8 +477,8 @@ describe('Cursor Pagination - Field-Based Sorting', () => {
         });
 
         test('supports bestseller sort', async () => {
-            await service.create(await seedIcon({ popularity: 100 }), { trx });
-            await service.create(await seedIcon({ popularity: 500 }), { trx });
+            await service.create(await seedIcon({ popularity: 100 }), { trx, system: true });
+            await service.create(await seedIcon({ popularity: 500 }), { trx, system: true });
 
             const result = await service.searchIcons({
                 sort: 'bestseller',
@@ -403,7 +491,7 @@ describe('Cursor Pagination - Field-Based Sorting', () => {
 
         test('paginates with cursor', async () => {
             for (let i = 0; i < 10; i++) {
-                await service.create(await seedIcon(), { trx });
+                await service.create(await seedIcon(), { trx, system: true });
             }
 
             const page1 = await service.searchIcons({
@@ -445,10 +533,10 @@ describe('Cursor Pagination - Array Position Sorting (Relevance)', () => {
     describe('Elasticsearch Relevance Sorting', () => {
         test('preserves Elasticsearch ranking order', async () => {
             // Create icons
-            const icon1 = await service.create(await seedIcon({ name: 'icon-a' }), { trx });
-            const icon2 = await service.create(await seedIcon({ name: 'icon-b' }), { trx });
-            const icon3 = await service.create(await seedIcon({ name: 'icon-c' }), { trx });
-            const icon4 = await service.create(await seedIcon({ name: 'icon-d' }), { trx });
+            const icon1 = await service.create(await seedIcon({ name: 'icon-a' }), { trx, system: true });
+            const icon2 = await service.create(await seedIcon({ name: 'icon-b' }), { trx, system: true });
+            const icon3 = await service.create(await seedIcon({ name: 'icon-c' }), { trx, system: true });
+            const icon4 = await service.create(await seedIcon({ name: 'icon-d' }), { trx, system: true });
 
             // Simulate Elasticsearch ranked results (icon3, icon1, icon4, icon2)
             const esRankedIds = [icon3.id, icon1.id, icon4.id, icon2.id];
@@ -472,7 +560,7 @@ describe('Cursor Pagination - Array Position Sorting (Relevance)', () => {
             // Create icons
             const icons = [];
             for (let i = 0; i < 10; i++) {
-                const icon = await service.create(await seedIcon({ name: `rel-icon-${i}` }), { trx });
+                const icon = await service.create(await seedIcon({ name: `rel-icon-${i}` }), { trx, system: true });
                 icons.push(icon);
             }
 
@@ -508,11 +596,48 @@ describe('Cursor Pagination - Array Position Sorting (Relevance)', () => {
             expect(intersection).toHaveLength(0);
         });
 
+        test('pages backwards through relevance-sorted results', async () => {
+            const icons = [];
+            for (let i = 0; i < 7; i++) {
+                icons.push(await service.create(await seedIcon({ name: `rel-back-icon-${i}` }), { trx, system: true }));
+            }
+            const esRankedIds = icons.map(i => i.id).reverse();
+
+            const page1 = await service.searchIcons({ iconIds: esRankedIds, sort: 'relevance', limit: 3 }, { trx });
+            const page2 = await service.searchIcons({
+                iconIds: esRankedIds,
+                sort: 'relevance',
+                cursor: page1.pageInfo.endCursor,
+                limit: 3,
+            }, { trx });
+
+            const back = await service.searchIcons({
+                iconIds: esRankedIds,
+                sort: 'relevance',
+                before: page2.pageInfo.startCursor,
+                limit: 3,
+            }, { trx });
+
+            expect(back.results.map(r => r.id)).toEqual(esRankedIds.slice(0, 3));
+            expect(back.pageInfo.hasPreviousPage).toBe(false);
+            expect(back.pageInfo.hasNextPage).toBe(true);
+
+            const tail = await service.searchIcons({
+                iconIds: esRankedIds,
+                sort: 'relevance',
+                last: 2,
+            }, { trx });
+
+            expect(tail.results.map(r => r.id)).toEqual(esRankedIds.slice(-2));
+            expect(tail.pageInfo.hasPreviousPage).toBe(true);
+            expect(tail.pageInfo.hasNextPage).toBe(false);
+        });
+
         test('applies PostgreSQL filters on Elasticsearch results', async () => {
             // Create free and premium icons
-            const freeIcon1 = await service.create(await seedIcon({ price: 0, name: 'free-a' }), { trx });
-            const freeIcon2 = await service.create(await seedIcon({ price: 0, name: 'free-b' }), { trx });
-            const paidIcon = await service.create(await seedIcon({ price: 9.99, name: 'paid-a' }), { trx });
+            const freeIcon1 = await service.create(await seedIcon({ price: 0, name: 'free-a' }), { trx, system: true });
+            const freeIcon2 = await service.create(await seedIcon({ price: 0, name: 'free-b' }), { trx, system: true });
+            const paidIcon = await service.create(await seedIcon({ price: 9.99, name: 'paid-a' }), { trx, system: true });
 
             // ES returns all three
             const esRankedIds = [freeIcon1.id, paidIcon.id, freeIcon2.id];
@@ -533,9 +658,9 @@ describe('Cursor Pagination - Array Position Sorting (Relevance)', () => {
         });
 
         test('combines ES relevance with text search filter', async () => {
-            const homeIcon1 = await service.create(await seedIcon({ name: 'home-outline' }), { trx });
-            const homeIcon2 = await service.create(await seedIcon({ name: 'home-filled' }), { trx });
-            const settingsIcon = await service.create(await seedIcon({ name: 'settings-gear' }), { trx });
+            const homeIcon1 = await service.create(await seedIcon({ name: 'home-outline' }), { trx, system: true });
+            const homeIcon2 = await service.create(await seedIcon({ name: 'home-filled' }), { trx, system: true });
+            const settingsIcon = await service.create(await seedIcon({ name: 'settings-gear' }), { trx, system: true });
 
             // ES returns all three
             const esRankedIds = [settingsIcon.id, homeIcon2.id, homeIcon1.id];
@@ -567,9 +692,9 @@ describe('Cursor Pagination - Array Position Sorting (Relevance)', () => {
 
         test('falls back to newest when iconIds not provided for relevance', async () => {
             // Create icons
-            const icon1 = await service.create(await seedIcon({ name: 'fallback-1' }), { trx });
+            const icon1 = await service.create(await seedIcon({ name: 'fallback-1' }), { trx, system: true });
             await new Promise(resolve => setTimeout(resolve, 10));
-            const icon2 = await service.create(await seedIcon({ name: 'fallback-2' }), { trx });
+            const icon2 = await service.create(await seedIcon({ name: 'fallback-2' }), { trx, system: true });
 
             // Request relevance without iconIds - should fall back to newest
             const result = await service.searchIcons({
@@ -585,9 +710,9 @@ describe('Cursor Pagination - Array Position Sorting (Relevance)', () => {
 
     describe('Cursor Structure for Relevance', () => {
         test('generates array position cursors', async () => {
-            const icon1 = await service.create(await seedIcon(), { trx });
-            const icon2 = await service.create(await seedIcon(), { trx });
-            const icon3 = await service.create(await seedIcon(), { trx });
+            const icon1 = await service.create(await seedIcon(), { trx, system: true });
+            const icon2 = await service.create(await seedIcon(), { trx, system: true });
+            const icon3 = await service.create(await seedIcon(), { trx, system: true });
 
             const esRankedIds = [icon1.id, icon2.id, icon3.id];
 
@@ -630,7 +755,7 @@ describe('Cursor Pagination - Performance', () => {
         test('maintains consistent results when data is added', async () => {
             // Create initial icons
             for (let i = 0; i < 5; i++) {
-                await service.create(await seedIcon({ name: `Initial ${i}` }), { trx });
+                await service.create(await seedIcon({ name: `Initial ${i}` }), { trx, system: true });
             }
 
             // Get first page
@@ -647,7 +772,7 @@ describe('Cursor Pagination - Performance', () => {
             const firstPageIds = page1.results.map(r => r.id);
 
             // Add more icons (simulates concurrent data changes)
-            await service.create(await seedIcon({ name: 'Initial 999' }), { trx });
+            await service.create(await seedIcon({ name: 'Initial 999' }), { trx, system: true });
 
             // Get second page with cursor
             const page2 = await service.cursorPaginate(
@@ -70,7 +70,7 @@ describe('IconService - Custom Tests', () => {
     describe('Icon Creation and Retrieval', () => {
         test('creates icon with all fields', async () => {
             const iconData = await seedOne();
-            const icon = await service.create(iconData, { trx });
+            const icon = await service.create(iconData, { trx, system: true });
 
             expect(icon).toBeInstanceOf(IconEntity);
             expect(icon.name).toBe(iconData.name);
@@ -87,7 +87,7 @@ describe('IconService - Custom Tests', () => {
 
         test('auto-generates unique_id on creation', async () => {
             const iconData = await seedOne();
-            const icon = await service.create(iconData, { trx });
+            const icon = await service.create(iconData, { trx, system: true });
 
             expect(icon.uniqueId).toBeDefined();
             expect(typeof icon.uniqueId).toBe('string');
@@ -96,9 +96,9 @@ describe('IconService - Custom Tests', () => {
 
         test('finds icon by id', async () => {
             const iconData = await seedOne();
-            const created = await service.create(iconData, { trx });
+            const created = await service.create(iconData, { trx, system: true });
 
-            const found = await service.getById(created.id, { trx });
+            const found = await service.getById(created.id, { trx, system: true });
             expect(found).toBeInstanceOf(IconEntity);
             expect(found.id).toBe(created.id);
             expect(found.name).toBe(iconData.name);
@@ -108,7 +108,7 @@ describe('IconService - Custom Tests', () => {
     describe('Unique ID Lookup', () => {
         test('getIconByUniqueId finds icon', async () => {
             const iconData = await seedOne();
-            const created = await service.create(iconData, { trx });
+            const created = await service.create(iconData, { trx, system: true });
 
             const found = await service.getIconByUniqueId(created.uniqueId, { trx });
             expect(found).toBeInstanceOf(IconEntity);
@@ -123,11 +123,11 @@ describe('IconService - Custom Tests', () => {
 
         test('unique_id persists after updates', async () => {
             const iconData = await seedOne();
-            const created = await service.create(iconData, { trx });
+            const created = await service.create(iconData, { trx, system: true });
             const originalUniqueId = created.uniqueId;
 
-            await service.update(created.id, { name: 'Updated Icon' }, { trx });
-            const updated = await service.getById(created.id, { trx });
+            await service.update(created.id, { name: 'Updated Icon' }, { trx, system: true });
+            const updated = await service.getById(created.id, { trx, system: true });
 
             expect(updated.uniqueId).toBe(originalUniqueId);
         });
@@ -136,7 +136,7 @@ describe('IconService - Custom Tests', () => {
     describe('Set Relationship', () => {
         test('creates icon with set_id', async () => {
             const iconData = await seedOne();
-            const icon = await service.create(iconData, { trx });
+            const icon = await service.create(iconData, { trx, system: true });
 
             expect(icon.setId).toBe(testSetId);
         });
@@ -145,8 +145,8 @@ describe('IconService - Custom Tests', () => {
             const icon1 = await seedOne();
             const icon2 = await seedOne();
 
-            const created1 = await service.create(icon1, { trx });
-            const created2 = await service.create(icon2, { trx });
+            const created1 = await service.create(icon1, { trx, system: true });
+            const created2 = await service.create(icon2, { trx, system: true });
 
             const setIcons = await service.getIconsBySetId(testSetId, { trx });
             const ourIcons = setIcons.filter(i =>
@@ -159,14 +159,14 @@ describe('IconService - Custom Tests', () => {
 
         test('updates icon set_id', async () => {
             const iconData = await seedOne();
-            const created = await service.create(iconData, { trx });
+            const created = await service.create(iconData, { trx, system: true });
 
             // Get another set for update test
             const sets = await DB.sets.query().where({ is_deleted: false, is_active: true }).limit(2);
             if (sets.length > 1) {
                 const newSetId = sets[1].id;
-                await service.update(created.id, { set_id: newSetId }, { trx });
-                const updated = await service.getById(created.id, { trx });
+                await service.update(created.id, { set_id: newSetId }, { trx, system: true });
+                const updated = await service.getById(created.id, { trx, system: true });
 
                 expect(updated.setId).toBe(newSetId);
             }
@@ -180,10 +180,10 @@ describe('IconService - Custom Tests', () => {
             const inactive = { ...await seedOne(), is_active: false };
             const deleted = { ...await seedOne(), is_deleted: true };
 
-            await service.create(active1, { trx });
-            await service.create(active2, { trx });
-            await service.create(inactive, { trx });
-            await service.create(deleted, { trx });
+            await service.create(active1, { trx, system: true });
+            await service.create(active2, { trx, system: true });
+            await service.create(inactive, { trx, system: true });
+            await service.create(deleted, { trx, system: true });
 
             const activeIcons = await service.getAllActiveIcons({ trx });
 
@@ -198,9 +198,9 @@ describe('IconService - Custom Tests', () => {
 
         test('soft deleted icons not in getAllActiveIcons', async () => {
             const iconData = await seedOne();
-            const created = await service.create(iconData, { trx });
+            const created = await service.create(iconData, { trx, system: true });
 
-            await service.softDelete(created.id, { trx });
+            await service.softDelete(created.id, { trx, system: true });
 
             const activeIcons = await service.getAllActiveIcons({ trx });
             const found = activeIcons.find(i => i.id === created.id);
@@ -210,9 +210,9 @@ describe('IconService - Custom Tests', () => {
 
         test('deactivated icons not in getAllActiveIcons', async () => {
             const iconData = await seedOne();
-            const created = await service.create(iconData, { trx });
+            const created = await service.create(iconData, { trx, system: true });
 
-            await service.deactivate(created.id, { trx });
+            await service.deactivate(created.id, { trx, system: true });
 
             const activeIcons = await service.getAllActiveIcons({ trx });
             const found = activeIcons.find(i => i.id === created.id);
@@ -224,7 +224,7 @@ describe('IconService - Custom Tests', () => {
     describe('Dimensions Tracking', () => {
         test('creates icon with width and height', async () => {
             const iconData = { ...await seedOne(), width: 32, height: 32 };
-            const icon = await service.create(iconData, { trx });
+            const icon = await service.create(iconData, { trx, system: true });
 
             expect(icon.width).toBe('32.00');
             expect(icon.height).toBe('32.00');
@@ -232,10 +232,10 @@ describe('IconService - Custom Tests', () => {
 
         test('updates icon dimensions', async () => {
             const iconData = await seedOne();
-            const created = await service.create(iconData, { trx });
+            const created = await service.create(iconData, { trx, system: true });
 
-            await service.update(created.id, { width: 48, height: 48 }, { trx });
-            const updated = await service.getById(created.id, { trx });
+            await service.update(created.id, { width: 48, height: 48 }, { trx, system: true });
+            const updated = await service.getById(created.id, { trx, system: true });
 
             expect(updated.width).toBe('48.00');
             expect(updated.height).toBe('48.00');
@@ -243,7 +243,7 @@ describe('IconService - Custom Tests', () => {
 
         test('dimensions can be different (non-square icons)', async () => {
             const iconData = { ...await seedOne(), width: 24, height: 16 };
-            const icon = await service.create(iconData, { trx });
+            const icon = await service.create(iconData, { trx, system: true });
 
             expect(icon.width).toBe('24.00');
             expect(icon.height).toBe('16.00');
@@ -253,7 +253,7 @@ describe('IconService - Custom Tests', () => {
             const iconData = await seedOne();
             delete iconData.width;
             delete iconData.height;
-            const icon = await service.create(iconData, { trx });
+            const icon = await service.create(iconData, { trx, system: true });
 
             expect(icon).toBeInstanceOf(IconEntity);
             expect(icon.name).toBe(iconData.name);
@@ -263,14 +263,14 @@ describe('IconService - Custom Tests', () => {
     describe('Pricing Management', () => {
         test('creates icon with price', async () => {
             const iconData = { ...await seedOne(), price: 9.99 };
-            const icon = await service.create(iconData, { trx });
+            const icon = await service.create(iconData, { trx, system: true });
 
             expect(icon.price).toBe('9.99');
         });
 
         test('handles price precision (2 decimals)', async () => {
             const iconData = { ...await seedOne(), price: 9.9999 };
-            const icon = await service.create(iconData, { trx });
+            const icon = await service.create(iconData, { trx, system: true });
 
             // Database should round to 2 decimals
             expect(parseFloat(icon.price)).toBeCloseTo(10.00, 2);
@@ -278,17 +278,17 @@ describe('IconService - Custom Tests', () => {
 
         test('updates icon price', async () => {
             const iconData = { ...await seedOne(), price: 5.99 };
-            const created = await service.create(iconData, { trx });
+            const created = await service.create(iconData, { trx, system: true });
 
-            await service.update(created.id, { price: 14.99 }, { trx });
-            const updated = await service.getById(created.id, { trx });
+            await service.update(created.id, { price: 14.99 }, { trx, system: true });
+            const updated = await service.getById(created.id, { trx, system: true });
 
             expect(updated.price).toBe('14.99');
         });
 
         test('price is nullable', async () => {
             const iconData = await seedOne();
-            const icon = await service.create(iconData, { trx });
+            const icon = await service.create(iconData, { trx, system: true });
 
             expect(icon).toBeInstanceOf(IconEntity);
             expect(icon.name).toBe(iconData.name);
@@ -298,7 +298,7 @@ describe('IconService - Custom Tests', () => {
     describe('Ownership Tracking', () => {
         test('creates icon with user_id', async () => {
             const iconData = await seedOne();
-            const icon = await service.create(iconData, { trx });
+            const icon = await service.create(iconData, { trx, system: true });
 
             expect(icon.userId).toBe(1);
         });
@@ -307,10 +307,10 @@ describe('IconService - Custom Tests', () => {
             const icon1 = await seedOne();
             const icon2 = await seedOne();
 
-            const created1 = await service.create(icon1, { trx });
-            const created2 = await service.create(icon2, { trx });
+            const created1 = await service.create(icon1, { trx, system: true });
+            const created2 = await service.create(icon2, { trx, system: true });
 
-            const userIcons = await service.getWhere({ user_id: 1, set_id: testSetId }, { trx });
+            const userIcons = await service.getWhere({ user_id: 1, set_id: testSetId }, { trx, system: true });
             const ourIcons = userIcons.filter(i =>
                 i.id === created1.id || i.id === created2.id
             );
@@ -321,7 +321,7 @@ describe('IconService - Custom Tests', () => {
 
         test('team_id is nullable', async () => {
             const iconData = await seedOne();
-            const icon = await service.create(iconData, { trx });
+            const icon = await service.create(iconData, { trx, system: true });
 
             expect(icon).toBeInstanceOf(IconEntity);
             // team_id is optional
@@ -331,7 +331,7 @@ describe('IconService - Custom Tests', () => {
     describe('Style Relationship', () => {
         test('style_id is nullable', async () => {
             const iconData = await seedOne();
-            const icon = await service.create(iconData, { trx });
+            const icon = await service.create(iconData, { trx, system: true });
 
             expect(icon).toBeInstanceOf(IconEntity);
             // style_id is optional
@@ -341,14 +341,14 @@ describe('IconService - Custom Tests', () => {
     describe('Licensing', () => {
         test('uses default license_id (21)', async () => {
             const iconData = await seedOne();
-            const icon = await service.create(iconData, { trx });
+            const icon = await service.create(iconData, { trx, system: true });
 
             expect(icon.licenseId).toBe(21);
         });
 
         test('license_id is set from seed', async () => {
             const iconData = await seedOne();
-            const icon = await service.create(iconData, { trx });
+            const icon = await service.create(iconData, { trx, system: true });
 
             expect(icon).toBeInstanceOf(IconEntity);
             expect(icon.licenseId).toBe(21);
@@ -358,21 +358,21 @@ describe('IconService - Custom Tests', () => {
     describe('Soft Delete + Activation', () => {
         test('soft delete sets is_deleted to true', async () => {
             const iconData = await seedOne();
-            const created = await service.create(iconData, { trx });
+            const created = await service.create(iconData, { trx, system: true });
 
-            await service.softDelete(created.id, { trx });
-            const deleted = await service.getById(created.id, { trx });
+            await service.softDelete(created.id, { trx, system: true });
+            const deleted = await service.getById(created.id, { trx, system: true });
 
             expect(deleted.isDeleted).toBe(true);
         });
 
         test('soft delete also deactivates (withSoftDeletable behavior)', async () => {
             const iconData = await seedOne();
-            const created = await service.create(iconData, { trx });
+            const created = await service.create(iconData, { trx, system: true });
             expect(created.isActive).toBe(true);
 
-            await service.softDelete(created.id, { trx });
-            const deleted = await service.getById(created.id, { trx });
+            await service.softDelete(created.id, { trx, system: true });
+            const deleted = await service.getById(created.id, { trx, system: true });
 
             // withSoftDeletable mixin also sets is_active to false
             expect(deleted.isActive).toBe(false);
@@ -381,21 +381,21 @@ describe('IconService - Custom Tests', () => {
 
         test('deactivate sets is_active to false', async () => {
             const iconData = await seedOne();
-            const created = await service.create(iconData, { trx });
+            const created = await service.create(iconData, { trx, system: true });
 
-            await service.deactivate(created.id, { trx });
-            const deactivated = await service.getById(created.id, { trx });
+            await service.deactivate(created.id, { trx, system: true });
+            const deactivated = await service.getById(created.id, { trx, system: true });
 
             expect(deactivated.isActive).toBe(false);
         });
 
         test('deactivate does not affect is_deleted', async () => {
             const iconData = await seedOne();
-            const created = await service.create(iconData, { trx });
+            const created = await service.create(iconData, { trx, system: true });
             expect(created.isDeleted).toBe(false);
 
-            await service.deactivate(created.id, { trx });
-            const deactivated = await service.getById(created.id, { trx });
+            await service.deactivate(created.id, { trx, system: true });
+            const deactivated = await service.getById(created.id, { trx, system: true });
 
             expect(deactivated.isDeleted).toBe(false);
             expect(deactivated.isActive).toBe(false);
@@ -403,11 +403,11 @@ describe('IconService - Custom Tests', () => {
 
         test('can be both deleted and inactive', async () => {
             const iconData = await seedOne();
-            const created = await service.create(iconData, { trx });
+            const created = await service.create(iconData, { trx, system: true });
 
-            await service.deactivate(created.id, { trx });
-            await service.softDelete(created.id, { trx });
-            const icon = await service.getById(created.id, { trx });
+            await service.deactivate(created.id, { trx, system: true });
+            await service.softDelete(created.id, { trx, system: true });
+            const icon = await service.getById(created.id, { trx, system: true });
 
             expect(icon.isActive).toBe(false);
             expect(icon.isDeleted).toBe(true);
@@ -415,11 +415,11 @@ describe('IconService - Custom Tests', () => {
 
         test('restore sets is_deleted to false', async () => {
             const iconData = await seedOne();
-            const created = await service.create(iconData, { trx });
+            const created = await service.create(iconData, { trx, system: true });
 
-            await service.softDelete(created.id, { trx });
-            await service.restore(created.id, { trx });
-            const restored = await service.getById(created.id, { trx });
+            await service.softDelete(created.id, { trx, system: true });
+            await service.restore(created.id, { trx, system: true });
+            const restored = await service.getById(created.id, { trx, system: true });
 
             expect(restored.isDeleted).toBe(false);
         });
@@ -428,7 +428,7 @@ describe('IconService - Custom Tests', () => {
     describe('Timestamp Tracking', () => {
         test('sets createdAt on creation', async () => {
             const iconData = await seedOne();
-            const icon = await service.create(iconData, { trx });
+            const icon = await service.create(iconData, { trx, system: true });
 
             expect(icon.createdAt).toBeInstanceOf(Date);
             expect(icon.createdAt.getTime()).toBeLessThanOrEqual(Date.now());
@@ -436,7 +436,7 @@ describe('IconService - Custom Tests', () => {
 
         test('sets updatedAt on creation', async () => {
             const iconData = await seedOne();
-            const icon = await service.create(iconData, { trx });
+            const icon = await service.create(iconData, { trx, system: true });
 
             expect(icon.updatedAt).toBeInstanceOf(Date);
             expect(icon.updatedAt.getTime()).toBeLessThanOrEqual(Date.now());
@@ -444,7 +444,7 @@ describe('IconService - Custom Tests', () => {
 
         test('createdAt and updatedAt are close on creation', async () => {
             const iconData = await seedOne();
-            const icon = await service.create(iconData, { trx });
+            const icon = await service.create(iconData, { trx, system: true });
 
             const timeDiff = Math.abs(
                 icon.updatedAt.getTime() - icon.createdAt.getTime()
@@ -454,12 +454,12 @@ describe('IconService - Custom Tests', () => {
 
         test('update changes updatedAt timestamp', async () => {
             const iconData = await seedOne();
-            const created = await service.create(iconData, { trx });
+            const created = await service.create(iconData, { trx, system: true });
 
             await new Promise(resolve => setTimeout(resolve, 10));
 
-            await service.update(created.id, { name: 'Updated Icon' }, { trx });
-            const updated = await service.getById(created.id, { trx });
+            await service.update(created.id, { name: 'Updated Icon' }, { trx, system: true });
+            const updated = await service.getById(created.id, { trx, system: true });
 
             expect(updated.updatedAt).toBeDefined();
             expect(updated.updatedAt).toBeInstanceOf(Date);
@@ -469,27 +469,27 @@ describe('IconService - Custom Tests', () => {
     describe('Update Operations', () => {
         test('updates icon name', async () => {
             const iconData = await seedOne();
-            const created = await service.create(iconData, { trx });
+            const created = await service.create(iconData, { trx, system: true });
 
             const newName = `Updated Icon ${testCounter}`;
-            await service.update(created.id, { name: newName }, { trx });
+            await service.update(created.id, { name: newName }, { trx, system: true });
 
-            const updated = await service.getById(created.id, { trx });
+            const updated = await service.getById(created.id, { trx, system: true });
             expect(updated.name).toBe(newName);
         });
 
         test('updates multiple fields at once', async () => {
             const iconData = await seedOne();
-            const created = await service.create(iconData, { trx });
+            const created = await service.create(iconData, { trx, system: true });
 
             await service.update(created.id, {
                 name: 'New Name',
                 width: 64,
                 height: 64,
                 price: 19.99,
-            }, { trx });
+            }, { trx, system: true });
 
-            const updated = await service.getById(created.id, { trx });
+            const updated = await service.getById(created.id, { trx, system: true });
             expect(updated.name).toBe('New Name');
             expect(updated.width).toBe('64.00');
             expect(updated.height).toBe('64.00');
@@ -1,4 +1,5 @@
 const DB = require('@vectoricons.net/db');
+const { initAccessControlService } = require('../../common/access-control');
 
 const IconEntity = require('./IconEntity.js');
 const IconRepository = require('./IconRepository.js');
@@ -13,6 +14,7 @@ const initIconService = () => {
     return new IconService({
         repository: new IconRepository({ DB }),
         entityClass: IconEntity,
+        accessControl: { acl: initAccessControlService() },
     });
 };
 
@@ -4,15 +4,15 @@ const IllustrationRepository = require('./IllustrationRepository');
 const BaseService = require('../../common/BaseService');
 
 const { withPluggableCacheableAndSoftDeletable } = require('../../common/mixins/service');
-const { withActivatable } = require('../../common/mixins/service');
+const { withActivatable, withAccessControl } = require('../../common/mixins/service');
 
 /**
  * @module Products Domain
- * @fileoverview IllustrationService - Composes BaseService with Observability + (Pluggable + Cacheable + SoftDelete + Activatable) mixins.
+ * @fileoverview IllustrationService - Composes BaseService with Observability + (Pluggable + Cacheable + SoftDelete + Activatable + AccessControl) mixins.
  */
-class IllustrationService extends withActivatable(withPluggableCacheableAndSoftDeletable(BaseService)) {
-    constructor({ repository = new IllustrationRepository({ DB }), entityClass = IllustrationEntity } = {}) {
-        super({ repository, entityClass });
+class IllustrationService extends withAccessControl(withActivatable(withPluggableCacheableAndSoftDeletable(BaseService))) {
+    constructor({ repository = new IllustrationRepository({ DB }), entityClass = IllustrationEntity, cache, events, accessControl } = {}) {
+        super({ repository, entityClass, cache, events, accessControl: { publicField: 'isActive', ...accessControl } });
     }
 
     async getIllustrationByUniqueId(uniqueId, options = {}) {
@@ -70,7 +70,7 @@ describe('IllustrationService - Custom Tests', () => {
     describe('Illustration Creation and Retrieval', () => {
         test('creates illustration with all fields', async () => {
             const illustrationData = await seedOne();
-            const illustration = await service.create(illustrationData, { trx });
+            const illustration = await service.create(illustrationData, { trx, system: true });
 
             expect(illustration).toBeInstanceOf(IllustrationEntity);
             expect(illustration.name).toBe(illustrationData.name);
@@ -87,7 +87,7 @@ describe('IllustrationService - Custom Tests', () => {
 
         test('auto-generates unique_id on creation', async () => {
             const illustrationData = await seedOne();
-            const illustration = await service.create(illustrationData, { trx });
+            const illustration = await service.create(illustrationData, { trx, system: true });
 
             expect(illustration.uniqueId).toBeDefined();
             expect(typeof illustration.uniqueId).toBe('string');
@@ -96,9 +96,9 @@ describe('IllustrationService - Custom Tests', () => {
 
         test('finds illustration by id', async () => {
             const illustrationData = await seedOne();
-            const created = await service.create(illustrationData, { trx });
+            const created = await service.create(illustrationData, { trx, system: true });
 
-            const found = await service.getById(created.id, { trx });
+            const found = await service.getById(created.id, { trx, system: true });
             expect(found).toBeInstanceOf(IllustrationEntity);
             expect(found.id).toBe(created.id);
             expect(found.name).toBe(illustrationData.name);
@@ -108,7 +108,7 @@ describe('IllustrationService - Custom Tests', () => {
     describe('Unique ID Lookup', () => {
         test('getIllustrationByUniqueId finds illustration', async () => {
             const illustrationData = await seedOne();
-            const created = await service.create(illustrationData, { trx });
+            const created = await service.create(illustrationData, { trx, system: true });
 
             const found = await service.getIllustrationByUniqueId(created.uniqueId, { trx });
             expect(found).toBeInstanceOf(IllustrationEntity);
@@ -123,11 +123,11 @@ describe('IllustrationService - Custom Tests', () => {
 
         test('unique_id persists after updates', async () => {
             const illustrationData = await seedOne();
-            const created = await service.create(illustrationData, { trx });
+            const created = await service.create(illustrationData, { trx, system: true });
             const originalUniqueId = created.uniqueId;
 
-            await service.update(created.id, { name: 'Updated Illustration' }, { trx });
-            const updated = await service.getById(created.id, { trx });
+            await service.update(created.id, { name: 'Updated Illustration' }, { trx, system: true });
+            const updated = await service.getById(created.id, { trx, system: true });
 
             expect(updated.uniqueId).toBe(originalUniqueId);
         });
@@ -136,7 +136,7 @@ describe('IllustrationService - Custom Tests', () => {
     describe('Set Relationship', () => {
         test('creates illustration with set_id', async () => {
             const illustrationData = await seedOne();
-            const illustration = await service.create(illustrationData, { trx });
+            const illustration = await service.create(illustrationData, { trx, system: true });
 
             expect(illustration.setId).toBe(testSetId);
         });
@@ -145,8 +145,8 @@ describe('IllustrationService - Custom Tests', () => {
             const illustration1 = await seedOne();
             const illustration2 = await seedOne();
 
-            const created1 = await service.create(illustration1, { trx });
-            const created2 = await service.create(illustration2, { trx });
+            const created1 = await service.create(illustration1, { trx, system: true });
+            const created2 = await service.create(illustration2, { trx, system: true });
 
             const setIllustrations = await service.getIllustrationsBySetId(testSetId, { trx });
             const ourIllustrations = setIllustrations.filter(i =>
@@ -159,14 +159,14 @@ describe('IllustrationService - Custom Tests', () => {
 
         test('updates illustration set_id', async () => {
             const illustrationData = await seedOne();
-            const created = await service.create(illustrationData, { trx });
+            const created = await service.create(illustrationData, { trx, system: true });
 
             // Get another set for update test
             const sets = await DB.sets.query().where({ is_deleted: false, is_active: true }).limit(2);
             if (sets.length > 1) {
                 const newSetId = sets[1].id;
-                await service.update(created.id, { set_id: newSetId }, { trx });
-                const updated = await service.getById(created.id, { trx });
+                await service.update(created.id, { set_id: newSetId }, { trx, system: true });
+                const updated = await service.getById(created.id, { trx, system: true });
 
                 expect(updated.setId).toBe(newSetId);
             }
@@ -180,10 +180,10 @@ describe('IllustrationService - Custom Tests', () => {
             const inactive = { ...await seedOne(), is_active: false };
             const deleted = { ...await seedOne(), is_deleted: true };
 
-            await service.create(active1, { trx });
-            await service.create(active2, { trx });
-            await service.create(inactive, { trx });
-            await service.create(deleted, { trx });
+            await service.create(active1, { trx, system: true });
+            await service.create(active2, { trx, system: true });
+            await service.create(inactive, { trx, system: true });
+            await service.create(deleted, { trx, system: true });
 
             const activeIllustrations = await service.getAllActiveIllustrations({ trx });
 
@@ -198,9 +198,9 @@ describe('IllustrationService - Custom Tests', () => {
 
         test('soft deleted illustrations not in getAllActiveIllustrations', async () => {
             const illustrationData = await seedOne();
-            const created = await service.create(illustrationData, { trx });
+            const created = await service.create(illustrationData, { trx, system: true });
 
-            await service.softDelete(created.id, { trx });
+            await service.softDelete(created.id, { trx, system: true });
 
             const activeIllustrations = await service.getAllActiveIllustrations({ trx });
             const found = activeIllustrations.find(i => i.id === created.id);
@@ -210,9 +210,9 @@ describe('IllustrationService - Custom Tests', () => {
 
         test('deactivated illustrations not in getAllActiveIllustrations', async () => {
             const illustrationData = await seedOne();
-            const created = await service.create(illustrationData, { trx });
+            const created = await service.create(illustrationData, { trx, system: true });
 
-            await service.deactivate(created.id, { trx });
+            await service.deactivate(created.id, { trx, system: true });
 
             const activeIllustrations = await service.getAllActiveIllustrations({ trx });
             const found = activeIllustrations.find(i => i.id === created.id);
@@ -224,7 +224,7 @@ describe('IllustrationService - Custom Tests', () => {
     describe('Dimensions Tracking', () => {
         test('creates illustration with width and height', async () => {
             const illustrationData = { ...await seedOne(), width: 768, height: 768 };
-            const illustration = await service.create(illustrationData, { trx });
+            const illustration = await service.create(illustrationData, { trx, system: true });
 
             expect(illustration.width).toBe('768.00');
             expect(illustration.height).toBe('768.00');
@@ -232,10 +232,10 @@ describe('IllustrationService - Custom Tests', () => {
 
         test('updates illustration dimensions', async () => {
             const illustrationData = await seedOne();
-            const created = await service.create(illustrationData, { trx });
+            const created = await service.create(illustrationData, { trx, system: true });
 
-            await service.update(created.id, { width: 1024, height: 1024 }, { trx });
-            const updated = await service.getById(created.id, { trx });
+            await service.update(created.id, { width: 1024, height: 1024 }, { trx, system: true });
+            const updated = await service.getById(created.id, { trx, system: true });
 
             expect(updated.width).toBe('1024.00');
             expect(updated.height).toBe('1024.00');
@@ -243,7 +243,7 @@ describe('IllustrationService - Custom Tests', () => {
 
         test('dimensions can be different (non-square illustrations)', async () => {
             const illustrationData = { ...await seedOne(), width: 512, height: 384 };
-            const illustration = await service.create(illustrationData, { trx });
+            const illustration = await service.create(illustrationData, { trx, system: true });
 
             expect(illustration.width).toBe('512.00');
             expect(illustration.height).toBe('384.00');
@@ -253,7 +253,7 @@ describe('IllustrationService - Custom Tests', () => {
             const illustrationData = await seedOne();
             delete illustrationData.width;
             delete illustrationData.height;
-            const illustration = await service.create(illustrationData, { trx });
+            const illustration = await service.create(illustrationData, { trx, system: true });
 
             expect(illustration).toBeInstanceOf(IllustrationEntity);
             expect(illustration.name).toBe(illustrationData.name);
@@ -263,14 +263,14 @@ describe('IllustrationService - Custom Tests', () => {
     describe('Pricing Management', () => {
         test('creates illustration with price', async () => {
             const illustrationData = { ...await seedOne(), price: 9.99 };
-            const illustration = await service.create(illustrationData, { trx });
+            const illustration = await service.create(illustrationData, { trx, system: true });
 
             expect(illustration.price).toBe('9.99');
         });
 
         test('handles price precision (2 decimals)', async () => {
             const illustrationData = { ...await seedOne(), price: 9.9999 };
-            const illustration = await service.create(illustrationData, { trx });
+            const illustration = await service.create(illustrationData, { trx, system: true });
 
             // Database should round to 2 decimals
             expect(parseFloat(illustration.price)).toBeCloseTo(10.00, 2);
@@ -278,17 +278,17 @@ describe('IllustrationService - Custom Tests', () => {
 
         test('updates illustration price', async () => {
             const illustrationData = { ...await seedOne(), price: 5.99 };
-            const created = await service.create(illustrationData, { trx });
+            const created = await service.create(illustrationData, { trx, system: true });
 
-            await service.update(created.id, { price: 14.99 }, { trx });
-            const updated = await service.getById(created.id, { trx });
+            await service.update(created.id, { price: 14.99 }, { trx, system: true });
+            const updated = await service.getById(created.id, { trx, system: true });
 
             expect(updated.price).toBe('14.99');
         });
 
         test('price is nullable', async () => {
             const illustrationData = await seedOne();
-            const illustration = await service.create(illustrationData, { trx });
+            const illustration = await service.create(illustrationData, { trx, system: true });
 
             expect(illustration).toBeInstanceOf(IllustrationEntity);
             expect(illustration.name).toBe(illustrationData.name);
@@ -298,7 +298,7 @@ describe('IllustrationService - Custom Tests', () => {
     describe('Ownership Tracking', () => {
         test('creates illustration with user_id', async () => {
             const illustrationData = await seedOne();
-            const illustration = await service.create(illustrationData, { trx });
+            const illustration = await service.create(illustrationData, { trx, system: true });
 
             expect(illustration.userId).toBe(1);
         });
@@ -307,10 +307,10 @@ describe('IllustrationService - Custom Tests', () => {
             const illustration1 = await seedOne();
             const illustration2 = await seedOne();
 
-            const created1 = await service.create(illustration1, { trx });
-            const created2 = await service.create(illustration2, { trx });
+            const created1 = await service.create(illustration1, { trx, system: true });
+            const created2 = await service.create(illustration2, { trx, system: true });
 
-            const userIllustrations = await service.getWhere({ user_id: 1, set_id: testSetId }, { trx });
+            const userIllustrations = await service.getWhere({ user_id: 1, set_id: testSetId }, { trx, system: true });
             const ourIllustrations = userIllustrations.filter(i =>
                 i.id === created1.id || i.id === created2.id
             );
@@ -321,7 +321,7 @@ describe('IllustrationService - Custom Tests', () => {
 
         test('team_id is nullable', async () => {
             const illustrationData = await seedOne();
-            const illustration = await service.create(illustrationData, { trx });
+            const illustration = await service.create(illustrationData, { trx, system: true });
 
             expect(illustration).toBeInstanceOf(IllustrationEntity);
             // team_id is optional
@@ -331,7 +331,7 @@ describe('IllustrationService - Custom Tests', () => {
     describe('Style Relationship', () => {
         test('style_id is nullable', async () => {
             const illustrationData = await seedOne();
-            const illustration = await service.create(illustrationData, { trx });
+            const illustration = await service.create(illustrationData, { trx, system: true });
 
             expect(illustration).toBeInstanceOf(IllustrationEntity);
             // style_id is optional
@@ -341,14 +341,14 @@ describe('IllustrationService - Custom Tests', () => {
     describe('Licensing', () => {
         test('uses default license_id (21)', async () => {
             const illustrationData = await seedOne();
-            const illustration = await service.create(illustrationData, { trx });
+            const illustration = await service.create(illustrationData, { trx, system: true });
 
             expect(illustration.licenseId).toBe(21);
         });
 
         test('license_id is set from seed', async () => {
             const illustrationData = await seedOne();
-            const illustration = await service.create(illustrationData, { trx });
+            const illustration = await service.create(illustrationData, { trx, system: true });
 
             expect(illustration).toBeInstanceOf(IllustrationEntity);
             expect(illustration.licenseId).toBe(21);
@@ -358,21 +358,21 @@ describe('IllustrationService - Custom Tests', () => {
     describe('Soft Delete + Activation', () => {
         test('soft delete sets is_deleted to true', async () => {
             const illustrationData = await seedOne();
-            const created = await service.create(illustrationData, { trx });
+            const created = await service.create(illustrationData, { trx, system: true });
 
-            await service.softDelete(created.id, { trx });
-            const deleted = await service.getById(created.id, { trx });
+            await service.softDelete(created.id, { trx, system: true });
+            const deleted = await service.getById(created.id, { trx, system: true });
 
             expect(deleted.isDeleted).toBe(true);
         });
 
         test('soft delete also deactivates (withSoftDeletable behavior)', async () => {
             const illustrationData = await seedOne();
-            const created = await service.create(illustrationData, { trx });
+            const created = await service.create(illustrationData, { trx, system: true });
             expect(created.isActive).toBe(true);
 
-            await service.softDelete(created.id, { trx });
-            const deleted = await service.getById(created.id, { trx });
+            await service.softDelete(created.id, { trx, system: true });
+            const deleted = await service.getById(created.id, { trx, system: true });
 
             // withSoftDeletable mixin also sets is_active to false
             expect(deleted.isActive).toBe(false);
@@ -381,21 +381,21 @@ describe('IllustrationService - Custom Tests', () => {
 
         test('deactivate sets is_active to false', async () => {
             const illustrationData = await seedOne();
-            const created = await service.create(illustrationData, { trx });
+            const created = await service.create(illustrationData, { trx, system: true });
 
-            await service.deactivate(created.id, { trx });
-            const deactivated = await service.getById(created.id, { trx });
+            await service.deactivate(created.id, { trx, system: true });
+            const deactivated = await service.getById(created.id, { trx, system: true });
 
             expect(deactivated.isActive).toBe(false);
         });
 
         test('deactivate does not affect is_deleted', async () => {
             const illustrationData = await seedOne();
-            const created = await service.create(illustrationData, { trx });
+            const created = await service.create(illustrationData, { trx, system: true });
             expect(created.isDeleted).toBe(false);
 
-            await service.deactivate(created.id, { trx });
-            const deactivated = await service.getById(created.id, { trx });
+            await service.deactivate(created.id, { trx, system: true });
+            const deactivated = await service.getById(created.id, { trx, system: true });
 
             expect(deactivated.isDeleted).toBe(false);
             expect(deactivated.isActive).toBe(false);
@@ -403,11 +403,11 @@ describe('IllustrationService - Custom Tests', () => {
 
         test('can be both deleted and inactive', async () => {
             const illustrationData = await seedOne();
-            const created = await service.create(illustrationData, { trx });
+            const created = await service.create(illustrationData, { trx, system: true });
 
-            await service.deactivate(created.id, { trx });
-            await service.softDelete(created.id, { trx });
-            const illustration = await service.getById(created.id, { trx });
+            await service.deactivate(created.id, { trx, system: true });
+            await service.softDelete(created.id, { trx, system: true });
+            const illustration = await service.getById(created.id, { trx, system: true });
 
             expect(illustration.isActive).toBe(false);
             expect(illustration.isDeleted).toBe(true);
@@ -415,11 +415,11 @@ describe('IllustrationService - Custom Tests', () => {
 
         test('restore sets is_deleted to false', async () => {
             const illustrationData = await seedOne();
-            const created = await service.create(illustrationData, { trx });
+            const created = await service.create(illustrationData, { trx, system: true });
 
-            await service.softDelete(created.id, { trx });
-            await service.restore(created.id, { trx });
-            const restored = await service.getById(created.id, { trx });
+            await service.softDelete(created.id, { trx, system: true });
+            await service.restore(created.id, { trx, system: true });
+            const restored = await service.getById(created.id, { trx, system: true });
 
             expect(restored.isDeleted).toBe(false);
         });
@@ -428,7 +428,7 @@ describe('IllustrationService - Custom Tests', () => {
     describe('Timestamp Tracking', () => {
         test('sets createdAt on creation', async () => {
             const illustrationData = await seedOne();
-            const illustration = await service.create(illustrationData, { trx });
+            const illustration = await service.create(illustrationData, { trx, system: true });
 
             expect(illustration.createdAt).toBeInstanceOf(Date);
             expect(illustration.createdAt.getTime()).toBeLessThanOrEqual(Date.now());
@@ -436,7 +436,7 @@ describe('IllustrationService - Custom Tests', () => {
 
         test('sets updatedAt on creation', async () => {
             const illustrationData = await seedOne();
-            const illustration = await service.create(illustrationData, { trx });
+            const illustration = await service.create(illustrationData, { trx, system: true });
 
             expect(illustration.updatedAt).toBeInstanceOf(Date);
             expect(illustration.updatedAt.getTime()).toBeLessThanOrEqual(Date.now());
@@ -444,7 +444,7 @@ describe('IllustrationService - Custom Tests', () => {
 
         test('createdAt and updatedAt are close on creation', async () => {
             const illustrationData = await seedOne();
-            const illustration = await service.create(illustrationData, { trx });
+            const illustration = await service.create(illustrationData, { trx, system: true });
 
             const timeDiff = Math.abs(
                 illustration.updatedAt.getTime() - illustration.createdAt.getTime()
@@ -454,12 +454,12 @@ describe('IllustrationService - Custom Tests', () => {
 
         test('update changes updatedAt timestamp', async () => {
             const illustrationData = await seedOne();
-            const created = await service.create(illustrationData, { trx });
+            const created = await service.create(illustrationData, { trx, system: true });
 
             await new Promise(resolve => setTimeout(resolve, 10));
 
-            await service.update(created.id, { name: 'Updated Illustration' }, { trx });
-            const updated = await service.getById(created.id, { trx });
+            await service.update(created.id, { name: 'Updated Illustration' }, { trx, system: true });
+            const updated = await service.getById(created.id, { trx, system: true });
 
             expect(updated.updatedAt).toBeDefined();
             expect(updated.updatedAt).toBeInstanceOf(Date);
@@ -469,27 +469,27 @@ describe('IllustrationService - Custom Tests', () => {
     describe('Update Operations', () => {
         test('updates illustration name', async () => {
             const illustrationData = await seedOne();
-            const created = await service.create(illustrationData, { trx });
+            const created = await service.create(illustrationData, { trx, system: true });
 
             const newName = `Updated Illustration ${testCounter}`;
-            await service.update(created.id, { name: newName }, { trx });
+            await service.update(created.id, { name: newName }, { trx, system: true });
 
-            const updated = await service.getById(created.id, { trx });
+            const updated = await service.getById(created.id, { trx, system: true });
             expect(updated.name).toBe(newName);
         });
 
         test('updates multiple fields at once', async () => {
             const illustrationData = await seedOne();
-            const created = await service.create(illustrationData, { trx });
+            const created = await service.create(illustrationData, { trx, system: true });
 
             await service.update(created.id, {
                 name: 'New Name',
                 width: 2048,
                 height: 2048,
                 price: 19.99,
-            }, { trx });
+            }, { trx, system: true });
 
-            const updated = await service.getById(created.id, { trx });
+            const updated = await service.getById(created.id, { trx, system: true });
             expect(updated.name).toBe('New Name');
             expect(updated.width).toBe('2048.00');
             expect(updated.height).toBe('2048.00');
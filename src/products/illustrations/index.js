@@ -1,4 +1,5 @@
 const DB = require('@vectoricons.net/db');
+const { initAccessControlService } = require('../../common/access-control');
 
 const IllustrationEntity = require('./IllustrationEntity.js');
 const IllustrationRepository = require('./IllustrationRepository.js');
@@ -8,6 +9,7 @@ const initIllustrationService = () => {
     return new IllustrationService({
         repository: new IllustrationRepository({ DB }),
         entityClass: IllustrationEntity,
+        accessControl: { acl: initAccessControlService() },
     });
 };
 
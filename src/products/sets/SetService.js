@@ -2,18 +2,19 @@ const SetEntity     = require('./SetEntity');
 const SetRepository = require('./SetRepository');
 const BaseService   = require('../../common/BaseService');
 const DB            = require('@vectoricons.net/db');
-const { withSoftDeletable, withActivatable } = require('../../common/mixins/service');
+const { withSoftDeletable, withActivatable, withAccessControl } = require('../../common/mixins/service');
 
 /**
  * @module Products Domain
- * @fileoverview SetService - Service for managing set data with soft delete and activation support.
+ * @fileoverview SetService - Service for managing set data with soft delete, activation and access control support.
  * @class SetService
  */
-class SetService extends withSoftDeletable(withActivatable(BaseService)) {
-    constructor({ repository, entityClass } = {}) {
+class SetService extends withAccessControl(withSoftDeletable(withActivatable(BaseService))) {
+    constructor({ repository, entityClass, accessControl } = {}) {
         super({
             repository: repository || new SetRepository({ DB }),
             entityClass: entityClass || SetEntity,
+            accessControl: { publicField: 'isActive', ...accessControl },
         });
     }
 
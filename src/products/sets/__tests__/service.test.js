@@ -68,7 +68,7 @@ describe('SetService - Custom Tests', () => {
     describe('Set Creation and Retrieval', () => {
         test('creates set with all fields', async () => {
             const setData = await seedOne();
-            const set = await service.create(setData, { trx });
+            const set = await service.create(setData, { trx, system: true });
 
             expect(set).toBeInstanceOf(SetEntity);
             expect(set.name).toBe(setData.name);
@@ -84,7 +84,7 @@ describe('SetService - Custom Tests', () => {
 
         test('auto-generates unique_id on creation', async () => {
             const setData = await seedOne();
-            const set = await service.create(setData, { trx });
+            const set = await service.create(setData, { trx, system: true });
 
             expect(set.uniqueId).toBeDefined();
             expect(typeof set.uniqueId).toBe('string');
@@ -93,9 +93,9 @@ describe('SetService - Custom Tests', () => {
 
         test('finds set by id', async () => {
             const setData = await seedOne();
-            const created = await service.create(setData, { trx });
+            const created = await service.create(setData, { trx, system: true });
 
-            const found = await service.getById(created.id, { trx });
+            const found = await service.getById(created.id, { trx, system: true });
             expect(found).toBeInstanceOf(SetEntity);
             expect(found.id).toBe(created.id);
             expect(found.name).toBe(setData.name);
@@ -105,7 +105,7 @@ describe('SetService - Custom Tests', () => {
     describe('Unique ID Lookup', () => {
         test('getSetByUniqueId finds set', async () => {
             const setData = await seedOne();
-            const created = await service.create(setData, { trx });
+            const created = await service.create(setData, { trx, system: true });
 
             const found = await service.getSetByUniqueId(created.uniqueId, { trx });
             expect(found).toBeInstanceOf(SetEntity);
@@ -120,11 +120,11 @@ describe('SetService - Custom Tests', () => {
 
         test('unique_id persists after updates', async () => {
             const setData = await seedOne();
-            const created = await service.create(setData, { trx });
+            const created = await service.create(setData, { trx, system: true });
             const originalUniqueId = created.uniqueId;
 
-            await service.update(created.id, { name: 'Updated Set' }, { trx });
-            const updated = await service.getById(created.id, { trx });
+            await service.update(created.id, { name: 'Updated Set' }, { trx, system: true });
+            const updated = await service.getById(created.id, { trx, system: true });
 
             expect(updated.uniqueId).toBe(originalUniqueId);
         });
@@ -137,10 +137,10 @@ describe('SetService - Custom Tests', () => {
             const inactive = { ...await seedOne(), is_active: false };
             const deleted = { ...await seedOne(), is_deleted: true };
 
-            await service.create(active1, { trx });
-            await service.create(active2, { trx });
-            await service.create(inactive, { trx });
-            await service.create(deleted, { trx });
+            await service.create(active1, { trx, system: true });
+            await service.create(active2, { trx, system: true });
+            await service.create(inactive, { trx, system: true });
+            await service.create(deleted, { trx, system: true });
 
             const activeSets = await service.getAllActiveSets({ trx });
 
@@ -155,9 +155,9 @@ describe('SetService - Custom Tests', () => {
 
         test('soft deleted sets not in getAllActiveSets', async () => {
             const setData = await seedOne();
-            const created = await service.create(setData, { trx });
+            const created = await service.create(setData, { trx, system: true });
 
-            await service.softDelete(created.id, { trx });
+            await service.softDelete(created.id, { trx, system: true });
 
             const activeSets = await service.getAllActiveSets({ trx });
             const found = activeSets.find(s => s.id === created.id);
@@ -167,9 +167,9 @@ describe('SetService - Custom Tests', () => {
 
         test('deactivated sets not in getAllActiveSets', async () => {
             const setData = await seedOne();
-            const created = await service.create(setData, { trx });
+            const created = await service.create(setData, { trx, system: true });
 
-            await service.deactivate(created.id, { trx });
+            await service.deactivate(created.id, { trx, system: true });
 
             const activeSets = await service.getAllActiveSets({ trx });
             const found = activeSets.find(s => s.id === created.id);
@@ -181,7 +181,7 @@ describe('SetService - Custom Tests', () => {
     describe('Family Relationship', () => {
         test('creates set with family_id', async () => {
             const setData = await seedOne();
-            const set = await service.create(setData, { trx });
+            const set = await service.create(setData, { trx, system: true });
 
             expect(set.familyId).toBe(testFamilyId);
         });
@@ -190,8 +190,8 @@ describe('SetService - Custom Tests', () => {
             const set1 = await seedOne();
             const set2 = await seedOne();
 
-            const created1 = await service.create(set1, { trx });
-            const created2 = await service.create(set2, { trx });
+            const created1 = await service.create(set1, { trx, system: true });
+            const created2 = await service.create(set2, { trx, system: true });
 
             const familySets = await service.getSetsByFamilyId(testFamilyId, { trx });
             const ourSets = familySets.filter(s =>
@@ -204,14 +204,14 @@ describe('SetService - Custom Tests', () => {
 
         test('updates set family_id', async () => {
             const setData = await seedOne();
-            const created = await service.create(setData, { trx });
+            const created = await service.create(setData, { trx, system: true });
 
             // Get another family for update test
             const families = await DB.families.query().where({ is_deleted: false, is_active: true }).limit(2);
             if (families.length > 1) {
                 const newFamilyId = families[1].id;
-                await service.update(created.id, { family_id: newFamilyId }, { trx });
-                const updated = await service.getById(created.id, { trx });
+                await service.update(created.id, { family_id: newFamilyId }, { trx, system: true });
+                const updated = await service.getById(created.id, { trx, system: true });
 
                 expect(updated.familyId).toBe(newFamilyId);
             }
@@ -221,14 +221,14 @@ describe('SetService - Custom Tests', () => {
     describe('Pricing Management', () => {
         test('creates set with price', async () => {
             const setData = { ...await seedOne(), price: 49.99 };
-            const set = await service.create(setData, { trx });
+            const set = await service.create(setData, { trx, system: true });
 
             expect(set.price).toBe('49.99');
         });
 
         test('handles price precision (2 decimals)', async () => {
             const setData = { ...await seedOne(), price: 19.9999 };
-            const set = await service.create(setData, { trx });
+            const set = await service.create(setData, { trx, system: true });
 
             // Database should round to 2 decimals
             expect(parseFloat(set.price)).toBeCloseTo(20.00, 2);
@@ -236,10 +236,10 @@ describe('SetService - Custom Tests', () => {
 
         test('updates set price', async () => {
             const setData = await seedOne();
-            const created = await service.create(setData, { trx });
+            const created = await service.create(setData, { trx, system: true });
 
-            await service.update(created.id, { price: 99.99 }, { trx });
-            const updated = await service.getById(created.id, { trx });
+            await service.update(created.id, { price: 99.99 }, { trx, system: true });
+            const updated = await service.getById(created.id, { trx, system: true });
 
             expect(updated.price).toBe('99.99');
         });
@@ -249,14 +249,14 @@ describe('SetService - Custom Tests', () => {
             delete setData.price;
 
             // Price is required in the schema
-            await expect(service.create(setData, { trx })).rejects.toThrow();
+            await expect(service.create(setData, { trx, system: true })).rejects.toThrow();
         });
     });
 
     describe('Ownership Tracking', () => {
         test('creates set with user_id', async () => {
             const setData = await seedOne();
-            const set = await service.create(setData, { trx });
+            const set = await service.create(setData, { trx, system: true });
 
             expect(set.userId).toBe(1);
         });
@@ -265,10 +265,10 @@ describe('SetService - Custom Tests', () => {
             const set1 = await seedOne();
             const set2 = await seedOne();
 
-            const created1 = await service.create(set1, { trx });
-            const created2 = await service.create(set2, { trx });
+            const created1 = await service.create(set1, { trx, system: true });
+            const created2 = await service.create(set2, { trx, system: true });
 
-            const userSets = await service.getWhere({ user_id: 1 }, { trx });
+            const userSets = await service.getWhere({ user_id: 1 }, { trx, system: true });
             const ourSets = userSets.filter(s =>
                 s.id === created1.id || s.id === created2.id
             );
@@ -279,7 +279,7 @@ describe('SetService - Custom Tests', () => {
 
         test('team_id is nullable', async () => {
             const setData = await seedOne();
-            const set = await service.create(setData, { trx });
+            const set = await service.create(setData, { trx, system: true });
 
             // team_id is optional/nullable
             expect(set).toBeInstanceOf(SetEntity);
@@ -289,7 +289,7 @@ describe('SetService - Custom Tests', () => {
     describe('Type and Style', () => {
         test('type_id is nullable', async () => {
             const setData = await seedOne();
-            const set = await service.create(setData, { trx });
+            const set = await service.create(setData, { trx, system: true });
 
             expect(set).toBeInstanceOf(SetEntity);
             // type_id is optional
@@ -297,7 +297,7 @@ describe('SetService - Custom Tests', () => {
 
         test('style_id is nullable', async () => {
             const setData = await seedOne();
-            const set = await service.create(setData, { trx });
+            const set = await service.create(setData, { trx, system: true });
 
             expect(set).toBeInstanceOf(SetEntity);
             // style_id is optional
@@ -307,14 +307,14 @@ describe('SetService - Custom Tests', () => {
     describe('Licensing', () => {
         test('uses default license_id (21)', async () => {
             const setData = await seedOne();
-            const set = await service.create(setData, { trx });
+            const set = await service.create(setData, { trx, system: true });
 
             expect(set.licenseId).toBe(21);
         });
 
         test('license_id is set from seed', async () => {
             const setData = await seedOne();
-            const set = await service.create(setData, { trx });
+            const set = await service.create(setData, { trx, system: true });
 
             expect(set).toBeInstanceOf(SetEntity);
             expect(set.licenseId).toBe(21);
@@ -324,21 +324,21 @@ describe('SetService - Custom Tests', () => {
     describe('Soft Delete + Activation', () => {
         test('soft delete sets is_deleted to true', async () => {
             const setData = await seedOne();
-            const created = await service.create(setData, { trx });
+            const created = await service.create(setData, { trx, system: true });
 
-            await service.softDelete(created.id, { trx });
-            const deleted = await service.getById(created.id, { trx });
+            await service.softDelete(created.id, { trx, system: true });
+            const deleted = await service.getById(created.id, { trx, system: true });
 
             expect(deleted.isDeleted).toBe(true);
         });
 
         test('soft delete also deactivates (withSoftDeletable behavior)', async () => {
             const setData = await seedOne();
-            const created = await service.create(setData, { trx });
+            const created = await service.create(setData, { trx, system: true });
             expect(created.isActive).toBe(true);
 
-            await service.softDelete(created.id, { trx });
-            const deleted = await service.getById(created.id, { trx });
+            await service.softDelete(created.id, { trx, system: true });
+            const deleted = await service.getById(created.id, { trx, system: true });
 
             // withSoftDeletable mixin also sets is_active to false
             expect(deleted.isActive).toBe(false);
@@ -347,21 +347,21 @@ describe('SetService - Custom Tests', () => {
 
         test('deactivate sets is_active to false', async () => {
             const setData = await seedOne();
-            const created = await service.create(setData, { trx });
+            const created = await service.create(setData, { trx, system: true });
 
-            await service.deactivate(created.id, { trx });
-            const deactivated = await service.getById(created.id, { trx });
+            await service.deactivate(created.id, { trx, system: true });
+            const deactivated = await service.getById(created.id, { trx, system: true });
 
             expect(deactivated.isActive).toBe(false);
         });
 
         test('deactivate does not affect is_deleted', async () => {
             const setData = await seedOne();
-            const created = await service.create(setData, { trx });
+            const created = await service.create(setData, { trx, system: true });
             expect(created.isDeleted).toBe(false);
 
-            await service.deactivate(created.id, { trx });
-            const deactivated = await service.getById(created.id, { trx });
+            await service.deactivate(created.id, { trx, system: true });
+            const deactivated = await service.getById(created.id, { trx, system: true });
 
             expect(deactivated.isDeleted).toBe(false);
             expect(deactivated.isActive).toBe(false);
@@ -369,11 +369,11 @@ describe('SetService - Custom Tests', () => {
 
         test('can be both deleted and inactive', async () => {
             const setData = await seedOne();
-            const created = await service.create(setData, { trx });
+            const created = await service.create(setData, { trx, system: true });
 
-            await service.deactivate(created.id, { trx });
-            await service.softDelete(created.id, { trx });
-            const set = await service.getById(created.id, { trx });
+            await service.deactivate(created.id, { trx, system: true });
+            await service.softDelete(created.id, { trx, system: true });
+            const set = await service.getById(created.id, { trx, system: true });
 
             expect(set.isActive).toBe(false);
             expect(set.isDeleted).toBe(true);
@@ -381,11 +381,11 @@ describe('SetService - Custom Tests', () => {
 
         test('restore sets is_deleted to false', async () => {
             const setData = await seedOne();
-            const created = await service.create(setData, { trx });
+            const created = await service.create(setData, { trx, system: true });
 
-            await service.softDelete(created.id, { trx });
-            await service.restore(created.id, { trx });
-            const restored = await service.getById(created.id, { trx });
+            await service.softDelete(created.id, { trx, system: true });
+            await service.restore(created.id, { trx, system: true });
+            const restored = await service.getById(created.id, { trx, system: true });
 
             expect(restored.isDeleted).toBe(false);
         });
@@ -394,24 +394,24 @@ describe('SetService - Custom Tests', () => {
     describe('Sorting', () => {
         test('uses default sort value (0)', async () => {
             const setData = await seedOne();
-            const set = await service.create(setData, { trx });
+            const set = await service.create(setData, { trx, system: true });
 
             expect(set.sort).toBe(0);
         });
 
         test('accepts custom sort value', async () => {
             const setData = { ...await seedOne(), sort: 100 };
-            const set = await service.create(setData, { trx });
+            const set = await service.create(setData, { trx, system: true });
 
             expect(set.sort).toBe(100);
         });
 
         test('updates sort value', async () => {
             const setData = await seedOne();
-            const created = await service.create(setData, { trx });
+            const created = await service.create(setData, { trx, system: true });
 
-            await service.update(created.id, { sort: 50 }, { trx });
-            const updated = await service.getById(created.id, { trx });
+            await service.update(created.id, { sort: 50 }, { trx, system: true });
+            const updated = await service.getById(created.id, { trx, system: true });
 
             expect(updated.sort).toBe(50);
         });
@@ -420,7 +420,7 @@ describe('SetService - Custom Tests', () => {
     describe('Timestamp Tracking', () => {
         test('sets createdAt on creation', async () => {
             const setData = await seedOne();
-            const set = await service.create(setData, { trx });
+            const set = await service.create(setData, { trx, system: true });
 
             expect(set.createdAt).toBeInstanceOf(Date);
             expect(set.createdAt.getTime()).toBeLessThanOrEqual(Date.now());
@@ -428,7 +428,7 @@ describe('SetService - Custom Tests', () => {
 
         test('sets updatedAt on creation', async () => {
             const setData = await seedOne();
-            const set = await service.create(setData, { trx });
+            const set = await service.create(setData, { trx, system: true });
 
             expect(set.updatedAt).toBeInstanceOf(Date);
             expect(set.updatedAt.getTime()).toBeLessThanOrEqual(Date.now());
@@ -436,7 +436,7 @@ describe('SetService - Custom Tests', () => {
 
         test('createdAt and updatedAt are close on creation', async () => {
             const setData = await seedOne();
-            const set = await service.create(setData, { trx });
+            const set = await service.create(setData, { trx, system: true });
 
             const timeDiff = Math.abs(
                 set.updatedAt.getTime() - set.createdAt.getTime()
@@ -446,12 +446,12 @@ describe('SetService - Custom Tests', () => {
 
         test('update changes updatedAt timestamp', async () => {
             const setData = await seedOne();
-            const created = await service.create(setData, { trx });
+            const created = await service.create(setData, { trx, system: true });
 
             await new Promise(resolve => setTimeout(resolve, 10));
 
-            await service.update(created.id, { name: 'Updated Set' }, { trx });
-            const updated = await service.getById(created.id, { trx });
+            await service.update(created.id, { name: 'Updated Set' }, { trx, system: true });
+            const updated = await service.getById(created.id, { trx, system: true });
 
             expect(updated.updatedAt).toBeDefined();
             expect(updated.updatedAt).toBeInstanceOf(Date);
@@ -461,37 +461,37 @@ describe('SetService - Custom Tests', () => {
     describe('Update Operations', () => {
         test('updates set name', async () => {
             const setData = await seedOne();
-            const created = await service.create(setData, { trx });
+            const created = await service.create(setData, { trx, system: true });
 
             const newName = `Updated Set ${testCounter}`;
-            await service.update(created.id, { name: newName }, { trx });
+            await service.update(created.id, { name: newName }, { trx, system: true });
 
-            const updated = await service.getById(created.id, { trx });
+            const updated = await service.getById(created.id, { trx, system: true });
             expect(updated.name).toBe(newName);
         });
 
         test('updates set description', async () => {
             const setData = await seedOne();
-            const created = await service.create(setData, { trx });
+            const created = await service.create(setData, { trx, system: true });
 
             const newDesc = 'Updated description';
-            await service.update(created.id, { description: newDesc }, { trx });
+            await service.update(created.id, { description: newDesc }, { trx, system: true });
 
-            const updated = await service.getById(created.id, { trx });
+            const updated = await service.getById(created.id, { trx, system: true });
             expect(updated.description).toBe(newDesc);
         });
 
         test('updates multiple fields at once', async () => {
             const setData = await seedOne();
-            const created = await service.create(setData, { trx });
+            const created = await service.create(setData, { trx, system: true });
 
             await service.update(created.id, {
                 name: 'New Name',
                 price: 199.99,
                 sort: 10,
-            }, { trx });
+            }, { trx, system: true });
 
-            const updated = await service.getById(created.id, { trx });
+            const updated = await service.getById(created.id, { trx, system: true });
             expect(updated.name).toBe('New Name');
             expect(updated.price).toBe('199.99');
             expect(updated.sort).toBe(10);
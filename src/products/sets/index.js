@@ -1,4 +1,5 @@
 const DB = require('@vectoricons.net/db');
+const { initAccessControlService } = require('../../common/access-control');
 
 const SetEntity = require('./SetEntity.js');
 const SetRepository = require('./SetRepository.js');
@@ -8,6 +9,7 @@ const initSetService = () => {
     return new SetService({
         repository: new SetRepository({ DB }),
         entityClass: SetEntity,
+        accessControl: { acl: initAccessControlService() },
     });
 };
 
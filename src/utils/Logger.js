@@ -0,0 +1,76 @@
+const { getLogFields } = require('../common/context');
+
+/**
+ * @fileoverview Logger - console-compatible logger that stamps the request context.
+ *
+ * Inside a request or event handler, each line gets the context's trace id,
+ * request id, user id and event id: merged into the line's trailing fields
+ * object if it has one, appended as one otherwise. Outside a context the
+ * arguments reach the console untouched.
+ *
+ * @example
+ * logger.warn('icon-service.update failure 1.3ms', { errorClass: 'NotFoundError' });
+ * // icon-service.update failure 1.3ms { errorClass: 'NotFoundError', trace_id: '4bf9...', request_id: 'c0ffee', user_id: 7 }
+ *
+ * @example
+ * const log = logger.child({ component: 'outbox-relay' });
+ * log.error('Batch failed:', error);
+ * // Batch failed: Error { ... } { component: 'outbox-relay', trace_id: ... }
+ */
+
+const kLEVELS = ['debug', 'info', 'log', 'warn', 'error'];
+
+const isPlainObject = (value) => value !== null
+    && typeof value === 'object'
+    && Object.getPrototypeOf(value) === Object.prototype;
+
+class Logger {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.base] - Console-like target (default: the global console, looked up per call)
+     * @param {Object} [options.fields={}] - Fields stamped on every line
+     */
+    constructor({ base = null, fields = {} } = {}) {
+        this.base = base;
+        this.fields = fields;
+
+        for (const level of kLEVELS) {
+            this[level] = (...args) => this.write(level, args);
+        }
+    }
+
+    /**
+     * Logger with extra fields on every line.
+     * @param {Object} fields
+     * @returns {Logger}
+     */
+    child(fields) {
+        return new Logger({ base: this.base, fields: { ...this.fields, ...fields } });
+    }
+
+    /**
+     * @private
+     * @param {string} level
+     * @param {Array} args
+     */
+    write(level, args) {
+        const target = this.base || console;
+        const fields = { ...this.fields, ...getLogFields() };
+
+        if (Object.keys(fields).length) {
+            const last = args[args.length - 1];
+            args = args.length > 1 && isPlainObject(last)
+                ? [...args.slice(0, -1), { ...last, ...fields }]
+                : [...args, fields];
+        }
+        (target[level] || target.log).apply(target, args);
+    }
+}
+
+// Shared logger for modules without their own
+const logger = new Logger();
+
+module.exports = {
+    Logger,
+    logger,
+};